@@ -0,0 +1,19 @@
+const Razorpay = require("razorpay");
+
+// Lazily initialize Razorpay so credential changes take effect on restart
+function getRazorpay() {
+  const key_id = process.env.RAZORPAY_KEY_ID;
+  const key_secret = process.env.RAZORPAY_KEY_SECRET;
+  if (!key_id || !key_secret) {
+    throw new Error(
+      "RAZORPAY_KEY_ID or RAZORPAY_KEY_SECRET is missing from environment",
+    );
+  }
+  return new Razorpay({ key_id, key_secret });
+}
+
+function isRazorpayConfigured() {
+  return Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+}
+
+module.exports = { getRazorpay, isRazorpayConfigured };
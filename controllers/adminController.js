@@ -1,9 +1,12 @@
 const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
 const Notification = require("../models/Notification");
 const { cache } = require("../utils/cache");
+const { referralReport } = require("../services/referralService");
+const { getWalletSummary, adjustWallet } = require("../services/walletService");
 
 const getDashboard = async (req, res) => {
   try {
@@ -196,6 +199,7 @@ const getAllOrders = async (req, res) => {
     if (cached) return res.json(cached);
 
     const orders = await Order.find({})
+      .select("+internalNotes")
       .populate("userId", "username email isAdmin")
       .sort({ createdAt: -1 })
       .lean();
@@ -601,6 +605,88 @@ const getPredictions = async (req, res) => {
   }
 };
 
+// GET /api/admin/referrals/report?from=&to= — sign-ups, conversions, credits
+// issued and fraud rejections for referrals made in the period
+const getReferralReport = async (req, res) => {
+  try {
+    const range = {};
+    for (const key of ["from", "to"]) {
+      if (!req.query[key]) continue;
+      const date = new Date(req.query[key]);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ success: false, error: `Invalid ${key} date` });
+      }
+      range[key] = date;
+    }
+    const report = await referralReport(range);
+    res.json({ success: true, from: range.from || null, to: range.to || null, report });
+  } catch (error) {
+    console.error("Referral report error:", error);
+    res.status(500).json({ success: false, error: "Failed to build referral report" });
+  }
+};
+
+const WALLET_ERROR_STATUS = {
+  REASON_REQUIRED: 400,
+  INVALID_TYPE: 400,
+  INVALID_AMOUNT: 400,
+  USER_NOT_FOUND: 404,
+  INSUFFICIENT_BALANCE: 409,
+};
+
+// GET /api/admin/users/:id/wallet?page&limit — balance and full ledger, with who made admin postings
+const getUserWallet = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid user ID" });
+    }
+    if (!(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const wallet = await getWalletSummary(req.params.id, { page, limit, withActor: true });
+    res.json({ success: true, wallet });
+  } catch (error) {
+    console.error("Get user wallet error:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch wallet" });
+  }
+};
+
+// POST /api/admin/users/:id/wallet/adjust — { amount, type: "goodwill" | "adjust", reason }
+// Negative "adjust" amounts take credit back; the balance never goes below zero.
+const adjustUserWallet = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid user ID" });
+    }
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount)) {
+      return res.status(400).json({ success: false, error: "amount must be a number" });
+    }
+
+    const result = await adjustWallet({
+      userId: req.params.id,
+      amount,
+      type: req.body.type,
+      reason: typeof req.body.reason === "string" ? req.body.reason.slice(0, 500) : "",
+      actor: req.user,
+    });
+    if (!result.success) {
+      return res.status(WALLET_ERROR_STATUS[result.code] || 400).json({ success: false, error: result.message });
+    }
+    res.status(201).json({
+      success: true,
+      message: "Wallet updated",
+      transaction: result.transaction,
+      balance: result.transaction.balanceAfter,
+    });
+  } catch (error) {
+    console.error("Adjust user wallet error:", error);
+    res.status(500).json({ success: false, error: "Failed to adjust wallet" });
+  }
+};
+
 module.exports = {
   getDashboard,
   getUsers,
@@ -615,4 +701,7 @@ module.exports = {
   getAnalyticsSummary,
   getAnalyticsCharts,
   getPredictions,
+  getReferralReport,
+  getUserWallet,
+  adjustUserWallet,
 };
@@ -3,12 +3,18 @@ const User = require("../models/User");
 const { generateTokens, setAuthCookies, clearAuthCookies } = require("../middlewares/authMiddleware");
 
 const { SECURITY_QUESTIONS } = require("../utils/securityQuestions");
+const LoyaltyTransaction = require("../models/LoyaltyTransaction");
+const { getLoyaltySummary } = require("../services/loyaltyService");
+const WalletTransaction = require("../models/WalletTransaction");
+const { getWalletSummary } = require("../services/walletService");
+const { rememberFingerprints, findReferrer, recordReferral, getReferralSummary } = require("../services/referralService");
+const { requestFingerprints } = require("../utils/referral");
 
 const normaliseAnswer = (str) => str.trim().toLowerCase().replace(/\s+/g, " ");
 
 const register = async (req, res) => {
   try {
-    const { username, email, password, securityQuestions: sqRaw } = req.body;
+    const { username, email, password, securityQuestions: sqRaw, referralCode } = req.body;
 
     // Validate security questions presence
     if (!Array.isArray(sqRaw) || sqRaw.length < 2) {
@@ -39,6 +45,11 @@ const register = async (req, res) => {
       return res.status(400).json({ error: "Username already taken" });
     }
 
+    const referrer = referralCode ? await findReferrer(referralCode) : null;
+    if (referralCode && !referrer) {
+      return res.status(400).json({ error: "Invalid referral code" });
+    }
+
     const [hashed, hashedQuestions] = await Promise.all([
       bcrypt.hash(password, 12),
       Promise.all(
@@ -58,6 +69,15 @@ const register = async (req, res) => {
     });
     await newUser.save();
 
+    // Compare the sign-up device / IP with the referrer's before storing them
+    const fingerprints = requestFingerprints(req);
+    if (referrer) {
+      await recordReferral({ referrer, referee: newUser, fingerprints }).catch((e) =>
+        console.error("Referral could not be recorded:", e.message),
+      );
+    }
+    await rememberFingerprints(newUser._id, fingerprints).catch(() => {});
+
     const tokens = generateTokens(newUser._id);
     setAuthCookies(res, tokens);
 
@@ -122,6 +142,7 @@ const login = async (req, res) => {
       user.lockUntil = null;
       await user.save();
     }
+    await rememberFingerprints(user._id, requestFingerprints(req)).catch(() => {});
 
     const tokens = generateTokens(user._id);
     setAuthCookies(res, tokens);
@@ -294,6 +315,51 @@ const removeFromWishlist = async (req, res) => {
   }
 };
 
+// Loyalty balance, tier and points history — ?page&limit&type
+const getLoyalty = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const { type } = req.query;
+    if (type && !LoyaltyTransaction.LOYALTY_TYPES.includes(type)) {
+      return res.status(400).json({ error: "Invalid transaction type" });
+    }
+    const loyalty = await getLoyaltySummary(req.user._id, { page, limit, type });
+    res.json({ success: true, loyalty });
+  } catch (err) {
+    console.error("Error fetching loyalty summary", err);
+    res.status(500).json({ error: "Failed to fetch loyalty points" });
+  }
+};
+
+// Wallet balance and store-credit history — ?page&limit&type
+const getWallet = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const { type } = req.query;
+    if (type && !WalletTransaction.WALLET_TYPES.includes(type)) {
+      return res.status(400).json({ error: "Invalid transaction type" });
+    }
+    const wallet = await getWalletSummary(req.user._id, { page, limit, type });
+    res.json({ success: true, wallet });
+  } catch (err) {
+    console.error("Error fetching wallet", err);
+    res.status(500).json({ error: "Failed to fetch wallet" });
+  }
+};
+
+// Referral code, credit earned and referred customers
+const getReferrals = async (req, res) => {
+  try {
+    const referrals = await getReferralSummary(req.user._id);
+    res.json({ success: true, referrals });
+  } catch (err) {
+    console.error("Error fetching referrals", err);
+    res.status(500).json({ error: "Failed to fetch referrals" });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -307,4 +373,7 @@ module.exports = {
   getWishlist,
   addToWishlist,
   removeFromWishlist,
+  getLoyalty,
+  getWallet,
+  getReferrals,
 };
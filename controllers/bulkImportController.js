@@ -11,6 +11,7 @@ const Anthropic = require("@anthropic-ai/sdk");
 const { Parser }  = require("json2csv");
 const Product  = require("../models/Product");
 const Category = require("../models/Category");
+const { recordOpeningStock } = require("../services/inventoryService");
 
 const claude = new Anthropic.default({ apiKey: process.env.ANTHROPIC_API_KEY });
 
@@ -111,6 +112,9 @@ async function bulkImport(req, res) {
 
       const product = new Product(productData);
       await product.save();
+      await recordOpeningStock(product, { reason: "import", actor: req.user, note: `Bulk import row ${rowNum}` }).catch((e) =>
+        console.error("[Inventory] Could not record imported stock:", e.message),
+      );
       created.push({ row: rowNum, name, id: product._id, slug: product.slug });
     } catch (err) {
       const name = String(row.name || "").trim() || "(unnamed)";
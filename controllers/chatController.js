@@ -27,6 +27,10 @@ const KnowledgeChunk = require("../models/KnowledgeChunk");
 const ChatLog = require("../models/ChatLog");
 const { embedText, buildProductText } = require("../utils/embeddings");
 const { estimateDelivery } = require("../utils/deliveryCalculator");
+const { describeBulkTier, priceLine, round2 } = require("../utils/pricing");
+const { validateCustomization } = require("../utils/customization");
+const { applyOffers, serializeOffers } = require("../services/promotionService");
+const { getCartDeliveryEstimate } = require("../services/shippingService");
 
 const claude = new Anthropic.default({ apiKey: process.env.ANTHROPIC_API_KEY });
 
@@ -136,7 +140,10 @@ const TOOLS = [
   {
     name: "get_delivery_estimate",
     description:
-      "Estimate delivery date range for a 6-digit Indian pincode. Works for all pincodes across India.",
+      "Estimate delivery date range for a 6-digit Indian pincode. Works for all pincodes across India. " +
+      "Pass productIds to estimate several products shipped together; for a logged-in customer with no productIds, " +
+      "the saved cart is used. Combined estimates follow the slowest customizable item and may include a " +
+      "splitShipment option that sends ready-to-ship items first.",
     input_schema: {
       type: "object",
       properties: {
@@ -144,9 +151,14 @@ const TOOLS = [
           type: "string",
           description: "6-digit Indian pincode, e.g. '400001'",
         },
+        productIds: {
+          type: "array",
+          items: { type: "string" },
+          description: "Products to deliver together (from search_products / get_product_details)",
+        },
         isCustomizable: {
           type: "boolean",
-          description: "Whether the product is customizable (adds 10-12 days processing)",
+          description: "Without products or a cart: whether the item is customizable (adds 10-12 days processing)",
         },
       },
       required: ["pincode"],
@@ -178,7 +190,7 @@ const TOOLS = [
   {
     name: "validate_coupon",
     description:
-      "Check if a coupon code is valid and calculate the discount amount for the customer's current cart total. Returns discount value and type.",
+      "Check if a coupon code is valid and calculate the discount for the customer's cart. For logged-in customers the saved cart is used, together with the automatic promotions (sales, buy X get Y, free gifts, spend tiers) already on it — some promotions can't be combined with coupons. Returns the coupon discount, the promotions and the final total.",
     input_schema: {
       type: "object",
       properties: {
@@ -188,10 +200,10 @@ const TOOLS = [
         },
         cartTotal: {
           type: "number",
-          description: "Current cart total in rupees (used to compute the discount amount)",
+          description: "Current cart total in rupees — only needed when the customer is not logged in",
         },
       },
-      required: ["code", "cartTotal"],
+      required: ["code"],
     },
   },
   {
@@ -379,9 +391,7 @@ async function toolGetProductDetails({ slug }) {
       inStock: v.stock > 0,
     })),
     bulkDiscounts: product.bulkDiscounts?.length
-      ? product.bulkDiscounts.map(
-          (d) => `${d.minQuantity}${d.maxQuantity ? `–${d.maxQuantity}` : "+"} units: ${d.discount}% off`
-        )
+      ? product.bulkDiscounts.map(describeBulkTier)
       : null,
     averageRating: product.averageRating,
     ratingCount: product.ratingCount,
@@ -476,7 +486,13 @@ async function toolCheckOrderStatus({ orderId }, userId) {
   };
 }
 
-async function toolGetDeliveryEstimate({ pincode, isCustomizable }) {
+async function toolGetDeliveryEstimate({ pincode, productIds, isCustomizable }, userId) {
+  const items = Array.isArray(productIds) ? productIds.map((productId) => ({ productId })) : [];
+  if (items.length || (userId && isCustomizable == null)) {
+    const estimate = await getCartDeliveryEstimate({ userId, items, pincode: String(pincode) });
+    if (estimate.code !== "EMPTY_CART") return estimate;
+  }
+
   const mockProduct = {
     isCustomizable: !!isCustomizable,
     processingDaysMin: isCustomizable ? 10 : 0,
@@ -491,9 +507,13 @@ async function toolGetDeliveryEstimate({ pincode, isCustomizable }) {
 async function toolAddToCart({ productId, quantity = 1, colorName }, userId) {
   if (!userId) return { error: "auth_required", message: "Please log in to add items to your cart." };
 
-  const product = await Product.findById(productId).select("name price stock trackInventory isActive colors compareAtPrice").lean();
+  const product = await Product.findById(productId).select("name price stock trackInventory isActive colors compareAtPrice customizationFields").lean();
   if (!product || !product.isActive) return { success: false, message: "Product not found or unavailable." };
 
+  // The customization form is filled in on the product page
+  if (product.customizationFields?.some((f) => f.required))
+    return { success: false, message: `**${product.name}** is made to order — please add it from its product page so you can fill in your customization.` };
+
   if (product.trackInventory && product.stock <= 0)
     return { success: false, message: `Sorry, **${product.name}** is currently out of stock.` };
 
@@ -534,7 +554,48 @@ async function toolAddToCart({ productId, quantity = 1, colorName }, userId) {
   };
 }
 
-async function toolValidateCoupon({ code, cartTotal }) {
+// Saved cart priced like the checkout quote, or null when it is empty
+async function _pricedCartLines(userId) {
+  const cart = await Cart.findOne({ userId: String(userId) }).populate("items.productId").lean();
+  const lines = (cart?.items || [])
+    .filter((item) => item.productId && item.productId.isActive !== false)
+    .map((item) => ({
+      productId: item.productId._id,
+      category: item.productId.category,
+      variantId: item.variantId || null,
+      quantity: item.quantity,
+      lineTotal: priceLine(item.productId, {
+        ...item,
+        surcharge: validateCustomization(item.productId, item.customization).surcharge || 0,
+      }).lineTotal,
+    }));
+  return lines.length ? lines : null;
+}
+
+async function toolValidateCoupon({ code, cartTotal }, userId) {
+  const lines = userId ? await _pricedCartLines(userId) : null;
+  if (lines) {
+    const offers = await applyOffers({ userId, lines, couponCode: code });
+    if (!offers.success) return { valid: false, message: offers.message };
+
+    const subtotal = round2(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+    const summary = serializeOffers(offers);
+    const finalTotal = round2(Math.max(0, subtotal - summary.promotionDiscount - summary.coupon.amount));
+    return {
+      valid: true,
+      code: summary.coupon.code,
+      discountType: summary.coupon.type,
+      discountAmount: summary.coupon.amount,
+      cartSubtotal: subtotal,
+      promotions: summary.applied,
+      freeGifts: summary.freeGifts,
+      finalTotal,
+      message: `Coupon **${summary.coupon.code}** is valid! You save ₹${summary.coupon.amount}` +
+        (summary.promotionDiscount ? ` on top of ₹${summary.promotionDiscount} in automatic promotions.` : "."),
+    };
+  }
+
+  if (cartTotal == null) return { valid: false, message: "Please share your cart total so I can check this coupon." };
   const coupon = await Coupon.findOne({
     code: code.toUpperCase(),
     isActive: true,
@@ -671,9 +732,9 @@ async function executeTool(name, input, userId) {
     case "get_product_details":    return toolGetProductDetails(input);
     case "answer_policy_question": return toolAnswerPolicyQuestion(input, userId);
     case "check_order_status":     return toolCheckOrderStatus(input, userId);
-    case "get_delivery_estimate":  return toolGetDeliveryEstimate(input);
+    case "get_delivery_estimate":  return toolGetDeliveryEstimate(input, userId);
     case "add_to_cart":            return toolAddToCart(input, userId);
-    case "validate_coupon":        return toolValidateCoupon(input);
+    case "validate_coupon":        return toolValidateCoupon(input, userId);
     case "get_wishlist":           return toolGetWishlist(input, userId);
     case "add_to_wishlist":        return toolAddToWishlist(input, userId);
     case "initiate_return":        return toolInitiateReturn(input, userId);
@@ -0,0 +1,216 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { ledgerStock, stockAsOf, setStock, recordMovement } = require("../services/inventoryService");
+
+const MAX_PAGE_SIZE = 200;
+
+/** Ledger scope from the query/body — product-level unless a colour or variant is named. */
+const scopeFrom = (source) => ({
+  colorName: source.colorName || null,
+  variantId: source.variantId || null,
+});
+
+const onHandStock = (product, { colorName, variantId }) => {
+  if (colorName) return product.colors?.find((c) => c.name === colorName)?.stock ?? 0;
+  if (variantId) return product.variants?.find((v) => String(v._id) === variantId)?.stock ?? 0;
+  return product.stock || 0;
+};
+
+/** reservedStock at the scope's level — product, colour or variant. */
+const heldStock = (product, { colorName, variantId }) => {
+  if (colorName) return product.colors?.find((c) => c.name === colorName)?.reservedStock || 0;
+  if (variantId) return product.variants?.find((v) => String(v._id) === variantId)?.reservedStock || 0;
+  return product.reservedStock || 0;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/** Shared filter + pagination for the two history endpoints. */
+const listMovements = async (filter, query, res) => {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ success: false, error: "from / to must be valid dates" });
+  }
+  if (query.reason) {
+    if (!StockMovement.MOVEMENT_REASONS.includes(query.reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason must be one of: ${StockMovement.MOVEMENT_REASONS.join(", ")}`,
+      });
+    }
+    filter.reason = query.reason;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const pageNum = Math.max(1, parseInt(query.page, 10) || 1);
+  const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || 50));
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate("productId", "name sku")
+      .lean(),
+    StockMovement.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    count: movements.length,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    movements,
+  });
+};
+
+// GET /api/admin/stock-movements?productId=&orderId=&reason=&from=&to=&page=&limit=
+const getStockMovements = async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ["productId", "orderId", "returnRequestId"]) {
+      if (!req.query[key]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[key])) {
+        return res.status(400).json({ success: false, error: `Invalid ${key}` });
+      }
+      filter[key] = req.query[key];
+    }
+    await listMovements(filter, req.query, res);
+  } catch (err) {
+    console.error("Stock movements error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// GET /api/products/:id/stock-movements?colorName=&variantId=&reason=&from=&to=
+const getProductStockMovements = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid product ID" });
+    }
+    const filter = { productId: req.params.id };
+    if (req.query.colorName || req.query.variantId) Object.assign(filter, scopeFrom(req.query));
+    await listMovements(filter, req.query, res);
+  } catch (err) {
+    console.error("Product stock movements error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// GET /api/products/:id/stock-at?date=2026-03-31T23:59:59+05:30&colorName=
+const getProductStockAsOf = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid product ID" });
+    }
+    const date = parseDate(req.query.date);
+    if (!date) {
+      return res.status(400).json({ success: false, error: "A valid date is required" });
+    }
+
+    const scope = scopeFrom(req.query);
+    const result = await stockAsOf(req.params.id, date, scope);
+    if (!result.success) {
+      return res.status(404).json({ success: false, error: result.message });
+    }
+
+    res.json({
+      success: true,
+      productId: req.params.id,
+      ...scope,
+      asOf: date,
+      stock: result.stock,
+      currentStock: result.currentStock,
+      movementsSince: result.movementsSince,
+    });
+  } catch (err) {
+    console.error("Stock as-of error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// POST /api/products/:id/reconcile-stock
+// Body: { countedStock?, colorName?, variantId?, note?, alignLedger? }
+//   countedStock — physical count; sets stock to it and records the difference
+//   alignLedger  — records the gap between the ledger total and the stock on
+//                  hand (e.g. stock that predates the ledger) without changing stock
+// With neither, reports the drift only.
+const reconcileProductStock = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid product ID" });
+    }
+    const product = await Product.findById(req.params.id).lean();
+    if (!product) {
+      return res.status(404).json({ success: false, error: "Product not found" });
+    }
+
+    const scope = scopeFrom(req.body);
+    const { countedStock, note, alignLedger } = req.body;
+
+    if (countedStock !== undefined && countedStock !== null && countedStock !== "") {
+      const result = await setStock({
+        productId: product._id,
+        quantity: Number(countedStock),
+        colorName: scope.colorName,
+        variantId: scope.variantId,
+        actor: req.user,
+        note: note || "Stock count",
+      });
+      if (!result.success) {
+        return res.status(400).json({ success: false, error: result.message });
+      }
+    } else if (alignLedger === true) {
+      const ledger = await ledgerStock(product._id, scope);
+      const onHand = onHandStock(await Product.findById(product._id).lean(), scope);
+      await recordMovement({
+        productId: product._id,
+        ...scope,
+        delta: onHand - ledger.stock,
+        stockBefore: ledger.stock,
+        stockAfter: onHand,
+        reason: "adjustment",
+        actor: req.user,
+        note: note || "Ledger reconciliation",
+      });
+    }
+
+    const [ledger, fresh] = await Promise.all([
+      ledgerStock(product._id, scope),
+      Product.findById(product._id).lean(),
+    ]);
+    const onHand = onHandStock(fresh, scope);
+
+    res.json({
+      success: true,
+      productId: product._id,
+      ...scope,
+      stock: onHand,
+      reservedStock: heldStock(fresh, scope),
+      ledgerStock: ledger.stock,
+      movements: ledger.movements,
+      drift: onHand - ledger.stock,
+    });
+  } catch (err) {
+    console.error("Stock reconcile error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+module.exports = {
+  getStockMovements,
+  getProductStockMovements,
+  getProductStockAsOf,
+  reconcileProductStock,
+};
@@ -1,71 +1,10 @@
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
-const Product = require("../models/Product");
-const Notification = require("../models/Notification");
-const User = require("../models/User");
-const { notifyCustomerStatusChange } = require("../services/whatsappService");
-
-const createOrder = async (req, res) => {
-  try {
-    const { items, shippingAddress, discount } = req.body;
-    const userId = req.user._id;
-
-    // Batch-fetch all products in one query — never trust client-sent prices
-    const productIds = items.map((i) => i.product?._id || i.productId).filter(Boolean);
-    const dbProducts = await Product.find({ _id: { $in: productIds }, isActive: true }).lean();
-    const productMap = Object.fromEntries(dbProducts.map((p) => [String(p._id), p]));
-
-    const verifiedItems = [];
-    for (const item of items) {
-      const prodId = String(item.product?._id || item.productId);
-      const dbProduct = productMap[prodId];
-
-      if (!dbProduct) {
-        return res.status(400).json({
-          success: false,
-          error: `Product not found or unavailable: ${prodId}`,
-        });
-      }
-      if (dbProduct.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          error: `Insufficient stock for "${dbProduct.name}" (requested: ${item.quantity}, available: ${dbProduct.stock})`,
-        });
-      }
-
-      verifiedItems.push({
-        product: {
-          _id:         dbProduct._id,
-          name:        dbProduct.name,
-          price:       dbProduct.price,        // always use DB price
-          description: dbProduct.description || "",
-          category:    dbProduct.category,
-          subCategory: dbProduct.subCategory,
-        },
-        quantity:   item.quantity,
-        totalPrice: dbProduct.price * item.quantity,
-        variant:    item.variant || {},
-      });
-    }
-
-    const subtotal = verifiedItems.reduce((sum, i) => sum + i.totalPrice, 0);
-
-    const order = new Order({
-      userId,
-      items: verifiedItems,
-      subtotal,
-      totalAmount: subtotal,
-      shippingAddress,
-      ...(discount ? { discount } : {}),
-    });
-
-    await order.save();
-    res.status(201).json({ success: true, order });
-  } catch (error) {
-    console.error("Error creating order:", error);
-    res.status(500).json({ success: false, error: "Failed to create order" });
-  }
-};
+const { issueOrderInvoice, renderPdf, pdfFileName, INVOICEABLE_STATUSES } = require("../services/invoiceService");
+const { createRefund, retryRefund } = require("../services/refundService");
+const { transitionOrder } = require("../services/orderLifecycleService");
+const { modifyOrderItems } = require("../services/orderModificationService");
+const { editOrder } = require("../services/orderEditService");
 
 const getUserOrders = async (req, res) => {
   try {
@@ -118,123 +57,273 @@ const getOrderById = async (req, res) => {
   }
 };
 
+const ORDER_STATUS_ERRORS = {
+  INVALID_ORDER_ID: 400,
+  INVALID_STATUS: 400,
+  TRACKING_REQUIRED: 400,
+  REASON_REQUIRED: 400,
+  ORDER_NOT_FOUND: 404,
+  NO_CHANGE: 409,
+  INVALID_TRANSITION: 409,
+  PAYMENT_PENDING: 409,
+  PRODUCTION_PENDING: 409,
+  CONCURRENT_UPDATE: 409,
+  ORDER_CANCELLED: 409,
+};
+
+// PUT /api/orders/:orderId/status — admin; moves are checked by the lifecycle service
 const updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, reason, trackingNumber, courierName, estimatedDelivery } = req.body;
+
+    const result = await transitionOrder(orderId, status, {
+      actor: req.user,
+      source: "admin",
+      reason,
+      trackingNumber,
+      courierName,
+      estimatedDelivery,
+    });
+    if (!result.success) {
+      return res.status(ORDER_STATUS_ERRORS[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+      });
+    }
+
+    const updatedOrder = await Order.findById(result.order._id).populate("userId", "username email");
+    res.json({
+      success: true,
+      message: `Order status updated to ${status}`,
+      order: updatedOrder,
+      ...(result.refund?.success ? { refund: result.refund.refund } : {}),
+    });
+  } catch (error) {
+    console.error("Error updating order status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update order status",
+      error: error.message,
+    });
+  }
+};
+
+const ORDER_MODIFY_ERRORS = {
+  INVALID_ORDER_ID: 400,
+  INVALID_CHANGES: 400,
+  INVALID_QUANTITY: 400,
+  ORDER_NOT_MODIFIABLE: 400,
+  ITEM_NOT_FOUND: 404,
+  ORDER_NOT_FOUND: 404,
+  CANCEL_WHOLE_ORDER: 409,
+  CONCURRENT_UPDATE: 409,
+};
+
+// PATCH /api/orders/:orderId/items — admin: cancel items or lower quantities before dispatch
+const updateOrderItems = async (req, res) => {
+  try {
+    const result = await modifyOrderItems(req.params.orderId, req.body.items, {
+      actor: req.user,
+      source: "admin",
+      reason: String(req.body.reason || "").slice(0, 300),
+    });
+    if (!result.success) {
+      return res.status(ORDER_MODIFY_ERRORS[result.code] || ORDER_STATUS_ERRORS[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+      });
+    }
 
+    res.json({
+      success: true,
+      message: result.cancelled ? "Order cancelled — no items were left" : "Order items updated",
+      order: result.order,
+      ...(result.refund?.success ? { refund: result.refund.refund } : {}),
+    });
+  } catch (error) {
+    console.error("Error updating order items:", error);
+    res.status(500).json({ success: false, message: "Failed to update order items", error: error.message });
+  }
+};
+
+const ORDER_EDIT_ERRORS = {
+  INVALID_ORDER_ID: 400,
+  ADDRESS_REQUIRED: 400,
+  INVALID_PINCODE: 400,
+  INVALID_SWAP: 400,
+  INVALID_NOTE: 400,
+  NO_CHANGES: 400,
+  ORDER_NOT_FOUND: 404,
+  ITEM_NOT_FOUND: 404,
+  OPTION_NOT_FOUND: 404,
+  NOT_SERVICEABLE: 422,
+  COD_UNAVAILABLE: 422,
+  PRODUCT_UNAVAILABLE: 422,
+  ADDRESS_LOCKED: 409,
+  ITEMS_LOCKED: 409,
+  PRICE_MISMATCH: 409,
+  INSUFFICIENT_STOCK: 409,
+  CONCURRENT_UPDATE: 409,
+};
+
+// PATCH /api/orders/:orderId — admin: change the address, swap variants, add notes
+const editOrderDetails = async (req, res) => {
+  try {
+    const { shippingAddress, swaps, internalNote, customerNote, reason } = req.body;
+    const result = await editOrder(
+      req.params.orderId,
+      { shippingAddress, swaps, internalNote, customerNote, reason },
+      { actor: req.user },
+    );
+    if (!result.success) {
+      return res.status(ORDER_EDIT_ERRORS[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+      });
+    }
+
+    res.json({ success: true, message: "Order updated", order: result.order, changes: result.changes });
+  } catch (error) {
+    console.error("Error editing order:", error);
+    res.status(500).json({ success: false, message: "Failed to edit order", error: error.message });
+  }
+};
+
+// GET /api/orders/:orderId/audit — admin: edit history and internal notes
+const getOrderAudit = async (req, res) => {
+  try {
+    const { orderId } = req.params;
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({ success: false, message: "Invalid order ID" });
     }
 
-    const validStatuses = ["pending", "confirmed", "processing", "cancelled", "shipped", "out_for_delivery", "delivered"];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({
+    const order = await Order.findById(orderId).select("auditLog internalNotes customerNotes").lean();
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    res.json({
+      success: true,
+      auditLog: [...(order.auditLog || [])].reverse(),
+      internalNotes: order.internalNotes || [],
+      customerNotes: order.customerNotes || [],
+    });
+  } catch (error) {
+    console.error("Error fetching order audit log:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch audit log", error: error.message });
+  }
+};
+
+// GET /api/orders/:orderId/invoice — tax invoice PDF (owner or admin)
+const getOrderInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+
+    const filter = req.user.isAdmin ? { _id: orderId } : { _id: orderId, userId: req.user._id };
+    const order = await Order.findOne(filter).lean();
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
         success: false,
-        message: `Invalid status. Valid statuses are: ${validStatuses.join(", ")}`,
+        message: "An invoice is available once the order is confirmed",
       });
     }
 
+    // Issues on first download for orders confirmed before invoicing existed
+    const invoice = await issueOrderInvoice(order);
+    const pdf = await renderPdf(invoice);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${pdfFileName(invoice)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error("Error generating invoice:", error);
+    res.status(500).json({ success: false, message: "Failed to generate invoice", error: error.message });
+  }
+};
+
+// Maps refund service codes to HTTP statuses
+const REFUND_ERROR_STATUS = {
+  REFUND_NOT_FOUND: 404,
+  CONCURRENT_REFUND: 409,
+  REFUND_NOT_FAILED: 409,
+};
+
+// POST /api/orders/:orderId/refunds — admin: refund a full or partial amount
+const createOrderRefund = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const amount = req.body.amount != null ? Number(req.body.amount) : undefined;
+    if (amount !== undefined && !Number.isFinite(amount)) {
+      return res.status(400).json({ success: false, message: "amount must be a number" });
+    }
+
     const order = await Order.findById(orderId);
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
     }
 
-    const oldStatus = order.status;
+    const result = await createRefund(order, {
+      amount,
+      reason: String(req.body.reason || "").slice(0, 300),
+      initiatedBy: req.user._id,
+    });
+    if (!result.success) {
+      return res.status(REFUND_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
 
-    const statusUpdate = { status, updatedAt: new Date() };
-    if (status === "delivered") statusUpdate.deliveredAt = new Date();
+    res.status(201).json({ success: true, refund: result.refund, order: result.order });
+  } catch (error) {
+    console.error("Error creating refund:", error);
+    res.status(500).json({ success: false, message: "Failed to create refund", error: error.message });
+  }
+};
 
-    const result = await Order.updateOne(
-      { _id: orderId },
-      { $set: statusUpdate },
-    );
+// POST /api/orders/:orderId/refunds/:refundId/retry — admin: re-submit a failed refund
+const retryOrderRefund = async (req, res) => {
+  try {
+    const { orderId, refundId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(refundId)) {
+      return res.status(400).json({ success: false, message: "Invalid order or refund ID" });
+    }
 
-    if (!result.acknowledged) {
-      return res.status(500).json({ success: false, message: "Failed to update order status" });
-    }
-
-    // Restore stock if order is cancelled from an active state.
-    // Use bulkWrite with $inc — atomic, no read-before-write, single round-trip.
-    if (status === "cancelled" && ["confirmed", "processing", "shipped"].includes(oldStatus)) {
-      try {
-        const restoreOps = order.items
-          .filter((item) => item.product?._id)
-          .map((item) => ({
-            updateOne: {
-              filter: { _id: item.product._id, trackInventory: true },
-              update: { $inc: { stock: item.quantity }, $set: { updatedAt: new Date() } },
-            },
-          }));
-        if (restoreOps.length) await Product.bulkWrite(restoreOps);
-      } catch (stockError) {
-        console.warn("Warning: Could not restore stock -", stockError.message);
-      }
-    }
-
-    const updatedOrder = await Order.findById(orderId).populate("userId", "username email");
-
-    // Create admin notification when order status is updated
-    // Notify admins about important status changes
-    const notificationMessages = {
-      pending: "Order awaiting confirmation",
-      confirmed: "Order has been confirmed",
-      processing: "Order is being processed for shipment",
-      shipped: "Order has been shipped",
-      out_for_delivery: "Order is out for delivery",
-      delivered: "Order has been delivered",
-      cancelled: "Order has been cancelled",
-    };
-
-    const notificationMessage = notificationMessages[status] || `Order status updated to ${status}`;
-    await Notification.create({
-      type: "order_status_update",
-      message: `Order #${order._id.toString().slice(-6).toUpperCase()} — ${notificationMessage}`,
-      orderId: order._id,
-      read: false,
-      meta: {
-        orderId: order._id,
-        userId: order.userId,
-        previousStatus: oldStatus,
-        newStatus: status,
-        totalAmount: order.totalAmount,
-        customerEmail: updatedOrder?.userId?.email,
-      },
-    }).catch((err) => {
-      console.error("Failed to create order status notification:", err.message);
-    });
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
 
-    // Push real-time SSE update to the customer
-    try {
-      const { pushOrderUpdate } = require("../routes/sse");
-      pushOrderUpdate(order.userId.toString(), updatedOrder, oldStatus);
-    } catch (sseErr) {
-      console.error("[SSE] pushOrderUpdate failed:", sseErr.message);
-    }
-
-    // WhatsApp notification to customer
-    setImmediate(async () => {
-      try {
-        const customer = await User.findById(order.userId).lean();
-        await notifyCustomerStatusChange(updatedOrder, customer, status);
-      } catch (e) {
-        console.error("[WhatsApp] Customer status notification error:", e.message);
-      }
-    });
+    const result = await retryRefund(order, refundId);
+    if (!result.success) {
+      return res.status(REFUND_ERROR_STATUS[result.code] || 400).json({ success: false, message: result.message });
+    }
 
-    res.json({
-      success: true,
-      message: `Order status updated to ${status}`,
-      order: updatedOrder,
-    });
+    res.json({ success: true, refund: result.refund, order: result.order });
   } catch (error) {
-    console.error("Error updating order status:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update order status",
-      error: error.message,
-    });
+    console.error("Error retrying refund:", error);
+    res.status(500).json({ success: false, message: "Failed to retry refund", error: error.message });
   }
 };
 
-module.exports = { createOrder, getUserOrders, getOrderById, updateOrderStatus };
+module.exports = {
+  getUserOrders,
+  getOrderById,
+  updateOrderStatus,
+  updateOrderItems,
+  editOrderDetails,
+  getOrderAudit,
+  getOrderInvoice,
+  createOrderRefund,
+  retryOrderRefund,
+};
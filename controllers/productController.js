@@ -7,6 +7,19 @@ const {
   getPersonalizedRecommendations,
   getBoughtTogether,
 } = require("../utils/recommendations");
+const { availableToSell, isLowStock, inStockFilter, adjustStock } = require("../services/inventoryService");
+
+// Stock held by unpaid checkouts isn't for sale — expose what is, per variant and colour too
+const withAvailability = (product) => ({
+  ...product,
+  availableStock: availableToSell(product),
+  ...(product.variants && {
+    variants: product.variants.map((v) => ({ ...v, availableStock: availableToSell(product, { variantId: String(v._id) }) })),
+  }),
+  ...(product.colors && {
+    colors: product.colors.map((c) => ({ ...c, availableStock: availableToSell(product, { colorName: c.name }) })),
+  }),
+});
 
 const getAllProducts = async (req, res) => {
   try {
@@ -30,7 +43,7 @@ const getAllProducts = async (req, res) => {
       if (minPrice) filter.price.$gte = +minPrice;
       if (maxPrice) filter.price.$lte = +maxPrice;
     }
-    if (inStock === "true") filter.$or = [{ trackInventory: false }, { stock: { $gt: 0 } }];
+    if (inStock === "true") Object.assign(filter, inStockFilter());
     if (search) filter.$text = { $search: search };
 
     const pageNum = Math.max(1, parseInt(page, 10));
@@ -51,7 +64,7 @@ const getAllProducts = async (req, res) => {
       total,
       page: pageNum,
       pages: Math.ceil(total / limitNum),
-      products,
+      products: products.map(withAvailability),
     });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -64,7 +77,7 @@ const getProduct = async (req, res) => {
     if (!product) {
       return res.status(404).json({ success: false, error: "Product not found" });
     }
-    res.json({ success: true, product });
+    res.json({ success: true, product: withAvailability(product.toObject()) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -124,18 +137,24 @@ const checkStock = async (req, res) => {
         continue;
       }
 
-      const isAvailable   = !product.trackInventory || product.stock >= item.quantity;
-      const isLowStock    = product.trackInventory && product.stock <= product.lowStockThreshold && product.stock > 0;
-      const isOutOfStock  = product.trackInventory && product.stock <= 0;
+      // Variant / colour lines are limited by the option's own stock as well
+      const selection = { variantId: item.variantId, colorName: item.colorName };
+      const available     = availableToSell(product, selection);
+      const isAvailable   = !product.trackInventory || available >= item.quantity;
+      const lowStock      = isLowStock(product, selection);
+      const isOutOfStock  = product.trackInventory && available <= 0;
 
       stockStatus.push({
         productId:         item.productId,
+        ...(item.variantId && { variantId: item.variantId }),
+        ...(item.colorName && { colorName: item.colorName }),
         name:              product.name,
         requestedQuantity: item.quantity,
-        availableStock:    product.trackInventory ? product.stock : null,
+        availableStock:    product.trackInventory ? available : null,
+        reservedStock:     product.trackInventory ? product.reservedStock || 0 : null,
         trackInventory:    product.trackInventory,
         available:         isAvailable,
-        isLowStock,
+        isLowStock:        lowStock,
         isOutOfStock,
         lowStockThreshold: product.lowStockThreshold,
       });
@@ -157,38 +176,33 @@ const updateStock = async (req, res) => {
       return res.status(400).json({ success: false, error: "Items array is required" });
     }
 
-    // Batch-fetch all products in one query
-    const productIds = items.map((i) => i.productId).filter(Boolean);
-    const dbProducts = await Product.find({ _id: { $in: productIds } }).lean();
-    const productMap = Object.fromEntries(dbProducts.map((p) => [String(p._id), p]));
-
     const results = [];
-    const bulkOps = [];
-
     for (const item of items) {
-      const product = productMap[String(item.productId)];
-      if (!product) {
-        results.push({ productId: item.productId, success: false, error: "Product not found" });
+      const quantity = parseInt(item.quantity, 10);
+      if (!item.productId || !quantity || quantity <= 0) {
+        results.push({ productId: item.productId, success: false, error: "Valid productId and quantity are required" });
         continue;
       }
 
-      if (product.trackInventory) {
-        const newStock = Math.max(0, product.stock - item.quantity);
-        // Collect update for bulk execution
-        bulkOps.push({
-          updateOne: {
-            filter: { _id: product._id },
-            update: { $set: { stock: newStock, updatedAt: new Date() } },
-          },
-        });
+      const result = await adjustStock(
+        { productId: item.productId, delta: -quantity, reason: "sale", actor: req.user, note: "update-stock" },
+        { trackedOnly: true },
+      );
+      if (result.success) {
         results.push({
-          productId:       item.productId,
-          name:            product.name,
-          previousStock:   product.stock,
-          quantityDeducted: item.quantity,
-          newStock,
-          success:         true,
+          productId:        item.productId,
+          name:             result.product.name,
+          previousStock:    result.stockBefore,
+          quantityDeducted: result.stockBefore - result.stockAfter,
+          newStock:         result.stockAfter,
+          success:          true,
         });
+        continue;
+      }
+
+      const product = await Product.findById(item.productId).select("name trackInventory").lean().catch(() => null);
+      if (!product) {
+        results.push({ productId: item.productId, success: false, error: "Product not found" });
       } else {
         results.push({
           productId: item.productId,
@@ -199,9 +213,6 @@ const updateStock = async (req, res) => {
       }
     }
 
-    // Single round-trip for all stock updates
-    if (bulkOps.length) await Product.bulkWrite(bulkOps);
-
     res.json({ success: true, results });
   } catch (err) {
     console.error("Stock update error:", err);
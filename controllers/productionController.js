@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const ProductionJob = require("../models/ProductionJob");
+
+// Orders whose made-to-order lines are still to be made
+const IN_PRODUCTION = ["confirmed", "processing"];
+const MAX_PAGE_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * One worksheet row per customised order line. Once the line has a production
+ * job (services/productionService.js) its stage, assignee and due date win.
+ */
+const toJob = (order, item, today, productionJob) => {
+  const dueDate = productionJob?.dueDate || item.customization.dueDate;
+  const daysLeft = Math.round((startOfDay(dueDate) - today) / DAY_MS);
+  return {
+    orderId: order._id,
+    shortId: order._id.toString().slice(-6).toUpperCase(),
+    orderStatus: order.status,
+    orderedAt: order.createdAt,
+    itemId: item._id,
+    product: { _id: item.product._id, name: item.product.name },
+    variant: item.variant?.name || item.variant?.color
+      ? { name: item.variant.name || null, color: item.variant.color || null }
+      : null,
+    quantity: item.quantity,
+    answers: item.customization.answers || [],
+    dueDate,
+    stage: productionJob?.stage || null,
+    assignee: productionJob?.assignee || null,
+    productionJobId: productionJob?._id || null,
+    daysLeft,
+    overdue: daysLeft < 0,
+    customer: order.userId
+      ? { _id: order.userId._id, name: order.userId.username, email: order.userId.email }
+      : null,
+  };
+};
+
+// GET /api/admin/production/customizations?status=&productId=&dueBefore=&overdue=&page=&limit=
+// Customised lines of confirmed / processing orders, soonest due first
+const getCustomizationWorksheet = async (req, res) => {
+  try {
+    const { status, productId, overdue } = req.query;
+    const dueBefore = parseDate(req.query.dueBefore);
+    if (dueBefore === undefined) {
+      return res.status(400).json({ success: false, error: "dueBefore must be a valid date" });
+    }
+    if (status && !IN_PRODUCTION.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${IN_PRODUCTION.join(", ")}` });
+    }
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, error: "Invalid productId" });
+    }
+
+    const itemMatch = { "customization.dueDate": { $ne: null } };
+    if (productId) itemMatch["product._id"] = new mongoose.Types.ObjectId(productId);
+    const orders = await Order.find({
+      status: status || { $in: IN_PRODUCTION },
+      items: { $elemMatch: itemMatch },
+    })
+      .select("status createdAt userId items")
+      .populate("userId", "username email")
+      .lean();
+
+    const productionJobs = await ProductionJob.find({ orderId: { $in: orders.map((o) => o._id) } })
+      .select("orderId itemId stage assignee dueDate")
+      .lean();
+    const jobByItem = new Map(productionJobs.map((j) => [String(j.itemId), j]));
+
+    const today = startOfDay(new Date());
+    let jobs = orders.flatMap((order) =>
+      order.items
+        .filter((item) => item.customization?.dueDate && (!productId || String(item.product._id) === productId))
+        .map((item) => toJob(order, item, today, jobByItem.get(String(item._id)))),
+    );
+    // Lines already made aren't pending any more
+    jobs = jobs.filter((job) => job.stage !== "ready_to_pack" && job.stage !== "cancelled");
+    if (dueBefore) jobs = jobs.filter((job) => new Date(job.dueDate) <= dueBefore);
+    if (overdue === "true") jobs = jobs.filter((job) => job.overdue);
+    jobs.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate) || new Date(a.orderedAt) - new Date(b.orderedAt));
+
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    res.json({
+      success: true,
+      summary: {
+        total: jobs.length,
+        overdue: jobs.filter((job) => job.overdue).length,
+        dueToday: jobs.filter((job) => job.daysLeft === 0).length,
+        dueThisWeek: jobs.filter((job) => job.daysLeft >= 0 && job.daysLeft <= 7).length,
+      },
+      count: Math.min(limitNum, Math.max(0, jobs.length - (pageNum - 1) * limitNum)),
+      total: jobs.length,
+      page: pageNum,
+      pages: Math.ceil(jobs.length / limitNum),
+      jobs: jobs.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+    });
+  } catch (error) {
+    console.error("Production worksheet error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = { getCustomizationWorksheet };
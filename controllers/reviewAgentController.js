@@ -13,6 +13,20 @@ const Review = require("../models/Review");
 const Product = require("../models/Product");
 const Notification = require("../models/Notification");
 const { callClaudeJSON } = require("../utils/agentRunner");
+const { awardReviewPoints } = require("../services/loyaltyService");
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+// Sets the review's status; an approval earns verified purchasers bonus points
+async function setReviewStatus(reviewId, update) {
+  const review = await Review.findByIdAndUpdate(reviewId, update, { new: true });
+  if (review?.status === "approved") {
+    await awardReviewPoints(review).catch((e) =>
+      console.error(`[ReviewAgent] Could not award points for review ${reviewId}:`, e.message),
+    );
+  }
+  return review;
+}
 
 // ── Prompts ───────────────────────────────────────────────────────────────────
 
@@ -91,7 +105,7 @@ Verified Purchase: ${review.isVerifiedPurchase ? "yes" : "no"}`;
     if (modResult._parseError) {
       // Agent failed to produce valid JSON — safe fallback: approve the review
       console.warn(`[ReviewAgent] JSON parse error for review ${review._id}:`, modResult.raw);
-      await Review.findByIdAndUpdate(review._id, { status: "approved" });
+      await setReviewStatus(review._id, { status: "approved" });
       return;
     }
 
@@ -162,13 +176,13 @@ Verified Purchase: ${review.isVerifiedPurchase ? "yes" : "no"}`;
       });
     }
 
-    await Review.findByIdAndUpdate(review._id, updatePayload);
+    await setReviewStatus(review._id, updatePayload);
 
     console.log(`[ReviewAgent] ${review._id} → verdict: ${modResult.verdict}, status: ${updatePayload.status}`);
   } catch (err) {
     console.error(`[ReviewAgent] Failed for review ${review._id}:`, err.message);
     // Safe fallback — never leave review in limbo
-    await Review.findByIdAndUpdate(review._id, { status: "approved" }).catch(() => {});
+    await setReviewStatus(review._id, { status: "approved" }).catch(() => {});
   }
 }
 
@@ -207,6 +207,26 @@ const PUBLIC_HOLIDAYS = [
   "2026-12-25", // Christmas
 ];
 
+// ── Cash on delivery ─────────────────────────────────────────────────────────
+// Couriers don't collect cash in these island / high-altitude territories
+const COD_UNAVAILABLE_STATES = ["AN", "LD", "LA"];
+
+// ── Shipping rate card (₹) ───────────────────────────────────────────────────
+// utils/shippingRates.js picks a band from how far the parcel travels out of
+// the warehouse zone. `base` covers the first 500 g of billable weight and
+// `perExtra` each further 500 g (or part of it).
+const SHIPPING_RATE_CARD = {
+  WITHIN_ZONE: { base: 49,  perExtra: 25 },
+  NEARBY:      { base: 69,  perExtra: 35 }, // ZONE_MATRIX max of 6 days or less
+  NATIONAL:    { base: 89,  perExtra: 45 },
+  REMOTE:      { base: 129, perExtra: 65 }, // Northeast, islands and Ladakh
+};
+
+// Rated REMOTE wherever the warehouse is — islands and high-altitude
+// territories outside the Northeast zone. Kept apart from the COD list so
+// changing where cash is collected doesn't change shipping prices.
+const REMOTE_SHIPPING_STATES = ["AN", "LD", "LA"];
+
 // ── Warehouse config ──────────────────────────────────────────────────────────
 const WAREHOUSE_PINCODE = "560001"; // Bangalore, Karnataka
 
@@ -216,5 +236,8 @@ module.exports = {
   PINCODE_RANGES,
   ZONE_MATRIX,
   PUBLIC_HOLIDAYS,
+  COD_UNAVAILABLE_STATES,
+  SHIPPING_RATE_CARD,
+  REMOTE_SHIPPING_STATES,
   WAREHOUSE_PINCODE,
 };
@@ -0,0 +1,27 @@
+/**
+ * Gift Card Delivery Job
+ * Runs every 10 minutes via node-cron (wired in server.js).
+ *
+ * Logic:
+ *  - Find paid / issued gift cards whose send date has come and whose code
+ *    hasn't been sent yet
+ *  - Generate each card's code and email it to the recipient through the
+ *    email queue; failed sends are retried on later runs
+ *
+ * See services/giftCardService.js.
+ */
+
+const { deliverDueGiftCards } = require("../services/giftCardService");
+
+module.exports = async function giftCardDeliveryJob() {
+  try {
+    const summary = await deliverDueGiftCards();
+    if (summary.due) {
+      console.log("[GiftCardDeliveryJob]", summary);
+    }
+    return summary;
+  } catch (err) {
+    console.error("[GiftCardDeliveryJob] Error:", err.message);
+    return null;
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Loyalty Points Expiry Job
+ * Runs daily at 02:30 IST via node-cron (wired in server.js).
+ *
+ * Logic:
+ *  - Find credits past expiresAt (LOYALTY_POINTS_EXPIRY_DAYS after they were
+ *    earned) with points still unspent
+ *  - Write an "expire" row for what's left and take it off User.loyaltyPoints
+ *
+ * Tiers follow lifetime points, so expiry never drops a customer's tier.
+ */
+
+const { expirePoints } = require("../services/loyaltyService");
+
+module.exports = async function loyaltyExpiryJob() {
+  try {
+    const expired = await expirePoints();
+    if (expired > 0) console.log(`[LoyaltyExpiryJob] Expired ${expired} credit(s)`);
+    return expired;
+  } catch (err) {
+    console.error("[LoyaltyExpiryJob] Error:", err.message);
+    return 0;
+  }
+};
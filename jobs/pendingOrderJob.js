@@ -0,0 +1,144 @@
+/**
+ * Pending Order Reconciliation Job
+ * Runs every 15 minutes via node-cron (wired in server.js).
+ *
+ * Logic:
+ *  - Find prepaid orders still "pending" after PENDING_ORDER_EXPIRY_MINUTES
+ *  - Ask Razorpay for the payments on each order's Razorpay order
+ *  - Captured → confirm through the same path as /verify-payment and the webhook
+ *  - Authorized (not yet captured) → leave for the next run
+ *  - Nothing paid → cancel with a timeline entry
+ *  - COD orders whose confirmation code was never entered → cancel the same way
+ *
+ * Outcomes are tagged with metadata.source = "reconciliation" on the order
+ * timeline, which the daily report (jobs/reconciliationReportJob.js) reads.
+ */
+
+const Order = require("../models/Order");
+const { getRazorpay, isRazorpayConfigured } = require("../config/razorpay");
+const {
+  confirmOrderPayment,
+  runPostPaymentActions,
+} = require("../services/paymentService");
+const { transitionOrder } = require("../services/orderLifecycleService");
+const { gatewayAmount } = require("../utils/pricing");
+
+const EXPIRY_MINUTES = Number(process.env.PENDING_ORDER_EXPIRY_MINUTES || 60);
+const BATCH_SIZE = 200; // safety cap per run
+
+/** Razorpay's view of an order: { captured, authorized } payments. */
+async function _gatewayPayments(razorpayOrderId) {
+  const { items = [] } = await getRazorpay().orders.fetchPayments(razorpayOrderId);
+  return {
+    captured: items.find((p) => p.status === "captured") || null,
+    authorized: items.find((p) => p.status === "authorized") || null,
+  };
+}
+
+async function _expire(order) {
+  const isCod = order.paymentMethod === "cod";
+  // The lifecycle service releases stock holds, points, gift card and wallet payments
+  const result = await transitionOrder(order, "cancelled", {
+    reason: isCod
+      ? `Cash-on-delivery order not confirmed within ${EXPIRY_MINUTES} minutes`
+      : `Payment not completed within ${EXPIRY_MINUTES} minutes`,
+    paymentFailed: true,
+    source: "reconciliation",
+    title: "Order Expired",
+    description: isCod
+      ? "The order was not confirmed with the code we sent, so it was cancelled automatically"
+      : "Payment was not completed, so the order was cancelled automatically",
+    metadata: { outcome: "expired" },
+  });
+  return result.success;
+}
+
+module.exports = async function pendingOrderJob() {
+  const summary = { checked: 0, confirmed: 0, expired: 0, awaitingCapture: 0, errors: 0 };
+
+  try {
+    const cutoff = new Date(Date.now() - EXPIRY_MINUTES * 60 * 1000);
+    const orders = await Order.find({
+      status: "pending",
+      paymentStatus: "pending",
+      paymentMethod: { $ne: "cod" },
+      createdAt: { $lte: cutoff },
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    const gatewayAvailable = isRazorpayConfigured();
+    if (!gatewayAvailable && orders.length) {
+      console.warn("[PendingOrderJob] Razorpay not configured — expiring without a gateway check");
+    }
+
+    // COD orders waiting on the customer's confirmation code
+    const unverifiedCod = await Order.find({
+      status: "pending",
+      paymentMethod: "cod",
+      "codVerification.required": true,
+      "codVerification.verifiedAt": null,
+      createdAt: { $lte: cutoff },
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const order of unverifiedCod) {
+      summary.checked++;
+      try {
+        if (await _expire(order)) summary.expired++;
+      } catch (err) {
+        summary.errors++;
+        console.error(`[PendingOrderJob] COD order ${order._id}:`, err.message);
+      }
+    }
+
+    for (const order of orders) {
+      summary.checked++;
+      try {
+        if (gatewayAvailable && order.razorpayOrderId) {
+          const { captured, authorized } = await _gatewayPayments(order.razorpayOrderId);
+
+          if (captured && Number(captured.amount) === Math.round(gatewayAmount(order) * 100)) {
+            const result = await confirmOrderPayment(order._id, {
+              razorpayOrderId: order.razorpayOrderId,
+              razorpayPaymentId: captured.id,
+              source: "reconciliation",
+            });
+            if (result.success && !result.alreadyConfirmed) {
+              await runPostPaymentActions(result.order);
+            }
+            summary.confirmed++;
+            continue;
+          }
+          if (captured) {
+            // Paid, but not the priced amount — leave it for an admin (the webhook flags these too)
+            console.warn(`[PendingOrderJob] Amount mismatch on order ${order._id} — left pending`);
+            summary.errors++;
+            continue;
+          }
+          if (authorized) {
+            summary.awaitingCapture++;
+            continue;
+          }
+        }
+
+        if (await _expire(order)) summary.expired++;
+      } catch (err) {
+        summary.errors++;
+        console.error(`[PendingOrderJob] Order ${order._id}:`, err.error?.description || err.message);
+      }
+    }
+
+    if (summary.checked > 0) {
+      console.log(
+        `[PendingOrderJob] Checked ${summary.checked}: ${summary.confirmed} confirmed, ` +
+        `${summary.expired} expired, ${summary.awaitingCapture} awaiting capture, ${summary.errors} errors`,
+      );
+    }
+  } catch (err) {
+    console.error("[PendingOrderJob] Error:", err.message);
+  }
+
+  return summary;
+};
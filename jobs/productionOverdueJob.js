@@ -0,0 +1,21 @@
+/**
+ * Production Overdue Alerts
+ * Runs daily at 09:30 AM IST via node-cron (wired in server.js).
+ *
+ * Flags made-to-order jobs still in production past their due date to admins
+ * as in-app Notifications — once per job, again only if its due date moves
+ * (services/productionService.js).
+ */
+
+const { alertOverdueJobs } = require("../services/productionService");
+
+module.exports = async function productionOverdueJob() {
+  try {
+    const { alerted } = await alertOverdueJobs();
+    if (alerted > 0) {
+      console.log(`[ProductionOverdueJob] Flagged ${alerted} overdue production job(s)`);
+    }
+  } catch (err) {
+    console.error("[ProductionOverdueJob] Error:", err.message);
+  }
+};
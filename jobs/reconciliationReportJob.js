@@ -0,0 +1,92 @@
+/**
+ * Daily Payment Reconciliation Report
+ * Runs daily at 09:00 AM IST via node-cron (wired in server.js).
+ *
+ * Summarises the previous 24 hours for admins — as an in-app Notification and
+ * an email to ADMIN_EMAIL:
+ *  - orders confirmed by reconciliation (paid, but the browser never verified)
+ *  - orders expired by jobs/pendingOrderJob.js
+ *  - orders still pending past the expiry window
+ *  - webhook events that failed processing
+ *  - refunds that failed and are waiting for a retry
+ */
+
+const Order = require("../models/Order");
+const PaymentEvent = require("../models/PaymentEvent");
+const Notification = require("../models/Notification");
+const { sendAdminNotification } = require("../utils/emailService");
+const { round2 } = require("../utils/pricing");
+
+const EXPIRY_MINUTES = Number(process.env.PENDING_ORDER_EXPIRY_MINUTES || 60);
+
+function _reconciledSince(since, outcome) {
+  return {
+    timeline: {
+      $elemMatch: {
+        "metadata.source": "reconciliation",
+        ...(outcome === "expired" ? { "metadata.outcome": "expired" } : { status: "confirmed" }),
+        timestamp: { $gte: since },
+      },
+    },
+  };
+}
+
+module.exports = async function reconciliationReportJob() {
+  try {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const stuckCutoff = new Date(Date.now() - EXPIRY_MINUTES * 60 * 1000);
+
+    const [confirmed, expired, stillPending, failedEvents, failedRefunds] = await Promise.all([
+      Order.find(_reconciledSince(since, "confirmed")).select("_id totalAmount").lean(),
+      Order.find(_reconciledSince(since, "expired")).select("_id totalAmount").lean(),
+      Order.countDocuments({
+        status: "pending",
+        paymentMethod: { $ne: "cod" },
+        createdAt: { $lte: stuckCutoff },
+      }),
+      PaymentEvent.countDocuments({ status: "failed", updatedAt: { $gte: since } }),
+      Order.countDocuments({ "refunds.status": "failed" }),
+    ]);
+
+    const sum = (orders) => round2(orders.reduce((s, o) => s + (o.totalAmount || 0), 0));
+    const report = {
+      period: { from: since, to: new Date() },
+      confirmed: { count: confirmed.length, amount: sum(confirmed) },
+      expired: { count: expired.length, amount: sum(expired) },
+      stillPending,
+      failedWebhookEvents: failedEvents,
+      failedRefunds,
+    };
+
+    const lines = [
+      `Recovered (paid, confirmed by reconciliation): ${report.confirmed.count} — ₹${report.confirmed.amount}`,
+      `Expired (never paid): ${report.expired.count} — ₹${report.expired.amount}`,
+      `Still pending past ${EXPIRY_MINUTES} min: ${report.stillPending}`,
+      `Failed webhook events: ${report.failedWebhookEvents}`,
+      `Refunds awaiting retry: ${report.failedRefunds}`,
+    ];
+
+    await Notification.create({
+      type: "report",
+      message: `📊 Payment reconciliation — ${report.confirmed.count} recovered, ${report.expired.count} expired, ${report.failedRefunds} refunds to retry`,
+      read: false,
+      meta: report,
+    });
+
+    if (process.env.ADMIN_EMAIL) {
+      await sendAdminNotification(
+        `Daily payment reconciliation — ${new Date().toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata" })}`,
+        `<div style="font-family: Arial, sans-serif; max-width: 600px;">
+          <h2>Payment reconciliation (last 24 hours)</h2>
+          <ul>${lines.map((l) => `<li>${l}</li>`).join("")}</ul>
+        </div>`,
+      );
+    }
+
+    console.log(`[ReconciliationReport] ${lines.join(" | ")}`);
+    return report;
+  } catch (err) {
+    console.error("[ReconciliationReport] Error:", err.message);
+    return null;
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Referral Qualification Job
+ * Runs daily at 03:00 IST via node-cron (wired in server.js).
+ *
+ * Logic:
+ *  - For each pending referral, find the referee's first delivered order
+ *  - Once it is past the return window (RETURN_WINDOW_DAYS) with no return,
+ *    run the fraud guards and credit both customers — or reject the referral
+ *
+ * See services/referralService.js.
+ */
+
+const { processPendingReferrals } = require("../services/referralService");
+
+module.exports = async function referralJob() {
+  try {
+    const summary = await processPendingReferrals();
+    if (summary.rewarded || summary.rejected || summary.errors) {
+      console.log("[ReferralJob]", summary);
+    }
+    return summary;
+  } catch (err) {
+    console.error("[ReferralJob] Error:", err.message);
+    return null;
+  }
+};
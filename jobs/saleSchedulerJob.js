@@ -0,0 +1,27 @@
+/**
+ * Sale Scheduler Job
+ * Runs every minute via node-cron (wired in server.js) so flash sales start
+ * and stop on time.
+ *
+ * Logic:
+ *  - End active sales past endsAt and restore the regular prices
+ *  - Start scheduled sales whose startsAt has come and lower their prices
+ *  - Add products that started matching a running sale
+ *
+ * See services/saleService.js.
+ */
+
+const { runSaleSchedule } = require("../services/saleService");
+
+module.exports = async function saleSchedulerJob() {
+  try {
+    const summary = await runSaleSchedule();
+    if (summary.started || summary.ended || summary.applied) {
+      console.log("[SaleSchedulerJob]", summary);
+    }
+    return summary;
+  } catch (err) {
+    console.error("[SaleSchedulerJob] Error:", err.message);
+    return null;
+  }
+};
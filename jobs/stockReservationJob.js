@@ -0,0 +1,25 @@
+/**
+ * Stock Reservation Expiry Job
+ * Runs every 5 minutes via node-cron (wired in server.js).
+ *
+ * Logic:
+ *  - Find active reservations past expiresAt (STOCK_RESERVATION_TTL_MINUTES)
+ *  - Mark them expired and give the quantity back to Product.reservedStock
+ *
+ * The order itself is left alone — a payment captured after its hold expired
+ * still confirms (see commitOrderStock); unpaid orders are cancelled by
+ * jobs/pendingOrderJob.js.
+ */
+
+const { expireReservations } = require("../services/inventoryService");
+
+module.exports = async function stockReservationJob() {
+  try {
+    const expired = await expireReservations();
+    if (expired > 0) console.log(`[StockReservationJob] Expired ${expired} reservation(s)`);
+    return expired;
+  } catch (err) {
+    console.error("[StockReservationJob] Error:", err.message);
+    return 0;
+  }
+};
@@ -185,6 +185,15 @@ const isAdmin = (req, res, next) => {
   }
 };
 
+// Staff (e.g. artisans working production jobs) and admins
+const isStaff = (req, res, next) => {
+  if (req.user && (req.user.isAdmin || ["staff", "admin", "superadmin"].includes(req.user.role))) {
+    next();
+  } else {
+    res.status(403).json({ message: "Not authorized as staff" });
+  }
+};
+
 // Optional auth - doesn't fail if no token, but sets user if valid token present
 const optionalAuth = async (req, res, next) => {
   const token =
@@ -209,6 +218,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   isAdmin,
+  isStaff,
   optionalAuth,
   generateAccessToken,
   generateRefreshToken,
@@ -52,6 +52,13 @@ const registerValidation = [
     .matches(/^[0-9]{10}$/)
     .withMessage("Phone number must be 10 digits"),
 
+  body("referralCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Referral code must not exceed 20 characters"),
+
   validate,
 ];
 
@@ -238,26 +245,122 @@ const paginationValidation = [
   validate,
 ];
 
-// Order validation
-const orderValidation = [
+// Checkout quote validation (items optional — falls back to the saved cart)
+const checkoutQuoteValidation = [
   body("items")
-    .isArray({ min: 1 })
-    .withMessage("Order must contain at least one item"),
-
-  body("items.*.product").isMongoId().withMessage("Invalid product ID"),
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Items must be an array of 1–50 entries"),
 
   body("items.*.quantity")
+    .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage("Quantity must be between 1 and 100"),
 
   body("shippingAddress")
-    .notEmpty()
+    .isObject()
     .withMessage("Shipping address is required"),
 
+  body("couponCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: 40 })
+    .withMessage("Coupon code must not exceed 40 characters"),
+
+  body("paymentMethod")
+    .optional()
+    .isIn(["prepaid", "cod"])
+    .withMessage("Payment method must be prepaid or cod"),
+
+  body("redeemPoints")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0 })
+    .withMessage("Points to redeem must be a whole number"),
+
+  body("useWallet")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("useWallet must be true or false"),
+
+  body("giftCardCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .isLength({ max: 30 })
+    .withMessage("Gift card code must not exceed 30 characters"),
+
   validate,
 ];
 
 // Password change validation
+// Gift card purchase and admin issuance — names and message go into the
+// recipient's email, so they are escaped
+const giftCardRecipientRules = [
+  body("recipientEmail")
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid recipient email")
+    .normalizeEmail(),
+
+  body("recipientName")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage("Recipient name must not exceed 60 characters")
+    .escape(),
+
+  body("senderName")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage("Sender name must not exceed 60 characters")
+    .escape(),
+
+  body("message")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message must not exceed 500 characters")
+    .escape(),
+
+  body("sendAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("sendAt must be a date"),
+];
+
+const giftCardPurchaseValidation = [
+  body("productId").isMongoId().withMessage("Invalid gift card product"),
+
+  body("denomination")
+    .isInt({ min: 1 })
+    .withMessage("Denomination must be a whole number of rupees"),
+
+  ...giftCardRecipientRules,
+  validate,
+];
+
+const giftCardIssueValidation = [
+  body("amount")
+    .isFloat({ gt: 0 })
+    .withMessage("Amount must be greater than zero"),
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason must not exceed 500 characters"),
+
+  body("expiresInDays")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage("expiresInDays must be between 1 and 3650"),
+
+  ...giftCardRecipientRules,
+  validate,
+];
+
 const passwordChangeValidation = [
   body("currentPassword")
     .notEmpty()
@@ -329,8 +432,10 @@ module.exports = {
   reviewValidation,
   mongoIdValidation,
   paginationValidation,
-  orderValidation,
+  checkoutQuoteValidation,
   passwordChangeValidation,
+  giftCardPurchaseValidation,
+  giftCardIssueValidation,
   sanitizeInput,
   passwordRegex,
 };
@@ -8,6 +8,9 @@ const CartSchema = new mongoose.Schema({
       quantity: { type: Number, default: 1 },
       priceAtTimeOfAdd: { type: Number, default: 0 }, // snapshot — guards against price changes before checkout
       variantId: { type: String, default: null },
+      colorName: { type: String, default: null },
+      // Answers to the product's customization form (utils/customization.js)
+      customization: [{ _id: false, key: String, value: String }],
     },
   ],
   updatedAt: { type: Date, default: Date.now },
@@ -30,6 +30,18 @@ const categorySchema = new mongoose.Schema({
     maxlength: [200, 'Description cannot exceed 200 characters']
   },
   subcategories: [subcategorySchema],
+  // GST defaults for products in this category (products may override)
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  gstRate: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 40
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const CustomizationAnswerSchema = new mongoose.Schema(
+  {
+    key: String,
+    label: String,
+    type: { type: String },
+    value: String,
+    surcharge: Number,
+  },
+  { _id: false },
+);
+
+const QuoteLineSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    name: { type: String, required: true },
+    description: String,
+    category: String,
+    subCategory: String,
+    variantId: { type: String, default: null },
+    variantName: { type: String, default: null },
+    colorName: { type: String, default: null },
+    quantity: { type: Number, required: true, min: 1 },
+    basePrice: { type: Number, required: true }, // catalog or variant override
+    unitPrice: { type: Number, required: true }, // after bulk discount
+    lineTotal: { type: Number, required: true },
+    discountShare: { type: Number, default: 0 },
+    tax: mongoose.Schema.Types.Mixed, // same shape as Order.items[].tax
+    bulkDiscount: {
+      minQuantity: Number,
+      maxQuantity: Number,
+      discount: Number, // percentage
+    },
+    // Checked answers to the product's customization form; surcharge is
+    // per unit and already in unitPrice
+    customization: {
+      answers: [CustomizationAnswerSchema],
+      surcharge: Number,
+      processingDaysMax: Number, // product lead time, for the order line's due date
+    },
+    // Set on zero-priced lines added by a free_gift promotion
+    freeGift: {
+      promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+      name: String,
+    },
+  },
+  { _id: false },
+);
+
+// Automatic promotion applied to the quote — its ₹ is spread over items[].discountShare
+const AppliedPromotionSchema = new mongoose.Schema(
+  {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+    name: String,
+    type: { type: String },
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+// Server-priced checkout snapshot. POST /api/payment only accepts a quote ID,
+// so the Razorpay amount always comes from here — never from the browser.
+const CheckoutQuoteSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    items: [QuoteLineSchema],
+    subtotal: { type: Number, required: true },
+    promotions: [AppliedPromotionSchema],
+    discount: {
+      code: String,
+      type: { type: String, enum: ["percentage", "fixed"] },
+      amount: { type: Number, default: 0 },
+    },
+    shipping: { type: Number, default: 0 },
+    // How shipping was rated (utils/shippingRates.js); `rate` is before any free-shipping waiver
+    shippingRate: {
+      band: String,
+      zone: String,
+      billableWeightGrams: Number,
+      rate: Number,
+      freeShippingThreshold: Number,
+    },
+    // Points spent on this order, and the tier perks applied
+    loyalty: {
+      points: { type: Number, default: 0 },
+      value: { type: Number, default: 0 },
+      maxPoints: { type: Number, default: 0 }, // most that could be spent here
+      tier: String,
+      freeShipping: { type: Boolean, default: false }, // shipping waived by the tier
+      pointsToEarn: { type: Number, default: 0 },
+    },
+    // Gift card and store credit applied to the total (in that order);
+    // amountDue is what Razorpay collects
+    giftCard: {
+      cardId: { type: mongoose.Schema.Types.ObjectId, ref: "GiftCard" },
+      last4: String,
+      amount: { type: Number, default: 0 },
+      balance: { type: Number, default: 0 }, // card balance when quoted
+    },
+    wallet: {
+      amount: { type: Number, default: 0 },
+      balance: { type: Number, default: 0 }, // customer's balance when quoted
+    },
+    paymentMethod: { type: String, enum: ["prepaid", "cod"], default: "prepaid" },
+    codFee: { type: Number, default: 0 },
+    // Whether this cart could be paid cash on delivery (shown at checkout)
+    codEligibility: {
+      eligible: Boolean,
+      fee: Number,
+      reasons: [String],
+    },
+    tax: { type: Number, default: 0 },
+    taxBreakdown: mongoose.Schema.Types.Mixed, // same shape as Order.taxBreakdown
+    total: { type: Number, required: true },
+    amountDue: { type: Number }, // total minus giftCard.amount and wallet.amount
+    currency: { type: String, default: "INR" },
+    shippingAddress: {
+      street: String,
+      city: String,
+      state: String,
+      country: String,
+      zipCode: String,
+      phone: String,
+    },
+    // Combined estimate for the cart (utils/deliveryCalculator.js); copied to Order.estimatedDelivery
+    delivery: {
+      dispatchDate: Date,
+      estimatedMinDate: Date,
+      estimatedMaxDate: Date,
+      displayRange: String,
+    },
+
+    // HMAC over the priced fields — see services/quoteService.js
+    signature: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+
+    // Single use: set when POST /api/payment turns the quote into an order
+    usedAt: { type: Date, default: null },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  },
+  { timestamps: true },
+);
+
+CheckoutQuoteSchema.index({ userId: 1, createdAt: -1 });
+// Orders keep their own snapshot, so quotes can be purged a week after they lapse
+CheckoutQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("CheckoutQuote", CheckoutQuoteSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+/**
+ * Named monotonic counters — e.g. "invoice:2026-27".
+ * Incremented atomically with findOneAndUpdate + upsert, so sequences have no
+ * duplicates even across server instances.
+ */
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true }, // counter key
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false },
+);
+
+/** Returns the next value of `key` (1 on first use). */
+CounterSchema.statics.next = async function (key, { session = null } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", CounterSchema);
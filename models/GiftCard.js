@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+/**
+ * Gift card — bought from a gift card product (POST /api/gift-cards/purchase)
+ * or issued by an admin, and spent at checkout alongside Razorpay.
+ *
+ *   pending_payment — purchase opened, waiting for Razorpay
+ *   active          — paid / issued; redeemable once its code has been sent
+ *   void            — cancelled by an admin, balance forfeited
+ *
+ * The code is generated when the card is delivered to the recipient
+ * (jobs/giftCardDeliveryJob.js) and only its hash is kept — see utils/giftCard.js.
+ * `transactions` is the card's own ledger; balance changes push a row in the
+ * same update, so the two can't drift.
+ */
+const GIFT_CARD_STATUSES = ["pending_payment", "active", "void"];
+const TRANSACTION_TYPES = ["issue", "redeem", "reversal", "void"];
+
+const GiftCardTransactionSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: TRANSACTION_TYPES, required: true },
+    amount: { type: Number, required: true }, // signed: redemptions are negative
+    balanceAfter: { type: Number, required: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    note: String,
+    actor: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: true },
+);
+
+const GiftCardSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: GIFT_CARD_STATUSES, default: "pending_payment", index: true },
+    source: { type: String, enum: ["purchase", "admin"], required: true },
+    initialValue: { type: Number, required: true },
+    balance: { type: Number, default: 0 },
+    currency: { type: String, default: "INR" },
+
+    // HMAC of the code — set when the code is sent
+    codeHash: { type: String, unique: true, sparse: true, select: false },
+    last4: { type: String, default: null },
+
+    // Purchase
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    purchaserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    razorpayOrderId: { type: String, index: true, sparse: true },
+    razorpayPaymentId: String,
+    paidAt: Date,
+
+    // Admin issuance
+    issuedBy: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+    reason: String,
+
+    recipient: {
+      email: { type: String, required: true, lowercase: true, trim: true },
+      name: { type: String, trim: true },
+    },
+    senderName: { type: String, trim: true },
+    message: { type: String, maxlength: 500 },
+
+    delivery: {
+      sendAt: { type: Date, default: Date.now },
+      claimedAt: { type: Date, default: null }, // a delivery attempt is in flight
+      sentAt: { type: Date, default: null },
+      attempts: { type: Number, default: 0 },
+      error: String,
+    },
+
+    expiresAt: Date,
+    voidedAt: Date,
+    voidReason: String,
+
+    transactions: [GiftCardTransactionSchema],
+  },
+  { timestamps: true },
+);
+
+// Delivery job: paid cards whose send date has come
+GiftCardSchema.index({ status: 1, "delivery.sentAt": 1, "delivery.sendAt": 1 });
+GiftCardSchema.index({ "transactions.orderId": 1 });
+
+const GiftCard = mongoose.model("GiftCard", GiftCardSchema);
+GiftCard.GIFT_CARD_STATUSES = GIFT_CARD_STATUSES;
+
+module.exports = GiftCard;
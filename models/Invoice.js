@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+const PartyAddressSchema = new mongoose.Schema(
+  {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+  },
+  { _id: false },
+);
+
+const InvoiceLineSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    description: { type: String, required: true },
+    hsnCode: String, // HSN for goods, SAC for shipping
+    quantity: { type: Number, default: 1 },
+    unitPrice: Number, // as charged, before order discount
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    gstRate: Number,
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true }, // taxableValue + tax
+  },
+  { _id: false },
+);
+
+/**
+ * GST tax invoice or credit note.
+ *
+ * The document is an immutable snapshot taken at issue time — the PDF is
+ * rendered from it on demand (services/invoiceService.js), so later edits to
+ * the order or product never change an issued invoice.
+ */
+const InvoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    number: { type: String, required: true, unique: true }, // e.g. INV/2026-27/000042
+    financialYear: { type: String, required: true }, // "2026-27" (April–March)
+    sequence: { type: Number, required: true },
+
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+    // Credit notes reference the invoice they adjust
+    originalInvoice: {
+      invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+      number: String,
+      issuedAt: Date,
+    },
+
+    issuedAt: { type: Date, default: Date.now },
+
+    seller: {
+      name: String,
+      gstin: String,
+      address: PartyAddressSchema,
+      stateCode: String,
+    },
+    buyer: {
+      name: String,
+      email: String,
+      phone: String,
+      gstin: String,
+      address: PartyAddressSchema,
+      stateCode: String,
+    },
+
+    supplyType: { type: String, enum: ["intra", "inter"] },
+    pricesIncludeTax: Boolean,
+    currency: { type: String, default: "INR" },
+
+    lines: [InvoiceLineSchema],
+    totals: {
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      tax: Number,
+      grandTotal: Number,
+    },
+    reason: String, // credit notes: why the value is being reversed
+  },
+  { timestamps: true },
+);
+
+// One tax invoice per order, one credit note per return request
+InvoiceSchema.index(
+  { orderId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: "invoice" } },
+);
+InvoiceSchema.index(
+  { returnRequestId: 1 },
+  { unique: true, partialFilterExpression: { type: "credit_note", returnRequestId: { $exists: true } } },
+);
+InvoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model("Invoice", InvoiceSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+/**
+ * Loyalty points ledger — one row per change to a customer's balance.
+ *
+ * Written by services/loyaltyService.js. `points` is signed; `balanceAfter`
+ * is User.loyaltyPoints once the row applied.
+ *
+ * Credits (earn, bonus, adjust > 0) carry `expiresAt` and `remaining` — the
+ * part not yet spent, reversed or expired. Debits use up the credits that
+ * expire first and list them in `consumed`, so restoring a redemption puts
+ * the points back on the credits they came from (with their original expiry).
+ *
+ *   earn    — delivered order
+ *   bonus   — approved review
+ *   redeem  — spent at checkout
+ *   restore — redemption given back (payment failed, order cancelled)
+ *   reverse — earned points taken back for a returned item
+ *   expire  — credit ran out (jobs/loyaltyExpiryJob.js)
+ *   adjust  — manual correction
+ */
+const LOYALTY_TYPES = ["earn", "bonus", "redeem", "restore", "reverse", "expire", "adjust"];
+
+const LoyaltyTransactionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: LOYALTY_TYPES, required: true },
+    points: { type: Number, required: true },
+    balanceAfter: Number,
+    description: String,
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+    reviewId: { type: mongoose.Schema.Types.ObjectId, ref: "Review" },
+    // Credits only
+    expiresAt: Date,
+    remaining: Number,
+    // Debits only — [{ transactionId, points }] taken from each credit
+    consumed: [
+      {
+        _id: false,
+        transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "LoyaltyTransaction" },
+        points: Number,
+      },
+    ],
+    restoredAt: Date, // redemptions only — given back
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+LoyaltyTransactionSchema.index({ userId: 1, createdAt: -1 });
+// Spendable credits, oldest expiry first
+LoyaltyTransactionSchema.index({ userId: 1, remaining: 1, expiresAt: 1 });
+LoyaltyTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+LoyaltyTransactionSchema.index({ orderId: 1, type: 1 });
+
+const LoyaltyTransaction = mongoose.model("LoyaltyTransaction", LoyaltyTransactionSchema);
+LoyaltyTransaction.LOYALTY_TYPES = LOYALTY_TYPES;
+
+module.exports = LoyaltyTransaction;
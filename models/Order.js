@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ORDER_STATUSES } = require("../utils/orderStatus");
 
 const TimelineEventSchema = new mongoose.Schema(
   {
@@ -14,6 +15,90 @@ const TimelineEventSchema = new mongoose.Schema(
   { _id: true },
 );
 
+// Per-line GST — computed by services/taxService.js, used for invoices and returns filing
+const LineTaxSchema = new mongoose.Schema(
+  {
+    hsnCode: String,
+    gstRate: Number, // percent
+    inclusive: Boolean, // true when the line price already contains GST
+    taxableValue: Number,
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+// Money returned to the customer — see services/refundService.js
+const RefundSchema = new mongoose.Schema(
+  {
+    refundId: { type: String, default: null }, // Razorpay rfnd_… or local_rfnd_… id
+    provider: { type: String, enum: ["razorpay", "local", "wallet"], default: "razorpay" },
+    amount: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "processed", "failed"],
+      default: "pending",
+    },
+    reason: String,
+    returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+    // Timeline entry of the item cancellation this refund is for (services/orderModificationService.js)
+    modificationId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    attempts: { type: Number, default: 0 },
+    error: String,
+    processedAt: Date,
+  },
+  { _id: true, timestamps: true },
+);
+
+// One answer to a product's customization form, as checked at checkout
+const CustomizationAnswerSchema = new mongoose.Schema(
+  {
+    key: String,
+    label: String,
+    type: { type: String }, // "text" | "choice" | "image" (value is the image URL)
+    value: String,
+    surcharge: Number,
+  },
+  { _id: false },
+);
+
+// Note added by the team — internal ones are never sent to the customer
+const OrderNoteSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, maxlength: 1000 },
+    author: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true },
+);
+
+// Who changed what after checkout — see services/orderEditService.js
+const AuditEntrySchema = new mongoose.Schema(
+  {
+    actor: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String, // e.g. "shippingAddress", "items.<itemId>.variant"
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    reason: String,
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true },
+);
+
 const OrderSchema = new mongoose.Schema(
   {
     userId: {
@@ -33,15 +118,47 @@ const OrderSchema = new mongoose.Schema(
         },
         quantity: { type: Number, required: true },
         totalPrice: { type: Number, required: true },
+        basePrice: Number, // unit price before the bulk tier (product.price is after it)
+        bulkDiscount: {
+          minQuantity: Number,
+          maxQuantity: Number,
+          discount: Number, // percentage
+        },
+        discountShare: { type: Number, default: 0 }, // order discount allocated to this line
+        // Zero-priced line added by a free_gift promotion
+        freeGift: {
+          promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+          name: String,
+        },
+        tax: LineTaxSchema,
         variant: {
           color: String,
           size: String,
           material: String,
-          variantId: String,
+          variantId: String, // Product.variants[]._id — stock is deducted / restored against it
+          name: String,
+        },
+        // What the customer asked for on a made-to-order product (utils/customization.js);
+        // surcharge is per unit and already in product.price
+        customization: {
+          answers: [CustomizationAnswerSchema],
+          surcharge: Number,
+          dueDate: Date, // production must finish by this date — GET /api/admin/production/customizations
         },
       },
     ],
     subtotal: { type: Number, required: true },
+    // Automatic promotions — see services/promotionService.js. Their ₹ is
+    // spread over items[].discountShare together with the coupon's.
+    promotions: [
+      {
+        _id: false,
+        promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+        name: String,
+        type: { type: String },
+        amount: { type: Number, default: 0 },
+      },
+    ],
     discount: {
       code: String,
       type: {
@@ -52,33 +169,64 @@ const OrderSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Coupon usage bookkeeping — see services/couponService.js
+      redeemedAt: { type: Date, default: null },
+      releasedAt: { type: Date, default: null },
+    },
+    // Loyalty points — see services/loyaltyService.js
+    loyalty: {
+      pointsRedeemed: { type: Number, default: 0 },
+      redemptionValue: { type: Number, default: 0 }, // ₹ off, spread over items[].discountShare
+      restoredAt: { type: Date, default: null },
+      pointsEarned: { type: Number, default: 0 },
+      earnBase: Number, // ₹ the points were earned on
+      earnedAt: { type: Date, default: null },
+      pointsReversed: { type: Number, default: 0 }, // taken back for returns
+    },
+    // Part of totalAmount paid from the store-credit wallet — the rest goes
+    // through Razorpay (see services/walletService.js)
+    wallet: {
+      amount: { type: Number, default: 0 },
+      reversedAt: { type: Date, default: null }, // given back — order never paid
+    },
+    // Part of totalAmount paid by gift card (services/giftCardService.js)
+    giftCard: {
+      cardId: { type: mongoose.Schema.Types.ObjectId, ref: "GiftCard" },
+      last4: String,
+      amount: { type: Number, default: 0 },
+      reversedAt: { type: Date, default: null }, // put back on the card — order never paid
     },
     tax: {
       type: Number,
       default: 0,
     },
+    taxBreakdown: {
+      supplyType: { type: String, enum: ["intra", "inter"] }, // intra → CGST+SGST, inter → IGST
+      sellerState: String,
+      buyerState: String,
+      pricesIncludeTax: Boolean,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      total: Number,
+      shipping: LineTaxSchema,
+    },
     shipping: {
       type: Number,
       default: 0,
     },
     totalAmount: { type: Number, required: true },
     currency: { type: String, default: "INR" },
+    // Changed only through services/orderLifecycleService.js (rules in utils/orderStatus.js)
     status: {
       type: String,
-      enum: [
-        "pending",
-        "confirmed",
-        "processing",
-        "cancelled",
-        "shipped",
-        "out_for_delivery",
-        "delivered",
-        "returned",
-      ],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
 
     // Payment details
+    quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "CheckoutQuote" }, // server-priced quote the order was created from
     razorpayOrderId: { type: String },
     razorpayPaymentId: { type: String },
     razorpaySignature: { type: String },
@@ -87,6 +235,9 @@ const OrderSchema = new mongoose.Schema(
       enum: ["pending", "completed", "failed", "refunded"],
       default: "pending",
     },
+    amountRefunded: { type: Number, default: 0 }, // sum of processed refunds
+    refunds: [RefundSchema],
+    failureReason: String,
 
     // Shipping details
     shippingAddress: {
@@ -105,6 +256,19 @@ const OrderSchema = new mongoose.Schema(
       enum: ["prepaid", "cod"],
       default: "prepaid",
     },
+    codFee: { type: Number, default: 0 },
+    // COD orders wait for the customer to confirm with an OTP (COD_REQUIRE_VERIFICATION)
+    codVerification: {
+      required: { type: Boolean, default: false },
+      channel: { type: String, enum: ["whatsapp", "email"] },
+      otpHash: String,
+      expiresAt: Date,
+      attempts: { type: Number, default: 0 },
+      sentCount: { type: Number, default: 0 },
+      lastSentAt: Date,
+      verifiedAt: Date,
+    },
+    codCollectedAt: Date, // cash handed over on delivery → paymentStatus "completed"
 
     // Shiprocket integration
     shiprocket: {
@@ -139,9 +303,16 @@ const OrderSchema = new mongoose.Schema(
       deliveryConfirmation: { type: Boolean, default: false },
     },
 
+    shippedAt: { type: Date, default: null },
     deliveredAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancellationReason: String,
+    returnedAt: { type: Date, default: null },
 
     notes: String,
+    customerNotes: [OrderNoteSchema], // shown on the customer's order page
+    internalNotes: { type: [OrderNoteSchema], select: false },
+    auditLog: { type: [AuditEntrySchema], select: false },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
   },
@@ -154,8 +325,15 @@ OrderSchema.index({ userId: 1, status: 1 });
 OrderSchema.index({ status: 1, createdAt: -1 });
 OrderSchema.index({ paymentStatus: 1, createdAt: -1 });
 OrderSchema.index({ razorpayOrderId: 1 });
+OrderSchema.index({ razorpayPaymentId: 1 }, { sparse: true });
+OrderSchema.index({ "refunds.refundId": 1 }, { sparse: true });
+OrderSchema.index({ "refunds.status": 1 }, { sparse: true });
 OrderSchema.index({ "shiprocket.awbCode": 1 });
 OrderSchema.index({ "shiprocket.shipmentId": 1 });
+OrderSchema.index({ "items.customization.dueDate": 1 }, { sparse: true }); // production worksheet
 OrderSchema.index({ createdAt: -1 }); // Admin date-range scans
 
-module.exports = mongoose.model("Order", OrderSchema);
+const Order = mongoose.model("Order", OrderSchema);
+Order.ORDER_STATUSES = ORDER_STATUSES;
+
+module.exports = Order;
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+/**
+ * Raw Razorpay webhook events.
+ *
+ * Every delivery is stored before it is processed; the unique eventId makes
+ * Razorpay's retries idempotent — an event that already reached "processed"
+ * or "ignored" is acknowledged without running again.
+ */
+const PaymentEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true }, // X-Razorpay-Event-Id
+    event: { type: String, required: true }, // e.g. "payment.captured"
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    attempts: { type: Number, default: 0 },
+    error: String,
+    processedAt: Date,
+  },
+  { timestamps: true },
+);
+
+PaymentEventSchema.index({ razorpayOrderId: 1, createdAt: -1 });
+PaymentEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PaymentEvent", PaymentEventSchema);
@@ -21,8 +21,17 @@ const VariantSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    reservedStock: { type: Number, default: 0, min: 0 }, // held by unpaid checkouts
     images: [String], // Cloudinary URLs
     barcode: String,
+    weight: Number, // in grams; overrides the product's weightInGrams
+    // Packed size — bulky variants are charged on volumetric weight
+    dimensions: {
+      length: Number,
+      width: Number,
+      height: Number,
+      unit: { type: String, enum: ["cm", "mm", "m", "in"], default: "cm" },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -50,6 +59,33 @@ const BulkDiscountSchema = new mongoose.Schema(
   { _id: false },
 );
 
+// One question on a made-to-order product's customization form
+// (utils/customization.js validates both the form and the answers)
+const CustomizationOptionSchema = new mongoose.Schema(
+  {
+    value: { type: String, required: true },
+    label: String,
+    surcharge: { type: Number, default: 0, min: 0 }, // ₹ per unit
+  },
+  { _id: false },
+);
+
+const CustomizationFieldSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // e.g. "engraving_text"
+    label: { type: String, required: true },
+    type: { type: String, enum: ["text", "choice", "image"], required: true },
+    required: { type: Boolean, default: false },
+    helpText: String,
+    minLength: Number, // text fields
+    maxLength: Number,
+    options: [CustomizationOptionSchema], // choice fields
+    surcharge: { type: Number, default: 0, min: 0 }, // ₹ per unit when answered (text / image)
+    sortOrder: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
 const ProductSchema = new mongoose.Schema({
   name: { type: String, required: true },
   sku: { type: String, trim: true },
@@ -58,12 +94,24 @@ const ProductSchema = new mongoose.Schema({
   slug: { type: String, trim: true },
   price: { type: Number, required: true },
   compareAtPrice: { type: Number, default: null },
+  // Set while a scheduled sale (models/Sale.js) has lowered price — the
+  // regular prices are kept on the sale and restored when it ends
+  sale: {
+    saleId: { type: mongoose.Schema.Types.ObjectId, ref: "Sale", default: null },
+    name: String,
+    startsAt: Date,
+    endsAt: Date,
+    isFlash: Boolean,
+    perCustomerLimit: Number,
+  },
   description: { type: String },
   category: { type: String, required: true },
   subCategory: { type: String, required: true },
 
   // Stock/Inventory Management
   stock: { type: Number, default: 0, min: 0 },
+  // Units held by unpaid checkouts (services/inventoryService.js) — not for sale
+  reservedStock: { type: Number, default: 0, min: 0 },
   lowStockThreshold: { type: Number, default: 5, min: 0 },
   trackInventory: { type: Boolean, default: true },
   estimatedDelivery: { type: Number, default: 5 }, // days (fallback when no pincode given)
@@ -73,9 +121,20 @@ const ProductSchema = new mongoose.Schema({
   isCustomizable: { type: Boolean, default: false },
   processingDaysMin: { type: Number, default: 10, min: 0 }, // business days before dispatch
   processingDaysMax: { type: Number, default: 12, min: 0 },
+  codAvailable: { type: Boolean, default: true }, // customizable products are always prepaid-only
+  customizationFields: [CustomizationFieldSchema], // what the customer fills in at add-to-cart
+
+  // Gift cards are sold in fixed denominations through /api/gift-cards, never
+  // through the cart — no stock, shipping or GST at purchase
+  productType: { type: String, enum: ["standard", "gift_card"], default: "standard" },
+  giftCardDenominations: [{ type: Number }], // ₹, ascending
+
+  // GST — null falls back to the Category, then DEFAULT_GST_RATE / DEFAULT_HSN_CODE
+  hsnCode: { type: String, trim: true, default: null },
+  gstRate: { type: Number, default: null, min: 0, max: 40 }, // percent
 
   // Shipping weight — stored in grams for precision
-  // Admin sets this per product; used to calculate roadways shipping charge at checkout
+  // Admin sets this per product; utils/shippingRates.js charges shipping on it at checkout
   weightInGrams: { type: Number, default: 500, min: 1 },
 
   // Images
@@ -110,6 +169,7 @@ const ProductSchema = new mongoose.Schema({
       name:             { type: String, required: true, maxlength: 30 },
       hex:              { type: String, required: true },
       stock:            { type: Number, default: 0, min: 0 },
+      reservedStock:    { type: Number, default: 0, min: 0 },
       visibleToUsers:   { type: Boolean, default: true },
       sortOrder:        { type: Number, default: 0 },
     },
@@ -167,6 +227,8 @@ ProductSchema.index({ stock: 1, trackInventory: 1 });
 ProductSchema.index({ averageRating: -1, ratingCount: -1 });
 ProductSchema.index({ price: 1 });
 ProductSchema.index({ isCustomizable: 1 });
+ProductSchema.index({ productType: 1 });
+ProductSchema.index({ "sale.saleId": 1 });
 // Compound index covering the most common catalog query: active products in a category sorted by price
 ProductSchema.index({ isActive: 1, category: 1, price: 1 });
 // Low-stock alert queries
@@ -196,10 +258,15 @@ ProductSchema.pre("save", async function (next) {
 
 // Re-embed asynchronously whenever descriptive fields change.
 // Fire-and-forget — don't block the save response waiting for Voyage.
+// Modified paths are cleared before post("save") runs, so they're noted here.
 const EMBEDDING_FIELDS = ["name", "description", "category", "subCategory", "tags", "isCustomizable", "colors", "variants", "price", "seoKeywords"];
+ProductSchema.pre("save", function (next) {
+  this.$locals.embeddingFieldsChanged = EMBEDDING_FIELDS.some((f) => this.isDirectModified(f));
+  next();
+});
 ProductSchema.post("save", function (doc) {
   if (!process.env.VOYAGE_API_KEY) return;
-  const changed = EMBEDDING_FIELDS.some((f) => doc.isDirectModified?.(f));
+  const changed = Boolean(doc.$locals?.embeddingFieldsChanged);
   if (!changed && doc.embedding?.length) return; // nothing descriptive changed
   const { embedText, buildProductText } = require("../utils/embeddings");
   embedText(buildProductText(doc))
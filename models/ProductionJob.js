@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const { PRODUCTION_STAGES, PROOF_STATUSES } = require("../utils/productionStages");
+
+/**
+ * Production job — one per made-to-order order line, opened when the order
+ * is confirmed (services/productionService.js).
+ *
+ * The job moves through utils/productionStages.js; `history` records every
+ * stage move, assignment and design proof. `dueDate` comes from the line's
+ * customization (or the product's processingDaysMax); jobs still open after
+ * it are flagged to admins once by jobs/productionOverdueJob.js.
+ */
+
+const ActorSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: String,
+  },
+  { _id: false },
+);
+
+// Design for the customer to approve before crafting starts
+const DesignProofSchema = new mongoose.Schema(
+  {
+    revision: { type: Number, required: true }, // 1, 2, … — one per proof sent
+    imageUrl: { type: String, required: true },
+    note: String, // shown to the customer with the image
+    status: { type: String, enum: PROOF_STATUSES, default: "pending" },
+    sentBy: ActorSchema,
+    sentAt: { type: Date, default: Date.now },
+    customerComment: String, // required when the customer asks for changes
+    respondedAt: Date,
+  },
+  { _id: true },
+);
+
+const JobEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["created", "stage", "assignment", "due_date", "proof_sent", "proof_response"], required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    note: String,
+    actor: ActorSchema,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const ProductionJobSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order.items[]._id
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // customer
+
+    // Copied from the order line, so the worksheet doesn't need the order
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    productName: { type: String, required: true },
+    variant: { name: String, color: String },
+    quantity: { type: Number, required: true, min: 1 },
+    answers: [
+      {
+        _id: false,
+        key: String,
+        label: String,
+        type: { type: String },
+        value: String,
+      },
+    ],
+
+    stage: { type: String, enum: PRODUCTION_STAGES, required: true },
+    requiresDesignApproval: { type: Boolean, default: false },
+    proofs: [DesignProofSchema],
+    assignee: { type: ActorSchema, default: null }, // artisan / staff member making it
+    dueDate: { type: Date, required: true },
+    overdueAlertedAt: { type: Date, default: null }, // cleared when the due date moves
+
+    completedAt: Date, // reached ready_to_pack
+    cancelledAt: Date,
+    history: [JobEventSchema],
+  },
+  { timestamps: true },
+);
+
+// One job per order line — opening jobs again is a no-op
+ProductionJobSchema.index({ orderId: 1, itemId: 1 }, { unique: true });
+ProductionJobSchema.index({ stage: 1, dueDate: 1 });
+ProductionJobSchema.index({ "assignee.userId": 1, stage: 1 });
+ProductionJobSchema.index({ userId: 1, orderId: 1 });
+
+const ProductionJob = mongoose.model("ProductionJob", ProductionJobSchema);
+ProductionJob.PRODUCTION_STAGES = PRODUCTION_STAGES;
+
+module.exports = ProductionJob;
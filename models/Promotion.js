@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+/**
+ * Automatic promotion — applies to the cart without a code.
+ *
+ *   buy_x_get_y    — buy `buyQuantity` units, get `getQuantity` more at
+ *                    `discountPercent` off (100 = free); cheapest units go first
+ *   category_sale  — percentage off everything in scope while the window is open
+ *   free_gift      — adds a free product once the in-scope spend reaches a value
+ *   spend_tiers    — the more the in-scope spend, the bigger the discount
+ *
+ * Promotions run highest `priority` first. A non-stackable promotion never
+ * shares the cart with another one; `combinesWithCoupons` decides whether a
+ * coupon can be added on top. See utils/promotions.js and
+ * services/promotionService.js.
+ */
+const PROMOTION_TYPES = ["buy_x_get_y", "category_sale", "free_gift", "spend_tiers"];
+
+const SpendTierSchema = new mongoose.Schema(
+  {
+    minSpend: { type: Number, required: true },
+    discountType: { type: String, enum: ["percentage", "fixed"], required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+    maxDiscount: Number, // cap for percentage tiers
+  },
+  { _id: false },
+);
+
+const PromotionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: String,
+    type: { type: String, enum: PROMOTION_TYPES, required: true },
+    isActive: { type: Boolean, default: true },
+    validFrom: { type: Date, default: Date.now },
+    validUntil: Date,
+    priority: { type: Number, default: 0 }, // higher runs first
+    stackable: { type: Boolean, default: false }, // may apply alongside other promotions
+    combinesWithCoupons: { type: Boolean, default: false },
+
+    // Scope — empty = every product
+    applicableCategories: [String],
+    applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+
+    buyXGetY: {
+      buyQuantity: Number,
+      getQuantity: Number,
+      discountPercent: { type: Number, default: 100 },
+      maxApplications: Number, // per order; empty = no limit
+    },
+    sale: {
+      discountPercent: Number,
+      maxDiscount: Number,
+    },
+    freeGift: {
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+      variantId: String, // Product.variants[]._id, required when the gift has variants
+      quantity: { type: Number, default: 1 },
+      minCartValue: { type: Number, default: 0 },
+    },
+    spendTiers: [SpendTierSchema],
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
+PromotionSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+
+const Promotion = mongoose.model("Promotion", PromotionSchema);
+Promotion.PROMOTION_TYPES = PROMOTION_TYPES;
+
+module.exports = Promotion;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { REJECTION_REASONS } = require("../utils/referral");
+
+/**
+ * One referral — a customer who registered with another customer's code.
+ *
+ *   pending  — waiting for the referee's first delivered order to clear the
+ *              return window (jobs/referralJob.js)
+ *   rewarded — both customers were credited
+ *   rejected — a fraud guard tripped or the qualifying order was returned
+ */
+const ReferralSchema = new mongoose.Schema(
+  {
+    referrerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    refereeId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    code: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "rewarded", "rejected"],
+      default: "pending",
+    },
+    rejectionReason: { type: String, enum: [...REJECTION_REASONS, null], default: null },
+    qualifyingOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    referrerCredit: { type: Number, default: 0 },
+    refereeCredit: { type: Number, default: 0 },
+    rewardedAt: Date,
+    rejectedAt: Date,
+  },
+  { timestamps: true },
+);
+
+ReferralSchema.index({ referrerId: 1, createdAt: -1 });
+ReferralSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Referral", ReferralSchema);
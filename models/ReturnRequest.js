@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// Days after delivery a return can be requested
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 3);
+
 const ReturnRequestSchema = new mongoose.Schema(
   {
     orderId: {
@@ -19,6 +22,8 @@ const ReturnRequestSchema = new mongoose.Schema(
           ref: "Product",
         },
         productName: String,
+        variantId: { type: String, default: null }, // as sold — restocked against it
+        colorName: { type: String, default: null },
         quantity: Number,
         reason: String,
       },
@@ -64,11 +69,25 @@ const ReturnRequestSchema = new mongoose.Schema(
       default: "requested",
     },
     refundAmount: Number,
+    restockedAt: Date, // returned items put back into stock (once, on "received")
+    pointsReversedAt: { type: Date, default: null }, // loyalty points the items earned, taken back
+    pointsReversed: { type: Number, default: 0 },
     refundMethod: {
       type: String,
       enum: ["original_payment", "wallet", "credit"],
       default: "original_payment",
     },
+    // Execution of the refund — mirrors the entry in Order.refunds
+    refund: {
+      orderRefundId: { type: mongoose.Schema.Types.ObjectId }, // Order.refunds[]._id
+      refundId: String, // gateway refund id
+      status: {
+        type: String,
+        enum: ["pending", "processed", "failed"],
+      },
+      error: String,
+      processedAt: Date,
+    },
     returnAddress: {
       street: String,
       city: String,
@@ -98,4 +117,7 @@ ReturnRequestSchema.index({ orderId: 1, userId: 1 });
 ReturnRequestSchema.index({ status: 1, createdAt: -1 });
 ReturnRequestSchema.index({ userId: 1, createdAt: -1 });
 
-module.exports = mongoose.model("ReturnRequest", ReturnRequestSchema);
+const ReturnRequest = mongoose.model("ReturnRequest", ReturnRequestSchema);
+ReturnRequest.RETURN_WINDOW_DAYS = RETURN_WINDOW_DAYS;
+
+module.exports = ReturnRequest;
@@ -54,6 +54,7 @@ const ReviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  pointsAwardedAt: { type: Date, default: null }, // loyalty bonus, once approved
   // Admin response to review
   adminResponse: {
     comment: { type: String },
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * Scheduled sale — changes product prices for a time window.
+ *
+ *   scheduled — waiting for startsAt
+ *   active    — prices lowered; Product.sale points here
+ *   ended     — endsAt passed, prices put back
+ *   cancelled — stopped by an admin (prices put back if it had started)
+ *
+ * jobs/saleSchedulerJob.js moves sales along; services/saleService.js does
+ * the price changes. `products` keeps each product's regular prices so they
+ * can be restored exactly.
+ */
+const SALE_STATUSES = ["scheduled", "active", "ended", "cancelled"];
+
+const SaleProductSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    price: { type: Number, required: true }, // regular price before the sale
+    compareAtPrice: { type: Number, default: null },
+    salePrice: { type: Number, required: true },
+    variantPrices: [{ _id: false, variantId: String, price: Number, salePrice: Number }],
+    appliedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const SaleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: String,
+
+    target: { type: String, enum: ["products", "category", "tag"], required: true },
+    productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [String],
+    tags: [String],
+
+    discount: {
+      type: { type: String, enum: ["percentage", "amount", "price"], required: true },
+      value: { type: Number, required: true },
+    },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    isFlash: { type: Boolean, default: false }, // storefront shows a countdown
+    perCustomerLimit: { type: Number, default: null }, // units per customer for the whole sale
+
+    status: { type: String, enum: SALE_STATUSES, default: "scheduled" },
+    activatedAt: Date,
+    endedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+
+    products: [SaleProductSchema],
+    // Matched but left alone — already in another sale, or the sale wouldn't lower the price
+    skipped: [{ _id: false, productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" }, reason: String }],
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
+SaleSchema.index({ status: 1, startsAt: 1 });
+SaleSchema.index({ status: 1, endsAt: 1 });
+
+const Sale = mongoose.model("Sale", SaleSchema);
+Sale.SALE_STATUSES = SALE_STATUSES;
+
+module.exports = Sale;
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+/**
+ * Units of one sale product a customer has claimed — the counter behind
+ * Sale.perCustomerLimit (services/saleService.js).
+ *
+ * Checkout adds an order's units with a compare-and-set against the limit,
+ * so parallel checkouts by the same customer can't together go over it.
+ * `orders` lists what each order claimed; cancelling or expiring the order
+ * gives its units back. The counter starts from what the customer ordered
+ * before it existed.
+ */
+const SalePurchaseSchema = new mongoose.Schema(
+  {
+    saleId: { type: mongoose.Schema.Types.ObjectId, ref: "Sale", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    quantity: { type: Number, default: 0, min: 0 },
+    orders: [
+      {
+        _id: false,
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        quantity: Number,
+      },
+    ],
+  },
+  { timestamps: true },
+);
+
+SalePurchaseSchema.index({ saleId: 1, userId: 1, productId: 1 }, { unique: true });
+SalePurchaseSchema.index({ "orders.orderId": 1 });
+
+module.exports = mongoose.model("SalePurchase", SalePurchaseSchema);
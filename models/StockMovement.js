@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+/**
+ * Append-only inventory ledger — one row per stock change.
+ *
+ * Written by services/inventoryService.js, which every stock mutation goes
+ * through. `delta` is what was actually applied (deductions are floored at
+ * zero), so stock at any point in time is the current stock minus the deltas
+ * recorded after it.
+ *
+ * Rows with no variantId / colorName are product-level stock; the others
+ * track a colour's or variant's own count.
+ */
+const MOVEMENT_REASONS = ["sale", "restock", "return", "cancellation", "adjustment", "import"];
+
+const StockMovementSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: String, default: null },
+    colorName: { type: String, default: null },
+    delta: { type: Number, required: true },
+    stockBefore: Number,
+    stockAfter: Number,
+    reason: { type: String, enum: MOVEMENT_REASONS, required: true },
+    actor: {
+      type: { type: String, enum: ["user", "system"], default: "system" },
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+    note: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+StockMovementSchema.index({ productId: 1, createdAt: -1 });
+StockMovementSchema.index({ orderId: 1 });
+StockMovementSchema.index({ reason: 1, createdAt: -1 });
+
+// Corrections are new rows, never edits
+const blockWrite = function (next) {
+  next(new Error("StockMovement is append-only"));
+};
+StockMovementSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  blockWrite,
+);
+StockMovementSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], blockWrite);
+
+const StockMovement = mongoose.model("StockMovement", StockMovementSchema);
+StockMovement.MOVEMENT_REASONS = MOVEMENT_REASONS;
+
+module.exports = StockMovement;
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+/**
+ * Stock held for an order between checkout and payment capture.
+ *
+ * Each active reservation is mirrored in Product.reservedStock — and in the
+ * reservedStock of the variant / colour it was taken against — so
+ * available-to-sell is `stock - reservedStock` without summing this ledger.
+ *
+ *   active    — quantity is held until expiresAt
+ *   converted — payment captured; the quantity left stock for good
+ *   released  — the order failed or was cancelled before capture
+ *   expired   — the hold ran out (jobs/stockReservationJob.js)
+ */
+const StockReservationSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: String, default: null }, // Product.variants[]._id
+    colorName: { type: String, default: null },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    quoteId: { type: mongoose.Schema.Types.ObjectId, ref: "CheckoutQuote" },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    quantity: { type: Number, required: true, min: 1 },
+    status: {
+      type: String,
+      enum: ["active", "converted", "released", "expired"],
+      default: "active",
+    },
+    expiresAt: { type: Date, required: true },
+    convertedAt: Date,
+    releasedAt: Date,
+    releaseReason: String,
+  },
+  { timestamps: true },
+);
+
+StockReservationSchema.index({ orderId: 1, status: 1 });
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+StockReservationSchema.index({ productId: 1, status: 1 });
+
+module.exports = mongoose.model("StockReservation", StockReservationSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const crypto = require("crypto");
+const { tierFor } = require("../utils/loyalty");
 
 const AddressSchema = new mongoose.Schema({
   label: { type: String, default: "" },
@@ -37,18 +38,24 @@ const userSchema = new mongoose.Schema({
   loginAttempts: { type: Number, default: 0 },
   lockUntil: { type: Date, default: null },
 
-  // Loyalty programme
-  loyaltyPoints: { type: Number, default: 0 },
+  // Loyalty programme — balance and tier are kept by services/loyaltyService.js
+  loyaltyPoints: { type: Number, default: 0 }, // spendable
+  loyaltyLifetimePoints: { type: Number, default: 0 }, // earned minus reversed — sets the tier
   loyaltyTier: {
     type: String,
     enum: ["bronze", "silver", "gold"],
     default: "bronze",
   },
 
-  // Referral programme
+  // Store-credit wallet — balance is kept by services/walletService.js
+  walletBalance: { type: Number, default: 0 },
+
+  // Referral programme — see services/referralService.js
   referralCode: { type: String, unique: true, sparse: true },
   referredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
-  referralCredits: { type: Number, default: 0 },
+  referralCredits: { type: Number, default: 0 }, // ₹ earned from referrals (paid into the wallet)
+  // Hashed IP / device signals from sign-up and login, compared by the referral fraud guards
+  fingerprints: { type: [String], default: [], select: false },
 
   // ── Security questions ────────────────────────────────────────────────────
   // answerHash = bcrypt(normalised_answer, 12). select:false keeps hashes off API responses.
@@ -91,10 +98,8 @@ userSchema.pre("save", function (next) {
   if (this.isModified("isAdmin") && !this.isModified("role")) {
     this.role = this.isAdmin ? "admin" : "customer";
   }
-  if (this.isModified("loyaltyPoints")) {
-    if (this.loyaltyPoints >= 5000) this.loyaltyTier = "gold";
-    else if (this.loyaltyPoints >= 2000) this.loyaltyTier = "silver";
-    else this.loyaltyTier = "bronze";
+  if (this.isModified("loyaltyLifetimePoints")) {
+    this.loyaltyTier = tierFor(this.loyaltyLifetimePoints).name;
   }
   next();
 });
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+/**
+ * Append-only store-credit ledger — one row per change to a customer's wallet.
+ *
+ * Written by services/walletService.js in the same transaction as
+ * User.walletBalance, so `balanceAfter` is the balance once the row applied.
+ * `amount` is signed: credits are positive, debits negative.
+ *
+ *   refund   — order refund paid into the wallet
+ *   referral — referral programme reward
+ *   goodwill — credit given by an admin
+ *   adjust   — admin correction (either direction)
+ *   payment  — spent at checkout
+ *   reversal — checkout payment given back (payment failed, order cancelled unpaid)
+ *
+ * `key` makes postings idempotent: the same event can't be posted twice.
+ */
+const WALLET_TYPES = ["refund", "referral", "goodwill", "adjust", "payment", "reversal"];
+
+const WalletTransactionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: WALLET_TYPES, required: true },
+    amount: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    description: String,
+    key: { type: String, unique: true, sparse: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    returnRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+    referralId: { type: mongoose.Schema.Types.ObjectId, ref: "Referral" },
+    // Admin postings — who made it and why
+    actor: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+    },
+    reason: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+WalletTransactionSchema.index({ userId: 1, createdAt: -1 });
+WalletTransactionSchema.index({ orderId: 1, type: 1 });
+
+// Corrections are new rows, never edits
+const blockWrite = function (next) {
+  next(new Error("WalletTransaction is append-only"));
+};
+WalletTransactionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  blockWrite,
+);
+WalletTransactionSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], blockWrite);
+
+const WalletTransaction = mongoose.model("WalletTransaction", WalletTransactionSchema);
+WalletTransaction.WALLET_TYPES = WALLET_TYPES;
+
+module.exports = WalletTransaction;
@@ -36,6 +36,10 @@ const whatsAppLogSchema = new mongoose.Schema(
         "order_out_for_delivery",
         "order_delivered",
         "order_cancelled",
+        "order_updated",
+        "production_update",
+        "design_proof",
+        "cod_otp",
       ],
     },
   },
@@ -15,8 +15,13 @@ const {
   getAnalyticsSummary,
   getAnalyticsCharts,
   getPredictions,
+  getReferralReport,
+  getUserWallet,
+  adjustUserWallet,
 } = require("../controllers/adminController");
 const { getCsvTemplate, bulkImport, aiAutofill } = require("../controllers/bulkImportController");
+const { getStockMovements } = require("../controllers/inventoryController");
+const { getCustomizationWorksheet } = require("../controllers/productionController");
 
 // All admin routes explicitly protected with both protect and isAdmin middleware
 // to ensure they work correctly even on mobile browsers
@@ -25,6 +30,8 @@ router.get("/users", protect, isAdmin, getUsers);
 router.put("/users/:id/role", protect, isAdmin, updateUserRole);
 router.patch("/users/:id", protect, isAdmin, updateUser);
 router.delete("/users/:id", protect, isAdmin, deleteUser);
+router.get("/users/:id/wallet", protect, isAdmin, getUserWallet);
+router.post("/users/:id/wallet/adjust", protect, isAdmin, adjustUserWallet);
 router.get("/notifications", protect, isAdmin, getNotifications);
 router.get(
   "/notifications/unread-count",
@@ -38,10 +45,17 @@ router.get("/analytics",        protect, isAdmin, getAnalytics);
 router.get("/analytics/summary", protect, isAdmin, getAnalyticsSummary);
 router.get("/analytics/charts",  protect, isAdmin, getAnalyticsCharts);
 router.get("/predictions",       protect, isAdmin, getPredictions);
+router.get("/referrals/report",  protect, isAdmin, getReferralReport);
 
 // Product bulk-import + AI autofill
 router.get("/products/csv-template",  protect, isAdmin, getCsvTemplate);
 router.post("/products/bulk-import",  protect, isAdmin, bulkImport);
 router.post("/products/ai-autofill",  protect, isAdmin, aiAutofill);
 
+// Inventory ledger
+router.get("/stock-movements", protect, isAdmin, getStockMovements);
+
+// Made-to-order production worksheet
+router.get("/production/customizations", protect, isAdmin, getCustomizationWorksheet);
+
 module.exports = router;
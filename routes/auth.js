@@ -23,6 +23,9 @@ const {
   getWishlist,
   addToWishlist,
   removeFromWishlist,
+  getLoyalty,
+  getWallet,
+  getReferrals,
 } = require("../controllers/authController");
 
 // Token refresh
@@ -48,6 +51,15 @@ router.get("/wishlist", protect, getWishlist);
 router.post("/wishlist", protect, addToWishlist);
 router.delete("/wishlist/:productId", protect, removeFromWishlist);
 
+// Loyalty points
+router.get("/loyalty", protect, getLoyalty);
+
+// Store-credit wallet
+router.get("/wallet", protect, getWallet);
+
+// Referrals
+router.get("/referrals", protect, getReferrals);
+
 // NOTE: Admin routes are now in /api/admin routes for better organization
 // See /routes/admin.js for admin user management
 
@@ -1,8 +1,91 @@
 const express = require("express");
 const Cart = require("../models/Cart");
 const Product = require("../models/Product");
+const { availableToSell } = require("../services/inventoryService");
+const { findVariant, findColor, priceLine, describeBulkTier } = require("../utils/pricing");
+const { applyOffers, serializeOffers } = require("../services/promotionService");
+const { validateCustomization, customizationKey } = require("../utils/customization");
 const router = express.Router();
 
+const CART_PRODUCT_FIELDS =
+  "name price compareAtPrice sale description image category subCategory stock reservedStock trackInventory hasVariants variants colors bulkDiscounts customizationFields";
+
+// One cart line per product + variant + colour + customization answers
+const lineKey = (productId, variantId, colorName, customization) =>
+  [String(productId), variantId || "", colorName || "", customizationKey(customization)].join("|");
+
+// Stored answers — just the key and value; labels and surcharges come from the product
+const storedAnswers = (answers) =>
+  (Array.isArray(answers) ? answers : [])
+    .filter((a) => a && a.key && a.value != null && String(a.value).trim() !== "")
+    .map((a) => ({ key: String(a.key), value: String(a.value) }));
+
+// Cart line for the frontend — priced from the chosen variant, like the checkout quote
+const toCartItem = (item) => {
+  const product = item.productId;
+  const custom = validateCustomization(product, item.customization);
+  const priced = priceLine(product, {
+    quantity: item.quantity,
+    variantId: item.variantId,
+    colorName: item.colorName,
+    surcharge: custom.surcharge || 0,
+  });
+  const selection = { variantId: item.variantId, colorName: item.colorName };
+  return {
+    product: {
+      _id: product._id,
+      name: product.name,
+      price: priced.basePrice,
+      description: product.description,
+      image: priced.variant?.images?.[0] || product.image,
+      category: product.category,
+      subCategory: product.subCategory,
+      stock: product.stock,
+      availableStock: availableToSell(product, selection),
+      trackInventory: product.trackInventory,
+      compareAtPrice: product.compareAtPrice ?? null,
+      // Running scheduled / flash sale — endsAt drives the countdown
+      sale: product.sale?.saleId
+        ? { name: product.sale.name, endsAt: product.sale.endsAt, perCustomerLimit: product.sale.perCustomerLimit ?? null }
+        : null,
+    },
+    variantId: item.variantId || null,
+    variant: priced.variant
+      ? { _id: priced.variant._id, name: priced.variant.name, sku: priced.variant.sku, attributes: priced.variant.attributes }
+      : null,
+    colorName: item.colorName || null,
+    customization: custom.answers || storedAnswers(item.customization),
+    customizationSurcharge: custom.surcharge || 0,
+    // The product's customization form changed since this line was added
+    customizationError: custom.error || null,
+    // The chosen option was removed or hidden — checkout will reject this line
+    unavailable: Boolean((item.variantId && !priced.variant) || (item.colorName && !priced.color) || custom.error),
+    quantity: item.quantity,
+    unitPrice: priced.unitPrice,
+    totalPrice: priced.lineTotal,
+    // Why unitPrice is below product.price
+    bulkDiscount: priced.bulkTier
+      ? { ...priced.bulkTier, label: describeBulkTier(priced.bulkTier) }
+      : null,
+  };
+};
+
+// Automatic promotions on the cart, for display — the checkout quote applies
+// them again (with any coupon) when the customer checks out
+const cartPromotions = async (items) => {
+  const lines = items
+    .filter((item) => !item.unavailable)
+    .map((item) => ({
+      productId: item.product._id,
+      category: item.product.category,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      lineTotal: item.totalPrice,
+    }));
+  if (!lines.length) return null;
+  return serializeOffers(await applyOffers({ lines }));
+};
+
 // Get user's cart with populated product details
 router.get("/:userId", async (req, res) => {
   try {
@@ -10,8 +93,7 @@ router.get("/:userId", async (req, res) => {
 
     const cart = await Cart.findOne({ userId }).populate({
       path: "items.productId",
-      select:
-        "name price description image category subCategory stock trackInventory",
+      select: CART_PRODUCT_FIELDS,
     });
 
     if (!cart) {
@@ -21,23 +103,9 @@ router.get("/:userId", async (req, res) => {
     // Transform cart items to match frontend format
     const items = cart.items
       .filter((item) => item.productId) // Filter out items with deleted products
-      .map((item) => ({
-        product: {
-          _id: item.productId._id,
-          name: item.productId.name,
-          price: item.productId.price,
-          description: item.productId.description,
-          image: item.productId.image,
-          category: item.productId.category,
-          subCategory: item.productId.subCategory,
-          stock: item.productId.stock,
-          trackInventory: item.productId.trackInventory,
-        },
-        quantity: item.quantity,
-        totalPrice: item.quantity * item.productId.price,
-      }));
-
-    res.json({ success: true, items });
+      .map(toCartItem);
+
+    res.json({ success: true, items, promotions: await cartPromotions(items) });
   } catch (error) {
     console.error("Get cart error:", error);
     res.status(500).json({
@@ -54,9 +122,12 @@ router.get("/:userId", async (req, res) => {
 //     (clientUpdatedAt >= cart.updatedAt), replace server cart with the
 //     client's version — the client is authoritative.
 //   • If the server cart IS newer (another tab / device wrote to it),
-//     merge by taking the MAX quantity per product from both sides, then
+//     merge by taking the MAX quantity per line from both sides, then
 //     return the merged cart so all tabs converge to the same state.
 //     This avoids the "second tab silently discards first tab's items" bug.
+//
+// A line is a product + variant + colour + customization, so two sizes of one
+// product (or two different engravings) stay separate lines.
 router.post("/sync", async (req, res) => {
   try {
     const { userId, items, clientUpdatedAt } = req.body;
@@ -65,40 +136,46 @@ router.post("/sync", async (req, res) => {
       return res.status(400).json({ success: false, error: "User ID is required" });
     }
 
+    const toLine = (productId, item) => ({
+      productId,
+      variantId: item.variantId || null,
+      colorName: item.colorName || null,
+      customization: storedAnswers(item.customization),
+      quantity: item.quantity,
+    });
     const incomingMap = new Map(
-      (items || []).map((item) => [item.product._id.toString(), item.quantity])
+      (items || []).map((item) => [
+        lineKey(item.product._id, item.variantId, item.colorName, item.customization),
+        toLine(item.product._id, item),
+      ])
     );
+    const toItems = (map) => [...map.values()];
 
     let cart = await Cart.findOne({ userId });
 
     if (!cart) {
-      cart = new Cart({
-        userId,
-        items: [...incomingMap.entries()].map(([productId, quantity]) => ({ productId, quantity })),
-      });
+      cart = new Cart({ userId, items: toItems(incomingMap) });
     } else {
       const serverIsNewer =
         clientUpdatedAt && cart.updatedAt > new Date(clientUpdatedAt);
 
       if (serverIsNewer) {
-        // Merge: union of both carts, taking max quantity per product so no
+        // Merge: union of both carts, taking max quantity per line so no
         // items added in either tab are lost.
         const mergedMap = new Map(
-          cart.items.map((item) => [item.productId.toString(), item.quantity])
+          cart.items.map((item) => [
+            lineKey(item.productId, item.variantId, item.colorName, item.customization),
+            toLine(item.productId, item),
+          ])
         );
-        incomingMap.forEach((qty, pid) => {
-          mergedMap.set(pid, Math.max(mergedMap.get(pid) || 0, qty));
+        incomingMap.forEach((line, key) => {
+          const existing = mergedMap.get(key);
+          mergedMap.set(key, { ...line, quantity: Math.max(existing?.quantity || 0, line.quantity) });
         });
-        cart.items = [...mergedMap.entries()].map(([productId, quantity]) => ({
-          productId,
-          quantity,
-        }));
+        cart.items = toItems(mergedMap);
       } else {
         // Client is authoritative — straightforward replace.
-        cart.items = [...incomingMap.entries()].map(([productId, quantity]) => ({
-          productId,
-          quantity,
-        }));
+        cart.items = toItems(incomingMap);
       }
     }
 
@@ -107,32 +184,19 @@ router.post("/sync", async (req, res) => {
     // Always return the resolved cart so the calling tab can update its state.
     const populated = await Cart.findById(cart._id).populate({
       path: "items.productId",
-      select: "name price description image category subCategory stock trackInventory",
+      select: CART_PRODUCT_FIELDS,
     });
 
     const resolvedItems = (populated.items || [])
       .filter((item) => item.productId)
-      .map((item) => ({
-        product: {
-          _id: item.productId._id,
-          name: item.productId.name,
-          price: item.productId.price,
-          description: item.productId.description,
-          image: item.productId.image,
-          category: item.productId.category,
-          subCategory: item.productId.subCategory,
-          stock: item.productId.stock,
-          trackInventory: item.productId.trackInventory,
-        },
-        quantity: item.quantity,
-        totalPrice: item.quantity * item.productId.price,
-      }));
+      .map(toCartItem);
 
     res.json({
       success: true,
       message: "Cart synced successfully",
       updatedAt: cart.updatedAt,
       items: resolvedItems,
+      promotions: await cartPromotions(resolvedItems),
     });
   } catch (error) {
     console.error("Cart sync error:", error);
@@ -155,7 +219,11 @@ router.delete("/:userId", async (req, res) => {
   }
 });
 
-// Add to cart with stock validation
+// Add to cart with stock validation.
+// Body: { userId, productId, quantity, variantId?, colorName?, customization? } —
+// products with variants need one picked; price and stock come from the chosen
+// option. customization answers the product's form ([{ key, value }] or
+// { key: value }); its surcharge is added to the unit price.
 router.post("/add", async (req, res) => {
   try {
     const { userId, productId, quantity } = req.body;
@@ -168,54 +236,127 @@ router.post("/add", async (req, res) => {
         error: "Product not found",
       });
     }
+    if (product.productType === "gift_card") {
+      return res.status(400).json({
+        success: false,
+        error: "Gift cards are bought from the gift card page, not the cart",
+      });
+    }
+
+    const variant = findVariant(product, req.body.variantId);
+    if (req.body.variantId && !variant) {
+      return res.status(400).json({
+        success: false,
+        error: "The selected option is not available",
+      });
+    }
+    if (!variant && product.hasVariants && product.variants.some((v) => v.isActive !== false)) {
+      return res.status(400).json({
+        success: false,
+        error: "Please choose an option",
+        variantRequired: true,
+      });
+    }
+    const color = findColor(product, req.body.colorName);
+    if (req.body.colorName && !color) {
+      return res.status(400).json({
+        success: false,
+        error: `Color "${req.body.colorName}" is not available`,
+      });
+    }
+    const custom = validateCustomization(product, req.body.customization);
+    if (custom.error) {
+      return res.status(400).json({
+        success: false,
+        error: custom.error,
+        customizationInvalid: true,
+      });
+    }
+    const variantId = variant ? String(variant._id) : null;
+    const colorName = color?.name || null;
+    const customization = storedAnswers(custom.answers);
+
+    const existingCart = await Cart.findOne({ userId });
+    const key = lineKey(productId, variantId, colorName, customization);
+    const sameLine = (item) => lineKey(item.productId, item.variantId, item.colorName, item.customization) === key;
 
     // Check if inventory tracking is enabled and validate stock
     if (product.trackInventory) {
-      // Get current quantity in cart
-      let currentCartQuantity = 0;
-      const existingCart = await Cart.findOne({ userId });
-      if (existingCart) {
-        const cartItem = existingCart.items.find(
-          (item) => item.productId.toString() === productId,
-        );
-        if (cartItem) {
-          currentCartQuantity = cartItem.quantity;
-        }
+      // Other lines of the product share its stock, and those with the same
+      // variant / colour share that option's stock
+      const inCart = (match) =>
+        (existingCart?.items || [])
+          .filter((item) => item.productId.toString() === String(productId) && match(item))
+          .reduce((sum, item) => sum + item.quantity, 0);
+      const limits = [{ available: availableToSell(product), currentInCart: inCart(() => true) }];
+      if (variantId) {
+        limits.push({
+          available: availableToSell(product, { variantId }),
+          currentInCart: inCart((item) => item.variantId === variantId),
+        });
       }
+      if (colorName) {
+        limits.push({
+          available: availableToSell(product, { colorName }),
+          currentInCart: inCart((item) => item.colorName === colorName),
+        });
+      }
+      const { available, currentInCart } = limits.reduce((tightest, limit) =>
+        limit.available - limit.currentInCart < tightest.available - tightest.currentInCart ? limit : tightest,
+      );
 
-      const requestedTotal = currentCartQuantity + quantity;
-
-      if (product.stock <= 0) {
+      if (available <= 0) {
         return res.status(400).json({
           success: false,
-          error: "This product is out of stock",
+          error: variant || color ? "This option is out of stock" : "This product is out of stock",
           outOfStock: true,
         });
       }
 
-      if (requestedTotal > product.stock) {
+      if (currentInCart + quantity > available) {
         return res.status(400).json({
           success: false,
-          error: `Only ${product.stock} items available in stock. You already have ${currentCartQuantity} in your cart.`,
-          availableStock: product.stock,
-          currentInCart: currentCartQuantity,
+          error: `Only ${available} items available in stock. You already have ${currentInCart} in your cart.`,
+          availableStock: available,
+          currentInCart,
         });
       }
     }
 
-    let cart = await Cart.findOne({ userId });
+    // Sale quantity cap — the checkout quote also counts earlier orders
+    const saleLimit = product.sale?.saleId ? product.sale.perCustomerLimit : null;
+    if (saleLimit) {
+      const inCart = (existingCart?.items || [])
+        .filter((item) => item.productId.toString() === String(productId))
+        .reduce((sum, item) => sum + item.quantity, 0);
+      if (inCart + quantity > saleLimit) {
+        return res.status(400).json({
+          success: false,
+          error: `Limited to ${saleLimit} per customer during ${product.sale.name}`,
+          saleLimit,
+          currentInCart: inCart,
+        });
+      }
+    }
+
+    let cart = existingCart;
     if (!cart) {
-      cart = new Cart({ userId, items: [{ productId, quantity }] });
+      cart = new Cart({ userId, items: [] });
+    }
+    let item = cart.items.find(sameLine);
+    if (item) {
+      item.quantity += quantity;
     } else {
-      const itemIndex = cart.items.findIndex(
-        (item) => item.productId.toString() === productId,
-      );
-      if (itemIndex > -1) {
-        cart.items[itemIndex].quantity += quantity;
-      } else {
-        cart.items.push({ productId, quantity });
-      }
+      cart.items.push({ productId, variantId, colorName, customization, quantity });
+      item = cart.items[cart.items.length - 1];
     }
+    item.priceAtTimeOfAdd = priceLine(product, {
+      quantity: item.quantity,
+      variantId,
+      colorName,
+      surcharge: custom.surcharge,
+    }).unitPrice;
+
     await cart.save();
     res.json({ success: true, cart });
   } catch (error) {
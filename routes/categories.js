@@ -1,6 +1,7 @@
 const express = require('express');
 const Category = require('../models/Category');
 const { protect, isAdmin } = require('../middlewares/authMiddleware');
+const { isValidGstRate, GST_RATES } = require('../utils/gst');
 
 const router = express.Router();
 
@@ -95,7 +96,14 @@ router.get('/:id', async (req, res) => {
 // @access  Private/Admin
 router.post('/', async (req, res) => {
   try {
-    const { name, description, subcategories = [] } = req.body;
+    const { name, description, subcategories = [], hsnCode, gstRate } = req.body;
+
+    if (gstRate != null && gstRate !== '' && !isValidGstRate(gstRate)) {
+      return res.status(400).json({
+        success: false,
+        message: `gstRate must be one of: ${GST_RATES.join(', ')}`
+      });
+    }
 
     // Check if category already exists
     const existingCategory = await Category.findOne({ 
@@ -113,6 +121,8 @@ router.post('/', async (req, res) => {
       name,
       description,
       subcategories,
+      hsnCode: hsnCode ? String(hsnCode).trim() : null,
+      gstRate: gstRate != null && gstRate !== '' ? Number(gstRate) : null,
       createdBy: req.user._id
     };
 
@@ -152,7 +162,14 @@ router.post('/', async (req, res) => {
 // @access  Private/Admin
 router.put('/:id', async (req, res) => {
   try {
-    const { name, description, isActive } = req.body;
+    const { name, description, isActive, hsnCode, gstRate } = req.body;
+
+    if (gstRate != null && gstRate !== '' && !isValidGstRate(gstRate)) {
+      return res.status(400).json({
+        success: false,
+        message: `gstRate must be one of: ${GST_RATES.join(', ')}`
+      });
+    }
 
     const category = await Category.findById(req.params.id);
 
@@ -182,6 +199,8 @@ router.put('/:id', async (req, res) => {
     if (name !== undefined) category.name = name;
     if (description !== undefined) category.description = description;
     if (isActive !== undefined) category.isActive = isActive;
+    if (hsnCode !== undefined) category.hsnCode = hsnCode ? String(hsnCode).trim() : null;
+    if (gstRate !== undefined) category.gstRate = gstRate === null || gstRate === '' ? null : Number(gstRate);
 
     await category.save();
     await category.populate('createdBy', 'username email');
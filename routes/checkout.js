@@ -0,0 +1,74 @@
+/**
+ * Checkout Routes — /api/checkout (protected in server.js)
+ *
+ * POST /api/checkout/quote
+ *   Body: { items?, shippingAddress, couponCode?, paymentMethod?, redeemPoints?, giftCardCode?, useWallet? }
+ *   `items` defaults to the user's saved Cart when omitted. Live promotions
+ *   apply automatically (quote.promotions, free gifts as zero-priced items);
+ *   a coupon that can't be combined with a better promotion is refused.
+ *   `paymentMethod: "cod"` adds the COD fee; every quote reports codEligibility.
+ *   `redeemPoints` spends loyalty points (capped — see quote.loyalty.maxPoints).
+ *   `giftCardCode` pays from a gift card, then `useWallet: true` from store
+ *   credit; quote.amountDue is the rest.
+ *
+ *   Returns a signed quote valid for CHECKOUT_QUOTE_TTL_MINUTES. Pass its
+ *   quoteId to POST /api/payment to open the Razorpay order (or, when the
+ *   gift card / wallet cover everything, to place the order outright), or to
+ *   POST /api/payment/cod for a cash-on-delivery quote.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { checkoutQuoteValidation } = require("../middlewares/validators");
+const { buildQuote, serializeQuote } = require("../services/quoteService");
+
+// Result code → HTTP status
+const QUOTE_ERROR_STATUS = {
+  NOT_SERVICEABLE: 422,
+  PRODUCT_UNAVAILABLE: 409,
+  OUT_OF_STOCK: 409,
+  COD_UNAVAILABLE: 422,
+  POINTS_UNAVAILABLE: 409,
+  WALLET_PREPAID_ONLY: 422,
+  GIFT_CARD_PRODUCT: 422,
+  GIFT_CARD_PREPAID_ONLY: 422,
+  GIFT_CARD_NOT_FOUND: 404,
+  GIFT_CARD_UNUSABLE: 422,
+  COUPON_NOT_COMBINABLE: 422,
+  SALE_LIMIT_EXCEEDED: 422,
+};
+
+router.post("/quote", checkoutQuoteValidation, async (req, res) => {
+  try {
+    const { items, shippingAddress, couponCode, paymentMethod, redeemPoints, giftCardCode, useWallet } = req.body;
+
+    const result = await buildQuote({
+      userId: req.user._id,
+      items,
+      shippingAddress,
+      couponCode,
+      paymentMethod,
+      redeemPoints,
+      giftCardCode,
+      useWallet: useWallet === true,
+    });
+
+    if (!result.success) {
+      const { code, message, stockErrors, codEligibility } = result;
+      return res.status(QUOTE_ERROR_STATUS[code] || 400).json({
+        success: false,
+        code,
+        error: message,
+        ...(stockErrors ? { stockErrors } : {}),
+        ...(codEligibility ? { codEligibility } : {}),
+      });
+    }
+
+    res.status(201).json({ success: true, quote: serializeQuote(result.quote) });
+  } catch (err) {
+    console.error("[Checkout] Quote error:", err);
+    res.status(500).json({ success: false, error: "Failed to price checkout" });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,14 @@
 /**
  * POST /api/delivery/estimate
  *
- * Returns estimated delivery dates for a given product + customer pincode.
- * No authentication required (public endpoint).
+ * Returns estimated delivery dates for a given product + customer pincode,
+ * or for a whole cart: pass `items` instead of `productId` (signed-in
+ * customers may pass neither to use their saved cart). A cart ships when its
+ * slowest made-to-order item is ready; `splitShipment` shows the dates if the
+ * ready-to-ship items go first. No authentication required (public endpoint).
  *
  * Request body: { pincode: "560001", productId: "xyz" }
+ *           or: { pincode: "560001", items: [{ productId, quantity }] }
  *
  * Response (success):
  * {
@@ -12,19 +16,38 @@
  *   processingDaysMin, processingDaysMax,
  *   totalMinDays, totalMaxDays,
  *   isCustom,
- *   estimatedMinDate, estimatedMaxDate,
+ *   dispatchDate, estimatedMinDate, estimatedMaxDate,
  *   displayRange,
  *   customerState, customerZone,
+ *   items?, splitShipment?,   // cart estimates only
  * }
  *
  * Response (error):
- * { success: false, code: "INVALID_PINCODE"|"NOT_SERVICEABLE"|"PRODUCT_NOT_FOUND", message }
+ * { success: false, code: "INVALID_PINCODE"|"NOT_SERVICEABLE"|"PRODUCT_NOT_FOUND"|"EMPTY_CART", message }
+ *
+ * POST /api/delivery/quote
+ *
+ * Shipping charge for a cart (weight- and zone-based, see utils/shippingRates.js).
+ * Signed-in customers may omit `items` to use their saved cart, and get their
+ * loyalty tier's free-shipping threshold.
+ *
+ * Request body: { pincode: "560001", items?: [{ productId, quantity, variantId }] }
+ *
+ * Response (success):
+ * {
+ *   shipping: { charge, rate, band, zone, state, actualWeightGrams, billableWeightGrams,
+ *               freeShipping, freeShippingThreshold, amountToFreeShipping },
+ *   merchandiseTotal,
+ *   cod: { eligible, fee, reasons },
+ * }
  */
 
 const express = require("express");
 const router = express.Router();
 const Product = require("../models/Product");
 const { estimateDelivery, isValidPincode } = require("../utils/deliveryCalculator");
+const { optionalAuth } = require("../middlewares/authMiddleware");
+const { quoteCartShipping, getCartDeliveryEstimate } = require("../services/shippingService");
 
 // Rate-limit: reuse apiLimiter if available, else no-op
 let apiLimiter;
@@ -37,14 +60,15 @@ try {
 // ── POST /api/delivery/estimate ───────────────────────────────────────────────
 
 const estimateHandler = async (req, res) => {
-  const { pincode, productId } = req.body;
+  const { pincode, productId, items } = req.body;
 
   // ── 1. Basic input validation ─────────────────────────────────────────────
-  if (!pincode || !productId) {
+  const isCartEstimate = !productId && (Array.isArray(items) || Boolean(req.user));
+  if (!pincode || (!productId && !isCartEstimate)) {
     return res.status(400).json({
       success: false,
       code: "BAD_REQUEST",
-      message: "Both pincode and productId are required.",
+      message: "pincode and a productId or list of items are required.",
     });
   }
 
@@ -56,7 +80,26 @@ const estimateHandler = async (req, res) => {
     });
   }
 
-  // ── 2. Load product ───────────────────────────────────────────────────────
+  // ── 2. Whole cart ─────────────────────────────────────────────────────────
+  if (isCartEstimate) {
+    try {
+      const result = await getCartDeliveryEstimate({ userId: req.user?._id, items, pincode });
+      if (!result.success) {
+        const status = ["INVALID_PINCODE", "EMPTY_CART"].includes(result.code) ? 400 : 422;
+        return res.status(status).json(result);
+      }
+      return res.json(result);
+    } catch (error) {
+      console.error("Cart delivery estimate error:", error);
+      return res.status(500).json({
+        success: false,
+        code: "SERVER_ERROR",
+        message: "Could not estimate delivery right now.",
+      });
+    }
+  }
+
+  // ── 3. Load product ───────────────────────────────────────────────────────
   let product;
   try {
     product = await Product.findById(productId).lean().select(
@@ -78,7 +121,7 @@ const estimateHandler = async (req, res) => {
     });
   }
 
-  // ── 3. Calculate estimate ─────────────────────────────────────────────────
+  // ── 4. Calculate estimate ─────────────────────────────────────────────────
   const result = estimateDelivery(pincode, product);
 
   if (!result.success) {
@@ -89,11 +132,56 @@ const estimateHandler = async (req, res) => {
   return res.json(result);
 };
 
+// ── POST /api/delivery/quote ──────────────────────────────────────────────────
+
+const QUOTE_ERROR_STATUS = {
+  INVALID_PINCODE: 400,
+  EMPTY_CART: 400,
+  NOT_SERVICEABLE: 422,
+  PRODUCT_UNAVAILABLE: 422,
+};
+
+const quoteHandler = async (req, res) => {
+  const { pincode, items } = req.body;
+
+  if (!pincode) {
+    return res.status(400).json({
+      success: false,
+      code: "BAD_REQUEST",
+      message: "pincode is required.",
+    });
+  }
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({
+      success: false,
+      code: "BAD_REQUEST",
+      message: "items must be a list of cart items.",
+    });
+  }
+
+  try {
+    const result = await quoteCartShipping({ userId: req.user?._id, items, pincode });
+    if (!result.success) {
+      return res.status(QUOTE_ERROR_STATUS[result.code] || 400).json(result);
+    }
+    return res.json(result);
+  } catch (error) {
+    console.error("Delivery quote error:", error);
+    return res.status(500).json({
+      success: false,
+      code: "SERVER_ERROR",
+      message: "Could not calculate shipping right now.",
+    });
+  }
+};
+
 // Apply rate limiter only if it was successfully imported
 if (apiLimiter) {
-  router.post("/estimate", apiLimiter, estimateHandler);
+  router.post("/estimate", apiLimiter, optionalAuth, estimateHandler);
+  router.post("/quote", apiLimiter, optionalAuth, quoteHandler);
 } else {
-  router.post("/estimate", estimateHandler);
+  router.post("/estimate", optionalAuth, estimateHandler);
+  router.post("/quote", optionalAuth, quoteHandler);
 }
 
 module.exports = router;
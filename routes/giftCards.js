@@ -0,0 +1,231 @@
+/**
+ * Gift cards — /api/gift-cards
+ *
+ *   POST /balance              — public balance check by code (rate limited)
+ *   POST /purchase             — open a Razorpay order for a gift card product
+ *   POST /purchase/verify      — Razorpay callback; the payment.captured webhook does the same
+ *   GET  /mine                 — cards the customer bought
+ *   GET  /                     — admin: list (?status&email&page&limit)
+ *   POST /                     — admin: issue a card without payment
+ *   POST /:id/void             — admin: cancel a card
+ *
+ * Codes are only ever sent to the recipient by email — no endpoint returns one.
+ */
+
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { protect, isAdmin } = require("../middlewares/authMiddleware");
+const { strictLimiter } = require("../middlewares/rateLimiter");
+const { giftCardPurchaseValidation, giftCardIssueValidation } = require("../middlewares/validators");
+const GiftCard = require("../models/GiftCard");
+const { getRazorpay } = require("../config/razorpay");
+const {
+  startPurchase,
+  attachRazorpayOrder,
+  completePurchase,
+  issueGiftCard,
+  voidGiftCard,
+  checkBalance,
+  getPurchasedGiftCards,
+  listGiftCards,
+  serializeGiftCard,
+} = require("../services/giftCardService");
+
+const GIFT_CARD_ERROR_STATUS = {
+  PRODUCT_UNAVAILABLE: 404,
+  CARD_NOT_FOUND: 404,
+  INVALID_DENOMINATION: 400,
+  INVALID_SEND_DATE: 400,
+  INVALID_AMOUNT: 400,
+  INVALID_EXPIRY: 400,
+  REASON_REQUIRED: 400,
+  AMOUNT_MISMATCH: 400,
+  ALREADY_VOID: 409,
+  CONCURRENT_UPDATE: 409,
+};
+
+const _recipient = (body) => ({ email: body.recipientEmail, name: body.recipientName || undefined });
+
+// Public balance check — POST so the code stays out of URLs and access logs
+router.post("/balance", strictLimiter, async (req, res) => {
+  try {
+    const result = await checkBalance(req.body.code);
+    if (!result.success) {
+      return res.status(404).json({ success: false, code: result.code, message: result.message });
+    }
+    res.json({ success: true, giftCard: result.giftCard });
+  } catch (error) {
+    console.error("Gift card balance error:", error);
+    res.status(500).json({ success: false, message: "Failed to check gift card balance" });
+  }
+});
+
+// Open a purchase — the card is created pending and activated once paid
+router.post("/purchase", protect, strictLimiter, giftCardPurchaseValidation, async (req, res) => {
+  try {
+    const started = await startPurchase({
+      user: req.user,
+      productId: req.body.productId,
+      denomination: req.body.denomination,
+      recipient: _recipient(req.body),
+      senderName: req.body.senderName,
+      message: req.body.message,
+      sendAt: req.body.sendAt,
+    });
+    if (!started.success) {
+      return res
+        .status(GIFT_CARD_ERROR_STATUS[started.code] || 400)
+        .json({ success: false, code: started.code, message: started.message });
+    }
+    const { card } = started;
+
+    let razorpayOrder;
+    try {
+      razorpayOrder = await getRazorpay().orders.create({
+        amount: Math.round(card.initialValue * 100),
+        currency: card.currency,
+        receipt: `gc_${Date.now()}`,
+        payment_capture: 1,
+        notes: { giftCardId: String(card._id) },
+      });
+    } catch (rzpErr) {
+      console.error("[GiftCard] Razorpay error:", rzpErr?.error || rzpErr?.message);
+      return res.status(502).json({
+        message: "Payment gateway error. Please try again.",
+        detail: rzpErr?.error?.description || rzpErr?.message,
+      });
+    }
+    await attachRazorpayOrder(card._id, razorpayOrder.id);
+
+    res.status(201).json({
+      success: true,
+      giftCard: { id: card._id, amount: card.initialValue, sendAt: card.delivery.sendAt },
+      order: {
+        razorpayOrderId: razorpayOrder.id,
+        amount: card.initialValue,
+        amountInPaise: razorpayOrder.amount,
+        currency: card.currency,
+      },
+      razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+    });
+  } catch (error) {
+    console.error("Gift card purchase error:", error);
+    res.status(500).json({ success: false, message: "Failed to start gift card purchase" });
+  }
+});
+
+// Razorpay checkout callback for a gift card purchase
+router.post("/purchase/verify", protect, strictLimiter, async (req, res) => {
+  try {
+    const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+    if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+      return res.status(400).json({ success: false, message: "Missing payment verification details" });
+    }
+
+    const expected = Buffer.from(
+      crypto
+        .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+        .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+        .digest("hex"),
+      "hex",
+    );
+    const actual = Buffer.from(String(razorpaySignature), "hex");
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return res.status(400).json({ success: false, message: "Payment verification failed" });
+    }
+
+    const owned = await GiftCard.exists({ razorpayOrderId, purchaserId: req.user._id });
+    if (!owned) {
+      return res.status(404).json({ success: false, message: "Gift card purchase not found" });
+    }
+
+    const result = await completePurchase({ razorpayOrderId, razorpayPaymentId });
+    if (!result.success) {
+      return res
+        .status(GIFT_CARD_ERROR_STATUS[result.code] || 400)
+        .json({ success: false, code: result.code, message: result.message });
+    }
+    res.json({ success: true, message: "Gift card purchased", giftCard: serializeGiftCard(result.card) });
+  } catch (error) {
+    console.error("Gift card verify error:", error);
+    res.status(500).json({ success: false, message: "Gift card payment confirmation failed. Please contact support." });
+  }
+});
+
+// Cards the signed-in customer bought
+router.get("/mine", protect, async (req, res) => {
+  try {
+    const giftCards = await getPurchasedGiftCards(req.user._id);
+    res.json({ success: true, giftCards });
+  } catch (error) {
+    console.error("Gift card list error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch gift cards" });
+  }
+});
+
+// ── Admin ─────────────────────────────────────────────────────────────────────
+
+router.get("/", protect, isAdmin, async (req, res) => {
+  try {
+    const { status, email } = req.query;
+    if (status && !GiftCard.GIFT_CARD_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: "Invalid status" });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const result = await listGiftCards({ status, email, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Gift card admin list error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch gift cards" });
+  }
+});
+
+router.post("/", protect, isAdmin, giftCardIssueValidation, async (req, res) => {
+  try {
+    const result = await issueGiftCard({
+      amount: Number(req.body.amount),
+      recipient: _recipient(req.body),
+      senderName: req.body.senderName,
+      message: req.body.message,
+      sendAt: req.body.sendAt,
+      expiresInDays: req.body.expiresInDays ? Number(req.body.expiresInDays) : undefined,
+      reason: req.body.reason,
+      actor: req.user,
+    });
+    if (!result.success) {
+      return res
+        .status(GIFT_CARD_ERROR_STATUS[result.code] || 400)
+        .json({ success: false, code: result.code, message: result.message });
+    }
+    res.status(201).json({ success: true, message: "Gift card issued", giftCard: serializeGiftCard(result.card) });
+  } catch (error) {
+    console.error("Gift card issue error:", error);
+    res.status(500).json({ success: false, message: "Failed to issue gift card" });
+  }
+});
+
+router.post("/:id/void", protect, isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid gift card ID" });
+    }
+    const result = await voidGiftCard(req.params.id, {
+      reason: typeof req.body.reason === "string" ? req.body.reason.slice(0, 500) : "",
+      actor: req.user,
+    });
+    if (!result.success) {
+      return res
+        .status(GIFT_CARD_ERROR_STATUS[result.code] || 400)
+        .json({ success: false, code: result.code, message: result.message });
+    }
+    res.json({ success: true, message: "Gift card voided", giftCard: serializeGiftCard(result.card) });
+  } catch (error) {
+    console.error("Gift card void error:", error);
+    res.status(500).json({ success: false, message: "Failed to void gift card" });
+  }
+});
+
+module.exports = router;
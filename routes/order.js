@@ -1,18 +1,28 @@
 const express = require("express");
 const router = express.Router();
 const { protect, isAdmin } = require("../middlewares/authMiddleware");
-const { orderValidation } = require("../middlewares/validators");
 const {
-  createOrder,
   getUserOrders,
   getOrderById,
   updateOrderStatus,
+  updateOrderItems,
+  editOrderDetails,
+  getOrderAudit,
+  getOrderInvoice,
+  createOrderRefund,
+  retryOrderRefund,
 } = require("../controllers/orderController");
 
-router.post("/", orderValidation, createOrder);
+// Orders are opened from a signed checkout quote: POST /api/checkout/quote → POST /api/payment
 router.get("/", getUserOrders);
 router.get("/:orderId", getOrderById);
+router.get("/:orderId/invoice", getOrderInvoice);
+router.get("/:orderId/audit", protect, isAdmin, getOrderAudit);
+router.patch("/:orderId", protect, isAdmin, editOrderDetails);
 // updateOrderStatus should only be accessible to admins
 router.put("/:orderId/status", protect, isAdmin, updateOrderStatus);
+router.patch("/:orderId/items", protect, isAdmin, updateOrderItems);
+router.post("/:orderId/refunds", protect, isAdmin, createOrderRefund);
+router.post("/:orderId/refunds/:refundId/retry", protect, isAdmin, retryOrderRefund);
 
 module.exports = router;
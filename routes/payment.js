@@ -1,43 +1,109 @@
 const express = require("express");
 const router = express.Router();
-const Razorpay = require("razorpay");
 const crypto = require("crypto");
 const mongoose = require("mongoose");
 const { strictLimiter } = require("../middlewares/rateLimiter");
 const Order = require("../models/Order");
-const Cart = require("../models/Cart");
 const Product = require("../models/Product");
-const User = require("../models/User");
-const Notification = require("../models/Notification");
+const CheckoutQuote = require("../models/CheckoutQuote");
 const { protect } = require("../middlewares/authMiddleware");
-// const shiprocket = require("../services/shiprocketService"); // COMMENTED OUT — Shiprocket will be re-enabled in future
-const { enqueueEmail } = require("../utils/emailQueue");
-const { sendConfirmationEmail } = require("../utils/emailService");
-const { notifyAdminNewOrder } = require("../services/whatsappService");
-
-// Lazily initialize Razorpay so credential changes take effect on restart
-function getRazorpay() {
-  const key_id = process.env.RAZORPAY_KEY_ID;
-  const key_secret = process.env.RAZORPAY_KEY_SECRET;
-  if (!key_id || !key_secret) {
-    throw new Error(
-      "RAZORPAY_KEY_ID or RAZORPAY_KEY_SECRET is missing from environment",
-    );
+const { getRazorpay } = require("../config/razorpay");
+const {
+  loadQuoteForPayment,
+  claimQuote,
+  releaseQuote,
+  quoteToOrderItems,
+} = require("../services/quoteService");
+const { evaluateCoupon, claimCoupon, releaseCoupon } = require("../services/couponService");
+const {
+  confirmOrderPayment,
+  confirmCodOrder,
+  confirmStoreCreditOrder,
+  runPostPaymentActions,
+  markPaymentFailed,
+} = require("../services/paymentService");
+const { sendVerificationCode, verifyCode } = require("../services/codService");
+const { redeemOrderPoints, restoreOrderPoints } = require("../services/loyaltyService");
+const { payFromWallet, reverseWalletPayment } = require("../services/walletService");
+const { redeemGiftCard, reverseGiftCardRedemption } = require("../services/giftCardService");
+const {
+  availableToSell,
+  hasAvailableStock,
+  reserveStock,
+  releaseReservations,
+} = require("../services/inventoryService");
+const { claimSaleUnits, releaseSaleUnits } = require("../services/saleService");
+const { COD_REQUIRE_VERIFICATION } = require("../utils/cod");
+
+// Re-checks a quote just before it becomes an order: stock and coupon limits
+// may have moved since it was issued. Returns { status, body } to send, or null.
+async function revalidateQuote(quote, userId) {
+  const dbProducts = await Product.find({
+    _id: { $in: quote.items.map((i) => i.productId) },
+  }).lean();
+  const productMap = Object.fromEntries(dbProducts.map((p) => [String(p._id), p]));
+  const stockErrors = [];
+  for (const line of quote.items) {
+    const dbProduct = productMap[String(line.productId)];
+    if (!dbProduct || dbProduct.isActive === false) {
+      stockErrors.push({ productId: line.productId, name: line.name, error: "No longer available" });
+    } else if (!hasAvailableStock(dbProduct, line.quantity, line)) {
+      const available = availableToSell(dbProduct, line);
+      stockErrors.push({
+        productId: line.productId, name: line.name,
+        variantId: line.variantId || undefined, colorName: line.colorName || undefined,
+        error: available <= 0 ? "Out of stock" : `Only ${available} available`,
+        availableStock: available, requestedQuantity: line.quantity,
+      });
+    }
+  }
+  if (stockErrors.length > 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: "Some items are out of stock or have insufficient quantity",
+        stockErrors,
+      },
+    };
+  }
+
+  // e.g. another order by the same customer used up the coupon's per-user limit
+  if (quote.discount?.code) {
+    const couponCheck = await evaluateCoupon(quote.discount.code, { userId, lines: quote.items });
+    if (!couponCheck.success) {
+      return {
+        status: 409,
+        body: {
+          success: false,
+          code: "COUPON_NO_LONGER_VALID",
+          message: `${couponCheck.message}. Please review your cart again.`,
+        },
+      };
+    }
   }
-  return new Razorpay({ key_id, key_secret });
+  return null;
+}
+
+function quoteErrorStatus(code) {
+  return code === "QUOTE_NOT_FOUND" ? 404 : code === "QUOTE_EXPIRED" ? 410 : 409;
+}
+
+// The quote's coupon as stored on the new order — redeemedAt records the use
+// claimCoupon() took, so confirmation won't take another
+function orderDiscount(quote, redeemedAt) {
+  const { code, type, amount } = quote.discount;
+  return { code, type, amount, redeemedAt };
 }
 
-// Create Razorpay order
+// Create Razorpay order from a server-priced checkout quote.
+// The amount always comes from the quote (POST /api/checkout/quote) — a
+// client-sent `amount` is only accepted as a cross-check and must match.
+// Gift card and wallet credit on the quote are debited first; Razorpay
+// collects the rest (quote.amountDue), and an order they cover is confirmed outright.
 router.post("/", protect, async (req, res) => {
   try {
-    const {
-      amount,
-      currency,
-      shippingAddress,
-      items,
-      shippingCost = 0,
-      shippingCourierId = null,
-    } = req.body;
+    const { quoteId, amount, shippingCourierId = null } = req.body;
 
     // Check if user exists
     if (!req.user || !req.user._id) {
@@ -46,191 +112,190 @@ router.post("/", protect, async (req, res) => {
 
     const userId = req.user._id;
 
-    // Validate required fields
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: "Valid amount is required" });
-    }
-
-    if (!currency) {
-      return res.status(400).json({ message: "Currency is required" });
-    }
-
-    // Convert amount from paise to rupees for database storage
-    const totalAmount = amount / 100;
-
-    let orderItems = [];
-
-    // If items are provided, use them; otherwise get from cart or create default
-    if (items && items.length > 0) {
-      // Collect all product IDs in one pass, then batch-fetch — eliminates N+1 queries
-      const productIds = items
-        .map((item) => item.productId || (item.product && item.product._id))
-        .filter(Boolean);
-
-      const dbProducts = productIds.length
-        ? await Product.find({ _id: { $in: productIds } }).lean()
-        : [];
-      const productMap = Object.fromEntries(dbProducts.map((p) => [String(p._id), p]));
-
-      // Single pass: validate stock AND build order items together
-      const stockErrors = [];
-      for (const item of items) {
-        const productId = item.productId || (item.product && item.product._id);
-        const qty = item.quantity || 1;
-        const dbProduct = productId ? productMap[String(productId)] : null;
-
-        if (dbProduct) {
-          // Stock validation
-          if (dbProduct.trackInventory) {
-            if (dbProduct.stock <= 0) {
-              stockErrors.push({ productId, name: dbProduct.name, error: "Out of stock" });
-              continue;
-            } else if (dbProduct.stock < qty) {
-              stockErrors.push({
-                productId, name: dbProduct.name,
-                error: `Only ${dbProduct.stock} available`,
-                availableStock: dbProduct.stock, requestedQuantity: qty,
-              });
-              continue;
-            }
-          }
-          orderItems.push({
-            product: {
-              _id: dbProduct._id,
-              name: dbProduct.name,
-              price: dbProduct.price,
-              description: dbProduct.description,
-              category: dbProduct.category,
-              subCategory: dbProduct.subCategory,
-            },
-            quantity: qty,
-            totalPrice: dbProduct.price * qty,
-          });
-        } else if (item.product) {
-          // Fallback: frontend-supplied product snapshot (no DB record found)
-          orderItems.push({
-            product: {
-              _id: item.product._id || null,
-              name: item.product.name || "Product",
-              price: item.product.price || 0,
-              description: item.product.description || "",
-              category: item.product.category || "General",
-              subCategory: item.product.subCategory || "Product",
-            },
-            quantity: qty,
-            totalPrice: (item.product.price || 0) * qty,
-          });
-        } else if (productId || item.name) {
-          orderItems.push({
-            product: {
-              _id: productId || null,
-              name: item.name || "Product",
-              price: item.price || 0,
-              description: item.description || "",
-              category: item.category || "General",
-              subCategory: item.subCategory || "Product",
-            },
-            quantity: qty,
-            totalPrice: (item.price || 0) * qty,
-          });
-        }
-      }
+    if (!quoteId || !mongoose.Types.ObjectId.isValid(quoteId)) {
+      return res.status(400).json({
+        success: false,
+        code: "QUOTE_REQUIRED",
+        message: "A valid checkout quote is required. Call /api/checkout/quote first.",
+      });
+    }
 
-      if (stockErrors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: "Some items are out of stock or have insufficient quantity",
-          stockErrors,
-        });
-      }
-    } else {
-      // Try to get from cart first
-      const cart = await Cart.findOne({ userId }).populate("items.productId");
-      if (cart && cart.items.length > 0) {
-        for (const item of cart.items) {
-          const product = item.productId;
-          orderItems.push({
-            product: {
-              _id: product._id,
-              name: product.name,
-              price: product.price,
-              description: product.description,
-              category: product.category,
-              subCategory: product.subCategory,
-            },
-            quantity: item.quantity,
-            totalPrice: product.price * item.quantity,
-          });
-        }
-      } else {
-        // Create a default item for direct payment (no specific products)
-        orderItems = [
-          {
-            product: {
-              _id: null,
-              name: "Direct Payment",
-              price: totalAmount,
-              description:
-                "Direct payment transaction without specific product",
-              category: "Payment",
-              subCategory: "Direct",
-            },
-            quantity: 1,
-            totalPrice: totalAmount,
-          },
-        ];
+    const loaded = await loadQuoteForPayment(quoteId, userId);
+    if (!loaded.success) {
+      return res.status(quoteErrorStatus(loaded.code)).json({ success: false, code: loaded.code, message: loaded.message });
+    }
+    const { quote } = loaded;
+
+    if (quote.paymentMethod === "cod") {
+      return res.status(400).json({
+        success: false,
+        code: "COD_QUOTE",
+        message: "This is a cash-on-delivery quote. Place it with /api/payment/cod.",
+      });
+    }
+
+    const amountInPaise = Math.round((quote.amountDue ?? quote.total) * 100);
+    if (amount !== undefined && amount !== null && Number(amount) !== amountInPaise) {
+      console.warn(`[Payment] Amount mismatch for quote ${quote._id}: client ${amount}, quote ${amountInPaise}`);
+      return res.status(400).json({
+        success: false,
+        code: "AMOUNT_MISMATCH",
+        message: "Payment amount does not match your checkout quote.",
+      });
+    }
+
+    const stale = await revalidateQuote(quote, userId);
+    if (stale) return res.status(stale.status).json(stale.body);
+
+    // Single use — claim before calling the gateway so a double-click can't open two orders
+    if (!(await claimQuote(quote._id))) {
+      return res.status(409).json({
+        success: false,
+        code: "QUOTE_USED",
+        message: "This checkout quote has already been used.",
+      });
+    }
+
+    // Hold the stock until the payment is captured (or the hold expires)
+    const orderId = new mongoose.Types.ObjectId();
+    const hold = await reserveStock({ orderId, quoteId: quote._id, userId, items: quote.items });
+    if (!hold.success) {
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: hold.code, message: hold.message, stockErrors: hold.stockErrors });
+    }
+
+    // Flash-sale caps — parallel quotes from one customer can't together pass them
+    const saleUnits = await claimSaleUnits({ orderId, userId, items: quote.items });
+    if (!saleUnits.success) {
+      await releaseReservations(orderId, "Sale limit reached").catch(() => {});
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: saleUnits.code, message: saleUnits.message });
+    }
+
+    // Spend the quoted loyalty points — the balance may have moved since the quote
+    const redemption = await redeemOrderPoints({ userId, orderId, points: quote.loyalty?.points });
+    if (!redemption.success) {
+      await releaseReservations(orderId, "Loyalty points unavailable").catch(() => {});
+      await releaseSaleUnits(orderId).catch(() => {});
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: redemption.code, message: redemption.message });
+    }
+    let couponRedeemedAt = null;
+    const undoCheckout = async (reason) => {
+      await releaseReservations(orderId, reason).catch(() => {});
+      await releaseSaleUnits(orderId).catch(() => {});
+      await restoreOrderPoints(orderId, reason).catch(() => {});
+      await reverseGiftCardRedemption(orderId, reason).catch(() => {});
+      await reverseWalletPayment(orderId, reason).catch(() => {});
+      if (couponRedeemedAt) await releaseCoupon(quote.discount.code, userId).catch(() => {});
+    };
+
+    // Take the coupon's use now, so two pending orders can't both spend its last one
+    if (quote.discount?.amount) {
+      const claimed = await claimCoupon(quote.discount.code, userId);
+      if (!claimed.success) {
+        await undoCheckout("Coupon limit reached");
+        await releaseQuote(quote._id).catch(() => {});
+        return res.status(409).json({ success: false, code: claimed.code, message: claimed.message });
       }
+      couponRedeemedAt = claimed.redeemedAt;
+    }
+
+    // Then the gift card and wallet shares — their balances may have moved too
+    const giftCard = await redeemGiftCard({ cardId: quote.giftCard?.cardId, orderId, amount: quote.giftCard?.amount });
+    if (!giftCard.success) {
+      await undoCheckout("Gift card balance changed");
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: giftCard.code, message: giftCard.message });
+    }
+    const wallet = await payFromWallet({ userId, orderId, amount: quote.wallet?.amount });
+    if (!wallet.success) {
+      await undoCheckout("Wallet balance changed");
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: wallet.code, message: wallet.message });
     }
 
-    // Calculate subtotal from order items
-    const calculatedSubtotal = orderItems.reduce((sum, item) => {
-      return sum + (item.totalPrice || 0);
-    }, 0);
-
-    // Ensure shippingAddress has all required fields with proper defaults
-    const finalShippingAddress = shippingAddress
-      ? {
-          street:
-            (shippingAddress.street || "").trim() || "Address not provided",
-          city: (shippingAddress.city || "").trim() || "City not provided",
-          state: (shippingAddress.state || "").trim() || "State not provided",
-          country:
-            (shippingAddress.country || "India")
-              .replace(/\s*\(.*?\)\s*/g, "")
-              .trim() || "India",
-          zipCode: (shippingAddress.zipCode || "000000").trim(),
-          phone: (shippingAddress.phone || "").trim(),
-        }
-      : {
-          street: "Address not provided",
-          city: "City not provided",
-          state: "State not provided",
-          country: "India",
-          zipCode: "000000",
-          phone: "",
-        };
-
-    // Calculate final totalAmount (ensure it's not 0)
-    const finalTotalAmount =
-      totalAmount || calculatedSubtotal + (shippingCost || 0);
-
-    console.log("[Payment] Creating order with:", {
-      subtotal: calculatedSubtotal,
-      shipping: shippingCost,
-      totalAmount: finalTotalAmount,
-      shippingAddress: finalShippingAddress,
+    console.log("[Payment] Creating order from quote:", {
+      quoteId: quote._id,
+      subtotal: quote.subtotal,
+      promotions: (quote.promotions || []).reduce((sum, p) => sum + p.amount, 0),
+      discount: quote.discount?.amount || 0,
+      pointsRedeemed: redemption.points,
+      giftCardAmount: giftCard.amount,
+      walletAmount: wallet.amount,
+      shipping: quote.shipping,
+      totalAmount: quote.total,
     });
 
+    const orderFields = {
+      _id: orderId,
+      userId,
+      items: quoteToOrderItems(quote),
+      subtotal: quote.subtotal,
+      shipping: quote.shipping,
+      tax: quote.tax,
+      taxBreakdown: quote.taxBreakdown,
+      ...(quote.promotions?.length ? { promotions: quote.promotions } : {}),
+      ...(quote.discount?.amount ? { discount: orderDiscount(quote, couponRedeemedAt) } : {}),
+      ...(redemption.points ? { loyalty: { pointsRedeemed: redemption.points, redemptionValue: redemption.value } } : {}),
+      ...(giftCard.amount
+        ? { giftCard: { cardId: quote.giftCard.cardId, last4: quote.giftCard.last4, amount: giftCard.amount } }
+        : {}),
+      ...(wallet.amount ? { wallet: { amount: wallet.amount } } : {}),
+      totalAmount: quote.total,
+      currency: quote.currency,
+      shippingAddress: quote.shippingAddress,
+      ...(quote.delivery?.estimatedMaxDate ? { estimatedDelivery: quote.delivery.estimatedMaxDate } : {}),
+      status: "pending",
+      paymentMethod: "prepaid",
+      shippingCourierId: shippingCourierId || null,
+      quoteId: quote._id,
+    };
+
+    // Gift card / wallet cover the whole order — nothing to collect through Razorpay
+    if (amountInPaise === 0) {
+      try {
+        await Order.create(orderFields);
+      } catch (createErr) {
+        await releaseQuote(quote._id).catch(() => {});
+        await undoCheckout("Order could not be created");
+        throw createErr;
+      }
+      await CheckoutQuote.updateOne({ _id: quote._id }, { $set: { orderId } });
+
+      const result = await confirmStoreCreditOrder(orderId);
+      if (!result.success) {
+        return res.status(409).json({ success: false, code: result.code, message: result.message });
+      }
+      if (!result.alreadyConfirmed) {
+        setImmediate(() => runPostPaymentActions(result.order));
+      }
+      return res.status(201).json({
+        success: true,
+        paymentRequired: false,
+        order: {
+          id: orderId,
+          amount: quote.total,
+          giftCardAmount: giftCard.amount,
+          walletAmount: wallet.amount,
+          currency: quote.currency,
+        },
+      });
+    }
+
     // Call Razorpay FIRST — don't save DB order until Razorpay succeeds
     let razorpayOrder;
     try {
       razorpayOrder = await getRazorpay().orders.create({
-        amount: amount,
-        currency: currency || "INR",
+        amount: amountInPaise,
+        currency: quote.currency,
         receipt: `rcpt_${Date.now()}`,
         payment_capture: 1,
+        notes: { quoteId: String(quote._id) },
       });
     } catch (rzpErr) {
+      await releaseQuote(quote._id).catch(() => {});
+      await undoCheckout("Payment gateway error");
       const rzpMsg =
         rzpErr?.error?.description ||
         rzpErr?.message ||
@@ -252,31 +317,29 @@ router.post("/", protect, async (req, res) => {
     }
 
     // Razorpay succeeded — now persist the order
-    const order = new Order({
-      userId,
-      items: orderItems,
-      subtotal: calculatedSubtotal,
-      shipping: shippingCost || 0,
-      discount: { couponCode: null, amount: 0 },
-      totalAmount: finalTotalAmount,
-      currency: currency || "INR",
-      shippingAddress: finalShippingAddress,
-      status: "pending",
-      paymentMethod: "prepaid",
-      shippingCourierId: shippingCourierId || null,
-      razorpayOrderId: razorpayOrder.id,
-    });
+    const order = new Order({ ...orderFields, razorpayOrderId: razorpayOrder.id });
 
-    await order.save();
+    try {
+      await order.save();
+    } catch (saveErr) {
+      await undoCheckout("Order could not be created");
+      await releaseQuote(quote._id).catch(() => {});
+      throw saveErr;
+    }
+    await CheckoutQuote.updateOne({ _id: quote._id }, { $set: { orderId: order._id } });
 
     res.json({
       success: true,
+      paymentRequired: true,
       order: {
         id: order._id,
         razorpayOrderId: razorpayOrder.id,
-        amount: amount / 100,
-        amountInPaise: amount,
-        currency: currency || "INR",
+        amount: quote.total,
+        giftCardAmount: giftCard.amount,
+        walletAmount: wallet.amount,
+        amountInPaise,
+        currency: quote.currency,
+        stockReservedUntil: hold.expiresAt,
       },
       razorpayKeyId: process.env.RAZORPAY_KEY_ID,
     });
@@ -319,80 +382,16 @@ router.post("/verify-payment", protect, strictLimiter, async (req, res) => {
       .digest("hex");
 
     if (expectedSignature === razorpaySignature) {
-      // Payment is valid — use a transaction so order + stock are atomic
-      const session = await mongoose.startSession();
-      session.startTransaction();
-
-      let confirmedOrder;
+      // Payment is valid — confirm in a transaction so order + stock are atomic
+      let result;
       try {
-        const order = await Order.findById(orderId).session(session);
-        if (!order) {
-          await session.abortTransaction();
-          session.endSession();
-          console.error("Order not found in database:", orderId);
-          return res
-            .status(404)
-            .json({ success: false, message: "Order not found" });
-        }
-
-        // Update order status atomically
-        order.status = "confirmed";
-        order.paymentStatus = "completed";
-        order.razorpayPaymentId = razorpayPaymentId;
-        order.razorpaySignature = razorpaySignature;
-        order.updatedAt = new Date();
-        order.timeline.push({
-          status: "confirmed",
-          title: "Payment Confirmed",
-          description: `Payment of ₹${order.totalAmount} received via Razorpay`,
-          timestamp: new Date(),
-          metadata: { razorpayPaymentId },
+        result = await confirmOrderPayment(orderId, {
+          razorpayOrderId,
+          razorpayPaymentId,
+          razorpaySignature,
+          source: "checkout",
         });
-        await order.save({ session });
-
-        // Deduct stock atomically — abort if any item is out of stock
-        for (const item of order.items) {
-          if (
-            item.product &&
-            item.product._id &&
-            item.product._id.toString() !== "null"
-          ) {
-            const updated = await Product.findOneAndUpdate(
-              {
-                _id: item.product._id,
-                $or: [
-                  { trackInventory: false },
-                  { stock: { $gte: item.quantity } },
-                ],
-              },
-              [
-                {
-                  $set: {
-                    stock: {
-                      $cond: [
-                        "$trackInventory",
-                        { $max: [0, { $subtract: ["$stock", item.quantity] }] },
-                        "$stock",
-                      ],
-                    },
-                  },
-                },
-              ],
-              { session, new: true },
-            );
-            if (!updated) {
-              console.warn(
-                `[Payment] Stock check failed for ${item.product.name} — proceeding anyway`,
-              );
-            }
-          }
-        }
-
-        await session.commitTransaction();
-        confirmedOrder = order;
       } catch (txErr) {
-        await session.abortTransaction();
-        session.endSession();
         console.error("[Payment] Transaction aborted:", txErr.message);
         return res
           .status(500)
@@ -402,90 +401,25 @@ router.post("/verify-payment", protect, strictLimiter, async (req, res) => {
             error: txErr.message,
           });
       }
-      session.endSession();
 
-      // ── Non-critical post-payment actions (fire-and-forget) ──
-      setImmediate(async () => {
-        try {
-          // Clear user's cart
-          await Cart.findOneAndDelete({ userId: req.user._id });
-
-          // Admin notification
-          await Notification.create({
-            type: "order",
-            message: `New order received: #${confirmedOrder._id.toString().slice(-6).toUpperCase()}`,
-            orderId: confirmedOrder._id,
-            read: false,
-            meta: {
-              userId: confirmedOrder.userId,
-              totalAmount: confirmedOrder.totalAmount,
-            },
-          });
+      if (!result.success) {
+        console.error(`[Payment] Could not confirm order ${orderId}:`, result.message);
+        return res
+          .status(result.code === "ORDER_NOT_FOUND" ? 404 : 400)
+          .json({ success: false, message: result.message });
+      }
 
-          // Send confirmation email via queue (non-blocking)
-          const user = await User.findById(confirmedOrder.userId).lean();
-          if (user?.email) {
-            enqueueEmail(() => sendConfirmationEmail(user, confirmedOrder));
-          }
-
-          // WhatsApp alert to admin
-          notifyAdminNewOrder(confirmedOrder, user).catch((e) =>
-            console.error("[WhatsApp] Admin notification error:", e.message),
-          );
-
-          // Push SSE update to the user
-          const { pushOrderUpdate } = require("../routes/sse");
-          pushOrderUpdate(confirmedOrder.userId.toString(), confirmedOrder);
-
-          /* COMMENTED OUT — Shiprocket integration disabled (will be re-enabled in future)
-          // Shiprocket — create shipment after commit
-          const srEmail = process.env.SHIPROCKET_EMAIL || "";
-          const srPass = process.env.SHIPROCKET_PASSWORD || "";
-          const credentialsConfigured =
-            srEmail && !srEmail.includes("example.com") &&
-            srPass && srPass !== "your_shiprocket_password";
-
-          if (credentialsConfigured && confirmedOrder.shippingAddress?.zipCode !== "000000") {
-            const courierId = confirmedOrder.shippingCourierId || req.body?.shippingCourierId || null;
-            const srData = await shiprocket.createShiprocketOrder(confirmedOrder, user, courierId);
-            const updatedSR = await Order.findByIdAndUpdate(
-              confirmedOrder._id,
-              {
-                $set: { shiprocket: srData, trackingNumber: srData.awbCode, status: "processing" },
-                $push: {
-                  timeline: {
-                    status: "processing",
-                    title: "Shipment Created",
-                    description: `AWB ${srData.awbCode} assigned via ${srData.courierName}`,
-                    timestamp: new Date(),
-                    metadata: { awbCode: srData.awbCode, courierName: srData.courierName },
-                  },
-                },
-              },
-              { new: true },
-            );
-            if (updatedSR) pushOrderUpdate(updatedSR.userId.toString(), updatedSR);
-          }
-          */
-        } catch (postErr) {
-          console.error(
-            "[Payment] Post-payment action failed:",
-            postErr.message,
-          );
-          Notification.create({
-            type: "system",
-            message: `⚠️ Post-payment action failed for order ${confirmedOrder._id}: ${postErr.message}`,
-            orderId: confirmedOrder._id,
-            read: false,
-          }).catch(() => {});
-        }
-      });
+      // ── Non-critical post-payment actions (fire-and-forget) ──
+      // Skipped when the webhook already confirmed this order and ran them
+      if (!result.alreadyConfirmed) {
+        setImmediate(() => runPostPaymentActions(result.order));
+      }
 
       // Immediately respond — don't wait for Shiprocket / email
       res.json({
         success: true,
-        message: "Payment verified successfully",
-        order: confirmedOrder,
+        message: result.alreadyConfirmed ? "Payment already verified" : "Payment verified successfully",
+        order: result.order,
       });
     } else {
       // Payment verification failed
@@ -493,13 +427,8 @@ router.post("/verify-payment", protect, strictLimiter, async (req, res) => {
       console.error("Expected:", expectedSignature);
       console.error("Received:", razorpaySignature);
 
-      const order = await Order.findById(orderId);
-      if (order) {
-        order.status = "cancelled";
-        order.failureReason = "Signature verification failed";
-        order.updatedAt = new Date();
-        await order.save();
-      }
+      const order = await Order.findOne({ _id: orderId, userId: req.user._id });
+      await markPaymentFailed(order, "Signature verification failed", { source: "verify-payment" });
 
       res.status(400).json({
         success: false,
@@ -521,6 +450,222 @@ router.post("/verify-payment", protect, strictLimiter, async (req, res) => {
   }
 });
 
+// Place a cash-on-delivery order from a COD checkout quote
+// (POST /api/checkout/quote with paymentMethod "cod"). With
+// COD_REQUIRE_VERIFICATION the order stays pending until the customer enters
+// the code sent to them; otherwise it is confirmed straight away.
+// paymentStatus stays "pending" until the order is delivered.
+const COD_ERROR_STATUS = {
+  ORDER_NOT_FOUND: 404,
+  NOT_AWAITING_VERIFICATION: 409,
+  ORDER_CANCELLED: 409,
+  CODE_EXPIRED: 410,
+  INVALID_CODE: 400,
+  TOO_MANY_ATTEMPTS: 429,
+  TOO_MANY_CODES: 429,
+  RESEND_TOO_SOON: 429,
+  NO_CONTACT: 422,
+};
+
+router.post("/cod", protect, async (req, res) => {
+  try {
+    const { quoteId } = req.body;
+    const userId = req.user._id;
+
+    if (!quoteId || !mongoose.Types.ObjectId.isValid(quoteId)) {
+      return res.status(400).json({
+        success: false,
+        code: "QUOTE_REQUIRED",
+        message: "A valid checkout quote is required. Call /api/checkout/quote first.",
+      });
+    }
+
+    const loaded = await loadQuoteForPayment(quoteId, userId);
+    if (!loaded.success) {
+      return res.status(quoteErrorStatus(loaded.code)).json({ success: false, code: loaded.code, message: loaded.message });
+    }
+    const { quote } = loaded;
+
+    if (quote.paymentMethod !== "cod") {
+      return res.status(400).json({
+        success: false,
+        code: "NOT_COD_QUOTE",
+        message: "Request a quote with paymentMethod \"cod\" to pay on delivery.",
+      });
+    }
+
+    const stale = await revalidateQuote(quote, userId);
+    if (stale) return res.status(stale.status).json(stale.body);
+
+    if (!(await claimQuote(quote._id))) {
+      return res.status(409).json({
+        success: false,
+        code: "QUOTE_USED",
+        message: "This checkout quote has already been used.",
+      });
+    }
+
+    const orderId = new mongoose.Types.ObjectId();
+    const hold = await reserveStock({ orderId, quoteId: quote._id, userId, items: quote.items });
+    if (!hold.success) {
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: hold.code, message: hold.message, stockErrors: hold.stockErrors });
+    }
+
+    // Flash-sale caps — parallel quotes from one customer can't together pass them
+    const saleUnits = await claimSaleUnits({ orderId, userId, items: quote.items });
+    if (!saleUnits.success) {
+      await releaseReservations(orderId, "Sale limit reached").catch(() => {});
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: saleUnits.code, message: saleUnits.message });
+    }
+
+    // Spend the quoted loyalty points — the balance may have moved since the quote
+    const redemption = await redeemOrderPoints({ userId, orderId, points: quote.loyalty?.points });
+    if (!redemption.success) {
+      await releaseReservations(orderId, "Loyalty points unavailable").catch(() => {});
+      await releaseSaleUnits(orderId).catch(() => {});
+      await releaseQuote(quote._id).catch(() => {});
+      return res.status(409).json({ success: false, code: redemption.code, message: redemption.message });
+    }
+
+    // Take the coupon's use now, so two pending orders can't both spend its last one
+    let couponRedeemedAt = null;
+    if (quote.discount?.amount) {
+      const claimed = await claimCoupon(quote.discount.code, userId);
+      if (!claimed.success) {
+        await releaseReservations(orderId, "Coupon limit reached").catch(() => {});
+        await restoreOrderPoints(orderId, "Coupon limit reached").catch(() => {});
+        await releaseSaleUnits(orderId).catch(() => {});
+        await releaseQuote(quote._id).catch(() => {});
+        return res.status(409).json({ success: false, code: claimed.code, message: claimed.message });
+      }
+      couponRedeemedAt = claimed.redeemedAt;
+    }
+
+    let order;
+    try {
+      order = await Order.create({
+        _id: orderId,
+        userId,
+        items: quoteToOrderItems(quote),
+        subtotal: quote.subtotal,
+        shipping: quote.shipping,
+        codFee: quote.codFee,
+        tax: quote.tax,
+        taxBreakdown: quote.taxBreakdown,
+        ...(quote.promotions?.length ? { promotions: quote.promotions } : {}),
+        ...(quote.discount?.amount ? { discount: orderDiscount(quote, couponRedeemedAt) } : {}),
+        ...(redemption.points ? { loyalty: { pointsRedeemed: redemption.points, redemptionValue: redemption.value } } : {}),
+        totalAmount: quote.total,
+        currency: quote.currency,
+        shippingAddress: quote.shippingAddress,
+        ...(quote.delivery?.estimatedMaxDate ? { estimatedDelivery: quote.delivery.estimatedMaxDate } : {}),
+        status: "pending",
+        paymentStatus: "pending",
+        paymentMethod: "cod",
+        codVerification: { required: COD_REQUIRE_VERIFICATION },
+        quoteId: quote._id,
+      });
+    } catch (createErr) {
+      await releaseQuote(quote._id).catch(() => {});
+      await releaseReservations(orderId, "Order could not be created").catch(() => {});
+      await restoreOrderPoints(orderId, "Order could not be created").catch(() => {});
+      await releaseSaleUnits(orderId).catch(() => {});
+      if (couponRedeemedAt) await releaseCoupon(quote.discount.code, userId).catch(() => {});
+      throw createErr;
+    }
+    await CheckoutQuote.updateOne({ _id: quote._id }, { $set: { orderId: order._id } });
+
+    if (COD_REQUIRE_VERIFICATION) {
+      const sent = await sendVerificationCode(order);
+      return res.status(201).json({
+        success: true,
+        verificationRequired: true,
+        order: { id: order._id, amount: order.totalAmount, codFee: order.codFee, status: order.status },
+        ...(sent.success
+          ? { channel: sent.channel, expiresAt: sent.expiresAt }
+          : { verificationError: { code: sent.code, message: sent.message } }),
+      });
+    }
+
+    const result = await confirmCodOrder(order._id, { verifiedVia: "auto" });
+    if (!result.success) {
+      return res.status(COD_ERROR_STATUS[result.code] || 400).json({ success: false, code: result.code, message: result.message });
+    }
+    if (!result.alreadyConfirmed) {
+      setImmediate(() => runPostPaymentActions(result.order));
+    }
+    res.status(201).json({ success: true, verificationRequired: false, order: result.order });
+  } catch (error) {
+    console.error("Error placing COD order:", error);
+    res.status(500).json({ success: false, message: "Failed to place order", error: error.message });
+  }
+});
+
+// Confirm a COD order with the code sent to the customer
+router.post("/cod/:orderId/verify", protect, strictLimiter, async (req, res) => {
+  try {
+    const { otp } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    if (!/^\d{6}$/.test(String(otp || "").trim())) {
+      return res.status(400).json({ success: false, message: "Enter the 6-digit code" });
+    }
+
+    const order = await Order.findOne({ _id: req.params.orderId, userId: req.user._id });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const result = await verifyCode(order, otp);
+    if (!result.success) {
+      return res.status(COD_ERROR_STATUS[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+        ...(result.attemptsLeft !== undefined ? { attemptsLeft: result.attemptsLeft } : {}),
+      });
+    }
+
+    if (!result.alreadyConfirmed) {
+      setImmediate(() => runPostPaymentActions(result.order));
+    }
+    res.json({
+      success: true,
+      message: result.alreadyConfirmed ? "Order already confirmed" : "Order confirmed",
+      order: result.order,
+    });
+  } catch (error) {
+    console.error("Error verifying COD order:", error);
+    res.status(500).json({ success: false, message: "Order confirmation failed", error: error.message });
+  }
+});
+
+// Send a fresh COD confirmation code (throttled per order)
+router.post("/cod/:orderId/resend-otp", protect, strictLimiter, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const order = await Order.findOne({ _id: req.params.orderId, userId: req.user._id });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const result = await sendVerificationCode(order);
+    if (!result.success) {
+      if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+      return res.status(COD_ERROR_STATUS[result.code] || 400).json({ success: false, code: result.code, message: result.message });
+    }
+    res.json({ success: true, channel: result.channel, expiresAt: result.expiresAt });
+  } catch (error) {
+    console.error("Error resending COD code:", error);
+    res.status(500).json({ success: false, message: "Failed to send code", error: error.message });
+  }
+});
+
 // Get order details
 router.get("/order/:orderId", protect, async (req, res) => {
   try {
@@ -570,12 +715,8 @@ router.post("/payment-failed", protect, async (req, res) => {
   try {
     const { orderId, error } = req.body;
 
-    const order = await Order.findById(orderId);
-    if (order) {
-      order.status = "cancelled";
-      order.updatedAt = new Date();
-      await order.save();
-    }
+    const order = await Order.findOne({ _id: orderId, userId: req.user._id });
+    await markPaymentFailed(order, error?.description || "Payment failed", { source: "checkout" });
 
     res.json({
       success: true,
@@ -590,86 +731,6 @@ router.post("/payment-failed", protect, async (req, res) => {
   }
 });
 
-// Create simple Razorpay order (no database record) - RECOMMENDED FOR YOUR USE CASE
-router.post("/create-simple-order", protect, async (req, res) => {
-  try {
-    const { amount, currency = "INR" } = req.body;
-
-    if (!req.user || !req.user._id) {
-      return res.status(401).json({ message: "User not authenticated" });
-    }
-
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: "Valid amount is required" });
-    }
-
-    // Create Razorpay order directly (no database record)
-    const razorpayOrder = await getRazorpay().orders.create({
-      amount: amount, // Amount in paise
-      currency: currency,
-      receipt: `simple_${req.user._id}_${Date.now()}`,
-      payment_capture: 1,
-    });
-
-    res.json({
-      success: true,
-      order: {
-        razorpayOrderId: razorpayOrder.id,
-        amount: amount / 100, // Amount in rupees for display
-        amountInPaise: amount, // Amount in paise for Razorpay
-        currency: currency,
-      },
-      razorpayKeyId: process.env.RAZORPAY_KEY_ID,
-    });
-  } catch (error) {
-    console.error("Error creating simple order:", error);
-    res
-      .status(500)
-      .json({ message: "Failed to create order", error: error.message });
-  }
-});
-
-// Create order without Razorpay (for direct amount payments)
-router.post("/create-direct-order", protect, async (req, res) => {
-  try {
-    const { amount, currency = "INR" } = req.body;
-
-    if (!req.user || !req.user._id) {
-      return res.status(401).json({ message: "User not authenticated" });
-    }
-
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: "Valid amount is required" });
-    }
-
-    const userId = req.user._id;
-    const totalAmount = amount / 100; // Convert paise to rupees
-
-    // Create Razorpay order directly
-    const razorpayOrder = await getRazorpay().orders.create({
-      amount: amount, // Amount in paise
-      currency: currency,
-      receipt: `direct_order_${Date.now()}`,
-      payment_capture: 1,
-    });
-
-    res.json({
-      success: true,
-      razorpayOrder: {
-        id: razorpayOrder.id,
-        amount: razorpayOrder.amount,
-        currency: razorpayOrder.currency,
-      },
-      razorpayKeyId: process.env.RAZORPAY_KEY_ID,
-    });
-  } catch (error) {
-    console.error("Error creating direct order:", error);
-    res
-      .status(500)
-      .json({ message: "Failed to create order", error: error.message });
-  }
-});
-
 // Get Razorpay config
 router.get("/config", (req, res) => {
   res.json({
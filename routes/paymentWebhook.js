@@ -0,0 +1,225 @@
+/**
+ * Razorpay webhook — POST /api/payment/webhook
+ *
+ * Mounted in server.js ahead of CORS, rate limiting and the JSON parser:
+ * Razorpay sends no Origin header, and the signature is an HMAC over the
+ * exact raw body, so the route receives a Buffer (express.raw).
+ *
+ * Every event is stored in PaymentEvent before it is handled. Razorpay retries
+ * anything that doesn't get a 2xx, so handler errors return 500 and the event
+ * is re-processed on the next delivery; processed events are acknowledged
+ * without running twice.
+ *
+ * Handled events:
+ *   payment.captured / order.paid — confirm the order (same path as /verify-payment),
+ *                                   or activate a purchased gift card
+ *   payment.failed                — record the failed attempt; the customer may retry on the
+ *                                   same Razorpay order, so jobs/pendingOrderJob.js does the expiring
+ *   refund.processed / refund.failed — settle the Order.refunds entry (services/refundService.js)
+ */
+
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const Order = require("../models/Order");
+const PaymentEvent = require("../models/PaymentEvent");
+const Notification = require("../models/Notification");
+const {
+  confirmOrderPayment,
+  runPostPaymentActions,
+  markPaymentFailed,
+} = require("../services/paymentService");
+const { markRefundProcessed, markRefundFailed } = require("../services/refundService");
+const { gatewayAmount } = require("../utils/pricing");
+const { completePurchase: completeGiftCardPurchase } = require("../services/giftCardService");
+
+function isSignatureValid(rawBody, signature) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !signature) return false;
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(rawBody).digest("hex"),
+    "hex",
+  );
+  const actual = Buffer.from(String(signature), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ── Event handlers ────────────────────────────────────────────────────────────
+// Each returns { status: "processed" | "ignored", orderId?, note? }
+
+async function handlePaymentCaptured(payload) {
+  const payment = payload.payment?.entity;
+  if (!payment?.order_id) return { status: "ignored", note: "No Razorpay order on payment" };
+
+  const order = await Order.findOne({ razorpayOrderId: payment.order_id });
+  if (!order) return handleGiftCardCaptured(payment);
+  if (order.paymentStatus === "completed") return { status: "processed", orderId: order._id };
+
+  // Never confirm an order for a different amount than it was priced at
+  // (less whatever the wallet already paid)
+  const expectedPaise = Math.round(gatewayAmount(order) * 100);
+  if (Number(payment.amount) !== expectedPaise) {
+    Notification.create({
+      type: "system",
+      message: `⚠️ Razorpay captured ₹${payment.amount / 100} for order #${order._id.toString().slice(-6).toUpperCase()} (expected ₹${expectedPaise / 100}) — not confirmed`,
+      orderId: order._id,
+      read: false,
+      meta: { razorpayPaymentId: payment.id },
+    }).catch(() => {});
+    return { status: "ignored", orderId: order._id, note: "Amount mismatch" };
+  }
+
+  const result = await confirmOrderPayment(order._id, {
+    razorpayOrderId: payment.order_id,
+    razorpayPaymentId: payment.id,
+    source: "webhook",
+  });
+  if (!result.success) return { status: "ignored", orderId: order._id, note: result.message };
+
+  if (!result.alreadyConfirmed) {
+    setImmediate(() => runPostPaymentActions(result.order));
+  }
+  return { status: "processed", orderId: order._id };
+}
+
+// Gift card purchases have no Order — their Razorpay order belongs to a GiftCard
+async function handleGiftCardCaptured(payment) {
+  const result = await completeGiftCardPurchase({
+    razorpayOrderId: payment.order_id,
+    razorpayPaymentId: payment.id,
+    amountInPaise: payment.amount,
+  });
+  if (result.code === "CARD_NOT_FOUND") return { status: "ignored", note: `No order for ${payment.order_id}` };
+  if (!result.success) {
+    Notification.create({
+      type: "system",
+      message: `⚠️ Razorpay captured ₹${payment.amount / 100} for gift card order ${payment.order_id}: ${result.message}`,
+      read: false,
+      meta: { razorpayPaymentId: payment.id },
+    }).catch(() => {});
+    return { status: "ignored", note: result.message };
+  }
+  return { status: "processed", note: `Gift card ${result.card._id}` };
+}
+
+async function handlePaymentFailed(payload) {
+  const payment = payload.payment?.entity;
+  if (!payment?.order_id) return { status: "ignored", note: "No Razorpay order on payment" };
+
+  const order = await Order.findOne({ razorpayOrderId: payment.order_id });
+  if (!order) return { status: "ignored", note: `No order for ${payment.order_id}` };
+
+  const updated = await markPaymentFailed(order, payment.error_description || "Payment failed", { source: "webhook" });
+  return { status: updated ? "processed" : "ignored", orderId: order._id };
+}
+
+async function handleRefundProcessed(payload) {
+  const refund = payload.refund?.entity;
+  if (!refund?.id) return { status: "ignored", note: "No refund entity" };
+
+  const order = await markRefundProcessed(refund);
+  if (!order) return { status: "ignored", note: `No order for payment ${refund.payment_id}` };
+  return { status: "processed", orderId: order._id };
+}
+
+async function handleRefundFailed(payload) {
+  const refund = payload.refund?.entity;
+  if (!refund?.id) return { status: "ignored", note: "No refund entity" };
+
+  const order = await markRefundFailed(refund);
+  if (!order) return { status: "ignored", note: `Unknown refund ${refund.id}` };
+  return { status: "processed", orderId: order._id };
+}
+
+const HANDLERS = {
+  "payment.captured": handlePaymentCaptured,
+  "order.paid": handlePaymentCaptured,
+  "payment.failed": handlePaymentFailed,
+  "refund.processed": handleRefundProcessed,
+  "refund.failed": handleRefundFailed,
+};
+
+// ── Route ─────────────────────────────────────────────────────────────────────
+
+router.post("/", async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from("");
+
+  if (!isSignatureValid(rawBody, req.headers["x-razorpay-signature"])) {
+    console.warn("[Webhook] Invalid Razorpay signature");
+    return res.status(400).json({ success: false, error: "Invalid signature" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    return res.status(400).json({ success: false, error: "Invalid JSON" });
+  }
+
+  const eventId =
+    req.headers["x-razorpay-event-id"] ||
+    crypto.createHash("sha256").update(rawBody).digest("hex");
+  const payload = body.payload || {};
+
+  let event;
+  try {
+    event = await PaymentEvent.findOneAndUpdate(
+      { eventId },
+      {
+        $setOnInsert: {
+          eventId,
+          event: body.event,
+          razorpayOrderId: payload.payment?.entity?.order_id || payload.order?.entity?.id,
+          razorpayPaymentId: payload.payment?.entity?.id || payload.refund?.entity?.payment_id,
+          payload: body,
+          status: "received",
+        },
+      },
+      { upsert: true, new: true },
+    );
+  } catch (err) {
+    console.error("[Webhook] Could not store event:", err.message);
+    return res.status(500).json({ success: false, error: "Could not store event" });
+  }
+
+  // Razorpay retry of an event we already handled
+  if (["processed", "ignored"].includes(event.status)) {
+    return res.json({ success: true, duplicate: true });
+  }
+
+  const handler = HANDLERS[body.event];
+  if (!handler) {
+    await PaymentEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: "ignored", processedAt: new Date() }, $inc: { attempts: 1 } },
+    );
+    return res.json({ success: true, ignored: true });
+  }
+
+  try {
+    const result = await handler(payload);
+    await PaymentEvent.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          status: result.status,
+          orderId: result.orderId,
+          error: result.note,
+          processedAt: new Date(),
+        },
+        $inc: { attempts: 1 },
+      },
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[Webhook] ${body.event} failed:`, err.message);
+    await PaymentEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: "failed", error: err.message }, $inc: { attempts: 1 } },
+    ).catch(() => {});
+    // Non-2xx makes Razorpay retry the delivery
+    res.status(500).json({ success: false, error: "Event processing failed" });
+  }
+});
+
+module.exports = router;
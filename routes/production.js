@@ -0,0 +1,192 @@
+/**
+ * Made-to-order production — /api/production (signed in)
+ *
+ *   GET   /jobs                      — staff: board (?stage=open|<stage>&assigneeId|none&mine&overdue&orderId&page&limit);
+ *                                      staff who aren't admins see their own jobs
+ *   GET   /jobs/:jobId               — staff: one job with its history
+ *   POST  /jobs/:jobId/stage         — staff: { stage, note, notifyCustomer }
+ *   POST  /jobs/:jobId/proof         — staff: design proof (multipart "image", or { imageUrl }) + note
+ *   PATCH /jobs/:jobId               — admin: { assigneeId (null unassigns), dueDate }
+ *   GET   /orders/:orderId           — customer: their order's jobs and design proofs
+ *   POST  /jobs/:jobId/proof/respond — customer: { approve, comment, proofId }
+ *
+ * Stages and their rules: utils/productionStages.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { CloudinaryStorage } = require("multer-storage-cloudinary");
+const { cloudinary } = require("../config/cloudinary");
+const { isAdmin, isStaff } = require("../middlewares/authMiddleware");
+const ProductionJob = require("../models/ProductionJob");
+const {
+  listJobs,
+  getCustomerOrderJobs,
+  moveJobStage,
+  updateJob,
+  sendDesignProof,
+  respondToDesignProof,
+  serializeJobForCustomer,
+  canWorkOn,
+} = require("../services/productionService");
+
+const PRODUCTION_ERROR_STATUS = {
+  INVALID_STAGE: 400,
+  INVALID_FILTER: 400,
+  INVALID_ORDER_ID: 400,
+  INVALID_ASSIGNEE: 400,
+  INVALID_DUE_DATE: 400,
+  INVALID_PROOF: 400,
+  NOTE_REQUIRED: 400,
+  COMMENT_REQUIRED: 400,
+  NOT_ASSIGNED: 403,
+  JOB_NOT_FOUND: 404,
+  NO_CHANGE: 409,
+  INVALID_TRANSITION: 409,
+  PROOF_NOT_APPROVED: 409,
+  PROOF_NOT_PENDING: 409,
+  PROOF_CLOSED: 409,
+  JOB_CANCELLED: 409,
+  ORDER_NOT_IN_PRODUCTION: 409,
+  CONCURRENT_UPDATE: 409,
+};
+
+const _fail = (res, result) =>
+  res
+    .status(PRODUCTION_ERROR_STATUS[result.code] || 400)
+    .json({ success: false, code: result.code, message: result.message });
+
+const proofUpload = multer({
+  storage: new CloudinaryStorage({
+    cloudinary,
+    params: {
+      folder: "infinity_craft_design_proofs",
+      allowed_formats: ["jpg", "jpeg", "png", "webp"],
+      transformation: [{ width: 2000, height: 2000, crop: "limit" }, { quality: "auto" }],
+    },
+  }),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    const allowed = ["image/jpeg", "image/png", "image/webp"];
+    if (allowed.includes(file.mimetype)) cb(null, true);
+    else cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed: JPEG, PNG, WebP.`), false);
+  },
+});
+
+// ── Staff ─────────────────────────────────────────────────────────────────────
+
+router.get("/jobs", isStaff, async (req, res) => {
+  try {
+    const result = await listJobs(req.query, { actor: req.user });
+    if (!result.success) return _fail(res, result);
+    res.json({
+      success: true,
+      count: result.jobs.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      jobs: result.jobs,
+    });
+  } catch (error) {
+    console.error("Production job list error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch production jobs" });
+  }
+});
+
+router.get("/jobs/:jobId", isStaff, async (req, res) => {
+  try {
+    const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+      ? await ProductionJob.findById(req.params.jobId).lean()
+      : null;
+    if (!job || !canWorkOn(req.user, job)) {
+      return _fail(res, { code: "JOB_NOT_FOUND", message: "Production job not found" });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error("Production job fetch error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch production job" });
+  }
+});
+
+router.post("/jobs/:jobId/stage", isStaff, async (req, res) => {
+  try {
+    const { stage, note, notifyCustomer } = req.body;
+    const result = await moveJobStage(req.params.jobId, stage, {
+      actor: req.user,
+      note,
+      notifyCustomer: notifyCustomer === true || notifyCustomer === "true",
+    });
+    if (!result.success) return _fail(res, result);
+    res.json({ success: true, job: result.job });
+  } catch (error) {
+    console.error("Production stage error:", error);
+    res.status(500).json({ success: false, message: "Failed to update production stage" });
+  }
+});
+
+router.post("/jobs/:jobId/proof", isStaff, async (req, res) => {
+  try {
+    // The image is optional — a proof already hosted elsewhere can be sent as imageUrl
+    await new Promise((resolve, reject) =>
+      proofUpload.single("image")(req, res, (err) => (err ? reject(Object.assign(err, { upload: true })) : resolve())),
+    );
+    const result = await sendDesignProof(
+      req.params.jobId,
+      { imageUrl: req.file?.path || req.body.imageUrl, note: req.body.note },
+      { actor: req.user },
+    );
+    if (!result.success) return _fail(res, result);
+    res.status(201).json({ success: true, job: result.job });
+  } catch (error) {
+    if (error.upload) return res.status(400).json({ success: false, code: "INVALID_PROOF", message: error.message });
+    console.error("Design proof error:", error);
+    res.status(500).json({ success: false, message: "Failed to send the design proof" });
+  }
+});
+
+router.patch("/jobs/:jobId", isAdmin, async (req, res) => {
+  try {
+    const { assigneeId, dueDate } = req.body;
+    const result = await updateJob(req.params.jobId, { assigneeId, dueDate }, { actor: req.user });
+    if (!result.success) return _fail(res, result);
+    res.json({ success: true, job: result.job, changed: result.changed });
+  } catch (error) {
+    console.error("Production job update error:", error);
+    res.status(500).json({ success: false, message: "Failed to update production job" });
+  }
+});
+
+// ── Customer ──────────────────────────────────────────────────────────────────
+
+router.get("/orders/:orderId", async (req, res) => {
+  try {
+    const result = await getCustomerOrderJobs(req.params.orderId, req.user._id);
+    if (!result.success) return _fail(res, result);
+    res.json({ success: true, jobs: result.jobs });
+  } catch (error) {
+    console.error("Customer production jobs error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch production progress" });
+  }
+});
+
+router.post("/jobs/:jobId/proof/respond", async (req, res) => {
+  try {
+    const { approve, comment, proofId } = req.body;
+    const result = await respondToDesignProof(req.params.jobId, req.user, { approve, comment, proofId });
+    if (!result.success) return _fail(res, result);
+    res.json({
+      success: true,
+      message: result.job.stage === "design_approval"
+        ? "Thanks — we'll send you a revised design"
+        : "Thanks! We've started making your order",
+      job: serializeJobForCustomer(result.job),
+    });
+  } catch (error) {
+    console.error("Design proof response error:", error);
+    res.status(500).json({ success: false, message: "Failed to record your response" });
+  }
+});
+
+module.exports = router;
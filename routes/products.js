@@ -1,6 +1,9 @@
 const router = require("express").Router();
+const multer = require("multer");
+const { CloudinaryStorage } = require("multer-storage-cloudinary");
 const Product = require("../models/Product");
 const {
+  cloudinary,
   upload,
   uploadBase64Image,
   uploadMultipleBase64Images,
@@ -24,6 +27,21 @@ const {
   getBoughtTogetherProducts,
   getPersonalized,
 } = require("../controllers/productController");
+const { isValidGstRate, GST_RATES } = require("../utils/gst");
+const { validateBulkDiscounts } = require("../utils/pricing");
+const { giftCardProductFields } = require("../utils/giftCard");
+const { validateCustomizationFields, UPLOAD_FOLDER: CUSTOMIZATION_UPLOAD_FOLDER } = require("../utils/customization");
+const {
+  adjustStock,
+  setStock,
+  recordOpeningStock,
+  setColorOptions,
+} = require("../services/inventoryService");
+const {
+  getProductStockMovements,
+  getProductStockAsOf,
+  reconcileProductStock,
+} = require("../controllers/inventoryController");
 
 router.get("/", getAllProducts);
 router.get("/popular/list", getPopular);
@@ -36,6 +54,11 @@ router.post("/update-stock", protect, updateStock);
 router.get("/:id/recommendations", getRecommendations);
 router.get("/:id/bought-together", getBoughtTogetherProducts);
 
+// Stock ledger (admin only)
+router.get("/:id/stock-movements", protect, isAdmin, getProductStockMovements);
+router.get("/:id/stock-at", protect, isAdmin, getProductStockAsOf);
+router.post("/:id/reconcile-stock", protect, isAdmin, reconcileProductStock);
+
 // Restock a product (admin only)
 router.patch("/:id/restock", protect, isAdmin, async (req, res) => {
   try {
@@ -45,20 +68,22 @@ router.patch("/:id/restock", protect, isAdmin, async (req, res) => {
       return res.status(400).json({ success: false, error: "Quantity must be a positive integer" });
     }
 
-    const product = await require("../models/Product").findById(req.params.id);
-    if (!product) {
+    const result = await adjustStock({
+      productId: req.params.id,
+      delta: qty,
+      reason: "restock",
+      actor: req.user,
+      note: note || undefined,
+    });
+    if (!result.success) {
       return res.status(404).json({ success: false, error: "Product not found" });
     }
+    const { stockBefore: previousStock, stockAfter: newStock } = result;
 
-    const previousStock = product.stock;
-    const newStock = previousStock + qty;
-
-    const updated = await require("../models/Product").findByIdAndUpdate(
+    const updated = await Product.findByIdAndUpdate(
       req.params.id,
       {
         $set: {
-          stock: newStock,
-          updatedAt: new Date(),
           lastEditedAt: new Date(),
           "lastEditedBy.userId": req.user._id,
           "lastEditedBy.name":   req.user.username || req.user.name || "Admin",
@@ -120,6 +145,24 @@ router.post("/", protect, isAdmin, productValidation, async (req, res) => {
           "Missing required fields: name, price, category, and subCategory are required",
       });
     }
+    if (req.body.gstRate != null && req.body.gstRate !== "" && !isValidGstRate(req.body.gstRate)) {
+      return res.status(400).json({
+        success: false,
+        error: `gstRate must be one of: ${GST_RATES.join(", ")}`,
+      });
+    }
+    const bulk = validateBulkDiscounts(req.body.bulkDiscounts);
+    if (bulk.error) {
+      return res.status(400).json({ success: false, error: bulk.error });
+    }
+    const giftCard = giftCardProductFields(req.body);
+    if (giftCard.error) {
+      return res.status(400).json({ success: false, error: giftCard.error });
+    }
+    const customization = validateCustomizationFields(req.body.customizationFields);
+    if (customization.error) {
+      return res.status(400).json({ success: false, error: customization.error });
+    }
 
     let imagesData = [];
     let singleImageData = null;
@@ -217,6 +260,11 @@ router.post("/", protect, isAdmin, productValidation, async (req, res) => {
         req.body.weightInGrams !== undefined
           ? parseInt(req.body.weightInGrams)
           : 500,
+      hsnCode: req.body.hsnCode ? String(req.body.hsnCode).trim() : null,
+      gstRate:
+        req.body.gstRate != null && req.body.gstRate !== ""
+          ? Number(req.body.gstRate)
+          : null,
       isCustomizable: req.body.isCustomizable === true || req.body.isCustomizable === "true",
       processingDaysMin: req.body.processingDaysMin !== undefined ? parseInt(req.body.processingDaysMin) : 10,
       processingDaysMax: req.body.processingDaysMax !== undefined ? parseInt(req.body.processingDaysMax) : 12,
@@ -230,6 +278,9 @@ router.post("/", protect, isAdmin, productValidation, async (req, res) => {
             sortOrder:      c.sortOrder !== undefined ? parseInt(c.sortOrder) : i,
           }))
         : [],
+      bulkDiscounts: bulk.tiers,
+      customizationFields: customization.fields,
+      ...giftCard.fields,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -255,6 +306,9 @@ router.post("/", protect, isAdmin, productValidation, async (req, res) => {
 
     const product = new Product(productData);
     await product.save();
+    await recordOpeningStock(product, { actor: req.user }).catch((e) =>
+      console.error("[Inventory] Could not record opening stock:", e.message),
+    );
 
     res.status(201).json({
       success: true,
@@ -288,6 +342,18 @@ router.post(
             "Missing required fields: name, price, category, and subCategory are required",
         });
       }
+      const bulk = validateBulkDiscounts(req.body.bulkDiscounts);
+      if (bulk.error) {
+        return res.status(400).json({ success: false, error: bulk.error });
+      }
+      const giftCard = giftCardProductFields(req.body);
+      if (giftCard.error) {
+        return res.status(400).json({ success: false, error: giftCard.error });
+      }
+      const customization = validateCustomizationFields(req.body.customizationFields);
+      if (customization.error) {
+        return res.status(400).json({ success: false, error: customization.error });
+      }
 
       let imagesData = [];
       let singleImageData = null;
@@ -330,6 +396,9 @@ router.post(
           req.body.estimatedDelivery !== undefined
             ? parseInt(req.body.estimatedDelivery)
             : 5,
+        bulkDiscounts: bulk.tiers,
+        customizationFields: customization.fields,
+        ...giftCard.fields,
         createdAt: new Date(),
         updatedAt: new Date(),
       };
@@ -341,6 +410,9 @@ router.post(
 
       const product = new Product(productData);
       await product.save();
+      await recordOpeningStock(product, { actor: req.user }).catch((e) =>
+        console.error("[Inventory] Could not record opening stock:", e.message),
+      );
 
       res.status(201).json({
         success: true,
@@ -445,6 +517,24 @@ router.put("/:id", protect, isAdmin, async (req, res) => {
         error: "Product not found",
       });
     }
+    if (req.body.gstRate != null && req.body.gstRate !== "" && !isValidGstRate(req.body.gstRate)) {
+      return res.status(400).json({
+        success: false,
+        error: `gstRate must be one of: ${GST_RATES.join(", ")}`,
+      });
+    }
+
+    // A running sale owns price / compareAtPrice until it ends
+    const priceEdited =
+      (price && parseFloat(price) !== product.price) ||
+      (req.body.compareAtPrice !== undefined &&
+        (req.body.compareAtPrice ? parseFloat(req.body.compareAtPrice) : null) !== (product.compareAtPrice ?? null));
+    if (product.sale?.saleId && priceEdited) {
+      return res.status(409).json({
+        success: false,
+        error: `This product is in the "${product.sale.name}" sale until ${product.sale.endsAt.toISOString()} — cancel the sale or wait for it to end before changing its price`,
+      });
+    }
 
     const updateData = {
       updatedAt: new Date(),
@@ -466,9 +556,11 @@ router.put("/:id", protect, isAdmin, async (req, res) => {
     if (category) updateData.category = category;
     if (subCategory) updateData.subCategory = subCategory;
 
-    // Update stock/inventory fields
-    if (req.body.stock !== undefined)
-      updateData.stock = parseInt(req.body.stock);
+    // Update stock/inventory fields — stock itself goes through the ledger below
+    const newStock = req.body.stock !== undefined ? parseInt(req.body.stock) : undefined;
+    if (newStock !== undefined && (!Number.isInteger(newStock) || newStock < 0)) {
+      return res.status(400).json({ success: false, error: "Stock must be a whole number of zero or more" });
+    }
     if (req.body.lowStockThreshold !== undefined)
       updateData.lowStockThreshold = parseInt(req.body.lowStockThreshold);
     if (req.body.trackInventory !== undefined)
@@ -477,6 +569,10 @@ router.put("/:id", protect, isAdmin, async (req, res) => {
       updateData.estimatedDelivery = parseInt(req.body.estimatedDelivery);
     if (req.body.weightInGrams !== undefined)
       updateData.weightInGrams = parseInt(req.body.weightInGrams);
+    if (req.body.hsnCode !== undefined)
+      updateData.hsnCode = req.body.hsnCode ? String(req.body.hsnCode).trim() : null;
+    if (req.body.gstRate !== undefined)
+      updateData.gstRate = req.body.gstRate === null || req.body.gstRate === "" ? null : Number(req.body.gstRate);
     if (req.body.isCustomizable !== undefined)
       updateData.isCustomizable = req.body.isCustomizable === true || req.body.isCustomizable === "true";
     if (req.body.processingDaysMin !== undefined)
@@ -485,14 +581,46 @@ router.put("/:id", protect, isAdmin, async (req, res) => {
       updateData.processingDaysMax = parseInt(req.body.processingDaysMax);
     if (req.body.showColorPickerToUsers !== undefined)
       updateData.showColorPickerToUsers = req.body.showColorPickerToUsers === true || req.body.showColorPickerToUsers === "true";
-    if (Array.isArray(req.body.colors))
-      updateData.colors = req.body.colors.map((c, i) => ({
-        name:           String(c.name || "").slice(0, 30),
-        hex:            String(c.hex || "#000000"),
-        stock:          c.stock !== undefined && c.stock !== "" ? parseInt(c.stock) : 0,
-        visibleToUsers: c.visibleToUsers !== false,
-        sortOrder:      c.sortOrder !== undefined ? parseInt(c.sortOrder) : i,
-      }));
+    if (req.body.bulkDiscounts !== undefined) {
+      const bulk = validateBulkDiscounts(req.body.bulkDiscounts);
+      if (bulk.error) {
+        return res.status(400).json({ success: false, error: bulk.error });
+      }
+      updateData.bulkDiscounts = bulk.tiers;
+    }
+    if (req.body.customizationFields !== undefined) {
+      const customization = validateCustomizationFields(req.body.customizationFields);
+      if (customization.error) {
+        return res.status(400).json({ success: false, error: customization.error });
+      }
+      updateData.customizationFields = customization.fields;
+    }
+    if (req.body.productType !== undefined || req.body.giftCardDenominations !== undefined) {
+      const giftCard = giftCardProductFields(req.body, product);
+      if (giftCard.error) {
+        return res.status(400).json({ success: false, error: giftCard.error });
+      }
+      Object.assign(updateData, giftCard.fields);
+    }
+    // Colours are saved below by the inventory service, which owns their stock
+    const colorOptions = Array.isArray(req.body.colors)
+      ? req.body.colors.map((c, i) => ({
+          name:           String(c.name || "").slice(0, 30),
+          hex:            String(c.hex || "#000000"),
+          stock:          c.stock !== undefined && c.stock !== "" ? Number(c.stock) : 0,
+          visibleToUsers: c.visibleToUsers !== false,
+          sortOrder:      c.sortOrder !== undefined ? parseInt(c.sortOrder) : i,
+        }))
+      : null;
+    const invalidColor = colorOptions?.find((c) => !c.name || !Number.isInteger(c.stock) || c.stock < 0);
+    if (invalidColor) {
+      return res.status(400).json({
+        success: false,
+        error: invalidColor.name
+          ? `Stock for "${invalidColor.name}" must be a whole number of zero or more`
+          : "Every colour needs a name",
+      });
+    }
 
     // Handle multiple images update
     if (images && Array.isArray(images) && images.length > 0) {
@@ -617,6 +745,20 @@ router.put("/:id", protect, isAdmin, async (req, res) => {
       }
     }
 
+    if (newStock !== undefined && newStock !== product.stock) {
+      await setStock({ productId: product._id, quantity: newStock, actor: req.user, note: "Edited on product form" });
+    }
+
+    if (colorOptions) {
+      const colorResult = await setColorOptions(product._id, colorOptions, { actor: req.user });
+      if (!colorResult.success) {
+        return res.status(colorResult.code === "PRODUCT_NOT_FOUND" ? 404 : 400).json({
+          success: false,
+          error: colorResult.message,
+        });
+      }
+    }
+
     const updated = await Product.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
     });
@@ -635,6 +777,58 @@ router.put("/:id", protect, isAdmin, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Customization reference photo
+// POST /api/products/:id/customization-image — multipart "image"; the URL
+// returned is the answer to the product's image field (utils/customization.js)
+// ─────────────────────────────────────────────────────────────────────────────
+const customizationUpload = multer({
+  storage: new CloudinaryStorage({
+    cloudinary,
+    params: {
+      folder: CUSTOMIZATION_UPLOAD_FOLDER,
+      allowed_formats: ["jpg", "jpeg", "png", "webp"],
+      transformation: [{ width: 2000, height: 2000, crop: "limit" }, { quality: "auto" }],
+    },
+  }),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    const allowed = ["image/jpeg", "image/png", "image/webp"];
+    if (allowed.includes(file.mimetype)) cb(null, true);
+    else cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed: JPEG, PNG, WebP.`), false);
+  },
+});
+
+router.post("/:id/customization-image", protect, mongoIdValidation(), async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, isActive: true })
+      .select("name customizationFields")
+      .lean();
+    if (!product) {
+      return res.status(404).json({ success: false, error: "Product not found" });
+    }
+    if (!(product.customizationFields || []).some((f) => f.type === "image")) {
+      return res.status(400).json({ success: false, error: `"${product.name}" doesn't take a reference image` });
+    }
+
+    // Upload only once we know the product asks for one
+    await new Promise((resolve, reject) =>
+      customizationUpload.single("image")(req, res, (err) => (err ? reject(err) : resolve())),
+    );
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: "Please choose an image to upload" });
+    }
+
+    res.status(201).json({
+      success: true,
+      image: { url: req.file.path, publicId: req.file.filename },
+    });
+  } catch (err) {
+    console.error("Customization image upload error:", err);
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Stock Alert ("Notify Me") endpoints
 // POST /api/products/:id/notify  — subscribe to back-in-stock alert
@@ -0,0 +1,187 @@
+/**
+ * Promotions — /api/promotions
+ *
+ *   GET    /active  — public: live promotions, for storefront banners
+ *   GET    /        — admin: list (?active&type&page&limit)
+ *   GET    /:id     — admin: one promotion
+ *   POST   /        — admin: create
+ *   PUT    /:id     — admin: update (partial bodies keep the other settings)
+ *   DELETE /:id     — admin: delete (orders keep their own snapshot)
+ *
+ * The rules themselves are in utils/promotions.js; carts and checkout quotes
+ * apply them through services/promotionService.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { protect, isAdmin } = require("../middlewares/authMiddleware");
+const Promotion = require("../models/Promotion");
+const { validatePromotion, describePromotion } = require("../utils/promotions");
+const { getLivePromotions, clearPromotionCache, checkGiftProduct } = require("../services/promotionService");
+
+// Validates the form and, for free gifts, that the gift product can ship
+async function _promotionFields(body, current) {
+  const result = validatePromotion(body, current);
+  if (result.error) return result;
+  if (result.fields.type === "free_gift") {
+    const gift = await checkGiftProduct(result.fields.freeGift);
+    if (!gift.success) return { error: gift.message };
+  }
+  return result;
+}
+
+// Live promotions (public)
+router.get("/active", async (req, res) => {
+  try {
+    const promotions = await getLivePromotions();
+    res.status(200).json({
+      success: true,
+      data: [...promotions]
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+        .map((p) => ({
+          _id: p._id,
+          name: p.name,
+          description: p.description,
+          type: p.type,
+          label: describePromotion(p),
+          applicableCategories: p.applicableCategories,
+          validUntil: p.validUntil || null,
+          combinesWithCoupons: Boolean(p.combinesWithCoupons),
+        })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch promotions",
+      details: error.message,
+    });
+  }
+});
+
+// List promotions (admin only)
+router.get("/", protect, isAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const query = {};
+    if (req.query.active !== undefined) query.isActive = req.query.active === "true";
+    if (req.query.type) {
+      if (!Promotion.PROMOTION_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ success: false, error: "Invalid promotion type" });
+      }
+      query.type = req.query.type;
+    }
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(query).sort({ priority: -1, createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Promotion.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: promotions,
+      pagination: { total, page, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch promotions",
+      details: error.message,
+    });
+  }
+});
+
+// Single promotion (admin only)
+router.get("/:id", protect, isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid promotion ID" });
+    }
+    const promotion = await Promotion.findById(req.params.id)
+      .populate("applicableProducts", "name price")
+      .populate("freeGift.productId", "name price")
+      .populate("createdBy", "email name");
+    if (!promotion) {
+      return res.status(404).json({ success: false, error: "Promotion not found" });
+    }
+    res.status(200).json({ success: true, data: promotion });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch promotion",
+      details: error.message,
+    });
+  }
+});
+
+// Create promotion (admin only)
+router.post("/", protect, isAdmin, async (req, res) => {
+  try {
+    const result = await _promotionFields(req.body);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    const promotion = await Promotion.create({ ...result.fields, createdBy: req.user._id });
+    await clearPromotionCache();
+
+    res.status(201).json({ success: true, data: promotion });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to create promotion",
+      details: error.message,
+    });
+  }
+});
+
+// Update promotion (admin only)
+router.put("/:id", protect, isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid promotion ID" });
+    }
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ success: false, error: "Promotion not found" });
+    }
+
+    const result = await _promotionFields(req.body, promotion.toObject());
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    promotion.set(result.fields);
+    await promotion.save();
+    await clearPromotionCache();
+
+    res.status(200).json({ success: true, data: promotion });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to update promotion",
+      details: error.message,
+    });
+  }
+});
+
+// Delete promotion (admin only)
+router.delete("/:id", protect, isAdmin, async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ success: false, error: "Promotion not found" });
+    }
+    await clearPromotionCache();
+
+    res.status(200).json({ success: true, message: "Promotion deleted successfully" });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete promotion",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
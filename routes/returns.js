@@ -7,6 +7,15 @@ const { body, validationResult } = require("express-validator");
 const multer = require("multer");
 const cloudinary = require("cloudinary").v2;
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
+const Invoice = require("../models/Invoice");
+const { createRefund, refundableAmount } = require("../services/refundService");
+const { restockOrderItems } = require("../services/inventoryService");
+const { reverseReturnPoints } = require("../services/loyaltyService");
+const {
+  issueReturnCreditNote,
+  renderPdf,
+  pdfFileName,
+} = require("../services/invoiceService");
 
 // Configure Cloudinary storage
 const storage = new CloudinaryStorage({
@@ -158,15 +167,15 @@ router.post(
         });
       }
 
-      // Check 3-day return window from delivery date
+      // Check the return window from delivery date
       const deliveredAt = order.deliveredAt || order.updatedAt;
       const daysSinceDelivery = Math.floor(
         (Date.now() - new Date(deliveredAt)) / (1000 * 60 * 60 * 24),
       );
-      if (daysSinceDelivery > 3) {
+      if (daysSinceDelivery > ReturnRequest.RETURN_WINDOW_DAYS) {
         return res.status(400).json({
           success: false,
-          error: "Return window expired (3 days after delivery)",
+          error: `Return window expired (${ReturnRequest.RETURN_WINDOW_DAYS} days after delivery)`,
         });
       }
 
@@ -179,11 +188,27 @@ router.post(
           }))
         : [];
 
+      // Each returned line carries the variant / colour it was sold as, so it
+      // goes back into the right stock when received
+      const returnItems = parsedItems.map((item) => {
+        const sold = order.items.find(
+          (line) =>
+            String(line.product?._id) === String(item.productId) &&
+            (!item.variantId || line.variant?.variantId === item.variantId) &&
+            (!item.colorName || line.variant?.color === item.colorName),
+        );
+        return {
+          ...item,
+          variantId: sold?.variant?.variantId || null,
+          colorName: sold?.variant?.color || null,
+        };
+      });
+
       const returnRequest = new ReturnRequest({
         orderId: req.body.orderId,
         userId: req.user._id,
         userEmail: req.user.email,
-        items: parsedItems,
+        items: returnItems,
         returnType: req.body.returnType,
         reason: req.body.reason,
         reasonDetails: req.body.reasonDetails,
@@ -224,27 +249,66 @@ router.put(
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const existing = await ReturnRequest.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: "Return request not found",
+        });
+      }
+
+      const refundAmount = Number(req.body.refundAmount);
+      const refundNow = refundAmount > 0;
+      const toWallet = req.body.refundMethod !== "original_payment";
+      const order = refundNow ? await Order.findById(existing.orderId) : null;
+      if (refundNow && (!order || refundAmount > refundableAmount(order))) {
+        return res.status(400).json({
+          success: false,
+          error: order
+            ? `Refund amount exceeds the refundable balance of ₹${refundableAmount(order)}`
+            : "Order not found for this return request",
+        });
+      }
+
       const returnRequest = await ReturnRequest.findByIdAndUpdate(
         req.params.id,
         {
           status: "approved",
-          refundAmount: req.body.refundAmount,
+          refundAmount,
           refundMethod: req.body.refundMethod,
           returnAddress: req.body.returnAddress || undefined,
         },
         { new: true },
       );
 
-      if (!returnRequest) {
-        return res.status(404).json({
-          success: false,
-          error: "Return request not found",
+      // Refunds go out straight away — card/UPI through Razorpay (any part
+      // paid from the wallet back to the wallet), "wallet"/"credit" and cash-on-
+      // delivery orders entirely as store credit. A failed refund stays on the
+      // order for an admin to retry.
+      let refund = null;
+      if (refundNow && !existing.refund?.status) {
+        const result = await createRefund(order, {
+          amount: refundAmount,
+          reason: `Return request #${returnRequest._id.toString().slice(-6).toUpperCase()}`,
+          returnRequestId: returnRequest._id,
+          initiatedBy: req.user._id,
+          toWallet,
         });
+        if (!result.success) {
+          return res.status(400).json({ success: false, error: result.message, data: returnRequest });
+        }
+        refund = result.refund;
       }
 
       res.status(200).json({
         success: true,
-        data: returnRequest,
+        data: await ReturnRequest.findById(returnRequest._id),
+        refund,
       });
     } catch (error) {
       res.status(500).json({
@@ -323,6 +387,34 @@ router.put(
         });
       }
 
+      // Received items go back on the shelf — once per return; pass
+      // restock: false for damaged goods that can't be resold
+      if (returnRequest.status === "received" && req.body.restock !== false) {
+        const claimed = await ReturnRequest.updateOne(
+          { _id: returnRequest._id, restockedAt: null },
+          { $set: { restockedAt: new Date() } },
+        );
+        if (claimed.modifiedCount === 1) {
+          await restockOrderItems(returnRequest.items, {
+            reason: "return",
+            actor: req.user,
+            orderId: returnRequest.orderId,
+            returnRequestId: returnRequest._id,
+          }).catch((e) => console.error("[Returns] Stock restore failed:", e.message));
+        }
+      }
+
+      // Refunded returns reverse the original invoice with a GST credit note
+      if (returnRequest.status === "refunded") {
+        issueReturnCreditNote(returnRequest).catch((e) =>
+          console.error("[Invoice] Could not issue credit note:", e.message),
+        );
+        // ...and take back the loyalty points the returned items earned
+        reverseReturnPoints(returnRequest).catch((e) =>
+          console.error("[Loyalty] Could not reverse return points:", e.message),
+        );
+      }
+
       res.status(200).json({
         success: true,
         data: returnRequest,
@@ -377,4 +469,41 @@ router.get("/admin/all", protect, isAdmin, async (req, res) => {
   }
 });
 
+// Download the credit note PDF for a refunded return (owner or admin)
+router.get("/:id/credit-note", protect, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (
+      !returnRequest ||
+      (!req.user.isAdmin && String(returnRequest.userId) !== String(req.user._id))
+    ) {
+      return res.status(404).json({
+        success: false,
+        error: "Return request not found",
+      });
+    }
+
+    const creditNote =
+      (await Invoice.findOne({ returnRequestId: returnRequest._id, type: "credit_note" })) ||
+      (returnRequest.status === "refunded" ? await issueReturnCreditNote(returnRequest) : null);
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        error: "No credit note has been issued for this return",
+      });
+    }
+
+    const pdf = await renderPdf(creditNote);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${pdfFileName(creditNote)}"`);
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate credit note",
+      details: error.message,
+    });
+  }
+});
+
 module.exports = router;
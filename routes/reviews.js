@@ -5,6 +5,7 @@ const Order = require("../models/Order");
 const { protect, isAdmin } = require("../middlewares/authMiddleware");
 const { uploadBase64Image, deleteImage } = require("../config/cloudinary");
 const { runReviewModerationAgent } = require("../controllers/reviewAgentController");
+const { awardReviewPoints } = require("../services/loyaltyService");
 
 // Get all reviews for a product (public)
 router.get("/product/:productId", async (req, res) => {
@@ -513,6 +514,13 @@ router.put("/:reviewId/moderate", protect, isAdmin, async (req, res) => {
 
     if (!review) return res.status(404).json({ success: false, error: "Review not found" });
 
+    // Verified-purchase reviews earn bonus points once
+    if (review.status === "approved") {
+      await awardReviewPoints(review).catch((e) =>
+        console.error("Warning: Could not award review points -", e.message),
+      );
+    }
+
     res.json({ success: true, review });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -0,0 +1,129 @@
+/**
+ * Scheduled sales — /api/sales
+ *
+ *   GET  /active      — public: running sales and those starting within a week
+ *   GET  /            — admin: list (?status&page&limit)
+ *   GET  /:id         — admin: one sale, with the products it changed
+ *   POST /            — admin: schedule a sale (starts at once if startsAt has passed)
+ *   PUT  /:id         — admin: edit a sale that hasn't started
+ *   POST /:id/cancel  — admin: stop a sale and restore regular prices
+ *
+ * Prices change on schedule through jobs/saleSchedulerJob.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { protect, isAdmin } = require("../middlewares/authMiddleware");
+const Sale = require("../models/Sale");
+const {
+  createSale,
+  updateSale,
+  cancelSale,
+  getStorefrontSales,
+} = require("../services/saleService");
+
+const SALE_ERROR_STATUS = {
+  INVALID_SALE: 400,
+  SALE_NOT_FOUND: 404,
+  SALE_NOT_EDITABLE: 409,
+  SALE_FINISHED: 409,
+  CONCURRENT_UPDATE: 409,
+};
+
+const _fail = (res, result) =>
+  res.status(SALE_ERROR_STATUS[result.code] || 400).json({ success: false, code: result.code, error: result.message });
+
+const _validId = (req, res, next) =>
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? next()
+    : res.status(400).json({ success: false, error: "Invalid sale ID" });
+
+// Running and upcoming sales (public)
+router.get("/active", async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getStorefrontSales() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Failed to fetch sales", details: error.message });
+  }
+});
+
+// List sales (admin only)
+router.get("/", protect, isAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const query = {};
+    if (req.query.status) {
+      if (!Sale.SALE_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: "Invalid status" });
+      }
+      query.status = req.query.status;
+    }
+
+    const [sales, total] = await Promise.all([
+      Sale.find(query).select("-products -skipped").sort({ startsAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Sale.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: sales,
+      pagination: { total, page, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Failed to fetch sales", details: error.message });
+  }
+});
+
+// Single sale (admin only)
+router.get("/:id", protect, isAdmin, _validId, async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id)
+      .populate("products.productId", "name price compareAtPrice")
+      .populate("skipped.productId", "name price")
+      .populate("createdBy", "email name");
+    if (!sale) return res.status(404).json({ success: false, error: "Sale not found" });
+    res.status(200).json({ success: true, data: sale });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Failed to fetch sale", details: error.message });
+  }
+});
+
+// Schedule a sale (admin only)
+router.post("/", protect, isAdmin, async (req, res) => {
+  try {
+    const result = await createSale(req.body, req.user);
+    if (!result.success) return _fail(res, result);
+    res.status(201).json({ success: true, data: result.sale });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Failed to create sale", details: error.message });
+  }
+});
+
+// Edit a scheduled sale (admin only)
+router.put("/:id", protect, isAdmin, _validId, async (req, res) => {
+  try {
+    const result = await updateSale(req.params.id, req.body);
+    if (!result.success) return _fail(res, result);
+    res.status(200).json({ success: true, data: result.sale });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Failed to update sale", details: error.message });
+  }
+});
+
+// Cancel a sale (admin only)
+router.post("/:id/cancel", protect, isAdmin, _validId, async (req, res) => {
+  try {
+    const result = await cancelSale(req.params.id, req.user);
+    if (!result.success) return _fail(res, result);
+    res.status(200).json({
+      success: true,
+      message: result.reverted ? `Sale cancelled — ${result.reverted} product price(s) restored` : "Sale cancelled",
+      data: result.sale,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Failed to cancel sale", details: error.message });
+  }
+});
+
+module.exports = router;
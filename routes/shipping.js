@@ -10,9 +10,18 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
-const Product = require("../models/Product");
-const Notification = require("../models/Notification");
 const { protect } = require("../middlewares/authMiddleware");
+const { transitionOrder } = require("../services/orderLifecycleService");
+const { modifyOrderItems } = require("../services/orderModificationService");
+
+const MODIFY_ERROR_STATUS = {
+  INVALID_CHANGES: 400,
+  INVALID_QUANTITY: 400,
+  ITEM_NOT_FOUND: 404,
+  ORDER_NOT_MODIFIABLE: 400,
+  CANCEL_WHOLE_ORDER: 409,
+  CONCURRENT_UPDATE: 409,
+};
 
 const validateObjectId = (res, id) => {
   if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -82,6 +91,7 @@ router.post("/cancel/:orderId", protect, async (req, res) => {
     if (order.userId.toString() !== req.user._id.toString()) {
       return res.status(403).json({ success: false, error: "Access denied" });
     }
+    // Customers may cancel until the order ships (pending orders just expire)
     if (!["confirmed", "processing"].includes(order.status)) {
       return res.status(400).json({
         success: false,
@@ -89,40 +99,63 @@ router.post("/cancel/:orderId", protect, async (req, res) => {
       });
     }
 
-    // Restore product stock
-    for (const item of order.items) {
-      if (item.product?._id) {
-        await Product.findByIdAndUpdate(item.product._id, {
-          $inc: { stock: item.quantity },
-        }).catch(() => {});
-      }
+    const reason = String(req.body?.reason || "").trim();
+    const result = await transitionOrder(order, "cancelled", {
+      actor: req.user,
+      source: "customer",
+      reason: reason ? `Cancelled by customer: ${reason}` : "Cancelled by customer",
+      description: "Order was cancelled by the customer",
+    });
+    if (!result.success) {
+      return res.status(409).json({ success: false, code: result.code, error: result.message });
     }
 
-    order.status = "cancelled";
-    order.timeline.push({
-      status: "cancelled",
-      title: "Order Cancelled",
-      description: "Order was cancelled by the customer",
-      timestamp: new Date(),
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+      refund: result.refund?.success ? result.refund.refund : null,
     });
-    await order.save();
-
-    // Notify admins
-    Notification.create({
-      type: "cancelled",
-      message: `Order #${order._id.toString().slice(-6).toUpperCase()} was cancelled by the customer`,
-      orderId: order._id,
-      read: false,
-      meta: { userId: order.userId, totalAmount: order.totalAmount },
-    }).catch(() => {});
-
-    res.json({ success: true, message: "Order cancelled successfully" });
   } catch (err) {
     console.error("[Shipping] Cancel error:", err.message);
     res.status(500).json({ success: false, error: "Failed to cancel order" });
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /api/shipping/cancel/:orderId/items — cancels some items or units
+// body: { items: [{ itemId, quantity }], reason } — quantity is what to keep
+// ─────────────────────────────────────────────────────────────────────────────
+router.post("/cancel/:orderId/items", protect, async (req, res) => {
+  try {
+    if (!validateObjectId(res, req.params.orderId)) return;
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return res.status(404).json({ success: false, error: "Order not found" });
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+
+    const reason = String(req.body?.reason || "").trim().slice(0, 300);
+    const result = await modifyOrderItems(order, req.body?.items, {
+      actor: req.user,
+      source: "customer",
+      reason: reason ? `Cancelled by customer: ${reason}` : "Cancelled by customer",
+    });
+    if (!result.success) {
+      return res.status(MODIFY_ERROR_STATUS[result.code] || 409).json({ success: false, code: result.code, error: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: result.cancelled ? "Order cancelled successfully" : "Items cancelled successfully",
+      order: result.order,
+      refund: result.refund?.success ? result.refund.refund : null,
+    });
+  } catch (err) {
+    console.error("[Shipping] Item cancel error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to cancel items" });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/shipping/return/:orderId — disabled until Shiprocket is integrated
 // ─────────────────────────────────────────────────────────────────────────────
@@ -56,6 +56,16 @@ app.use(
   }),
 );
 
+// ── Razorpay webhook ──────────────────────────────────────────────────────────
+// Server-to-server: Razorpay sends no Origin header (so this sits before CORS),
+// signs the raw body (so it gets express.raw, not the JSON parser) and retries
+// on failure (so it is not rate limited). CSRF is skipped via skipPaths below.
+app.use(
+  "/api/payment/webhook",
+  express.raw({ type: "*/*", limit: "1mb" }),
+  require("./routes/paymentWebhook"),
+);
+
 app.use(
   cors({
     origin: (origin, callback) => {
@@ -219,9 +229,15 @@ app.use("/api/admin", protect, isAdmin, adminRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/orders", protect, require("./routes/order"));
 app.use("/api/cart", protect, require("./routes/cart"));
+app.use("/api/production", protect, require("./routes/production"));
+// Server-authoritative checkout pricing (quote → POST /api/payment)
+app.use("/api/checkout", protect, strictLimiter, require("./routes/checkout"));
 app.use("/api/payment", strictLimiter, require("./routes/payment")); // Strict limiting for payments
 app.use("/api/reviews", require("./routes/reviews"));
 app.use("/api/coupons", require("./routes/coupons"));
+app.use("/api/promotions", require("./routes/promotions"));
+app.use("/api/sales", require("./routes/sales"));
+app.use("/api/gift-cards", require("./routes/giftCards"));
 app.use("/api/qna", require("./routes/qna"));
 app.use("/api/returns", require("./routes/returns"));
 // Shiprocket shipping integration (webhook is public, rest is protected inside the router)
@@ -304,6 +320,46 @@ cron.schedule("0 10 * * *", () => {
   require("./jobs/abandonedCartJob")();
 }, { timezone: "Asia/Kolkata" });
 
+// ── Pending order reconciliation — every 15 minutes ──────────────────────────
+cron.schedule("*/15 * * * *", () => {
+  require("./jobs/pendingOrderJob")();
+});
+
+// ── Stock reservation expiry — every 5 minutes ──────────────────────────────
+cron.schedule("*/5 * * * *", () => {
+  require("./jobs/stockReservationJob")();
+});
+
+// ── Loyalty points expiry — daily at 02:30 AM IST ────────────────────────────
+cron.schedule("30 2 * * *", () => {
+  require("./jobs/loyaltyExpiryJob")();
+}, { timezone: "Asia/Kolkata" });
+
+// ── Referral qualification — daily at 03:00 AM IST ───────────────────────────
+cron.schedule("0 3 * * *", () => {
+  require("./jobs/referralJob")();
+}, { timezone: "Asia/Kolkata" });
+
+// ── Gift card delivery — every 10 minutes ────────────────────────────────────
+cron.schedule("*/10 * * * *", () => {
+  require("./jobs/giftCardDeliveryJob")();
+});
+
+// ── Scheduled sales — every minute, so flash sales start and stop on time ────
+cron.schedule("* * * * *", () => {
+  require("./jobs/saleSchedulerJob")();
+});
+
+// ── Production overdue alerts — daily at 09:30 AM IST ───────────────────────
+cron.schedule("30 9 * * *", () => {
+  require("./jobs/productionOverdueJob")();
+}, { timezone: "Asia/Kolkata" });
+
+// ── Payment reconciliation report — daily at 09:00 AM IST ────────────────────
+cron.schedule("0 9 * * *", () => {
+  require("./jobs/reconciliationReportJob")();
+}, { timezone: "Asia/Kolkata" });
+
 // ── WhatsApp retry cron — every 10 minutes, sweep failed/pending logs ─────────
 cron.schedule("*/10 * * * *", async () => {
   try {
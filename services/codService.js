@@ -0,0 +1,152 @@
+/**
+ * Cash-on-delivery confirmation codes.
+ *
+ * When COD_REQUIRE_VERIFICATION is on, a COD order stays "pending" until the
+ * customer enters the 6-digit code sent to them (WhatsApp, falling back to
+ * email). Only a hash of the code is stored on the order.
+ *
+ *   sendVerificationCode() — issue (or re-issue) a code, throttled
+ *   verifyCode()           — check a code and confirm the order
+ *
+ * Functions return result objects ({ success, code, message }); routes map
+ * `code` to an HTTP status.
+ */
+
+const crypto = require("crypto");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const { enqueueEmail } = require("../utils/emailQueue");
+const { sendCodVerificationCode } = require("../utils/emailService");
+const { sendCodOtp } = require("./whatsappService");
+const { confirmCodOrder } = require("./paymentService");
+
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_MAX_SENDS = 5;
+const OTP_RESEND_AFTER_SECONDS = 60;
+
+function _hash(orderId, otp) {
+  const secret = process.env.JWT_SECRET || "cod-otp";
+  return crypto.createHmac("sha256", secret).update(`${orderId}:${otp}`).digest("hex");
+}
+
+function _safeEqual(a, b) {
+  const left = Buffer.from(String(a || ""), "hex");
+  const right = Buffer.from(String(b || ""), "hex");
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+function _awaitingVerification(order) {
+  return (
+    order.paymentMethod === "cod" &&
+    order.status === "pending" &&
+    order.codVerification?.required &&
+    !order.codVerification.verifiedAt
+  );
+}
+
+/**
+ * Issues a new code for a pending COD order and sends it to the customer.
+ *
+ * @param {object} order - Order document
+ * @returns {Promise<{ success, channel?, expiresAt?, code?, message?, retryAfter? }>}
+ */
+async function sendVerificationCode(order) {
+  if (!_awaitingVerification(order)) {
+    return { success: false, code: "NOT_AWAITING_VERIFICATION", message: "This order is not waiting for confirmation." };
+  }
+
+  const { sentCount = 0, lastSentAt } = order.codVerification;
+  if (sentCount >= OTP_MAX_SENDS) {
+    return { success: false, code: "TOO_MANY_CODES", message: "Too many codes requested for this order. Please contact support." };
+  }
+  if (lastSentAt) {
+    const wait = Math.ceil((lastSentAt.getTime() + OTP_RESEND_AFTER_SECONDS * 1000 - Date.now()) / 1000);
+    if (wait > 0) {
+      return { success: false, code: "RESEND_TOO_SOON", message: `Please wait ${wait}s before requesting a new code.`, retryAfter: wait };
+    }
+  }
+
+  const otp = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+  // Compare-and-set on sentCount so two resend clicks can't both issue a code
+  const claimed = await Order.updateOne(
+    { _id: order._id, "codVerification.sentCount": sentCount, "codVerification.verifiedAt": null },
+    {
+      $set: {
+        "codVerification.otpHash": _hash(order._id, otp),
+        "codVerification.expiresAt": expiresAt,
+        "codVerification.attempts": 0,
+        "codVerification.lastSentAt": new Date(),
+      },
+      $inc: { "codVerification.sentCount": 1 },
+    },
+  );
+  if (claimed.modifiedCount !== 1) {
+    return { success: false, code: "RESEND_TOO_SOON", message: "A code was just sent. Please check your messages.", retryAfter: OTP_RESEND_AFTER_SECONDS };
+  }
+
+  const user = await User.findById(order.userId).select("username email phone").lean();
+  let channel = "whatsapp";
+  const sent = await sendCodOtp(order, user, otp).catch((e) => {
+    console.error("[COD] WhatsApp code failed:", e.message);
+    return false;
+  });
+  if (!sent) {
+    if (!user?.email) {
+      return { success: false, code: "NO_CONTACT", message: "We couldn't reach you on WhatsApp or email to confirm this order." };
+    }
+    channel = "email";
+    enqueueEmail(() => sendCodVerificationCode(order, user, otp));
+  }
+  await Order.updateOne({ _id: order._id }, { $set: { "codVerification.channel": channel } });
+
+  return { success: true, channel, expiresAt };
+}
+
+/**
+ * Checks a code and, when it matches, confirms the order.
+ *
+ * @param {object} order - Order document
+ * @param {string} otp
+ * @returns {Promise<{ success, order?, alreadyConfirmed?, code?, message?, attemptsLeft? }>}
+ */
+async function verifyCode(order, otp) {
+  if (order.paymentMethod === "cod" && order.codVerification?.verifiedAt) {
+    return { success: true, order, alreadyConfirmed: true };
+  }
+  if (!_awaitingVerification(order)) {
+    return { success: false, code: "NOT_AWAITING_VERIFICATION", message: "This order is not waiting for confirmation." };
+  }
+
+  const verification = order.codVerification;
+  if (!verification.otpHash || !verification.expiresAt || verification.expiresAt < new Date()) {
+    return { success: false, code: "CODE_EXPIRED", message: "This code has expired. Request a new one." };
+  }
+  if (verification.attempts >= OTP_MAX_ATTEMPTS) {
+    return { success: false, code: "TOO_MANY_ATTEMPTS", message: "Too many incorrect attempts. Request a new code." };
+  }
+
+  if (!_safeEqual(_hash(order._id, String(otp).trim()), verification.otpHash)) {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id },
+      { $inc: { "codVerification.attempts": 1 } },
+      { new: true },
+    );
+    return {
+      success: false,
+      code: "INVALID_CODE",
+      message: "That code is incorrect.",
+      attemptsLeft: Math.max(0, OTP_MAX_ATTEMPTS - (updated?.codVerification?.attempts || OTP_MAX_ATTEMPTS)),
+    };
+  }
+
+  return confirmCodOrder(order._id, { verifiedVia: "otp" });
+}
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  sendVerificationCode,
+  verifyCode,
+};
@@ -0,0 +1,238 @@
+/**
+ * Coupon service — evaluation, redemption and release.
+ *
+ * Lifecycle:
+ *   evaluateCoupon() — quote / order creation: scope, limits, discount amount
+ *   claimCoupon()    — POST /api/payment and /cod: takes the use as the order is
+ *                      opened, refusing it past maxUses / maxUsesPerUser
+ *   redeemCoupon()   — consumes one use atomically; the confirmation transaction
+ *                      calls it for orders that haven't claimed theirs
+ *   releaseCoupon()  — order cancelled or expired: gives the use back
+ *
+ * Evaluation returns result objects ({ success, code, message }) like the
+ * quote service; redemption and release are safe to call more than once for
+ * the same order because Order.discount records redeemedAt / releasedAt.
+ */
+
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const Notification = require("../models/Notification");
+const { round2, couponDiscount } = require("../utils/pricing");
+
+const MAX_REDEEM_ATTEMPTS = 3;
+
+async function findActiveCoupon(code, session = null) {
+  return Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+    isActive: true,
+    validFrom: { $lte: new Date() },
+    $or: [{ validUntil: { $gte: new Date() } }, { validUntil: null }],
+  }).session(session);
+}
+
+function _userUseCount(coupon, userId) {
+  if (!userId) return 0;
+  const entry = coupon.usedBy?.find((u) => String(u.userId) === String(userId));
+  return entry?.usedCount || 0;
+}
+
+/** True when the line falls inside the coupon's category / product scope. */
+function isLineEligible(coupon, line) {
+  const categories = coupon.applicableCategories || [];
+  const products = (coupon.applicableProducts || []).map(String);
+  if (!categories.length && !products.length) return true;
+  if (products.length && products.includes(String(line.productId))) return true;
+  if (categories.length && categories.some((c) => c.toLowerCase() === String(line.category || "").toLowerCase())) return true;
+  return false;
+}
+
+/**
+ * Checks a coupon against a priced cart.
+ *
+ * @param {string} code
+ * @param {object} params
+ * @param {ObjectId} [params.userId] - enables the per-user limit check
+ * @param {Array}    params.lines    - [{ productId, category, lineTotal }]
+ * @returns {object} { success: true, coupon, discount, eligibleSubtotal } or { success: false, code, message }
+ */
+async function evaluateCoupon(code, { userId, lines }) {
+  const coupon = await findActiveCoupon(code);
+  if (!coupon) {
+    return { success: false, code: "INVALID_COUPON", message: "Invalid or expired coupon code" };
+  }
+
+  if (coupon.maxUses && coupon.useCount >= coupon.maxUses) {
+    return { success: false, code: "INVALID_COUPON", message: "Coupon usage limit exceeded" };
+  }
+
+  if (userId && coupon.maxUsesPerUser && _userUseCount(coupon, userId) >= coupon.maxUsesPerUser) {
+    return { success: false, code: "INVALID_COUPON", message: "You have already used this coupon" };
+  }
+
+  const cartTotal = round2(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+  if (coupon.minCartValue && cartTotal < coupon.minCartValue) {
+    return {
+      success: false,
+      code: "INVALID_COUPON",
+      message: `Minimum cart value of ${coupon.minCartValue} required`,
+    };
+  }
+
+  const eligibleSubtotal = round2(
+    lines.filter((l) => isLineEligible(coupon, l)).reduce((sum, l) => sum + l.lineTotal, 0),
+  );
+  if (eligibleSubtotal <= 0) {
+    return {
+      success: false,
+      code: "INVALID_COUPON",
+      message: "This coupon does not apply to any item in your cart",
+    };
+  }
+
+  return {
+    success: true,
+    coupon,
+    eligibleSubtotal,
+    discount: {
+      code: coupon.code,
+      type: coupon.discountType,
+      amount: couponDiscount(coupon, eligibleSubtotal),
+    },
+  };
+}
+
+/**
+ * Consumes one use of `code` for `userId`.
+ *
+ * Runs a compare-and-set on useCount and the customer's own count so
+ * concurrent checkouts can't both take the last use. With `enforceLimits` a
+ * coupon past its limits isn't touched (redeemed: false); without it — payment
+ * already captured — the use is still recorded (overLimit: true) and flagged
+ * to admins rather than failing the order.
+ *
+ * @returns {Promise<{ redeemed: boolean, overLimit: boolean }>}
+ */
+async function redeemCoupon(code, userId, { session = null, enforceLimits = false } = {}) {
+  const now = new Date();
+
+  for (let attempt = 0; attempt < MAX_REDEEM_ATTEMPTS; attempt++) {
+    const coupon = await Coupon.findOne({ code: String(code).toUpperCase() }).session(session);
+    if (!coupon) return { redeemed: false, overLimit: false };
+
+    const userCount = _userUseCount(coupon, userId);
+    const overLimit =
+      Boolean(coupon.maxUses && coupon.useCount >= coupon.maxUses) ||
+      Boolean(coupon.maxUsesPerUser && userCount >= coupon.maxUsesPerUser);
+    if (overLimit && enforceLimits) return { redeemed: false, overLimit };
+
+    const hasEntry = coupon.usedBy?.some((u) => String(u.userId) === String(userId));
+    const filter = hasEntry
+      ? { _id: coupon._id, useCount: coupon.useCount, usedBy: { $elemMatch: { userId, usedCount: userCount } } }
+      : { _id: coupon._id, useCount: coupon.useCount, "usedBy.userId": { $ne: userId } };
+    const update = hasEntry
+      ? {
+          $inc: { useCount: 1, "usedBy.$.usedCount": 1 },
+          $set: { "usedBy.$.lastUsedAt": now, updatedAt: now },
+        }
+      : {
+          $inc: { useCount: 1 },
+          $push: { usedBy: { userId, usedCount: 1, lastUsedAt: now } },
+          $set: { updatedAt: now },
+        };
+
+    const result = await Coupon.updateOne(filter, update, { session });
+    if (result.modifiedCount === 1) return { redeemed: true, overLimit };
+  }
+
+  throw new Error(`Could not redeem coupon ${code} — too many concurrent updates`);
+}
+
+/**
+ * Takes the use of a quote's coupon as checkout opens the order. The order
+ * is created with discount.redeemedAt set, so confirmation doesn't take a
+ * second use and cancellation / expiry gives this one back; if the order is
+ * never created, releaseCoupon() undoes the claim.
+ *
+ * @returns {Promise<{ success, redeemedAt?, code?, message? }>}
+ */
+async function claimCoupon(code, userId) {
+  const { redeemed, overLimit } = await redeemCoupon(code, userId, { enforceLimits: true });
+  if (redeemed) return { success: true, redeemedAt: new Date() };
+  return {
+    success: false,
+    code: "COUPON_NO_LONGER_VALID",
+    message: overLimit
+      ? "This coupon has reached its usage limit. Please review your cart again."
+      : "This coupon is no longer available. Please review your cart again.",
+  };
+}
+
+/** Gives back one use of `code` for `userId`. No-op if nothing was recorded. */
+async function releaseCoupon(code, userId, { session = null } = {}) {
+  const result = await Coupon.updateOne(
+    {
+      code: String(code).toUpperCase(),
+      useCount: { $gt: 0 },
+      usedBy: { $elemMatch: { userId, usedCount: { $gt: 0 } } },
+    },
+    {
+      $inc: { useCount: -1, "usedBy.$.usedCount": -1 },
+      $set: { updatedAt: new Date() },
+    },
+    { session },
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Redeems the coupon on an order document (in-memory; caller saves).
+ * Call inside the payment transaction before order.save({ session }).
+ */
+async function redeemOrderCoupon(order, { session = null } = {}) {
+  if (!order.discount?.code || order.discount.redeemedAt) return;
+
+  const { redeemed, overLimit } = await redeemCoupon(order.discount.code, order.userId, { session });
+  if (!redeemed) return;
+
+  order.discount.redeemedAt = new Date();
+  order.discount.releasedAt = null;
+
+  if (overLimit) {
+    Notification.create({
+      type: "system",
+      message: `⚠️ Coupon ${order.discount.code} was redeemed past its usage limit on order #${order._id.toString().slice(-6).toUpperCase()}`,
+      orderId: order._id,
+      read: false,
+      meta: { couponCode: order.discount.code, userId: order.userId },
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Releases a redeemed coupon when an order is cancelled or expires unpaid.
+ * Persists discount.releasedAt so repeated cancels don't release twice.
+ */
+async function releaseOrderCoupon(order) {
+  if (!order?.discount?.code || !order.discount.redeemedAt || order.discount.releasedAt) return false;
+
+  // Claim the release on the order first — only one caller wins
+  const claimed = await Order.updateOne(
+    { _id: order._id, "discount.redeemedAt": { $ne: null }, "discount.releasedAt": null },
+    { $set: { "discount.releasedAt": new Date() } },
+  );
+  if (claimed.modifiedCount !== 1) return false;
+
+  await releaseCoupon(order.discount.code, order.userId);
+  return true;
+}
+
+module.exports = {
+  findActiveCoupon,
+  isLineEligible,
+  evaluateCoupon,
+  claimCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  redeemOrderCoupon,
+  releaseOrderCoupon,
+};
@@ -0,0 +1,498 @@
+/**
+ * Gift cards — purchase, delivery, balance and redemption.
+ *
+ * Purchase:
+ *   startPurchase()       — POST /api/gift-cards/purchase: a pending card for the Razorpay order
+ *   completePurchase()    — verify callback and the payment.captured webhook
+ *   issueGiftCard()       — admin issuance, no payment
+ *
+ * Delivery:
+ *   deliverGiftCard()     — generates the code and emails it through the email queue
+ *   deliverDueGiftCards() — jobs/giftCardDeliveryJob.js: cards whose send date has come
+ *
+ * Checkout (a way to pay, like the wallet — never a discount):
+ *   findRedeemableCard()  — quote: what the card can cover
+ *   redeemGiftCard()      — POST /api/payment, before the order is opened
+ *   reverseGiftCardRedemption() — payment failed / unpaid order cancelled or expired
+ *
+ * Refunds of what a gift card paid go to the customer's wallet
+ * (services/refundService.js), not back onto the card.
+ *
+ * Functions return result objects ({ success, code, message }); routes map
+ * `code` to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const GiftCard = require("../models/GiftCard");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { enqueueEmail } = require("../utils/emailQueue");
+const { sendGiftCardEmail } = require("../utils/emailService");
+const { round2 } = require("../utils/pricing");
+const {
+  MAX_SCHEDULE_DAYS,
+  MIN_DENOMINATION,
+  MAX_DENOMINATION,
+  VALIDITY_DAYS,
+  generateGiftCardCode,
+  hashGiftCardCode,
+  codeLast4,
+  giftCardExpiry,
+} = require("../utils/giftCard");
+
+const BATCH_SIZE = 200; // safety cap per run
+const MAX_DELIVERY_ATTEMPTS = 5;
+const CLAIM_TIMEOUT_MINUTES = 15; // a delivery that never reported back is retried
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const _orderRef = (orderId) => `#${String(orderId).slice(-6).toUpperCase()}`;
+
+function _actor(user) {
+  if (!user?._id) return undefined;
+  return { userId: user._id, name: user.username || user.email };
+}
+
+/** Validates a send date: now when empty, never more than MAX_SCHEDULE_DAYS ahead. */
+function _sendAt(value) {
+  if (value == null || value === "") return { sendAt: new Date() };
+  const sendAt = new Date(value);
+  if (Number.isNaN(sendAt.getTime())) return { error: "Invalid send date" };
+  const latest = new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000);
+  if (sendAt > latest) return { error: `Delivery can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+  return { sendAt: sendAt < new Date() ? new Date() : sendAt };
+}
+
+/** Why a card can't be spent right now, or null. */
+function _unusable(card, now = new Date()) {
+  if (!card || card.status === "pending_payment") return "not_found";
+  if (card.status === "void") return "void";
+  if (card.expiresAt && card.expiresAt <= now) return "expired";
+  if (!(card.balance > 0)) return "empty";
+  return null;
+}
+
+const UNUSABLE_MESSAGES = {
+  not_found: "Gift card not found. Please check the code.",
+  void: "This gift card has been cancelled.",
+  expired: "This gift card has expired.",
+  empty: "This gift card has no balance left.",
+};
+
+/**
+ * Update pipeline that moves a card's balance by `delta` and appends the
+ * matching ledger row in one atomic write. `floorAtVoid` keeps a voided
+ * card at zero.
+ */
+function _balanceChange(delta, { type, orderId, note }, { floorAtVoid = false } = {}) {
+  const moved = { $round: [{ $add: ["$balance", delta] }, 2] };
+  const balance = floorAtVoid ? { $cond: [{ $eq: ["$status", "void"] }, 0, moved] } : moved;
+  return [
+    {
+      $set: {
+        balance,
+        transactions: {
+          $concatArrays: [
+            "$transactions",
+            [{
+              _id: new mongoose.Types.ObjectId(),
+              type,
+              amount: delta,
+              balanceAfter: balance,
+              orderId: new mongoose.Types.ObjectId(String(orderId)),
+              note: { $literal: note },
+              at: "$$NOW",
+            }],
+          ],
+        },
+      },
+    },
+  ];
+}
+
+/** Public view of a card (no code or delivery internals). */
+function serializeGiftCard(card) {
+  return {
+    id: card._id,
+    status: card.status,
+    last4: card.last4,
+    initialValue: card.initialValue,
+    balance: card.balance,
+    currency: card.currency,
+    recipient: card.recipient,
+    senderName: card.senderName,
+    message: card.message,
+    sendAt: card.delivery?.sendAt || null,
+    sentAt: card.delivery?.sentAt || null,
+    expiresAt: card.expiresAt || null,
+    createdAt: card.createdAt,
+  };
+}
+
+// ── Purchase & issuance ──────────────────────────────────────────────────────
+
+/**
+ * Opens a gift card purchase. The card stays pending_payment until the
+ * Razorpay payment for it is captured.
+ *
+ * @param {object} params - { user, productId, denomination, recipient: { email, name }, senderName?, message?, sendAt? }
+ * @returns {Promise<{ success, card?, code?, message? }>}
+ */
+async function startPurchase({ user, productId, denomination, recipient, senderName, message, sendAt }) {
+  const product = await Product.findOne({ _id: productId, isActive: true, productType: "gift_card" }).lean();
+  if (!product) {
+    return { success: false, code: "PRODUCT_UNAVAILABLE", message: "This gift card is not available." };
+  }
+  const value = Number(denomination);
+  if (!(product.giftCardDenominations || []).includes(value)) {
+    return {
+      success: false,
+      code: "INVALID_DENOMINATION",
+      message: `Choose one of: ${product.giftCardDenominations.map((d) => `₹${d}`).join(", ")}`,
+    };
+  }
+  const schedule = _sendAt(sendAt);
+  if (schedule.error) return { success: false, code: "INVALID_SEND_DATE", message: schedule.error };
+
+  const card = await GiftCard.create({
+    source: "purchase",
+    initialValue: value,
+    productId: product._id,
+    purchaserId: user._id,
+    recipient,
+    senderName: senderName || user.username,
+    message,
+    delivery: { sendAt: schedule.sendAt },
+  });
+  return { success: true, card, product };
+}
+
+/** Records the Razorpay order opened for a pending purchase. */
+async function attachRazorpayOrder(cardId, razorpayOrderId) {
+  await GiftCard.updateOne({ _id: cardId, status: "pending_payment" }, { $set: { razorpayOrderId } });
+}
+
+/**
+ * Activates a purchased card once its payment is captured — once, whichever
+ * of the verify callback and the webhook arrives first. A card due now is
+ * delivered straight away.
+ *
+ * @param {object} payment - { razorpayOrderId, razorpayPaymentId, amountInPaise? }
+ * @returns {Promise<{ success, card?, alreadyActive?, code?, message? }>}
+ */
+async function completePurchase({ razorpayOrderId, razorpayPaymentId, amountInPaise }) {
+  const pending = await GiftCard.findOne({ razorpayOrderId });
+  if (!pending) return { success: false, code: "CARD_NOT_FOUND", message: "No gift card purchase for this payment." };
+  if (pending.status !== "pending_payment") return { success: true, card: pending, alreadyActive: true };
+  if (amountInPaise != null && Number(amountInPaise) !== Math.round(pending.initialValue * 100)) {
+    return { success: false, code: "AMOUNT_MISMATCH", message: "Payment amount does not match the gift card." };
+  }
+
+  const now = new Date();
+  const card = await GiftCard.findOneAndUpdate(
+    { _id: pending._id, status: "pending_payment" },
+    {
+      $set: {
+        status: "active",
+        balance: pending.initialValue,
+        razorpayPaymentId,
+        paidAt: now,
+        expiresAt: giftCardExpiry(now),
+      },
+      $push: {
+        transactions: { type: "issue", amount: pending.initialValue, balanceAfter: pending.initialValue, note: "Purchased" },
+      },
+    },
+    { new: true },
+  );
+  if (!card) return { success: true, card: await GiftCard.findById(pending._id), alreadyActive: true };
+
+  if (card.delivery.sendAt <= now) await deliverGiftCard(card);
+  return { success: true, card };
+}
+
+/**
+ * Admin issuance — an active card with no payment behind it.
+ *
+ * @param {object} params - { amount, recipient, senderName?, message?, sendAt?, expiresInDays?, reason, actor }
+ */
+async function issueGiftCard({ amount, recipient, senderName, message, sendAt, expiresInDays, reason, actor }) {
+  const value = round2(amount);
+  if (!(value >= MIN_DENOMINATION && value <= MAX_DENOMINATION)) {
+    return { success: false, code: "INVALID_AMOUNT", message: `Amount must be between ₹${MIN_DENOMINATION} and ₹${MAX_DENOMINATION}.` };
+  }
+  if (!reason?.trim()) {
+    return { success: false, code: "REASON_REQUIRED", message: "A reason is required to issue a gift card." };
+  }
+  const days = expiresInDays != null ? Number(expiresInDays) : VALIDITY_DAYS;
+  if (!Number.isInteger(days) || days < 1) {
+    return { success: false, code: "INVALID_EXPIRY", message: "expiresInDays must be a whole number of days." };
+  }
+  const schedule = _sendAt(sendAt);
+  if (schedule.error) return { success: false, code: "INVALID_SEND_DATE", message: schedule.error };
+
+  const now = new Date();
+  const card = await GiftCard.create({
+    status: "active",
+    source: "admin",
+    initialValue: value,
+    balance: value,
+    issuedBy: _actor(actor),
+    reason: reason.trim(),
+    recipient,
+    senderName,
+    message,
+    delivery: { sendAt: schedule.sendAt },
+    expiresAt: giftCardExpiry(now, days),
+    transactions: [{ type: "issue", amount: value, balanceAfter: value, note: reason.trim(), actor: _actor(actor) }],
+  });
+
+  if (card.delivery.sendAt <= now) await deliverGiftCard(card);
+  return { success: true, card };
+}
+
+/**
+ * Cancels a card; whatever balance is left is forfeited. Orders already paid
+ * with it are unaffected.
+ */
+async function voidGiftCard(cardId, { reason, actor }) {
+  if (!reason?.trim()) {
+    return { success: false, code: "REASON_REQUIRED", message: "A reason is required to void a gift card." };
+  }
+  const card = await GiftCard.findById(cardId);
+  if (!card) return { success: false, code: "CARD_NOT_FOUND", message: "Gift card not found." };
+  if (card.status === "void") return { success: false, code: "ALREADY_VOID", message: "This gift card is already void." };
+
+  const updated = await GiftCard.findOneAndUpdate(
+    { _id: card._id, status: card.status, balance: card.balance },
+    {
+      $set: { status: "void", balance: 0, voidedAt: new Date(), voidReason: reason.trim() },
+      $push: {
+        transactions: { type: "void", amount: -card.balance, balanceAfter: 0, note: reason.trim(), actor: _actor(actor) },
+      },
+    },
+    { new: true },
+  );
+  if (!updated) {
+    return { success: false, code: "CONCURRENT_UPDATE", message: "The gift card changed while voiding it. Please retry." };
+  }
+  return { success: true, card: updated };
+}
+
+// ── Delivery ──────────────────────────────────────────────────────────────────
+
+/**
+ * Generates the card's code and emails it to the recipient. The code is
+ * claimed before sending so two runs can't send different codes; a failed
+ * send releases the claim and the next run sends a fresh code.
+ *
+ * @returns {Promise<boolean>} true if an email was queued
+ */
+async function deliverGiftCard(card) {
+  const code = generateGiftCardCode();
+  const staleClaim = new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+  const claimed = await GiftCard.findOneAndUpdate(
+    {
+      _id: card._id,
+      status: "active",
+      "delivery.sentAt": null,
+      $or: [{ "delivery.claimedAt": null }, { "delivery.claimedAt": { $lt: staleClaim } }],
+    },
+    {
+      $set: { codeHash: hashGiftCardCode(code), last4: codeLast4(code), "delivery.claimedAt": new Date() },
+      $inc: { "delivery.attempts": 1 },
+    },
+    { new: true },
+  );
+  if (!claimed) return false;
+
+  enqueueEmail(async () => {
+    const sent = await sendGiftCardEmail(claimed, code).catch(() => false);
+    await GiftCard.updateOne(
+      { _id: claimed._id },
+      sent
+        ? { $set: { "delivery.sentAt": new Date(), "delivery.error": null } }
+        : { $set: { "delivery.claimedAt": null, "delivery.error": "Email could not be sent" } },
+    );
+    if (!sent) console.error(`[GiftCard] Delivery of card ${claimed._id} failed (attempt ${claimed.delivery.attempts})`);
+  });
+  return true;
+}
+
+/**
+ * Sends cards whose delivery date has come.
+ * @returns {Promise<{ due, queued, errors }>}
+ */
+async function deliverDueGiftCards(now = new Date()) {
+  const summary = { due: 0, queued: 0, errors: 0 };
+  const staleClaim = new Date(now.getTime() - CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+  const due = await GiftCard.find({
+    status: "active",
+    "delivery.sentAt": null,
+    "delivery.sendAt": { $lte: now },
+    "delivery.attempts": { $lt: MAX_DELIVERY_ATTEMPTS },
+    $or: [{ "delivery.claimedAt": null }, { "delivery.claimedAt": { $lt: staleClaim } }],
+  })
+    .sort({ "delivery.sendAt": 1 })
+    .limit(BATCH_SIZE);
+
+  for (const card of due) {
+    summary.due++;
+    try {
+      if (await deliverGiftCard(card)) summary.queued++;
+    } catch (err) {
+      summary.errors++;
+      console.error(`[GiftCard] Could not deliver card ${card._id}:`, err.message);
+    }
+  }
+  return summary;
+}
+
+// ── Balance & checkout ───────────────────────────────────────────────────────
+
+async function _findByCode(code) {
+  const codeHash = hashGiftCardCode(code);
+  if (!codeHash) return null;
+  return GiftCard.findOne({ codeHash }).lean();
+}
+
+/** Public balance check by code. */
+async function checkBalance(code) {
+  const card = await _findByCode(code);
+  if (!card || card.status === "pending_payment") {
+    return { success: false, code: "CARD_NOT_FOUND", message: UNUSABLE_MESSAGES.not_found };
+  }
+  const reason = _unusable(card);
+  return {
+    success: true,
+    giftCard: {
+      last4: card.last4,
+      balance: card.status === "void" ? 0 : card.balance,
+      currency: card.currency,
+      expiresAt: card.expiresAt || null,
+      status: reason === "void" || reason === "expired" ? reason : "active",
+    },
+  };
+}
+
+/**
+ * A card the quote can take payment from.
+ * @returns {Promise<{ success, card?, code?, message? }>}
+ */
+async function findRedeemableCard(code) {
+  const card = await _findByCode(code);
+  const reason = _unusable(card);
+  if (reason) {
+    return {
+      success: false,
+      code: reason === "not_found" ? "GIFT_CARD_NOT_FOUND" : "GIFT_CARD_UNUSABLE",
+      message: UNUSABLE_MESSAGES[reason],
+    };
+  }
+  return { success: true, card };
+}
+
+/**
+ * Takes `amount` off a card for an order, before the order is opened.
+ * All-or-nothing, once per order.
+ * @returns {Promise<{ success, amount?, code?, message? }>}
+ */
+async function redeemGiftCard({ cardId, orderId, amount }) {
+  if (!(amount > 0)) return { success: true, amount: 0 };
+  const value = round2(amount);
+  const card = await GiftCard.findOneAndUpdate(
+    {
+      _id: cardId,
+      status: "active",
+      balance: { $gte: value },
+      expiresAt: { $gt: new Date() },
+      transactions: { $not: { $elemMatch: { type: "redeem", orderId } } },
+    },
+    _balanceChange(-value, { type: "redeem", orderId, note: `Order ${_orderRef(orderId)}` }),
+    { new: true },
+  );
+  if (!card) {
+    return {
+      success: false,
+      code: "GIFT_CARD_BALANCE_CHANGED",
+      message: "Your gift card balance has changed since checkout. Please review your cart again.",
+    };
+  }
+  return { success: true, amount: value };
+}
+
+/**
+ * Puts back what an unpaid order took from a gift card — once per order.
+ * Paid orders are refunded to the wallet instead.
+ *
+ * @returns {Promise<number>} amount put back
+ */
+async function reverseGiftCardRedemption(orderId, reason = "Order cancelled") {
+  const card = await GiftCard.findOne({ "transactions.orderId": orderId }).lean();
+  if (!card) return 0;
+  const redemption = card.transactions.find((t) => t.type === "redeem" && String(t.orderId) === String(orderId));
+  if (!redemption || card.transactions.some((t) => t.type === "reversal" && String(t.orderId) === String(orderId))) {
+    return 0;
+  }
+
+  const order = await Order.findById(orderId).select("paymentStatus").lean();
+  if (order && ["completed", "refunded"].includes(order.paymentStatus)) return 0;
+
+  const value = -redemption.amount;
+  const updated = await GiftCard.findOneAndUpdate(
+    { _id: card._id, transactions: { $not: { $elemMatch: { type: "reversal", orderId } } } },
+    _balanceChange(value, { type: "reversal", orderId, note: `${reason} — order ${_orderRef(orderId)}` }, { floorAtVoid: true }),
+    { new: true },
+  );
+  if (!updated) return 0;
+  if (order) {
+    await Order.updateOne({ _id: orderId }, { $set: { "giftCard.reversedAt": new Date() } });
+  }
+  return value;
+}
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+/** Cards a customer bought, newest first. */
+async function getPurchasedGiftCards(userId) {
+  const cards = await GiftCard.find({ purchaserId: userId, status: { $ne: "pending_payment" } })
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+  return cards.map(serializeGiftCard);
+}
+
+/** Admin list — ?status&email&page&limit */
+async function listGiftCards({ status, email, page = 1, limit = 20 } = {}) {
+  const filter = {};
+  if (status) filter.status = status;
+  if (email) filter["recipient.email"] = String(email).trim().toLowerCase();
+
+  const [cards, total] = await Promise.all([
+    GiftCard.find(filter)
+      .select("-transactions")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    GiftCard.countDocuments(filter),
+  ]);
+  return { cards, total, page, pages: Math.ceil(total / limit) };
+}
+
+module.exports = {
+  startPurchase,
+  attachRazorpayOrder,
+  completePurchase,
+  issueGiftCard,
+  voidGiftCard,
+  deliverGiftCard,
+  deliverDueGiftCards,
+  checkBalance,
+  findRedeemableCard,
+  redeemGiftCard,
+  reverseGiftCardRedemption,
+  getPurchasedGiftCards,
+  listGiftCards,
+  serializeGiftCard,
+};
@@ -0,0 +1,817 @@
+/**
+ * Inventory — every change to a product's stock goes through here, and each
+ * one is written to the StockMovement ledger.
+ *
+ * Stock changes:
+ *   adjustStock()        — add / remove units (restock, cancellation, return, sale)
+ *   setStock()           — overwrite the count (admin edits, stock counts)
+ *   restockOrderItems()  — put a cancelled or returned order's items back
+ *   swapOrderItemStock() — move an order line to another variant / colour
+ *   recordOpeningStock() — ledger entry for a product created with stock
+ *   setColorOptions()    — the product form's colour list; counts via setStock()
+ *
+ * Reservations — hold quantities between checkout and payment capture:
+ *   reserveStock()       — POST /api/payment and /api/payment/cod, before the order is opened
+ *   commitOrderStock()   — inside the confirmation transaction: converts the
+ *                          holds and deducts stock
+ *   releaseReservations() — payment failed / order cancelled or expired
+ *   expireReservations() — holds past their TTL (jobs/stockReservationJob.js)
+ *
+ * Stock is kept at up to three levels for one line: the product, the chosen
+ * variant (Product.variants[]) and the chosen colour (Product.colors[]). Each
+ * level has its own `stock` and `reservedStock`; a line can only be sold when
+ * every level it touches covers it. Available-to-sell is
+ * `stock - reservedStock` (availableToSell()).
+ *
+ * Ledger queries: stockAsOf(), ledgerStock().
+ *
+ * Functions return result objects ({ success, code, message }) like the quote
+ * and coupon services; routes map `code` to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockReservation = require("../models/StockReservation");
+const StockMovement = require("../models/StockMovement");
+const { findVariant, findColor } = require("../utils/pricing");
+
+const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES || 30);
+const EXPIRY_BATCH_SIZE = 500; // safety cap per run
+
+const RESERVED = { $ifNull: ["$reservedStock", 0] };
+
+// ── Availability ──────────────────────────────────────────────────────────────
+
+const _free = (level) => Math.max(0, (level?.stock || 0) - (level?.reservedStock || 0));
+
+/**
+ * Units that can still be sold — stock not held by an unpaid checkout.
+ * With a selection, the variant's and colour's own counts cap it as well; an
+ * unknown or inactive option has nothing to sell.
+ * Returns null for products that don't track inventory (unlimited).
+ *
+ * @param {object} product
+ * @param {object} [selection] - { variantId?, colorName? }
+ */
+function availableToSell(product, { variantId = null, colorName = null } = {}) {
+  if (!product) return 0;
+  if (product.trackInventory === false) return null;
+
+  let available = _free(product);
+  if (variantId) available = Math.min(available, _free(findVariant(product, variantId)));
+  if (colorName) available = Math.min(available, _free(findColor(product, colorName)));
+  return available;
+}
+
+/** True when `quantity` more units (of the selection) can be sold. */
+function hasAvailableStock(product, quantity, selection = {}) {
+  const available = availableToSell(product, selection);
+  return available === null || available >= quantity;
+}
+
+/** True when what's left of the product (or selection) is at or under its low-stock threshold. */
+function isLowStock(product, selection = {}) {
+  const available = availableToSell(product, selection);
+  return available !== null && available > 0 && available <= (product.lowStockThreshold ?? 5);
+}
+
+/** Mongo filter for products with at least one unit available to sell. */
+function inStockFilter() {
+  return {
+    $or: [
+      { trackInventory: false },
+      { $expr: { $gt: [{ $subtract: ["$stock", RESERVED] }, 0] } },
+    ],
+  };
+}
+
+/** Order items as inventory lines — the variant and colour they were sold as. */
+function orderLines(order) {
+  return order.items.map((item) => ({
+    productId: item.product?._id || item.productId,
+    name: item.product?.name,
+    quantity: item.quantity,
+    variantId: item.variant?.variantId || null,
+    colorName: item.variant?.color || null,
+  }));
+}
+
+// ── Stock levels ──────────────────────────────────────────────────────────────
+// A "group" is what one operation does to one product:
+//   { product: n, variants: Map(variantKey → n), colors: Map(colorName → n) }
+// where n is whatever the operation needs per level. `product: null` leaves
+// the product-level count alone.
+
+const ARRAY_LEVELS = {
+  variants: {
+    // Quotes key variants by subdocument _id; admins may use the human variantId
+    matches: (el, key) => ({
+      $or: [
+        { $eq: [{ $toString: `${el}._id` }, { $literal: key }] },
+        { $eq: [`${el}.variantId`, { $literal: key }] },
+      ],
+    }),
+    find: (product, key) =>
+      product.variants?.find((v) => String(v._id) === key || v.variantId === key) || null,
+  },
+  colors: {
+    matches: (el, key) => ({ $eq: [`${el}.name`, { $literal: key }] }),
+    find: (product, key) => product.colors?.find((c) => c.name === key) || null,
+  },
+};
+
+const _emptyGroup = (product = 0) => ({ product, variants: new Map(), colors: new Map() });
+
+/** Sums lines per product and per variant / colour within it. */
+function _groupLines(lines) {
+  const groups = new Map();
+  const add = (map, key, quantity) => map.set(key, (map.get(key) || 0) + quantity);
+
+  for (const { productId, quantity, variantId, colorName } of lines) {
+    if (!productId || !(quantity > 0)) continue;
+    const key = String(productId);
+    if (!groups.has(key)) groups.set(key, _emptyGroup());
+    const group = groups.get(key);
+    group.product += quantity;
+    if (variantId) add(group.variants, String(variantId), quantity);
+    if (colorName) add(group.colors, String(colorName), quantity);
+  }
+  return groups;
+}
+
+/**
+ * Pipeline update applying `op(ref, value)` at every level of the group.
+ * `ref("stock")` is the level's own field path; op returns the fields to set.
+ * With `trackedOnly`, products that don't track inventory are left untouched.
+ */
+function _levelUpdate(group, op, { trackedOnly = true } = {}) {
+  const guard = (expr, current) => (trackedOnly ? { $cond: ["$trackInventory", expr, current] } : expr);
+  const set = {};
+
+  if (group.product != null) {
+    for (const [field, expr] of Object.entries(op((f) => `$${f}`, group.product))) {
+      set[field] = guard(expr, { $ifNull: [`$${field}`, 0] });
+    }
+  }
+
+  for (const [path, level] of Object.entries(ARRAY_LEVELS)) {
+    if (!group[path]?.size) continue;
+    const mapped = {
+      $map: {
+        input: { $ifNull: [`$${path}`, []] },
+        as: "el",
+        in: {
+          $switch: {
+            branches: [...group[path]].map(([key, value]) => ({
+              case: level.matches("$$el", key),
+              then: { $mergeObjects: ["$$el", op((f) => `$$el.${f}`, value)] },
+            })),
+            default: "$$el",
+          },
+        },
+      },
+    };
+    set[path] = guard(mapped, `$${path}`);
+  }
+
+  set.updatedAt = "$$NOW";
+  return [{ $set: set }];
+}
+
+/** $expr — true when every level in the group has its quantity free. */
+function _levelsHaveStock(group) {
+  const free = (ref) => ({ $subtract: [{ $ifNull: [ref("stock"), 0] }, { $ifNull: [ref("reservedStock"), 0] }] });
+  const conditions = group.product != null ? [{ $gte: [free((f) => `$${f}`), group.product] }] : [];
+
+  for (const [path, level] of Object.entries(ARRAY_LEVELS)) {
+    for (const [key, quantity] of group[path]) {
+      const covering = {
+        $filter: {
+          input: { $ifNull: [`$${path}`, []] },
+          as: "el",
+          cond: { $and: [level.matches("$$el", key), { $gte: [free((f) => `$$el.${f}`), quantity] }] },
+        },
+      };
+      conditions.push({ $gt: [{ $size: covering }, 0] });
+    }
+  }
+  return { $and: conditions };
+}
+
+/** Mongo filter matching products that have the named variant / colour. */
+function _levelFilter({ variantId = null, colorName = null }) {
+  if (variantId) {
+    const id = String(variantId);
+    return mongoose.isValidObjectId(id)
+      ? { $or: [{ "variants._id": id }, { "variants.variantId": id }] }
+      : { "variants.variantId": id };
+  }
+  if (colorName) return { "colors.name": colorName };
+  return {};
+}
+
+/** Every level of `product` a group touches: [{ variantId, colorName, doc, value }]. */
+function _levels(product, group) {
+  const levels = [];
+  if (group.product != null) levels.push({ variantId: null, colorName: null, doc: product, value: group.product });
+  for (const [key, value] of group.variants) {
+    const doc = ARRAY_LEVELS.variants.find(product, key);
+    levels.push({ variantId: doc ? String(doc._id) : key, colorName: null, doc, value });
+  }
+  for (const [key, value] of group.colors) {
+    levels.push({ variantId: null, colorName: key, doc: ARRAY_LEVELS.colors.find(product, key), value });
+  }
+  return levels;
+}
+
+const _hold = (ref, quantity) => ({ reservedStock: { $add: [{ $ifNull: [ref("reservedStock"), 0] }, quantity] } });
+const _unhold = (ref, quantity) => ({
+  reservedStock: { $max: [0, { $subtract: [{ $ifNull: [ref("reservedStock"), 0] }, quantity] }] },
+});
+const _addStock = (ref, quantity) => ({ stock: { $max: [0, { $add: [{ $ifNull: [ref("stock"), 0] }, quantity] }] } });
+
+// ── Ledger ────────────────────────────────────────────────────────────────────
+
+/** Normalises a user document (or nothing, for jobs and webhooks) into a ledger actor. */
+function _actor(user) {
+  if (!user) return { type: "system", name: "system" };
+  return { type: "user", userId: user._id, name: user.username || user.name || user.email };
+}
+
+/** The stock count a movement applies to — product, colour or variant level. */
+function _scopedStock(product, { colorName = null, variantId = null } = {}) {
+  if (colorName) return ARRAY_LEVELS.colors.find(product, colorName)?.stock ?? 0;
+  if (variantId) return ARRAY_LEVELS.variants.find(product, String(variantId))?.stock ?? 0;
+  return product.stock || 0;
+}
+
+/**
+ * Ledger scope for a change: variants are recorded under their subdocument
+ * _id, the same key checkout and orders use.
+ */
+function _ledgerScope(product, { colorName = null, variantId = null } = {}) {
+  if (variantId) {
+    const variant = ARRAY_LEVELS.variants.find(product, String(variantId));
+    return { variantId: variant ? String(variant._id) : String(variantId), colorName: null };
+  }
+  return { variantId: null, colorName: colorName || null };
+}
+
+/**
+ * Appends one ledger row. Zero deltas are skipped unless `force` is set.
+ * @returns {Promise<object|null>} the StockMovement
+ */
+async function recordMovement(entry, { session = null, force = false } = {}) {
+  if (!entry.delta && !force) return null;
+  const [movement] = await StockMovement.create(
+    [
+      {
+        productId: entry.productId,
+        variantId: entry.variantId || null,
+        colorName: entry.colorName || null,
+        delta: entry.delta,
+        stockBefore: entry.stockBefore,
+        stockAfter: entry.stockAfter,
+        reason: entry.reason,
+        actor: _actor(entry.actor),
+        orderId: entry.orderId,
+        returnRequestId: entry.returnRequestId,
+        note: entry.note,
+      },
+    ],
+    { session },
+  );
+  return movement;
+}
+
+/**
+ * One ledger row per level a group changed, worked out from the product as
+ * it was before the update. `change(value)` is the stock change at a level.
+ */
+async function _recordLevelMovements(before, group, change, context, { session = null } = {}) {
+  for (const { variantId, colorName, doc, value } of _levels(before, group)) {
+    if (!doc) continue;
+    const stockBefore = doc.stock || 0;
+    const stockAfter = Math.max(0, stockBefore + change(value));
+    await recordMovement(
+      { productId: before._id, variantId, colorName, delta: stockAfter - stockBefore, stockBefore, stockAfter, ...context },
+      { session },
+    );
+  }
+}
+
+/** Moves one active reservation to `status` and gives its quantity back at every level. */
+async function _closeReservation(reservation, status, reason) {
+  const closed = await StockReservation.updateOne(
+    { _id: reservation._id, status: "active" },
+    { $set: { status, releasedAt: new Date(), releaseReason: reason } },
+  );
+  if (closed.modifiedCount !== 1) return false; // already converted / released
+
+  const [group] = _groupLines([reservation]).values();
+  await Product.updateOne({ _id: reservation.productId }, _levelUpdate(group, _unhold, { trackedOnly: false }));
+  return true;
+}
+
+// ── Stock changes ─────────────────────────────────────────────────────────────
+
+/**
+ * Adds (delta > 0) or removes (delta < 0) units at one level — the product,
+ * or a single variant / colour. Removals are floored at zero and the ledger
+ * records what was actually taken.
+ *
+ * @param {object} params - { productId, delta, reason, actor?, orderId?,
+ *                            returnRequestId?, note?, variantId?, colorName? }
+ * @param {object} [opts] - { session?, trackedOnly? } — trackedOnly skips
+ *                          products with trackInventory off
+ * @returns {Promise<{ success, product?, movement?, code?, message? }>}
+ */
+async function adjustStock(
+  { productId, delta, reason, actor = null, orderId, returnRequestId, note, variantId = null, colorName = null },
+  { session = null, trackedOnly = false } = {},
+) {
+  const amount = Number(delta);
+  if (!Number.isFinite(amount) || !Number.isInteger(amount)) {
+    return { success: false, code: "INVALID_QUANTITY", message: "Stock change must be a whole number." };
+  }
+
+  const filter = { _id: productId, ..._levelFilter({ variantId, colorName }) };
+  if (trackedOnly) filter.trackInventory = true;
+
+  const group = _emptyGroup(variantId || colorName ? null : amount);
+  if (variantId) group.variants.set(String(variantId), amount);
+  else if (colorName) group.colors.set(colorName, amount);
+
+  const before = await Product.findOneAndUpdate(filter, _levelUpdate(group, _addStock, { trackedOnly: false }), {
+    session,
+    new: false,
+  });
+  if (!before) {
+    return { success: false, code: "PRODUCT_NOT_FOUND", message: "Product not found." };
+  }
+
+  const scope = _ledgerScope(before, { variantId, colorName });
+  const stockBefore = _scopedStock(before, scope);
+  const stockAfter = Math.max(0, stockBefore + amount);
+  const movement = await recordMovement(
+    { productId, ...scope, delta: stockAfter - stockBefore, stockBefore, stockAfter, reason, actor, orderId, returnRequestId, note },
+    { session },
+  );
+  return { success: true, product: before, stockBefore, stockAfter, movement };
+}
+
+/**
+ * Overwrites the stock count (admin edit or physical count) of the product,
+ * or of one variant / colour, and records the difference.
+ *
+ * @param {object} params - { productId, quantity, reason?, actor?, note?, variantId?, colorName? }
+ * @returns {Promise<{ success, stockBefore?, stockAfter?, movement?, code?, message? }>}
+ */
+async function setStock(
+  { productId, quantity, reason = "adjustment", actor = null, note, variantId = null, colorName = null },
+  { session = null } = {},
+) {
+  const value = Number(quantity);
+  if (!Number.isInteger(value) || value < 0) {
+    return { success: false, code: "INVALID_QUANTITY", message: "Stock must be a whole number of zero or more." };
+  }
+
+  const group = _emptyGroup(variantId || colorName ? null : value);
+  if (variantId) group.variants.set(String(variantId), value);
+  else if (colorName) group.colors.set(colorName, value);
+
+  const before = await Product.findOneAndUpdate(
+    { _id: productId, ..._levelFilter({ variantId, colorName }) },
+    _levelUpdate(group, () => ({ stock: value }), { trackedOnly: false }),
+    { session, new: false },
+  );
+  if (!before) {
+    return { success: false, code: "PRODUCT_NOT_FOUND", message: "Product not found." };
+  }
+
+  const scope = _ledgerScope(before, { variantId, colorName });
+  const stockBefore = _scopedStock(before, scope);
+  const movement = await recordMovement(
+    { productId, ...scope, delta: value - stockBefore, stockBefore, stockAfter: value, reason, actor, note },
+    { session },
+  );
+  return { success: true, stockBefore, stockAfter: value, movement };
+}
+
+/**
+ * Puts an order's (or a return's) items back into stock — the product count
+ * and the variant / colour each line was sold as.
+ *
+ * @param {Array}  items  - [{ productId, quantity, variantId?, colorName? }]
+ * @param {object} context - { reason: "cancellation" | "return", actor?, orderId?, returnRequestId?, note? }
+ */
+async function restockOrderItems(items, { reason, actor = null, orderId, returnRequestId, note } = {}) {
+  const results = [];
+  for (const [productId, group] of _groupLines(items)) {
+    const before = await Product.findOneAndUpdate(
+      { _id: productId, trackInventory: true },
+      _levelUpdate(group, _addStock, { trackedOnly: false }),
+      { new: false },
+    );
+    if (!before) {
+      results.push({ productId, success: false, code: "PRODUCT_NOT_FOUND" });
+      continue;
+    }
+    await _recordLevelMovements(before, group, (quantity) => quantity, { reason, actor, orderId, returnRequestId, note });
+    results.push({ productId, success: true });
+  }
+  return results;
+}
+
+/**
+ * Moves `quantity` units of an order line from one variant / colour of a
+ * product to another (admin order edit): the new option must have them free,
+ * the old one gets them back. The product-level count doesn't change, and
+ * products that don't track inventory are left alone.
+ *
+ * @param {object} params - { productId, quantity, from: { variantId?, colorName? },
+ *                            to: { variantId?, colorName? }, actor?, orderId?, note? }
+ * @returns {Promise<{ success, code?, message? }>}
+ */
+async function swapOrderItemStock({ productId, quantity, from = {}, to = {}, actor = null, orderId, note }) {
+  // Net change per level — a colour both lines share nets out
+  const group = _emptyGroup(null);
+  const add = (map, key, n) => key && map.set(String(key), (map.get(String(key)) || 0) + n);
+  add(group.variants, from.variantId, quantity);
+  add(group.colors, from.colorName, quantity);
+  add(group.variants, to.variantId, -quantity);
+  add(group.colors, to.colorName, -quantity);
+  const needed = _emptyGroup(null);
+  for (const path of Object.keys(ARRAY_LEVELS)) {
+    for (const [key, n] of group[path]) {
+      if (!n) group[path].delete(key);
+      else if (n < 0) needed[path].set(key, -n);
+    }
+  }
+  if (!group.variants.size && !group.colors.size) return { success: true };
+
+  const product = await Product.findById(productId).select("trackInventory").lean();
+  if (!product) return { success: false, code: "PRODUCT_NOT_FOUND", message: "Product not found." };
+  if (product.trackInventory === false) return { success: true };
+
+  const before = await Product.findOneAndUpdate(
+    { _id: productId, $expr: _levelsHaveStock(needed) },
+    _levelUpdate(group, _addStock, { trackedOnly: false }),
+    { new: false },
+  );
+  if (!before) {
+    return { success: false, code: "INSUFFICIENT_STOCK", message: "Not enough stock of the new option." };
+  }
+  await _recordLevelMovements(before, group, (n) => n, { reason: "adjustment", actor, orderId, note });
+  return { success: true };
+}
+
+/** Ledger entries for a newly created product's stock (and its variants' and colours'). */
+async function recordOpeningStock(product, { reason = "adjustment", actor = null, note = "Opening stock" } = {}) {
+  const entries = [{ variantId: null, colorName: null, stock: product.stock || 0 }];
+  for (const variant of product.variants || []) {
+    entries.push({ variantId: String(variant._id), colorName: null, stock: variant.stock || 0 });
+  }
+  for (const color of product.colors || []) entries.push({ variantId: null, colorName: color.name, stock: color.stock || 0 });
+
+  for (const { variantId, colorName, stock } of entries) {
+    await recordMovement({
+      productId: product._id,
+      variantId,
+      colorName,
+      delta: stock,
+      stockBefore: 0,
+      stockAfter: stock,
+      reason,
+      actor,
+      note,
+    });
+  }
+}
+
+/**
+ * Replaces a product's colour options from the product form. Colours are
+ * matched by name and keep their stock and checkout holds; removed colours
+ * are counted down to zero first, and every count the form changes goes
+ * through setStock(), so each one reaches the ledger.
+ *
+ * @param {Array} colors - [{ name, hex, stock, visibleToUsers, sortOrder }]
+ * @returns {Promise<{ success, code?, message? }>}
+ */
+async function setColorOptions(productId, colors, { actor = null } = {}) {
+  const names = new Set();
+  for (const color of colors) {
+    if (!color.name) return { success: false, code: "INVALID_COLOR", message: "Every colour needs a name." };
+    if (names.has(color.name)) {
+      return { success: false, code: "INVALID_COLOR", message: `Colour "${color.name}" is listed twice.` };
+    }
+    if (!Number.isInteger(color.stock) || color.stock < 0) {
+      return { success: false, code: "INVALID_QUANTITY", message: `Stock for "${color.name}" must be a whole number of zero or more.` };
+    }
+    names.add(color.name);
+  }
+
+  const current = await Product.findById(productId).select("colors").lean();
+  if (!current) return { success: false, code: "PRODUCT_NOT_FOUND", message: "Product not found." };
+
+  for (const color of current.colors || []) {
+    if (names.has(color.name) || !color.stock) continue;
+    const result = await setStock({ productId, colorName: color.name, quantity: 0, actor, note: "Colour removed" });
+    if (!result.success) return result;
+  }
+
+  // Options only — a kept colour's _id, stock and holds come from the stored one
+  // of the same name, read in the update itself so concurrent holds aren't lost
+  const options = colors.map(({ stock, ...option }) => ({ ...option, _id: new mongoose.Types.ObjectId() }));
+  const stored = {
+    $arrayElemAt: [
+      { $filter: { input: { $ifNull: ["$colors", []] }, as: "el", cond: { $eq: ["$$el.name", "$$option.name"] } } },
+      0,
+    ],
+  };
+  await Product.updateOne({ _id: productId }, [
+    {
+      $set: {
+        colors: {
+          $map: {
+            input: { $literal: options },
+            as: "option",
+            in: {
+              $let: {
+                vars: { stored },
+                in: {
+                  $mergeObjects: [
+                    "$$option",
+                    {
+                      _id: { $ifNull: ["$$stored._id", "$$option._id"] },
+                      stock: { $ifNull: ["$$stored.stock", 0] },
+                      reservedStock: { $ifNull: ["$$stored.reservedStock", 0] },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        },
+        updatedAt: "$$NOW",
+      },
+    },
+  ]);
+
+  const before = new Map((current.colors || []).map((c) => [c.name, c.stock || 0]));
+  for (const color of colors) {
+    if (color.stock === (before.get(color.name) || 0)) continue;
+    const result = await setStock({
+      productId,
+      colorName: color.name,
+      quantity: color.stock,
+      actor,
+      note: before.has(color.name) ? "Colour stock edited" : "Colour added",
+    });
+    if (!result.success) return result;
+  }
+  return { success: true };
+}
+
+// ── Ledger queries ────────────────────────────────────────────────────────────
+
+function _scopeFilter(productId, { colorName = null, variantId = null } = {}) {
+  return { productId: new mongoose.Types.ObjectId(String(productId)), colorName, variantId };
+}
+
+/** Sum of every recorded delta — what the stock would be if the ledger were complete. */
+async function ledgerStock(productId, scope = {}) {
+  const [row] = await StockMovement.aggregate([
+    { $match: _scopeFilter(productId, scope) },
+    { $group: { _id: null, total: { $sum: "$delta" }, count: { $sum: 1 } } },
+  ]);
+  return { stock: row?.total || 0, movements: row?.count || 0 };
+}
+
+/**
+ * Stock as it stood at `date`: current stock minus everything recorded since.
+ * @returns {Promise<{ success, stock?, currentStock?, movementsSince?, code?, message? }>}
+ */
+async function stockAsOf(productId, date, scope = {}) {
+  const product = await Product.findById(productId).lean();
+  if (!product) return { success: false, code: "PRODUCT_NOT_FOUND", message: "Product not found." };
+
+  const currentStock = _scopedStock(product, scope);
+  const [row] = await StockMovement.aggregate([
+    { $match: { ..._scopeFilter(productId, scope), createdAt: { $gt: date } } },
+    { $group: { _id: null, total: { $sum: "$delta" }, count: { $sum: 1 } } },
+  ]);
+  return {
+    success: true,
+    stock: currentStock - (row?.total || 0),
+    currentStock,
+    movementsSince: row?.count || 0,
+  };
+}
+
+// ── Reservations ──────────────────────────────────────────────────────────────
+
+/** The levels of a product that can't cover a group — for the error response. */
+function _stockErrors(productId, product, group, names) {
+  if (!product || product.isActive === false) {
+    return [{ productId, name: product?.name || names[productId], error: "No longer available", availableStock: 0, requestedQuantity: group.product }];
+  }
+  return _levels(product, group)
+    .filter(({ doc, value }) => _free(doc) < value)
+    .map(({ variantId, colorName, doc, value }) => {
+      const available = _free(doc);
+      const option = variantId ? doc?.name || variantId : colorName;
+      return {
+        productId,
+        name: option ? `${product.name} (${option})` : product.name,
+        ...(variantId && { variantId }),
+        ...(colorName && { colorName }),
+        error: !doc ? "Option no longer available" : !available ? "Out of stock" : `Only ${available} available`,
+        availableStock: available,
+        requestedQuantity: value,
+      };
+    });
+}
+
+/**
+ * Holds stock for an order that is about to be opened. All-or-nothing: if any
+ * product, variant or colour can't cover its quantity nothing is held.
+ *
+ * @param {object} params
+ * @param {ObjectId} params.orderId - _id the order will be created with
+ * @param {ObjectId} [params.quoteId]
+ * @param {ObjectId} [params.userId]
+ * @param {Array}    params.items   - [{ productId, quantity, variantId?, colorName?, name? }]
+ * @returns {Promise<{ success, expiresAt?, code?, message?, stockErrors? }>}
+ */
+async function reserveStock({ orderId, quoteId = null, userId = null, items }, { ttlMinutes = RESERVATION_TTL_MINUTES } = {}) {
+  const names = Object.fromEntries(items.map((i) => [String(i.productId), i.name]));
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const tracked = new Set();
+    const stockErrors = [];
+
+    for (const [productId, group] of _groupLines(items)) {
+      const product = await Product.findOneAndUpdate(
+        {
+          _id: productId,
+          isActive: { $ne: false },
+          $or: [{ trackInventory: false }, { $expr: _levelsHaveStock(group) }],
+        },
+        _levelUpdate(group, _hold),
+        { session, new: true },
+      );
+
+      if (!product) {
+        const current = await Product.findById(productId).session(session).lean();
+        stockErrors.push(..._stockErrors(productId, current, group, names));
+        continue;
+      }
+      if (product.trackInventory) tracked.add(productId);
+    }
+
+    if (stockErrors.length > 0) {
+      await session.abortTransaction();
+      return {
+        success: false,
+        code: "OUT_OF_STOCK",
+        message: "Some items are out of stock or have insufficient quantity",
+        stockErrors,
+      };
+    }
+
+    // One hold per product / variant / colour combination
+    const holds = new Map();
+    for (const { productId, quantity, variantId = null, colorName = null } of items) {
+      if (!tracked.has(String(productId))) continue;
+      const key = [productId, variantId, colorName].join("|");
+      const hold = holds.get(key) || { productId, variantId, colorName, quantity: 0 };
+      hold.quantity += quantity;
+      holds.set(key, hold);
+    }
+    if (holds.size) {
+      await StockReservation.insertMany(
+        [...holds.values()].map((h) => ({ ...h, orderId, quoteId, userId, expiresAt, status: "active" })),
+        { session },
+      );
+    }
+    await session.commitTransaction();
+    return { success: true, expiresAt };
+  } catch (err) {
+    await session.abortTransaction().catch(() => {});
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Converts an order's holds and deducts its stock at every level it was sold
+ * at. Runs inside the payment confirmation transaction.
+ *
+ * Lines whose hold already expired are deducted from unreserved stock; if
+ * that has run out too the payment still stands, so the stock is floored at
+ * zero and the line is reported back as a shortfall for admins.
+ *
+ * @returns {Promise<{ shortfalls: Array<{ productId, name, quantity }> }>}
+ */
+async function commitOrderStock(order, { session }) {
+  const reservations = await StockReservation.find({ orderId: order._id, status: "active" }).session(session);
+  if (reservations.length) {
+    await StockReservation.updateMany(
+      { _id: { $in: reservations.map((r) => r._id) }, status: "active" },
+      { $set: { status: "converted", convertedAt: new Date() } },
+      { session },
+    );
+  }
+  const held = _groupLines(reservations);
+
+  const lines = orderLines(order);
+  const names = Object.fromEntries(lines.map((l) => [String(l.productId), l.name]));
+
+  const shortfalls = [];
+  for (const [productId, group] of _groupLines(lines)) {
+    // Per level: { quantity to deduct, how much of it was held }
+    const holds = held.get(productId) || _emptyGroup();
+    const withHolds = (map, heldMap) =>
+      new Map([...map].map(([key, quantity]) => [key, { quantity, held: Math.min(heldMap.get(key) || 0, quantity) }]));
+    const deductions = {
+      product: { quantity: group.product, held: Math.min(holds.product, group.product) },
+      variants: withHolds(group.variants, holds.variants),
+      colors: withHolds(group.colors, holds.colors),
+    };
+    const deduct = (ref, { quantity, held: fromHold }) => ({
+      stock: { $max: [0, { $subtract: [{ $ifNull: [ref("stock"), 0] }, quantity] }] },
+      ..._unhold(ref, fromHold),
+    });
+
+    const before = await Product.findOneAndUpdate({ _id: productId }, _levelUpdate(deductions, deduct), {
+      session,
+      new: false,
+    });
+    if (!before?.trackInventory) continue;
+
+    // Held units are already counted in reservedStock — only the rest had to be free
+    const short = _levels(before, deductions).some(
+      ({ doc, value }) => !doc || (doc.stock || 0) - ((doc.reservedStock || 0) - value.held) < value.quantity,
+    );
+    if (short) shortfalls.push({ productId, name: names[productId] || before.name, quantity: group.product });
+
+    await _recordLevelMovements(before, deductions, ({ quantity }) => -quantity, { reason: "sale", orderId: order._id }, { session });
+  }
+
+  return { shortfalls };
+}
+
+/**
+ * Gives back every active hold on an order.
+ * @returns {Promise<number>} number of reservations released
+ */
+async function releaseReservations(orderId, reason = "released") {
+  const active = await StockReservation.find({ orderId, status: "active" });
+  let released = 0;
+  for (const reservation of active) {
+    if (await _closeReservation(reservation, "released", reason)) released++;
+  }
+  return released;
+}
+
+/**
+ * Expires holds past their TTL.
+ * @returns {Promise<number>} number of reservations expired
+ */
+async function expireReservations(now = new Date()) {
+  const due = await StockReservation.find({ status: "active", expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 })
+    .limit(EXPIRY_BATCH_SIZE);
+  let expired = 0;
+  for (const reservation of due) {
+    if (await _closeReservation(reservation, "expired", "Reservation expired")) expired++;
+  }
+  return expired;
+}
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  availableToSell,
+  hasAvailableStock,
+  isLowStock,
+  inStockFilter,
+  orderLines,
+  adjustStock,
+  setStock,
+  restockOrderItems,
+  swapOrderItemStock,
+  recordOpeningStock,
+  setColorOptions,
+  recordMovement,
+  ledgerStock,
+  stockAsOf,
+  reserveStock,
+  commitOrderStock,
+  releaseReservations,
+  expireReservations,
+};
@@ -0,0 +1,435 @@
+/**
+ * GST tax invoices and credit notes.
+ *
+ * Lifecycle:
+ *   issueOrderInvoice()  — order reaches "confirmed": snapshots the order into an Invoice
+ *   issueCreditNote()    — return request refunded: reverses the returned lines
+ *   renderPdf()          — builds the PDF from a stored Invoice (download + email attachment)
+ *
+ * Numbers are sequential per financial year and document type
+ * (INV/26-27/00001, CN/26-27/00001) via the Counter model. Issuing is
+ * idempotent — calling it again for the same order / return returns the
+ * existing document.
+ */
+
+const PDFDocument = require("pdfkit");
+const Invoice = require("../models/Invoice");
+const Counter = require("../models/Counter");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const { round2 } = require("../utils/pricing");
+const { sellerStateCode, buyerStateCode } = require("../utils/gst");
+const { calculateTax } = require("./taxService");
+const { enqueueEmail } = require("../utils/emailQueue");
+const { sendCreditNote } = require("../utils/emailService");
+
+// Statuses at which an order has been paid for (or accepted) and can be invoiced
+const INVOICEABLE_STATUSES = ["confirmed", "processing", "shipped", "out_for_delivery", "delivered", "returned"];
+
+const NUMBER_PREFIX = {
+  invoice: process.env.INVOICE_NUMBER_PREFIX || "INV",
+  credit_note: process.env.CREDIT_NOTE_NUMBER_PREFIX || "CN",
+};
+
+// SAC for courier services — used on the shipping line
+const SHIPPING_SAC_CODE = process.env.SHIPPING_SAC_CODE || "996812";
+
+// ── Numbering ─────────────────────────────────────────────────────────────────
+
+/** Indian financial year (April–March, IST) of `date`, e.g. "2026-27". */
+function financialYear(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCFullYear();
+  const start = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * Allocates the next document number. GST caps invoice numbers at 16
+ * characters, so the year is shortened: INV/26-27/00042.
+ */
+async function nextDocumentNumber(type, date = new Date()) {
+  const fy = financialYear(date);
+  const sequence = await Counter.next(`${type}:${fy}`);
+  const number = `${NUMBER_PREFIX[type]}/${fy.slice(2)}/${String(sequence).padStart(5, "0")}`;
+  return { number, sequence, financialYear: fy };
+}
+
+// ── Snapshots ─────────────────────────────────────────────────────────────────
+
+function _seller() {
+  return {
+    name: process.env.SELLER_LEGAL_NAME || "Infinity Craft Space",
+    gstin: process.env.SELLER_GSTIN || "",
+    address: {
+      street: process.env.SELLER_ADDRESS || "",
+      city: process.env.SELLER_CITY || "",
+      state: process.env.SELLER_STATE || "",
+      zipCode: process.env.SELLER_PINCODE || "",
+      country: "India",
+    },
+    stateCode: sellerStateCode(),
+  };
+}
+
+function _buyer(order, user) {
+  const addr = order.shippingAddress || {};
+  return {
+    name: user?.username || "",
+    email: user?.email || "",
+    phone: addr.phone || user?.phone || "",
+    address: {
+      street: addr.street,
+      city: addr.city,
+      state: addr.state,
+      zipCode: addr.zipCode,
+      country: addr.country,
+    },
+    stateCode: order.taxBreakdown?.buyerState || buyerStateCode(addr),
+  };
+}
+
+function _taxLine(tax) {
+  return {
+    taxableValue: round2(tax.taxableValue),
+    gstRate: tax.gstRate,
+    cgst: round2(tax.cgst),
+    sgst: round2(tax.sgst),
+    igst: round2(tax.igst),
+    total: round2(tax.taxableValue + tax.total),
+  };
+}
+
+/**
+ * Per-line and shipping tax for an order. Orders placed before the GST engine
+ * have no stored breakdown, so it is computed from the order as it stands.
+ */
+async function _orderTax(order) {
+  if (order.taxBreakdown?.supplyType && order.items.every((i) => i.tax)) {
+    return {
+      lineTaxes: order.items.map((i) => i.tax),
+      shippingTax: order.taxBreakdown.shipping,
+      taxBreakdown: order.taxBreakdown,
+    };
+  }
+
+  const result = await calculateTax({
+    lines: order.items.map((i) => ({
+      productId: i.product?._id,
+      category: i.product?.category,
+      lineTotal: i.totalPrice,
+    })),
+    productMap: {},
+    discountShares: order.items.map((i) => i.discountShare || 0),
+    shipping: round2((order.shipping || 0) + (order.codFee || 0)),
+    address: order.shippingAddress || {},
+  });
+  return {
+    lineTaxes: result.lineTaxes,
+    shippingTax: result.taxBreakdown.shipping,
+    taxBreakdown: result.taxBreakdown,
+  };
+}
+
+function _totals(lines) {
+  const sum = (key) => round2(lines.reduce((s, l) => s + (l[key] || 0), 0));
+  const cgst = sum("cgst");
+  const sgst = sum("sgst");
+  const igst = sum("igst");
+  return {
+    taxableValue: sum("taxableValue"),
+    cgst,
+    sgst,
+    igst,
+    tax: round2(cgst + sgst + igst),
+    grandTotal: sum("total"),
+  };
+}
+
+// ── Issue ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Issues the tax invoice for an order (idempotent).
+ *
+ * @param {object} order - Order document or lean object
+ * @returns {Promise<object|null>} the Invoice, or null if the order is not invoiceable yet
+ */
+async function issueOrderInvoice(order) {
+  if (!order || !INVOICEABLE_STATUSES.includes(order.status)) return null;
+
+  const existing = await Invoice.findOne({ orderId: order._id, type: "invoice" });
+  if (existing) return existing;
+
+  const user = await User.findById(order.userId).select("username email phone").lean();
+  const { lineTaxes, shippingTax, taxBreakdown } = await _orderTax(order);
+
+  const lines = order.items.map((item, i) => ({
+    productId: item.product?._id,
+    description: [item.product?.name, item.variant?.color].filter(Boolean).join(" — "),
+    hsnCode: lineTaxes[i]?.hsnCode || "",
+    quantity: item.quantity,
+    unitPrice: item.product?.price,
+    discount: round2(item.discountShare || 0),
+    ..._taxLine(lineTaxes[i]),
+  }));
+  // Shipping and the COD fee are one delivery service line, taxed together
+  const serviceCharge = round2((order.shipping || 0) + (order.codFee || 0));
+  if (serviceCharge > 0 && shippingTax) {
+    lines.push({
+      description: order.codFee > 0 ? "Shipping & COD charges" : "Shipping charges",
+      hsnCode: SHIPPING_SAC_CODE,
+      quantity: 1,
+      unitPrice: serviceCharge,
+      ..._taxLine(shippingTax),
+    });
+  }
+
+  const issuedAt = new Date();
+  const { number, sequence, financialYear: fy } = await nextDocumentNumber("invoice", issuedAt);
+
+  try {
+    return await Invoice.create({
+      type: "invoice",
+      number,
+      financialYear: fy,
+      sequence,
+      orderId: order._id,
+      userId: order.userId,
+      issuedAt,
+      seller: _seller(),
+      buyer: _buyer(order, user),
+      supplyType: taxBreakdown.supplyType,
+      pricesIncludeTax: taxBreakdown.pricesIncludeTax,
+      currency: order.currency || "INR",
+      lines,
+      totals: _totals(lines),
+    });
+  } catch (err) {
+    // Lost a race with a concurrent issue for the same order
+    if (err.code === 11000) return Invoice.findOne({ orderId: order._id, type: "invoice" });
+    throw err;
+  }
+}
+
+/**
+ * Issues a credit note reversing the returned lines of a refunded return
+ * request (idempotent). Issues the original invoice first if it is missing.
+ *
+ * @param {object} returnRequest - ReturnRequest document
+ * @param {object} order         - the Order it belongs to
+ * @returns {Promise<object|null>}
+ */
+async function issueCreditNote(returnRequest, order) {
+  const existing = await Invoice.findOne({ returnRequestId: returnRequest._id, type: "credit_note" });
+  if (existing) return existing;
+
+  const invoice = await issueOrderInvoice(order);
+  if (!invoice) return null;
+
+  // Returned quantities per product; no items listed means the whole order
+  const returned = new Map();
+  for (const item of returnRequest.items || []) {
+    if (item.productId) returned.set(String(item.productId), item.quantity || 0);
+  }
+  const wholeOrder = returned.size === 0;
+
+  const lines = invoice.lines
+    .filter((l) => l.productId && (wholeOrder || returned.has(String(l.productId))))
+    .map((l) => {
+      const qty = wholeOrder ? l.quantity : Math.min(l.quantity, returned.get(String(l.productId)));
+      const ratio = l.quantity ? qty / l.quantity : 0;
+      const cgst = round2(l.cgst * ratio);
+      const sgst = round2(l.sgst * ratio);
+      const igst = round2(l.igst * ratio);
+      const taxableValue = round2(l.taxableValue * ratio);
+      return {
+        productId: l.productId,
+        description: l.description,
+        hsnCode: l.hsnCode,
+        quantity: qty,
+        unitPrice: l.unitPrice,
+        discount: round2((l.discount || 0) * ratio),
+        taxableValue,
+        gstRate: l.gstRate,
+        cgst,
+        sgst,
+        igst,
+        total: round2(taxableValue + cgst + sgst + igst),
+      };
+    })
+    .filter((l) => l.quantity > 0);
+
+  if (!lines.length) return null;
+
+  const issuedAt = new Date();
+  const { number, sequence, financialYear: fy } = await nextDocumentNumber("credit_note", issuedAt);
+
+  try {
+    return await Invoice.create({
+      type: "credit_note",
+      number,
+      financialYear: fy,
+      sequence,
+      orderId: order._id,
+      userId: order.userId,
+      returnRequestId: returnRequest._id,
+      originalInvoice: { invoiceId: invoice._id, number: invoice.number, issuedAt: invoice.issuedAt },
+      issuedAt,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      supplyType: invoice.supplyType,
+      pricesIncludeTax: invoice.pricesIncludeTax,
+      currency: invoice.currency,
+      lines,
+      totals: _totals(lines),
+      reason: returnRequest.reason,
+    });
+  } catch (err) {
+    if (err.code === 11000) return Invoice.findOne({ returnRequestId: returnRequest._id, type: "credit_note" });
+    throw err;
+  }
+}
+
+/**
+ * Issues the credit note for a refunded return request and emails it to the
+ * customer. Safe to call more than once — the email only goes out when the
+ * credit note is first created.
+ */
+async function issueReturnCreditNote(returnRequest) {
+  const alreadyIssued = await Invoice.exists({ returnRequestId: returnRequest._id, type: "credit_note" });
+  const order = await Order.findById(returnRequest.orderId).lean();
+  if (!order) return null;
+
+  const creditNote = await issueCreditNote(returnRequest, order);
+  if (!creditNote || alreadyIssued) return creditNote;
+
+  const user = await User.findById(returnRequest.userId).select("username email").lean();
+  if (user?.email) {
+    enqueueEmail(async () => sendCreditNote(user, creditNote, [await pdfAttachment(creditNote)]));
+  }
+  return creditNote;
+}
+
+// ── PDF ───────────────────────────────────────────────────────────────────────
+
+// Built-in PDF fonts have no ₹ glyph
+const money = (n) => `Rs. ${round2(n).toFixed(2)}`;
+
+function _addressLines(addr = {}) {
+  return [addr.street, [addr.city, addr.state, addr.zipCode].filter(Boolean).join(", "), addr.country]
+    .filter(Boolean);
+}
+
+/** Renders a stored Invoice / credit note to a PDF buffer. */
+function renderPdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const isCreditNote = invoice.type === "credit_note";
+    const intra = invoice.supplyType === "intra";
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(16).text(isCreditNote ? "CREDIT NOTE" : "TAX INVOICE", { align: "center" });
+    doc.moveDown(0.5).font("Helvetica").fontSize(9);
+    doc.text(`${isCreditNote ? "Credit note" : "Invoice"} No: ${invoice.number}`);
+    doc.text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata" })}`);
+    doc.text(`Order: #${String(invoice.orderId).slice(-6).toUpperCase()}`);
+    if (isCreditNote && invoice.originalInvoice?.number) {
+      doc.text(`Against invoice: ${invoice.originalInvoice.number}`);
+    }
+    doc.text(`Place of supply: ${invoice.buyer?.stateCode || "-"}`);
+    doc.text(`Prices ${invoice.pricesIncludeTax ? "inclusive" : "exclusive"} of GST`);
+
+    // Parties
+    const top = doc.y + 10;
+    doc.font("Helvetica-Bold").text("Sold by", 40, top);
+    doc.font("Helvetica").text(
+      [invoice.seller?.name, ..._addressLines(invoice.seller?.address), invoice.seller?.gstin ? `GSTIN: ${invoice.seller.gstin}` : null]
+        .filter(Boolean).join("\n"),
+      40, doc.y, { width: 250 },
+    );
+    const leftBottom = doc.y;
+    doc.font("Helvetica-Bold").text(isCreditNote ? "Issued to" : "Billed to", 310, top);
+    doc.font("Helvetica").text(
+      [invoice.buyer?.name, ..._addressLines(invoice.buyer?.address), invoice.buyer?.phone, invoice.buyer?.email]
+        .filter(Boolean).join("\n"),
+      310, doc.y, { width: 245 },
+    );
+    doc.y = Math.max(leftBottom, doc.y) + 15;
+
+    // Line table
+    const cols = intra
+      ? [["Item", 150], ["HSN/SAC", 50], ["Qty", 30], ["Taxable", 65], ["Rate", 35], ["CGST", 55], ["SGST", 55], ["Total", 75]]
+      : [["Item", 160], ["HSN/SAC", 55], ["Qty", 30], ["Taxable", 75], ["Rate", 40], ["IGST", 75], ["Total", 80]];
+
+    const row = (values, bold = false) => {
+      const y = doc.y;
+      let x = 40;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      let height = 0;
+      values.forEach((v, i) => {
+        const [, width] = cols[i];
+        doc.text(String(v), x, y, { width: width - 4, align: i === 0 ? "left" : "right" });
+        height = Math.max(height, doc.y - y);
+        x += width;
+      });
+      doc.y = y + height + 4;
+    };
+
+    row(cols.map(([label]) => label), true);
+    for (const l of invoice.lines) {
+      const tax = intra ? [money(l.cgst), money(l.sgst)] : [money(l.igst)];
+      row([l.description, l.hsnCode || "-", l.quantity, money(l.taxableValue), `${l.gstRate}%`, ...tax, money(l.total)]);
+    }
+
+    // Totals
+    const t = invoice.totals || {};
+    doc.moveDown(0.5).font("Helvetica");
+    const totalLine = (label, value, bold = false) =>
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").text(`${label}: ${money(value)}`, 300, doc.y, { width: 255, align: "right" });
+    totalLine("Taxable value", t.taxableValue);
+    if (intra) {
+      totalLine("CGST", t.cgst);
+      totalLine("SGST", t.sgst);
+    } else {
+      totalLine("IGST", t.igst);
+    }
+    totalLine(isCreditNote ? "Total credit" : "Grand total", t.grandTotal, true);
+
+    doc.moveDown(2).font("Helvetica").fontSize(8).text(
+      "This is a computer-generated document and does not require a signature.",
+      40, doc.y, { align: "center", width: 515 },
+    );
+    doc.end();
+  });
+}
+
+/** File name for downloads / attachments — slashes are not allowed in names. */
+function pdfFileName(invoice) {
+  return `${invoice.number.replace(/\//g, "-")}.pdf`;
+}
+
+/** Nodemailer attachment for an invoice or credit note. */
+async function pdfAttachment(invoice) {
+  return {
+    filename: pdfFileName(invoice),
+    content: await renderPdf(invoice),
+    contentType: "application/pdf",
+  };
+}
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  financialYear,
+  nextDocumentNumber,
+  issueOrderInvoice,
+  issueCreditNote,
+  issueReturnCreditNote,
+  renderPdf,
+  pdfFileName,
+  pdfAttachment,
+};
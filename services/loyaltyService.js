@@ -0,0 +1,456 @@
+/**
+ * Loyalty points — every change to a customer's balance goes through here
+ * and is written to the LoyaltyTransaction ledger.
+ *
+ * Earning:
+ *   awardOrderPoints()    — order delivered (services/orderLifecycleService.js)
+ *   awardReviewPoints()   — review approved (verified purchases only)
+ *   reverseReturnPoints() — return refunded: takes back the points its items earned
+ *
+ * Spending:
+ *   redeemOrderPoints()   — POST /api/payment and /api/payment/cod, before the order is opened
+ *   restoreOrderPoints()  — payment failed / order cancelled or expired
+ *
+ * Expiry: expirePoints() (jobs/loyaltyExpiryJob.js).
+ *
+ * User.loyaltyPoints is the spendable balance; User.loyaltyLifetimePoints
+ * (earned minus reversed) sets the tier. Rates and tiers are in utils/loyalty.js.
+ *
+ * Functions return result objects ({ success, code, message }); routes map
+ * `code` to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Review = require("../models/Review");
+const ReturnRequest = require("../models/ReturnRequest");
+const LoyaltyTransaction = require("../models/LoyaltyTransaction");
+const { round2 } = require("../utils/pricing");
+const {
+  LOYALTY_ENABLED,
+  POINTS_EXPIRY_DAYS,
+  REVIEW_BONUS_POINTS,
+  tierFor,
+  nextTier,
+  tierPerks,
+  pointsForAmount,
+  pointsValue,
+} = require("../utils/loyalty");
+
+const EXPIRY_BATCH_SIZE = 500; // safety cap per run
+const EXPIRING_SOON_DAYS = 30;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const _orderRef = (orderId) => `#${String(orderId).slice(-6).toUpperCase()}`;
+
+async function _inTransaction(fn) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const result = await fn(session);
+    if (result?.success === false) await session.abortTransaction();
+    else await session.commitTransaction();
+    return result;
+  } catch (err) {
+    await session.abortTransaction().catch(() => {});
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+/** Applies balance / lifetime changes (floored at zero) and keeps the tier in step. */
+async function _updateUser(userId, { balance = 0, lifetime = 0 }, { session }) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    [
+      {
+        $set: {
+          loyaltyPoints: { $max: [0, { $add: [{ $ifNull: ["$loyaltyPoints", 0] }, balance] }] },
+          loyaltyLifetimePoints: { $max: [0, { $add: [{ $ifNull: ["$loyaltyLifetimePoints", 0] }, lifetime] }] },
+        },
+      },
+    ],
+    { session, new: true, projection: { loyaltyPoints: 1, loyaltyLifetimePoints: 1, loyaltyTier: 1 } },
+  );
+  if (!user) return null;
+
+  const tier = tierFor(user.loyaltyLifetimePoints).name;
+  if (tier !== user.loyaltyTier) {
+    await User.updateOne({ _id: userId }, { $set: { loyaltyTier: tier } }, { session });
+    user.loyaltyTier = tier;
+  }
+  return user;
+}
+
+/** Adds points as a new credit that expires after POINTS_EXPIRY_DAYS. */
+async function _credit(userId, { type, points, description, orderId, reviewId }, { session }) {
+  const user = await _updateUser(userId, { balance: points, lifetime: points }, { session });
+  if (!user) return null;
+
+  const [row] = await LoyaltyTransaction.create(
+    [
+      {
+        userId,
+        type,
+        points,
+        balanceAfter: user.loyaltyPoints,
+        description,
+        orderId,
+        reviewId,
+        expiresAt: new Date(Date.now() + POINTS_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+        remaining: points,
+      },
+    ],
+    { session },
+  );
+  return row;
+}
+
+/**
+ * Takes up to `points` from the customer's credits, soonest-expiring first.
+ * With `strict`, takes nothing unless the whole amount is there.
+ * @returns {Promise<{ taken, consumed }>}
+ */
+async function _consume(userId, points, { session, strict = false }) {
+  const credits = await LoyaltyTransaction.find({
+    userId,
+    remaining: { $gt: 0 },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ expiresAt: 1, createdAt: 1 })
+    .session(session);
+
+  const available = credits.reduce((sum, c) => sum + c.remaining, 0);
+  if (strict && available < points) return { taken: 0, consumed: [] };
+
+  const consumed = [];
+  let left = points;
+  for (const credit of credits) {
+    if (left <= 0) break;
+    const take = Math.min(credit.remaining, left);
+    const updated = await LoyaltyTransaction.updateOne(
+      { _id: credit._id, remaining: { $gte: take } },
+      { $inc: { remaining: -take } },
+      { session },
+    );
+    if (updated.modifiedCount !== 1) continue; // spent elsewhere meanwhile
+    consumed.push({ transactionId: credit._id, points: take });
+    left -= take;
+  }
+  return { taken: points - left, consumed };
+}
+
+// ── Earning ───────────────────────────────────────────────────────────────────
+
+/**
+ * Credits the points a delivered order earns — once per order. Points are
+ * earned on what was paid for the goods (after promotions, coupon and
+ * points), at the customer's tier multiplier.
+ *
+ * @returns {Promise<{ success, points?, code?, message? }>}
+ */
+async function awardOrderPoints(order) {
+  if (!LOYALTY_ENABLED || !order || order.status !== "delivered") {
+    return { success: false, code: "NOT_ELIGIBLE", message: "Order does not earn points." };
+  }
+
+  return _inTransaction(async (session) => {
+    const user = await User.findById(order.userId).select("loyaltyLifetimePoints").session(session).lean();
+    const promotionDiscount = (order.promotions || []).reduce((sum, p) => sum + (p.amount || 0), 0);
+    const earnBase = round2(
+      Math.max(
+        0,
+        order.subtotal - promotionDiscount - (order.discount?.amount || 0) - (order.loyalty?.redemptionValue || 0),
+      ),
+    );
+    const points = pointsForAmount(earnBase, tierFor(user?.loyaltyLifetimePoints));
+
+    // Claim the award on the order first — delivery can be reported twice
+    const claimed = await Order.updateOne(
+      { _id: order._id, "loyalty.earnedAt": null },
+      { $set: { "loyalty.earnedAt": new Date(), "loyalty.pointsEarned": points, "loyalty.earnBase": earnBase } },
+      { session },
+    );
+    if (claimed.modifiedCount !== 1) {
+      return { success: false, code: "ALREADY_AWARDED", message: "Points already awarded for this order." };
+    }
+    if (points > 0) {
+      await _credit(
+        order.userId,
+        { type: "earn", points, description: `Order ${_orderRef(order._id)} delivered`, orderId: order._id },
+        { session },
+      );
+    }
+    return { success: true, points };
+  });
+}
+
+/**
+ * Bonus points for an approved review of a verified purchase — once per review.
+ * @returns {Promise<{ success, points?, code?, message? }>}
+ */
+async function awardReviewPoints(review) {
+  if (!LOYALTY_ENABLED || !REVIEW_BONUS_POINTS || review?.status !== "approved" || !review.isVerifiedPurchase) {
+    return { success: false, code: "NOT_ELIGIBLE", message: "Review does not earn points." };
+  }
+
+  return _inTransaction(async (session) => {
+    const claimed = await Review.updateOne(
+      { _id: review._id, status: "approved", pointsAwardedAt: null },
+      { $set: { pointsAwardedAt: new Date() } },
+      { session },
+    );
+    if (claimed.modifiedCount !== 1) {
+      return { success: false, code: "ALREADY_AWARDED", message: "Points already awarded for this review." };
+    }
+    await _credit(
+      review.user?._id || review.user,
+      { type: "bonus", points: REVIEW_BONUS_POINTS, description: "Review approved", reviewId: review._id },
+      { session },
+    );
+    return { success: true, points: REVIEW_BONUS_POINTS };
+  });
+}
+
+/**
+ * Takes back the points a return's items earned, in proportion to their
+ * share of the order's earn base — once per return. Points already spent
+ * can't be clawed back, so the balance only goes down to zero; the tier is
+ * recalculated on the full amount.
+ *
+ * @returns {Promise<{ success, points?, code?, message? }>}
+ */
+async function reverseReturnPoints(returnRequest) {
+  const order = await Order.findById(returnRequest.orderId).lean();
+  const earned = order?.loyalty?.pointsEarned || 0;
+  if (!earned || !order.loyalty.earnBase) {
+    return { success: false, code: "NOT_ELIGIBLE", message: "No points were earned on this order." };
+  }
+
+  // What the returned units were paid for, after their share of discounts
+  const returnedValue = returnRequest.items.reduce((sum, item) => {
+    const line = order.items.find(
+      (l) =>
+        String(l.product?._id) === String(item.productId) &&
+        (!item.variantId || l.variant?.variantId === item.variantId),
+    );
+    if (!line || !line.quantity) return sum;
+    const paidPerUnit = (line.totalPrice - (line.discountShare || 0)) / line.quantity;
+    return sum + paidPerUnit * Math.min(item.quantity || 0, line.quantity);
+  }, 0);
+  const points = Math.min(
+    earned - (order.loyalty.pointsReversed || 0),
+    Math.round((earned * returnedValue) / order.loyalty.earnBase),
+  );
+  if (points <= 0) return { success: true, points: 0 };
+
+  return _inTransaction(async (session) => {
+    const claimed = await ReturnRequest.updateOne(
+      { _id: returnRequest._id, pointsReversedAt: null },
+      { $set: { pointsReversedAt: new Date(), pointsReversed: points } },
+      { session },
+    );
+    if (claimed.modifiedCount !== 1) {
+      return { success: false, code: "ALREADY_REVERSED", message: "Points already reversed for this return." };
+    }
+
+    const { taken, consumed } = await _consume(order.userId, points, { session });
+    const user = await _updateUser(order.userId, { balance: -taken, lifetime: -points }, { session });
+    await Order.updateOne({ _id: order._id }, { $inc: { "loyalty.pointsReversed": points } }, { session });
+    await LoyaltyTransaction.create(
+      [
+        {
+          userId: order.userId,
+          type: "reverse",
+          points: -taken,
+          balanceAfter: user?.loyaltyPoints,
+          description:
+            taken < points
+              ? `Return on order ${_orderRef(order._id)} — ${points} points reversed, ${points - taken} already spent`
+              : `Return on order ${_orderRef(order._id)}`,
+          orderId: order._id,
+          returnRequestId: returnRequest._id,
+          consumed,
+        },
+      ],
+      { session },
+    );
+    return { success: true, points: taken };
+  });
+}
+
+// ── Spending ──────────────────────────────────────────────────────────────────
+
+/**
+ * Spends points on an order that is about to be opened (the quote already
+ * capped them). All-or-nothing.
+ *
+ * @param {object} params - { userId, orderId, points }
+ * @returns {Promise<{ success, points?, value?, code?, message? }>}
+ */
+async function redeemOrderPoints({ userId, orderId, points }) {
+  if (!(points > 0)) return { success: true, points: 0, value: 0 };
+
+  return _inTransaction(async (session) => {
+    const { taken, consumed } = await _consume(userId, points, { session, strict: true });
+    if (taken < points) {
+      return {
+        success: false,
+        code: "POINTS_UNAVAILABLE",
+        message: "You no longer have enough loyalty points for this order. Please review your cart again.",
+      };
+    }
+    const user = await _updateUser(userId, { balance: -points }, { session });
+    await LoyaltyTransaction.create(
+      [
+        {
+          userId,
+          type: "redeem",
+          points: -points,
+          balanceAfter: user.loyaltyPoints,
+          description: `Redeemed on order ${_orderRef(orderId)}`,
+          orderId,
+          consumed,
+        },
+      ],
+      { session },
+    );
+    return { success: true, points, value: pointsValue(points) };
+  });
+}
+
+/**
+ * Gives back the points an order spent, onto the credits they came from —
+ * once per order. Works before the order document exists (gateway errors).
+ * @returns {Promise<number>} points restored
+ */
+async function restoreOrderPoints(orderId, reason = "Order cancelled") {
+  return _inTransaction(async (session) => {
+    const redemption = await LoyaltyTransaction.findOneAndUpdate(
+      { orderId, type: "redeem", restoredAt: null },
+      { $set: { restoredAt: new Date() } },
+      { session, new: true },
+    );
+    if (!redemption) return 0;
+
+    const points = -redemption.points;
+    for (const { transactionId, points: share } of redemption.consumed) {
+      await LoyaltyTransaction.updateOne({ _id: transactionId }, { $inc: { remaining: share } }, { session });
+    }
+    const user = await _updateUser(redemption.userId, { balance: points }, { session });
+    await LoyaltyTransaction.create(
+      [
+        {
+          userId: redemption.userId,
+          type: "restore",
+          points,
+          balanceAfter: user?.loyaltyPoints,
+          description: `${reason} — order ${_orderRef(orderId)}`,
+          orderId,
+        },
+      ],
+      { session },
+    );
+    await Order.updateOne({ _id: orderId }, { $set: { "loyalty.restoredAt": new Date() } }, { session });
+    return points;
+  });
+}
+
+// ── Expiry ────────────────────────────────────────────────────────────────────
+
+/**
+ * Expires what's left of credits past their expiry date.
+ * @returns {Promise<number>} number of credits expired
+ */
+async function expirePoints(now = new Date()) {
+  const due = await LoyaltyTransaction.find({ remaining: { $gt: 0 }, expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 })
+    .limit(EXPIRY_BATCH_SIZE);
+
+  let expired = 0;
+  for (const credit of due) {
+    const done = await _inTransaction(async (session) => {
+      const claimed = await LoyaltyTransaction.updateOne(
+        { _id: credit._id, remaining: credit.remaining },
+        { $set: { remaining: 0 } },
+        { session },
+      );
+      if (claimed.modifiedCount !== 1) return false; // spent or restored meanwhile — next run
+
+      const user = await _updateUser(credit.userId, { balance: -credit.remaining }, { session });
+      await LoyaltyTransaction.create(
+        [
+          {
+            userId: credit.userId,
+            type: "expire",
+            points: -credit.remaining,
+            balanceAfter: user?.loyaltyPoints,
+            description: `Points from ${credit.createdAt.toISOString().slice(0, 10)} expired`,
+            consumed: [{ transactionId: credit._id, points: credit.remaining }],
+          },
+        ],
+        { session },
+      );
+      return true;
+    });
+    if (done) expired++;
+  }
+  return expired;
+}
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+/**
+ * Balance, tier, perks and paginated history for GET /api/auth/loyalty.
+ * @param {object} [opts] - { page, limit, type }
+ */
+async function getLoyaltySummary(userId, { page = 1, limit = 20, type } = {}) {
+  const user = await User.findById(userId).select("loyaltyPoints loyaltyLifetimePoints").lean();
+  const lifetime = user?.loyaltyLifetimePoints || 0;
+  const tier = tierFor(lifetime);
+
+  const filter = { userId };
+  if (type) filter.type = type;
+  const soon = new Date(Date.now() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000);
+
+  const [history, total, [expiring]] = await Promise.all([
+    LoyaltyTransaction.find(filter)
+      .select("-consumed -remaining")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    LoyaltyTransaction.countDocuments(filter),
+    LoyaltyTransaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), remaining: { $gt: 0 }, expiresAt: { $gt: new Date(), $lte: soon } } },
+      { $group: { _id: null, points: { $sum: "$remaining" }, nextExpiry: { $min: "$expiresAt" } } },
+    ]),
+  ]);
+
+  return {
+    balance: user?.loyaltyPoints || 0,
+    balanceValue: pointsValue(user?.loyaltyPoints || 0),
+    lifetimePoints: lifetime,
+    tier: tier.name,
+    perks: tierPerks(tier),
+    nextTier: nextTier(lifetime),
+    expiringSoon: expiring ? { points: expiring.points, nextExpiry: expiring.nextExpiry } : null,
+    history,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  };
+}
+
+module.exports = {
+  awardOrderPoints,
+  awardReviewPoints,
+  reverseReturnPoints,
+  redeemOrderPoints,
+  restoreOrderPoints,
+  expirePoints,
+  getLoyaltySummary,
+};
@@ -0,0 +1,354 @@
+/**
+ * Admin order edit — changes to an order's details after checkout, each one
+ * written to the order's audit log (who, what, from → to).
+ *
+ * editOrder() can, in one request:
+ *   - change the shipping address until the order ships: the pincode must be
+ *     serviceable (and COD-eligible for COD orders), delivery is re-estimated
+ *     and GST re-split for the new state. The shipping charge isn't re-rated.
+ *   - swap an item to another variant / colour of the same product at the
+ *     same price while the order is confirmed or processing — the new option
+ *     must have the stock, the old one gets it back
+ *   - add an internal note (admins only) or a note for the customer
+ *
+ * The customer hears about address, item and customer-note changes on the
+ * timeline, over SSE, by email and on WhatsApp; internal notes stay internal.
+ *
+ * Returns result objects ({ success, code, message }); routes map `code`
+ * to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const { isValidPincode, resolveZone, estimateCartDelivery } = require("../utils/deliveryCalculator");
+const { findVariant, findColor, priceLine, round2 } = require("../utils/pricing");
+const { checkCodEligibility } = require("../utils/cod");
+const { enqueueEmail } = require("../utils/emailQueue");
+const { sendOrderUpdate } = require("../utils/emailService");
+const { notifyCustomerOrderUpdate } = require("./whatsappService");
+const { calculateTax } = require("./taxService");
+const { swapOrderItemStock } = require("./inventoryService");
+const { syncOrderJobs } = require("./productionService");
+const { normaliseAddress } = require("./quoteService");
+
+// Until the parcel is handed to the courier
+const ADDRESS_EDITABLE_STATUSES = ["pending", "confirmed", "processing"];
+// Stock is committed (and not yet packed) — a pending order's holds can't be moved
+const ITEMS_EDITABLE_STATUSES = ["confirmed", "processing"];
+const ADDRESS_FIELDS = ["street", "city", "state", "country", "zipCode", "phone"];
+const MAX_NOTE_LENGTH = 1000;
+
+const _actor = (user) => ({ userId: user?._id, name: user?.username || user?.name || user?.email || "system" });
+const _formatAddress = (a) => [a.street, a.city, a.state, a.zipCode].filter(Boolean).join(", ");
+const _optionLabel = (variant = {}) => [variant.name, variant.color].filter(Boolean).join(" / ") || "standard";
+
+// ── Address ───────────────────────────────────────────────────────────────────
+
+/**
+ * Validates the new address and works out what changes with it.
+ * @returns {Promise<object>} { success, fields, changes, customerChanges } or { success: false, code, message }
+ */
+async function _addressEdit(order, input) {
+  if (!ADDRESS_EDITABLE_STATUSES.includes(order.status)) {
+    return { success: false, code: "ADDRESS_LOCKED", message: "The address can't be changed once the order has shipped." };
+  }
+  const current = order.shippingAddress?.toObject ? order.shippingAddress.toObject() : { ...order.shippingAddress };
+  const picked = Object.fromEntries(ADDRESS_FIELDS.filter((f) => input[f] !== undefined).map((f) => [f, input[f]]));
+  const address = normaliseAddress({ ...current, ...picked });
+  if (!address.street || !address.city || !address.state) {
+    return { success: false, code: "ADDRESS_REQUIRED", message: "Street, city and state are required." };
+  }
+  if (!isValidPincode(address.zipCode)) {
+    return { success: false, code: "INVALID_PINCODE", message: "Please enter a valid 6-digit PIN code." };
+  }
+  if (!resolveZone(address.zipCode)) {
+    return { success: false, code: "NOT_SERVICEABLE", message: "We do not currently deliver to this PIN code." };
+  }
+  if (ADDRESS_FIELDS.every((f) => (address[f] || "") === (current[f] || ""))) {
+    return { success: true, fields: {}, changes: [], customerChanges: [] };
+  }
+
+  const products = await Product.find({ _id: { $in: order.items.map((i) => i.product?._id).filter(Boolean) } }).lean();
+  if (order.paymentMethod === "cod" && address.zipCode !== current.zipCode) {
+    const cod = checkCodEligibility({
+      pincode: address.zipCode,
+      products,
+      orderValue: round2((order.totalAmount || 0) - (order.codFee || 0)),
+    });
+    if (!cod.eligible) return { success: false, code: "COD_UNAVAILABLE", message: cod.reasons.join(" ") };
+  }
+
+  const fields = { shippingAddress: address };
+  const changes = [{ field: "shippingAddress", from: current, to: address }];
+  const customerChanges = [`Delivery address changed to ${_formatAddress(address)}`];
+
+  // Same basis as at checkout: the made-to-order clock started when the order was placed
+  const estimate = estimateCartDelivery(address.zipCode, products, { from: order.createdAt || new Date() });
+  if (estimate.success) {
+    const eta = new Date(estimate.estimatedMaxDate);
+    if (!order.estimatedDelivery || eta.getTime() !== new Date(order.estimatedDelivery).getTime()) {
+      fields.estimatedDelivery = eta;
+      changes.push({ field: "estimatedDelivery", from: order.estimatedDelivery || null, to: eta });
+      customerChanges.push(`New estimated delivery: ${estimate.displayRange}`);
+    }
+  }
+
+  // Another state can switch CGST + SGST ↔ IGST; the amount stays the same
+  if (address.state !== current.state && order.items.every((i) => i.product?._id)) {
+    const productMap = Object.fromEntries(products.map((p) => [String(p._id), p]));
+    const { lineTaxes, tax, taxBreakdown } = await calculateTax({
+      lines: order.items.map((i) => ({ productId: i.product._id, category: i.product.category, lineTotal: i.totalPrice })),
+      productMap,
+      discountShares: order.items.map((i) => i.discountShare || 0),
+      shipping: round2((order.shipping || 0) + (order.codFee || 0)),
+      address,
+    });
+    order.items.forEach((item, i) => {
+      fields[`items.${i}.tax`] = lineTaxes[i];
+    });
+    fields.tax = tax;
+    fields.taxBreakdown = taxBreakdown;
+  }
+
+  return { success: true, fields, changes, customerChanges };
+}
+
+// ── Variant swaps ─────────────────────────────────────────────────────────────
+
+/**
+ * Checks the swaps and works out each item's new variant.
+ * @returns {Promise<object>} { success, swaps: [{ item, index, variant }] } or { success: false, code, message }
+ */
+async function _planSwaps(order, input) {
+  if (!Array.isArray(input)) {
+    return { success: false, code: "INVALID_SWAP", message: "swaps must be a list of { itemId, variantId, colorName }." };
+  }
+  if (!ITEMS_EDITABLE_STATUSES.includes(order.status)) {
+    return { success: false, code: "ITEMS_LOCKED", message: "Items can only be swapped while the order is confirmed or processing." };
+  }
+
+  const productIds = input
+    .map((s) => (mongoose.Types.ObjectId.isValid(s?.itemId) ? order.items.id(s.itemId)?.product?._id : null))
+    .filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds } }).lean();
+  const productMap = Object.fromEntries(products.map((p) => [String(p._id), p]));
+
+  const swaps = [];
+  const seen = new Set();
+  for (const swap of input) {
+    const item = mongoose.Types.ObjectId.isValid(swap?.itemId) ? order.items.id(swap.itemId) : null;
+    if (!item) return { success: false, code: "ITEM_NOT_FOUND", message: `Item ${swap?.itemId} is not on this order.` };
+    if (seen.has(String(item._id))) {
+      return { success: false, code: "INVALID_SWAP", message: `${item.product.name} is listed more than once.` };
+    }
+    seen.add(String(item._id));
+    if (item.freeGift?.promotionId) {
+      return { success: false, code: "INVALID_SWAP", message: "A free gift can't be swapped." };
+    }
+    if (!swap.variantId && !swap.colorName) {
+      return { success: false, code: "INVALID_SWAP", message: `Choose a variant or colour for ${item.product.name}.` };
+    }
+    const product = productMap[String(item.product._id)];
+    if (!product) return { success: false, code: "PRODUCT_UNAVAILABLE", message: `${item.product.name} is no longer available.` };
+
+    const variantId = swap.variantId || item.variant?.variantId || null;
+    const colorName = swap.colorName || item.variant?.color || null;
+    const variant = variantId ? findVariant(product, variantId) : null;
+    const color = colorName ? findColor(product, colorName) : null;
+    if ((swap.variantId && !variant) || (swap.colorName && !color)) {
+      return { success: false, code: "OPTION_NOT_FOUND", message: `That option isn't available for ${item.product.name}.` };
+    }
+
+    // Like for like — a different price is a new order
+    const { unitPrice } = priceLine(product, {
+      quantity: item.quantity,
+      variantId: variant?._id,
+      colorName: color?.name,
+      surcharge: item.customization?.surcharge || 0,
+    });
+    if (unitPrice !== round2(item.product.price)) {
+      return {
+        success: false,
+        code: "PRICE_MISMATCH",
+        message: `${item.product.name}: the new option costs ₹${unitPrice} a unit, not ₹${item.product.price}.`,
+      };
+    }
+
+    const next = {
+      ...(item.variant?.toObject ? item.variant.toObject() : item.variant || {}),
+      ...(variant
+        ? {
+            variantId: String(variant._id),
+            name: variant.name,
+            size: variant.attributes?.size,
+            material: variant.attributes?.material,
+          }
+        : {}),
+      ...(color ? { color: color.name } : {}),
+    };
+    if (next.variantId === (item.variant?.variantId || undefined) && next.color === (item.variant?.color || undefined)) continue;
+    swaps.push({ item, index: order.items.indexOf(item), variant: next });
+  }
+  return { success: true, swaps };
+}
+
+/** Moves the stock for each swap; undoes the ones done if one fails. */
+async function _moveSwapStock(order, swaps, { actor, note, reverse = false }) {
+  const done = [];
+  for (const swap of swaps) {
+    const current = { variantId: swap.item.variant?.variantId || null, colorName: swap.item.variant?.color || null };
+    const next = { variantId: swap.variant.variantId || null, colorName: swap.variant.color || null };
+    const moved = await swapOrderItemStock({
+      productId: swap.item.product._id,
+      quantity: swap.item.quantity,
+      from: reverse ? next : current,
+      to: reverse ? current : next,
+      actor,
+      orderId: order._id,
+      note,
+    });
+    if (!moved.success) {
+      if (!reverse) await _moveSwapStock(order, done, { actor, note: "Order edit rolled back", reverse: true });
+      return { ...moved, message: `${swap.item.product.name}: ${moved.message}` };
+    }
+    done.push(swap);
+  }
+  return { success: true };
+}
+
+// ── Notifications ─────────────────────────────────────────────────────────────
+
+/** SSE push, email and WhatsApp for changes the customer should know about. Never throws. */
+async function _notifyCustomer(order, customerChanges) {
+  try {
+    const { pushOrderUpdate } = require("../routes/sse");
+    pushOrderUpdate(order.userId.toString(), order, order.status);
+  } catch (sseErr) {
+    console.error("[SSE] pushOrderUpdate failed:", sseErr.message);
+  }
+
+  const customer = await User.findById(order.userId).lean().catch(() => null);
+  if (customer?.email) enqueueEmail(() => sendOrderUpdate(order, customer, customerChanges));
+  setImmediate(() =>
+    notifyCustomerOrderUpdate(order, customer, customerChanges.join("; ")).catch((e) =>
+      console.error("[WhatsApp] Customer order update notification error:", e.message),
+    ),
+  );
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Applies an admin's edits to an order.
+ *
+ * @param {ObjectId|string} orderId
+ * @param {object} edits
+ * @param {object} [edits.shippingAddress] - fields to change: street, city, state, country, zipCode, phone
+ * @param {Array}  [edits.swaps]           - [{ itemId, variantId?, colorName? }]
+ * @param {string} [edits.internalNote]
+ * @param {string} [edits.customerNote]
+ * @param {string} [edits.reason]          - kept on the audit entry
+ * @param {object} opts - { actor } — the admin
+ * @returns {Promise<{ success, order?, changes?, code?, message? }>}
+ */
+async function editOrder(orderId, { shippingAddress, swaps, internalNote, customerNote, reason } = {}, { actor } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return { success: false, code: "INVALID_ORDER_ID", message: "Invalid order ID" };
+  }
+  const order = await Order.findById(orderId);
+  if (!order) return { success: false, code: "ORDER_NOT_FOUND", message: "Order not found" };
+
+  const now = new Date();
+  const fields = {};
+  const changes = [];
+  const customerChanges = [];
+  const timeline = [];
+  const push = {};
+
+  if (shippingAddress != null) {
+    if (typeof shippingAddress !== "object") {
+      return { success: false, code: "ADDRESS_REQUIRED", message: "shippingAddress must be an object." };
+    }
+    const edit = await _addressEdit(order, shippingAddress);
+    if (!edit.success) return edit;
+    Object.assign(fields, edit.fields);
+    changes.push(...edit.changes);
+    customerChanges.push(...edit.customerChanges);
+    if (edit.changes.length) {
+      timeline.push({ status: order.status, title: "Delivery Address Updated", description: edit.customerChanges.join(". "), timestamp: now });
+    }
+  }
+
+  let planned = [];
+  if (swaps != null) {
+    const plan = await _planSwaps(order, swaps);
+    if (!plan.success) return plan;
+    planned = plan.swaps;
+    for (const swap of planned) {
+      const line = `${swap.item.product.name} changed from ${_optionLabel(swap.item.variant)} to ${_optionLabel(swap.variant)}`;
+      fields[`items.${swap.index}.variant`] = swap.variant;
+      changes.push({ field: `items.${swap.item._id}.variant`, from: swap.item.variant?.toObject?.() || null, to: swap.variant });
+      customerChanges.push(line);
+      timeline.push({ status: order.status, title: "Item Updated", description: line, timestamp: now });
+    }
+  }
+
+  for (const [key, text, visible] of [
+    ["internalNotes", internalNote, false],
+    ["customerNotes", customerNote, true],
+  ]) {
+    const value = String(text || "").trim();
+    if (!value) continue;
+    if (value.length > MAX_NOTE_LENGTH) {
+      return { success: false, code: "INVALID_NOTE", message: `Notes can be at most ${MAX_NOTE_LENGTH} characters.` };
+    }
+    push[key] = { text: value, author: _actor(actor), createdAt: now };
+    changes.push({ field: key, from: null, to: value });
+    if (visible) {
+      customerChanges.push(`Note from our team: ${value}`);
+      timeline.push({ status: order.status, title: "Note From Our Team", description: value, timestamp: now });
+    }
+  }
+
+  if (!changes.length) {
+    return { success: false, code: "NO_CHANGES", message: "Nothing to change." };
+  }
+
+  const note = String(reason || "").trim().slice(0, 300);
+  if (planned.length) {
+    const moved = await _moveSwapStock(order, planned, { actor, note: note || "Variant swapped by admin" });
+    if (!moved.success) return moved;
+  }
+
+  // Compare-and-set on the version we checked — a concurrent edit or status move wins
+  const audit = { actor: _actor(actor), changes, ...(note ? { reason: note } : {}), createdAt: now };
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+    {
+      $set: { ...fields, updatedAt: now },
+      $push: {
+        auditLog: audit,
+        ...(timeline.length ? { timeline: { $each: timeline } } : {}),
+        ...push,
+      },
+    },
+    { new: true },
+  ).select("+auditLog +internalNotes");
+  if (!updated) {
+    if (planned.length) await _moveSwapStock(order, planned, { actor, note: "Order edit rolled back", reverse: true });
+    return { success: false, code: "CONCURRENT_UPDATE", message: "The order changed while it was being edited. Please reload and try again." };
+  }
+
+  if (planned.length) {
+    // Production jobs make the new option
+    await syncOrderJobs(updated, { actor }).catch((e) =>
+      console.error(`[OrderEdit] Production job update failed for ${order._id}:`, e.message),
+    );
+  }
+  if (customerChanges.length) await _notifyCustomer(updated, customerChanges);
+  return { success: true, order: updated, changes };
+}
+
+module.exports = { editOrder, ADDRESS_EDITABLE_STATUSES, ITEMS_EDITABLE_STATUSES };
@@ -0,0 +1,311 @@
+/**
+ * Order lifecycle — the one place an order's status changes after checkout.
+ *
+ * transitionOrder() checks the move against utils/orderStatus.js, applies it
+ * with a compare-and-set on the current status (an admin, the customer and a
+ * job can't all move the same order at once), adds the timeline entry and
+ * runs the side-effects of the new status:
+ *
+ *   confirmed — COD orders go through the payment confirmation transaction
+ *               (coupon, stock); prepaid orders confirm when their payment
+ *               is captured, never by hand
+ *   shipped   — tracking number stored, shipping email; refused while a
+ *               made-to-order line is still in production
+ *   delivered — COD cash marked collected, loyalty points, delivery email
+ *   cancelled — stock back (restocked once committed, holds released while
+ *               pending), coupon use, sale allowance, points, gift card and
+ *               wallet payments returned, captured payment refunded,
+ *               production jobs cancelled
+ *   returned  — from shipped / out for delivery (returned to origin) the same
+ *               unwinding as a cancellation; after delivery the return
+ *               request (routes/returns.js) handles stock and refunds
+ *
+ * Every move pushes an SSE update. Orders that were never confirmed (unpaid
+ * orders expired by jobs/pendingOrderJob.js) skip the admin notification and
+ * customer messages.
+ *
+ * Returns result objects ({ success, code, message }); routes map `code`
+ * to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { checkTransition, STATUS_TITLES } = require("../utils/orderStatus");
+const { enqueueEmail } = require("../utils/emailQueue");
+const { sendShippingUpdate, sendDeliveryConfirmation } = require("../utils/emailService");
+const { notifyCustomerStatusChange } = require("./whatsappService");
+const { releaseOrderCoupon } = require("./couponService");
+const { releaseSaleUnits } = require("./saleService");
+const { createRefund } = require("./refundService");
+const { orderLines, releaseReservations, restockOrderItems } = require("./inventoryService");
+const { awardOrderPoints, restoreOrderPoints } = require("./loyaltyService");
+const { reverseWalletPayment } = require("./walletService");
+const { reverseGiftCardRedemption } = require("./giftCardService");
+const { confirmCodOrder, runPostPaymentActions } = require("./paymentService");
+
+// Stock has left the shelf (committed at confirmation) in these statuses
+const STOCK_COMMITTED = ["confirmed", "processing", "shipped", "out_for_delivery"];
+
+const DEFAULT_DESCRIPTIONS = {
+  confirmed: "Your order has been confirmed",
+  processing: "Your order is being prepared for dispatch",
+  out_for_delivery: "Your order is out for delivery",
+  delivered: "Your order has been delivered",
+};
+
+// Admin notification text
+const NOTIFICATION_MESSAGES = {
+  confirmed: "Order has been confirmed",
+  processing: "Order is being processed for shipment",
+  shipped: "Order has been shipped",
+  out_for_delivery: "Order is out for delivery",
+  delivered: "Order has been delivered",
+  cancelled: "Order has been cancelled",
+  returned: "Order has been returned",
+};
+
+const _shortId = (order) => order._id.toString().slice(-6).toUpperCase();
+
+function _validDate(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** Fields set alongside the status. */
+function _statusFields(order, to, { reason, trackingNumber, estimatedDelivery, paymentFailed }, now) {
+  const fields = { status: to, updatedAt: now };
+  if (to === "shipped") {
+    fields.shippedAt = now;
+    if (trackingNumber) fields.trackingNumber = String(trackingNumber).trim();
+    const eta = _validDate(estimatedDelivery);
+    if (eta) fields.estimatedDelivery = eta;
+  }
+  if (to === "delivered") {
+    fields.deliveredAt = now;
+    // Cash on delivery is paid when the courier hands the order over
+    if (order.paymentMethod === "cod" && order.paymentStatus === "pending") {
+      fields.paymentStatus = "completed";
+      fields.codCollectedAt = now;
+    }
+  }
+  if (to === "cancelled") {
+    fields.cancelledAt = now;
+    fields.cancellationReason = reason;
+    if (paymentFailed) {
+      fields.paymentStatus = "failed";
+      fields.failureReason = reason;
+    }
+  }
+  if (to === "returned") fields.returnedAt = now;
+  return fields;
+}
+
+function _timelineEvent(to, opts, fields, now) {
+  const { reason, courierName, actor, source, title, description, metadata } = opts;
+  let text = description || DEFAULT_DESCRIPTIONS[to] || reason;
+  if (!description && to === "shipped") {
+    text = `Shipped${courierName ? ` via ${courierName}` : ""} — tracking number ${fields.trackingNumber || opts.currentTrackingNumber}`;
+  }
+  return {
+    status: to,
+    title: title || STATUS_TITLES[to],
+    description: text,
+    timestamp: now,
+    metadata: {
+      source,
+      ...(actor?._id ? { actorId: actor._id } : {}),
+      ...(to === "shipped" ? { trackingNumber: fields.trackingNumber || opts.currentTrackingNumber, courierName } : {}),
+      ...(reason && (to === "cancelled" || to === "returned") ? { reason } : {}),
+      ...metadata,
+    },
+  };
+}
+
+/**
+ * Gives back what the order took: stock, coupon use, points, gift card and
+ * wallet payments, and refunds a captured payment. Each step is idempotent
+ * and logged on failure so one problem doesn't stop the rest.
+ */
+async function _unwindOrder(order, from, to, { reason, actor }) {
+  const warn = (step) => (e) => console.error(`[OrderLifecycle] ${step} failed for ${order._id}:`, e.message);
+
+  if (STOCK_COMMITTED.includes(from)) {
+    await restockOrderItems(orderLines(order), {
+      reason: from === "shipped" || from === "out_for_delivery" ? "return" : "cancellation",
+      actor,
+      orderId: order._id,
+      note: reason,
+    }).catch(warn("Stock restore"));
+  } else {
+    // An unconfirmed order may still hold stock from checkout
+    await releaseReservations(order._id, reason).catch(warn("Stock hold release"));
+  }
+
+  if (to === "cancelled") {
+    // Required lazily — the production service moves orders through this module
+    const { cancelOrderJobs } = require("./productionService");
+    await cancelOrderJobs(order._id, { reason, actor }).catch(warn("Production job cancellation"));
+  }
+
+  await releaseOrderCoupon(order).catch(warn("Coupon release"));
+  await releaseSaleUnits(order._id).catch(warn("Sale limit release"));
+  // Gift card and wallet money on an unpaid order goes straight back; on a
+  // paid one it is refunded below
+  await restoreOrderPoints(order._id, reason).catch(warn("Loyalty points restore"));
+  await reverseGiftCardRedemption(order._id, reason).catch(warn("Gift card reversal"));
+  await reverseWalletPayment(order._id, reason).catch(warn("Wallet reversal"));
+
+  if (order.paymentStatus !== "completed") return null;
+  // Return the payment — a failure is flagged to admins for retry
+  return createRefund(await Order.findById(order._id), { reason, initiatedBy: actor?._id || null }).catch((e) => {
+    warn("Refund")(e);
+    return null;
+  });
+}
+
+/** Admin notification, SSE push and customer WhatsApp / email. Never throws. */
+async function _notify(order, from, to, { trackingNumber }) {
+  try {
+    const { pushOrderUpdate } = require("../routes/sse");
+    pushOrderUpdate(order.userId.toString(), order, from);
+  } catch (sseErr) {
+    console.error("[SSE] pushOrderUpdate failed:", sseErr.message);
+  }
+
+  // Failed and expired payments — the customer was never told the order went through
+  if (from === "pending" && to === "cancelled") return;
+
+  const customer = await User.findById(order.userId).lean().catch(() => null);
+  Notification.create({
+    type: to === "cancelled" ? "cancelled" : "order_status_update",
+    message: `Order #${_shortId(order)} — ${NOTIFICATION_MESSAGES[to] || `Order status updated to ${to}`}`,
+    orderId: order._id,
+    read: false,
+    meta: {
+      orderId: order._id,
+      userId: order.userId,
+      previousStatus: from,
+      newStatus: to,
+      totalAmount: order.totalAmount,
+      customerEmail: customer?.email,
+      ...(order.cancellationReason && to === "cancelled" ? { reason: order.cancellationReason } : {}),
+    },
+  }).catch((err) => console.error("Failed to create order status notification:", err.message));
+
+  setImmediate(() =>
+    notifyCustomerStatusChange(order, customer, to).catch((e) =>
+      console.error("[WhatsApp] Customer status notification error:", e.message),
+    ),
+  );
+
+  if (customer?.email && to === "shipped") {
+    enqueueEmail(() => sendShippingUpdate(order, customer, trackingNumber || order.trackingNumber, order.estimatedDelivery));
+  }
+  if (customer?.email && to === "delivered") {
+    enqueueEmail(() => sendDeliveryConfirmation(order, customer));
+  }
+}
+
+/**
+ * Confirms a pending order by hand. Only cash-on-delivery orders can be —
+ * an admin confirming one stands in for the customer's code.
+ */
+async function _confirmPending(order, opts) {
+  if (order.paymentMethod !== "cod") {
+    return {
+      success: false,
+      code: "PAYMENT_PENDING",
+      message: "A prepaid order is confirmed automatically once its payment is captured",
+    };
+  }
+
+  const confirmed = await confirmCodOrder(order._id, { verifiedVia: "admin" });
+  if (!confirmed.success) return confirmed;
+  if (!confirmed.alreadyConfirmed) {
+    setImmediate(() => runPostPaymentActions(confirmed.order));
+    const customer = await User.findById(order.userId).lean().catch(() => null);
+    setImmediate(() =>
+      notifyCustomerStatusChange(confirmed.order, customer, "confirmed").catch((e) =>
+        console.error("[WhatsApp] Customer status notification error:", e.message),
+      ),
+    );
+  }
+  return { success: true, order: confirmed.order, previousStatus: "pending", refund: null };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Moves an order to `to`.
+ *
+ * @param {ObjectId|string|object} orderOrId - order id or document
+ * @param {string} to
+ * @param {object} [opts]
+ * @param {object} [opts.actor]             - user making the change (admin or customer)
+ * @param {string} [opts.source]            - "admin" | "customer" | "payment" | "reconciliation" | …; kept on the timeline
+ * @param {string} [opts.reason]            - required to cancel or return
+ * @param {string} [opts.trackingNumber]    - required to ship (unless the order already has one)
+ * @param {string} [opts.courierName]
+ * @param {Date|string} [opts.estimatedDelivery] - replaces the checkout estimate when shipping
+ * @param {boolean} [opts.paymentFailed]    - cancelling because payment failed: paymentStatus → "failed"
+ * @param {string} [opts.title] / [opts.description] / [opts.metadata] - timeline overrides
+ * @returns {Promise<{ success, order?, previousStatus?, refund?, code?, message? }>}
+ */
+async function transitionOrder(orderOrId, to, opts = {}) {
+  const orderId = orderOrId?._id || orderOrId;
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return { success: false, code: "INVALID_ORDER_ID", message: "Invalid order ID" };
+  }
+  const order = await Order.findById(orderId);
+  if (!order) return { success: false, code: "ORDER_NOT_FOUND", message: "Order not found" };
+
+  const reason = String(opts.reason || "").trim();
+  const illegal = checkTransition(order, to, { reason, trackingNumber: opts.trackingNumber });
+  if (illegal) return { success: false, ...illegal };
+
+  const from = order.status;
+  if (from === "pending" && to === "confirmed") return _confirmPending(order, opts);
+  if (to === "shipped") {
+    const { openJobCount } = require("./productionService");
+    const open = await openJobCount(order._id);
+    if (open > 0) {
+      return {
+        success: false,
+        code: "PRODUCTION_PENDING",
+        message: `${open} made-to-order item${open === 1 ? " is" : "s are"} still in production`,
+      };
+    }
+  }
+
+  const now = new Date();
+  const fields = _statusFields(order, to, { ...opts, reason }, now);
+  const event = _timelineEvent(to, { ...opts, reason, currentTrackingNumber: order.trackingNumber }, fields, now);
+
+  // Compare-and-set on the status we checked; a pending order that got paid meanwhile isn't cancelled
+  const filter = { _id: order._id, status: from };
+  if (from === "pending") filter.paymentStatus = { $ne: "completed" };
+  const updated = await Order.findOneAndUpdate(filter, { $set: fields, $push: { timeline: event } }, { new: true });
+  if (!updated) {
+    return { success: false, code: "CONCURRENT_UPDATE", message: "The order changed while it was being updated. Please reload and try again." };
+  }
+
+  let refund = null;
+  const returnedToOrigin = to === "returned" && from !== "delivered";
+  if (to === "cancelled" || returnedToOrigin) {
+    refund = await _unwindOrder(updated, from, to, { reason, actor: opts.actor });
+  }
+  if (to === "delivered") {
+    // Idempotent — points are credited once per order
+    awardOrderPoints(updated).catch((e) => console.error("Warning: Could not award loyalty points -", e.message));
+  }
+
+  const fresh = (await Order.findById(updated._id)) || updated;
+  await _notify(fresh, from, to, opts);
+
+  return { success: true, order: fresh, previousStatus: from, refund };
+}
+
+module.exports = { transitionOrder };
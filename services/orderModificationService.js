@@ -0,0 +1,347 @@
+/**
+ * Order modifications — cancelling some items, or fewer units of them, before
+ * dispatch (confirmed / processing), by the customer or an admin.
+ *
+ * modifyOrderItems() reprices what is left the way the checkout quote priced
+ * it:
+ *   - unit prices stay as charged (a smaller quantity keeps its bulk tier)
+ *   - promotion and coupon discounts shrink with the units removed; the value
+ *     of the loyalty points spent stays with the order, spread over what is left
+ *   - shipping is re-rated on the lighter parcel, and like the COD fee never
+ *     goes up
+ *   - GST is recomputed per line
+ * then puts the removed units back in stock, refunds the difference on a paid
+ * order (services/refundService.js), updates the lines' production jobs
+ * (services/productionService.js) and records the change on the timeline
+ * with a before / after snapshot. Cancelling every item cancels the order
+ * through services/orderLifecycleService.js.
+ *
+ * Returns result objects ({ success, code, message }); routes map `code`
+ * to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { round2, allocateDiscount } = require("../utils/pricing");
+const { calculateShipping } = require("../utils/shippingRates");
+const { codFee } = require("../utils/cod");
+const { tierFor } = require("../utils/loyalty");
+const { calculateTax } = require("./taxService");
+const { createRefund } = require("./refundService");
+const { orderLines, restockOrderItems } = require("./inventoryService");
+const { transitionOrder } = require("./orderLifecycleService");
+const { syncOrderJobs } = require("./productionService");
+
+// Nothing has left the warehouse yet in these statuses
+const MODIFIABLE_STATUSES = ["confirmed", "processing"];
+
+const _shortId = (order) => order._id.toString().slice(-6).toUpperCase();
+const _sum = (values) => round2(values.reduce((sum, v) => sum + (v || 0), 0));
+const _isGift = (item) => Boolean(item.freeGift?.promotionId);
+
+/** Totals and lines kept on the timeline before and after a change. */
+function _snapshot(order) {
+  return {
+    items: order.items.map((i) => ({
+      itemId: i._id,
+      name: i.product?.name,
+      quantity: i.quantity,
+      totalPrice: i.totalPrice,
+      discountShare: i.discountShare || 0,
+    })),
+    subtotal: order.subtotal,
+    promotions: _sum((order.promotions || []).map((p) => p.amount)),
+    discount: order.discount?.amount || 0,
+    pointsValue: order.loyalty?.redemptionValue || 0,
+    shipping: order.shipping || 0,
+    codFee: order.codFee || 0,
+    tax: order.tax || 0,
+    totalAmount: order.totalAmount,
+  };
+}
+
+/**
+ * Checks the requested changes against the order.
+ * @returns {{ quantities: Map } | { code, message }} itemId → new quantity
+ */
+function _readChanges(order, changes) {
+  if (!Array.isArray(changes) || !changes.length) {
+    return { code: "INVALID_CHANGES", message: "List the items to change as [{ itemId, quantity }]." };
+  }
+  const quantities = new Map();
+  for (const change of changes) {
+    const item = mongoose.Types.ObjectId.isValid(change?.itemId) ? order.items.id(change.itemId) : null;
+    if (!item) return { code: "ITEM_NOT_FOUND", message: `Item ${change?.itemId} is not on this order.` };
+    if (quantities.has(String(item._id))) {
+      return { code: "INVALID_CHANGES", message: `${item.product.name} is listed more than once.` };
+    }
+    const quantity = Number(change.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity >= item.quantity) {
+      return {
+        code: "INVALID_QUANTITY",
+        message: `${item.product.name}: the quantity can only be lowered (0 to ${item.quantity - 1}).`,
+      };
+    }
+    quantities.set(String(item._id), quantity);
+  }
+  return { quantities };
+}
+
+/**
+ * Prices the order with the new quantities.
+ * @returns {Promise<object>} { success, items, fields } or { success: false, code, message }
+ */
+async function _reprice(order, quantities) {
+  const kept = order.items
+    .map((item) => ({ item, quantity: quantities.get(String(item._id)) ?? item.quantity }))
+    .filter((k) => k.quantity > 0);
+
+  const lines = kept.map(({ item, quantity }) => ({
+    productId: item.product._id,
+    category: item.product.category,
+    variantId: item.variant?.variantId || null,
+    quantity,
+    lineTotal: quantity === item.quantity ? item.totalPrice : round2((item.totalPrice * quantity) / item.quantity),
+  }));
+  const subtotal = _sum(lines.map((l) => l.lineTotal));
+
+  // Split each line's discount into its promotion + coupon part and its points
+  // part in the order's proportions; only the first shrinks with the units
+  const promotions = (order.promotions || []).map((p) => (p.toObject ? p.toObject() : { ...p }));
+  const couponAmount = order.discount?.amount || 0;
+  const offerTotal = _sum([...promotions.map((p) => p.amount), couponAmount]);
+  const pointsValue = order.loyalty?.redemptionValue || 0;
+  const offerFraction = offerTotal > 0 ? offerTotal / (offerTotal + pointsValue) : 0;
+  const offerShares = kept.map(({ item, quantity }) =>
+    round2(((item.discountShare || 0) * offerFraction * quantity) / item.quantity),
+  );
+  const newOfferTotal = _sum(offerShares);
+
+  const remaining = lines.map((l, i) => ({ lineTotal: round2(l.lineTotal - offerShares[i]) }));
+  if (pointsValue > _sum(remaining.map((l) => l.lineTotal))) {
+    return {
+      success: false,
+      code: "CANCEL_WHOLE_ORDER",
+      message: "The loyalty points used on this order are worth more than the items that would be left. Cancel the whole order instead.",
+    };
+  }
+  const pointShares = allocateDiscount(remaining, pointsValue);
+  const discountShares = offerShares.map((share, i) => round2(share + pointShares[i]));
+
+  // The promotions and the coupon keep their proportions of what is left
+  const offerParts = allocateDiscount([...promotions.map((p) => ({ lineTotal: p.amount })), { lineTotal: couponAmount }], newOfferTotal);
+  promotions.forEach((p, i) => {
+    p.amount = offerParts[i];
+  });
+  const afterOffers = round2(subtotal - newOfferTotal);
+  const merchandiseTotal = round2(afterOffers - pointsValue);
+
+  const products = await Product.find({ _id: { $in: lines.map((l) => l.productId) } }).lean();
+  const productMap = Object.fromEntries(products.map((p) => [String(p._id), p]));
+  const user = await User.findById(order.userId).select("loyaltyLifetimePoints").lean();
+  const rated = calculateShipping({
+    pincode: order.shippingAddress?.zipCode,
+    lines,
+    productMap,
+    merchandiseTotal: afterOffers,
+    freeShippingFrom: user ? tierFor(user.loyaltyLifetimePoints).freeShippingFrom : null,
+  });
+  const shipping = rated.success ? Math.min(order.shipping || 0, rated.charge) : order.shipping || 0;
+  const fee = order.paymentMethod === "cod"
+    ? Math.min(order.codFee || 0, codFee(round2(merchandiseTotal + shipping)))
+    : order.codFee || 0;
+
+  const { lineTaxes, tax, taxBreakdown, taxCharged } = await calculateTax({
+    lines,
+    productMap,
+    discountShares,
+    shipping: round2(shipping + fee),
+    address: order.shippingAddress || {},
+  });
+
+  const items = kept.map(({ item }, i) => ({
+    ...item.toObject(),
+    quantity: lines[i].quantity,
+    totalPrice: lines[i].lineTotal,
+    discountShare: discountShares[i],
+    tax: lineTaxes[i],
+  }));
+  return {
+    success: true,
+    items,
+    fields: {
+      subtotal,
+      promotions,
+      "discount.amount": offerParts[offerParts.length - 1],
+      shipping,
+      codFee: fee,
+      tax,
+      taxBreakdown,
+      totalAmount: round2(merchandiseTotal + shipping + fee + taxCharged),
+    },
+  };
+}
+
+function _describe(order, quantities) {
+  return order.items
+    .filter((item) => quantities.has(String(item._id)))
+    .map((item) => {
+      const quantity = quantities.get(String(item._id));
+      return quantity === 0
+        ? `${item.product.name} × ${item.quantity} cancelled`
+        : `${item.product.name} reduced from ${item.quantity} to ${quantity}`;
+    })
+    .join("; ");
+}
+
+/** SSE push and admin notification. Never throws. */
+function _notify(order, { source, description }) {
+  try {
+    const { pushOrderUpdate } = require("../routes/sse");
+    pushOrderUpdate(order.userId.toString(), order, order.status);
+  } catch (sseErr) {
+    console.error("[SSE] pushOrderUpdate failed:", sseErr.message);
+  }
+
+  Notification.create({
+    type: "order_modified",
+    message: `Order #${_shortId(order)} — ${description}`,
+    orderId: order._id,
+    read: false,
+    meta: { orderId: order._id, userId: order.userId, source, totalAmount: order.totalAmount },
+  }).catch((err) => console.error("Failed to create order modification notification:", err.message));
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Cancels items, or lowers their quantities, on a confirmed / processing order.
+ *
+ * @param {ObjectId|string|object} orderOrId - order id or document
+ * @param {Array}  changes          - [{ itemId, quantity }] — the new quantity; 0 cancels the line
+ * @param {object} [opts]
+ * @param {object} [opts.actor]     - user making the change
+ * @param {string} [opts.source]    - "customer" | "admin"; kept on the timeline
+ * @param {string} [opts.reason]
+ * @returns {Promise<{ success, order?, modificationId?, refundAmount?, refund?, cancelled?, code?, message? }>}
+ *   `cancelled` is true when no paid item was left and the whole order was cancelled.
+ */
+async function modifyOrderItems(orderOrId, changes, { actor = null, source = "admin", reason = "" } = {}) {
+  const orderId = orderOrId?._id || orderOrId;
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return { success: false, code: "INVALID_ORDER_ID", message: "Invalid order ID" };
+  }
+  const order = await Order.findById(orderId);
+  if (!order) return { success: false, code: "ORDER_NOT_FOUND", message: "Order not found" };
+  if (!MODIFIABLE_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      code: "ORDER_NOT_MODIFIABLE",
+      message: "Items can only be changed while the order is confirmed or processing",
+    };
+  }
+
+  const read = _readChanges(order, changes);
+  if (!read.quantities) return { success: false, ...read };
+  const { quantities } = read;
+  const note = String(reason || "").trim();
+  const description = _describe(order, quantities);
+
+  // Nothing paid for left — that's a cancellation of the order
+  const paidLeft = order.items.some((item) => !_isGift(item) && (quantities.get(String(item._id)) ?? item.quantity) > 0);
+  if (!paidLeft) {
+    const result = await transitionOrder(order, "cancelled", {
+      actor,
+      source,
+      reason: note || "All items cancelled",
+      description,
+    });
+    return result.success ? { ...result, cancelled: true } : result;
+  }
+
+  const priced = await _reprice(order, quantities);
+  if (!priced.success) return priced;
+  const { items, fields } = priced;
+
+  // Gift card and wallet money on an unpaid order is only given back with the whole order
+  const paid = order.paymentStatus === "completed";
+  const nonCash = round2((order.giftCard?.amount || 0) + (order.wallet?.amount || 0));
+  if (!paid && nonCash > fields.totalAmount) {
+    return {
+      success: false,
+      code: "CANCEL_WHOLE_ORDER",
+      message: "More of this order was paid by gift card or wallet than would be left. Cancel the whole order instead.",
+    };
+  }
+
+  const before = _snapshot(order);
+  const refundAmount = paid ? round2(Math.max(0, order.totalAmount - fields.totalAmount)) : 0;
+  const now = new Date();
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    status: order.status,
+    title: [...quantities.values()].every((q) => q === 0) ? "Items Cancelled" : "Order Updated",
+    description,
+    timestamp: now,
+    metadata: {
+      source,
+      ...(actor?._id ? { actorId: actor._id } : {}),
+      ...(note ? { reason: note } : {}),
+      changes: [...quantities].map(([itemId, quantity]) => ({
+        itemId,
+        from: order.items.id(itemId).quantity,
+        to: quantity,
+      })),
+      before,
+      after: _snapshot({ ...order.toObject(), ...fields, items, discount: { amount: fields["discount.amount"] } }),
+      refundAmount,
+    },
+  };
+
+  // Compare-and-set on the version we priced — a concurrent change or status move wins
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+    { $set: { ...fields, items, updatedAt: now }, $push: { timeline: event } },
+    { new: true },
+  );
+  if (!updated) {
+    return { success: false, code: "CONCURRENT_UPDATE", message: "The order changed while it was being updated. Please reload and try again." };
+  }
+
+  const warn = (step) => (e) => console.error(`[OrderModification] ${step} failed for ${order._id}:`, e.message);
+  const removed = order.items
+    .filter((item) => quantities.has(String(item._id)))
+    .map((item) => ({ product: item.product, variant: item.variant, quantity: item.quantity - quantities.get(String(item._id)) }));
+  await restockOrderItems(orderLines({ items: removed }), {
+    reason: "cancellation",
+    actor,
+    orderId: order._id,
+    note: note || description,
+  }).catch(warn("Stock restore"));
+
+  let refund = null;
+  if (refundAmount > 0) {
+    // A failed refund is flagged to admins for retry
+    refund = await createRefund(updated, {
+      amount: refundAmount,
+      reason: `Items cancelled — ${description}`,
+      initiatedBy: actor?._id || null,
+      modificationId: event._id,
+    }).catch((e) => {
+      warn("Refund")(e);
+      return null;
+    });
+  }
+
+  // Cancelled lines leave production; reduced ones are made in the new quantity
+  await syncOrderJobs(updated, { reason: note || description, actor }).catch(warn("Production job update"));
+
+  const fresh = (await Order.findById(updated._id)) || updated;
+  _notify(fresh, { source, description });
+  return { success: true, order: fresh, modificationId: event._id, refundAmount, refund };
+}
+
+module.exports = { modifyOrderItems, MODIFIABLE_STATUSES };
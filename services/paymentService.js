@@ -0,0 +1,341 @@
+/**
+ * Payment confirmation — shared by POST /api/payment/verify-payment (browser
+ * callback) and the Razorpay webhook, so an order is confirmed the same way
+ * whichever arrives first.
+ *
+ *   confirmOrderPayment()  — transaction: coupon redemption, status, stock deduction
+ *   confirmCodOrder()      — the same transaction for cash-on-delivery (payment stays pending)
+ *   confirmStoreCreditOrder() — the same transaction for orders a gift card / the wallet paid in full
+ *   runPostPaymentActions() — after commit: cart, production jobs, notifications, invoice, email, SSE
+ *   markPaymentFailed()    — records a failed attempt; the order stays pending for a retry
+ *
+ * Confirmation is idempotent: a second call for an already-completed order
+ * returns { alreadyConfirmed: true } and changes nothing.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+// const shiprocket = require("./shiprocketService"); // COMMENTED OUT — Shiprocket will be re-enabled in future
+const { enqueueEmail } = require("../utils/emailQueue");
+const { sendOrderConfirmation } = require("../utils/emailService");
+const { notifyAdminNewOrder } = require("./whatsappService");
+const { redeemOrderCoupon } = require("./couponService");
+const { issueOrderInvoice, pdfAttachment } = require("./invoiceService");
+const { commitOrderStock } = require("./inventoryService");
+const { openJobsForOrder } = require("./productionService");
+const { round2, gatewayAmount } = require("../utils/pricing");
+const { canTransition, statusLabel } = require("../utils/orderStatus");
+
+/** "by gift card", "from wallet" or "by gift card and wallet". */
+function _storeCreditSummary(order) {
+  const parts = [order.giftCard?.amount && "gift card", order.wallet?.amount && "wallet"].filter(Boolean);
+  return parts.length === 2 ? "by gift card and wallet" : parts[0] === "gift card" ? "by gift card" : "from wallet";
+}
+
+/**
+ * Shared confirmation transaction: coupon redemption, status change and stock
+ * deduction (converting the order's reservations). `check` may reject the
+ * order (result object) or report it as already confirmed; `apply` sets the
+ * payment-specific fields.
+ */
+async function _confirmOrder(orderId, { check, apply, timeline }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return { success: false, code: "ORDER_NOT_FOUND", message: "Order not found" };
+    }
+    const verdict = check(order);
+    if (verdict) {
+      await session.abortTransaction();
+      return verdict.alreadyConfirmed ? { success: true, order, alreadyConfirmed: true } : verdict;
+    }
+    // A closed order isn't revived — e.g. paid after it expired; an admin refunds the payment
+    if (!canTransition(order.status, "confirmed")) {
+      await session.abortTransaction();
+      Notification.create({
+        type: "system",
+        message: `⚠️ Order #${order._id.toString().slice(-6).toUpperCase()} is ${statusLabel(order.status)} but a confirmation arrived — check for a payment to refund`,
+        orderId: order._id,
+        read: false,
+      }).catch(() => {});
+      return {
+        success: false,
+        code: "INVALID_TRANSITION",
+        message: `This order is ${statusLabel(order.status)} and can't be confirmed`,
+      };
+    }
+
+    // Consume the coupon use in the same transaction as the confirmation
+    await redeemOrderCoupon(order, { session });
+
+    // Update order status atomically
+    order.status = "confirmed";
+    order.failureReason = undefined;
+    apply(order);
+    order.updatedAt = new Date();
+    order.timeline.push({ status: "confirmed", timestamp: new Date(), ...timeline(order) });
+    await order.save({ session });
+
+    // Convert the checkout's stock holds and deduct stock
+    const { shortfalls } = await commitOrderStock(order, { session });
+
+    await session.commitTransaction();
+
+    // Paid after the hold expired and someone else took the stock — flag the oversell
+    if (shortfalls.length) {
+      console.warn(`[Payment] Order ${order._id} confirmed without stock for: ${shortfalls.map((s) => s.name).join(", ")}`);
+      Notification.create({
+        type: "system",
+        message: `⚠️ Order #${order._id.toString().slice(-6).toUpperCase()} was paid but stock ran out for: ${shortfalls.map((s) => `${s.name} ×${s.quantity}`).join(", ")}`,
+        orderId: order._id,
+        read: false,
+        meta: { shortfalls },
+      }).catch(() => {});
+    }
+    return { success: true, order };
+  } catch (err) {
+    await session.abortTransaction().catch(() => {});
+
+    // The browser callback and the webhook can race — if the other one won,
+    // report the confirmed order instead of an error.
+    const current = await Order.findById(orderId);
+    if (current && check(current)?.alreadyConfirmed) {
+      return { success: true, order: current, alreadyConfirmed: true };
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Marks an order as paid inside a transaction.
+ *
+ * @param {ObjectId|string} orderId
+ * @param {object} payment - { razorpayOrderId, razorpayPaymentId, razorpaySignature?, source: "checkout" | "webhook" | "reconciliation" }
+ * @returns {Promise<{ success, order?, alreadyConfirmed?, code?, message? }>}
+ */
+async function confirmOrderPayment(
+  orderId,
+  { razorpayOrderId, razorpayPaymentId, razorpaySignature = null, source = "checkout" },
+) {
+  return _confirmOrder(orderId, {
+    check: (order) => {
+      // The payment must belong to this order's Razorpay order
+      if (razorpayOrderId && order.razorpayOrderId !== razorpayOrderId) {
+        return { success: false, code: "ORDER_MISMATCH", message: "Payment does not belong to this order" };
+      }
+      if (order.paymentStatus === "completed") return { alreadyConfirmed: true };
+      return null;
+    },
+    apply: (order) => {
+      order.paymentStatus = "completed";
+      order.razorpayPaymentId = razorpayPaymentId;
+      if (razorpaySignature) order.razorpaySignature = razorpaySignature;
+    },
+    timeline: (order) => ({
+      title: "Payment Confirmed",
+      description: order.wallet?.amount || order.giftCard?.amount
+        ? `Payment of ₹${gatewayAmount(order)} received via Razorpay (₹${round2(order.totalAmount - gatewayAmount(order))} ${_storeCreditSummary(order)})`
+        : `Payment of ₹${order.totalAmount} received via Razorpay`,
+      metadata: { razorpayPaymentId, source },
+    }),
+  });
+}
+
+/**
+ * Confirms a cash-on-delivery order. Payment stays "pending" until the
+ * order is delivered and the cash collected.
+ *
+ * @param {ObjectId|string} orderId
+ * @param {object} opts - { verifiedVia: "otp" | "auto" | "admin" }
+ */
+async function confirmCodOrder(orderId, { verifiedVia = "auto" } = {}) {
+  return _confirmOrder(orderId, {
+    check: (order) => {
+      if (order.paymentMethod !== "cod") {
+        return { success: false, code: "NOT_COD", message: "This order is not a cash-on-delivery order" };
+      }
+      if (order.status === "pending") return null;
+      if (order.status === "cancelled") {
+        return { success: false, code: "ORDER_CANCELLED", message: "This order has been cancelled" };
+      }
+      return { alreadyConfirmed: true };
+    },
+    apply: (order) => {
+      if (order.codVerification?.required) order.codVerification.verifiedAt = new Date();
+    },
+    timeline: (order) => ({
+      title: "Order Confirmed",
+      description: `Cash on delivery — ₹${order.totalAmount} payable on delivery`,
+      metadata: { paymentMethod: "cod", verifiedVia },
+    }),
+  });
+}
+
+/**
+ * Confirms an order a gift card and/or the wallet paid for in full (no
+ * gateway payment). Both were already debited by POST /api/payment.
+ *
+ * @param {ObjectId|string} orderId
+ */
+async function confirmStoreCreditOrder(orderId) {
+  return _confirmOrder(orderId, {
+    check: (order) => {
+      if (gatewayAmount(order) > 0) {
+        return { success: false, code: "PAYMENT_REQUIRED", message: "This order is not fully paid by gift card or wallet" };
+      }
+      if (order.paymentStatus === "completed") return { alreadyConfirmed: true };
+      return null;
+    },
+    apply: (order) => {
+      order.paymentStatus = "completed";
+    },
+    timeline: (order) => ({
+      title: "Payment Confirmed",
+      description: `₹${order.totalAmount} paid ${_storeCreditSummary(order)}`,
+      metadata: { paymentMethod: order.giftCard?.amount ? "gift_card" : "wallet" },
+    }),
+  });
+}
+
+/**
+ * Non-critical follow-up after a confirmation commits. Never throws — failures
+ * are logged and raised to admins as a system notification.
+ */
+async function runPostPaymentActions(order) {
+  try {
+    // Clear user's cart
+    await Cart.findOneAndDelete({ userId: String(order.userId) });
+
+    // Made-to-order lines go into production (idempotent)
+    await openJobsForOrder(order).catch((e) =>
+      console.error("[Production] Could not open production jobs:", e.message),
+    );
+
+    // Admin notification
+    await Notification.create({
+      type: "order",
+      message: `New order received: #${order._id.toString().slice(-6).toUpperCase()}`,
+      orderId: order._id,
+      read: false,
+      meta: {
+        userId: order.userId,
+        totalAmount: order.totalAmount,
+      },
+    });
+
+    // GST tax invoice — issued on confirmation, attached to the email
+    const invoice = await issueOrderInvoice(order).catch((e) => {
+      console.error("[Invoice] Could not issue invoice:", e.message);
+      return null;
+    });
+
+    // Send confirmation email via queue (non-blocking)
+    const user = await User.findById(order.userId).lean();
+    if (user?.email) {
+      enqueueEmail(async () =>
+        sendOrderConfirmation(order, user, invoice ? [await pdfAttachment(invoice)] : []),
+      );
+    }
+
+    // WhatsApp alert to admin
+    notifyAdminNewOrder(order, user).catch((e) =>
+      console.error("[WhatsApp] Admin notification error:", e.message),
+    );
+
+    // Push SSE update to the user
+    const { pushOrderUpdate } = require("../routes/sse");
+    pushOrderUpdate(order.userId.toString(), order);
+
+    /* COMMENTED OUT — Shiprocket integration disabled (will be re-enabled in future)
+    // Shiprocket — create shipment after commit
+    const srEmail = process.env.SHIPROCKET_EMAIL || "";
+    const srPass = process.env.SHIPROCKET_PASSWORD || "";
+    const credentialsConfigured =
+      srEmail && !srEmail.includes("example.com") &&
+      srPass && srPass !== "your_shiprocket_password";
+
+    if (credentialsConfigured && order.shippingAddress?.zipCode !== "000000") {
+      const courierId = order.shippingCourierId || null;
+      const srData = await shiprocket.createShiprocketOrder(order, user, courierId);
+      const updatedSR = await Order.findByIdAndUpdate(
+        order._id,
+        {
+          $set: { shiprocket: srData, trackingNumber: srData.awbCode, status: "processing" },
+          $push: {
+            timeline: {
+              status: "processing",
+              title: "Shipment Created",
+              description: `AWB ${srData.awbCode} assigned via ${srData.courierName}`,
+              timestamp: new Date(),
+              metadata: { awbCode: srData.awbCode, courierName: srData.courierName },
+            },
+          },
+        },
+        { new: true },
+      );
+      if (updatedSR) pushOrderUpdate(updatedSR.userId.toString(), updatedSR);
+    }
+    */
+  } catch (postErr) {
+    console.error(
+      "[Payment] Post-payment action failed:",
+      postErr.message,
+    );
+    Notification.create({
+      type: "system",
+      message: `⚠️ Post-payment action failed for order ${order._id}: ${postErr.message}`,
+      orderId: order._id,
+      read: false,
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Records a failed payment attempt on a pending order. Razorpay lets the
+ * customer retry on the same Razorpay order, so nothing is cancelled here —
+ * a retry that captures confirms the order as usual, and an order that is
+ * never paid is cancelled by jobs/pendingOrderJob.js, which releases its
+ * coupon, stock holds, points, gift card and wallet payments.
+ * @param {object} [opts]
+ * @param {string} [opts.source] - "webhook", "verify-payment" or "checkout"
+ * @returns {Promise<boolean>} true if the order was updated
+ */
+async function markPaymentFailed(order, reason = "Payment failed", { source } = {}) {
+  if (!order || order.paymentStatus === "completed") return false;
+
+  const now = new Date();
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: "pending", paymentStatus: { $ne: "completed" } },
+    {
+      $set: { failureReason: reason, updatedAt: now },
+      $push: {
+        timeline: {
+          status: "pending",
+          title: "Payment Attempt Failed",
+          description: reason,
+          timestamp: now,
+          metadata: { source },
+        },
+      },
+    },
+    { new: true },
+  );
+  return Boolean(updated);
+}
+
+module.exports = {
+  confirmOrderPayment,
+  confirmCodOrder,
+  confirmStoreCreditOrder,
+  runPostPaymentActions,
+  markPaymentFailed,
+};
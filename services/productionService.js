@@ -0,0 +1,618 @@
+/**
+ * Made-to-order production — one ProductionJob per customised (or
+ * isCustomizable) order line, tracked through the stages in
+ * utils/productionStages.js.
+ *
+ *   openJobsForOrder()      — on confirmation (runPostPaymentActions); idempotent
+ *   moveJobStage()          — staff move their jobs; the first job into crafting
+ *                             moves a confirmed order to processing, and admins
+ *                             hear when every job of an order is ready to pack
+ *   updateJob()             — admins assign an artisan / move the due date
+ *   sendDesignProof()       — a proof for the customer; they approve it (the job
+ *   respondToDesignProof()    goes on to crafting) or ask for changes
+ *   cancelOrderJobs() /
+ *   syncOrderJobs()         — the order or some of its lines were cancelled,
+ *                             reduced or swapped to another option
+ *   alertOverdueJobs()      — jobs/productionOverdueJob.js; one Notification per job
+ *
+ * Orders can't ship while a job is still open (see openJobCount and the
+ * lifecycle service). Stage moves reach the customer over SSE and WhatsApp
+ * when the caller asks; design proofs always do.
+ *
+ * Returns result objects ({ success, code, message }); routes map `code`
+ * to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const ProductionJob = require("../models/ProductionJob");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { addBusinessDays } = require("../utils/deliveryCalculator");
+const { OPEN_STAGES, STAGE_TITLES, checkStageMove, currentProof, stageLabel } = require("../utils/productionStages");
+const { notifyCustomerProductionUpdate } = require("./whatsappService");
+
+// Orders whose lines can still be worked on
+const IN_PRODUCTION = ["confirmed", "processing"];
+// Users a job can be assigned to
+const STAFF_ROLES = ["staff", "admin", "superadmin"];
+
+const _shortId = (orderId) => String(orderId).slice(-6).toUpperCase();
+const _actor = (user) => (user?._id ? { userId: user._id, name: user.username || user.name || user.email } : null);
+
+const _startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/** Admins work on any job; staff only on the ones assigned to them. */
+const canWorkOn = (user, job) =>
+  Boolean(user?.isAdmin) || (job.assignee?.userId != null && String(job.assignee.userId) === String(user?._id));
+
+async function _findJob(jobId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  return ProductionJob.findById(jobId);
+}
+
+const NOT_FOUND = { success: false, code: "JOB_NOT_FOUND", message: "Production job not found" };
+const CONCURRENT = {
+  success: false,
+  code: "CONCURRENT_UPDATE",
+  message: "The job changed while it was being updated. Please reload and try again.",
+};
+
+// ── Views ─────────────────────────────────────────────────────────────────────
+
+/** What the customer sees of a job — no assignee, notes or internal history. */
+function serializeJobForCustomer(job) {
+  const proof = currentProof(job);
+  return {
+    jobId: job._id,
+    orderId: job.orderId,
+    itemId: job.itemId,
+    productName: job.productName,
+    variant: job.variant?.name || job.variant?.color ? job.variant : null,
+    quantity: job.quantity,
+    answers: job.answers || [],
+    stage: job.stage,
+    stageTitle: STAGE_TITLES[job.stage],
+    dueDate: job.dueDate,
+    proof: proof
+      ? {
+          proofId: proof._id,
+          revision: proof.revision,
+          imageUrl: proof.imageUrl,
+          note: proof.note || null,
+          status: proof.status,
+          sentAt: proof.sentAt,
+          customerComment: proof.customerComment || null,
+          respondedAt: proof.respondedAt || null,
+        }
+      : null,
+    stages: (job.history || [])
+      .filter((e) => e.type === "created" || e.type === "stage")
+      .map((e) => ({ stage: e.to, title: STAGE_TITLES[e.to], at: e.at })),
+  };
+}
+
+// ── Notifications ─────────────────────────────────────────────────────────────
+
+/** SSE push and WhatsApp to the customer. Never throws. */
+async function _notifyCustomer(job, { proof = false } = {}) {
+  try {
+    const { pushEvent } = require("../routes/sse");
+    pushEvent(String(job.userId), "PRODUCTION_UPDATE", { orderId: job.orderId, job: serializeJobForCustomer(job) });
+  } catch (sseErr) {
+    console.error("[SSE] pushEvent failed:", sseErr.message);
+  }
+
+  const [order, customer] = await Promise.all([
+    Order.findById(job.orderId).select("shippingAddress").lean().catch(() => null),
+    User.findById(job.userId).lean().catch(() => null),
+  ]);
+  if (!order) return;
+  setImmediate(() =>
+    notifyCustomerProductionUpdate(order, customer, {
+      productName: job.productName,
+      stageTitle: STAGE_TITLES[job.stage],
+      proof,
+    }).catch((e) => console.error("[WhatsApp] Production notification error:", e.message)),
+  );
+}
+
+function _notifyAdmins(type, job, message, meta = {}) {
+  Notification.create({
+    type,
+    message: `Order #${_shortId(job.orderId)} — ${message}`,
+    orderId: job.orderId,
+    read: false,
+    meta: { jobId: job._id, orderId: job.orderId, productName: job.productName, ...meta },
+  }).catch((err) => console.error(`Failed to create ${type} notification:`, err.message));
+}
+
+// ── Listing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Jobs for the production board, soonest due first. Staff who aren't admins
+ * only see the jobs assigned to them.
+ *
+ * @param {object} query - { stage, assigneeId, mine, overdue, orderId, page, limit }
+ * @param {object} opts  - { actor }
+ */
+async function listJobs({ stage, assigneeId, mine, overdue, orderId, page, limit } = {}, { actor } = {}) {
+  const filter = {};
+  if (stage) {
+    if (!ProductionJob.PRODUCTION_STAGES.includes(stage) && stage !== "open") {
+      return { success: false, code: "INVALID_STAGE", message: `stage must be "open" or one of: ${ProductionJob.PRODUCTION_STAGES.join(", ")}` };
+    }
+    filter.stage = stage === "open" ? { $in: OPEN_STAGES } : stage;
+  }
+  for (const [name, value] of [["assigneeId", assigneeId], ["orderId", orderId]]) {
+    if (value && value !== "none" && !mongoose.Types.ObjectId.isValid(value)) {
+      return { success: false, code: "INVALID_FILTER", message: `Invalid ${name}` };
+    }
+  }
+  if (orderId) filter.orderId = orderId;
+  if (!actor?.isAdmin || mine === true || mine === "true") {
+    filter["assignee.userId"] = actor?._id;
+  } else if (assigneeId === "none") {
+    filter.assignee = null;
+  } else if (assigneeId) {
+    filter["assignee.userId"] = assigneeId;
+  }
+  if (overdue === true || overdue === "true") {
+    filter.dueDate = { $lt: _startOfDay(new Date()) };
+    if (!filter.stage) filter.stage = { $in: OPEN_STAGES };
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+  const [jobs, total] = await Promise.all([
+    ProductionJob.find(filter)
+      .sort({ dueDate: 1, createdAt: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    ProductionJob.countDocuments(filter),
+  ]);
+  return { success: true, jobs, total, page: pageNum, pages: Math.ceil(total / limitNum) };
+}
+
+/** A customer's jobs for one of their orders. */
+async function getCustomerOrderJobs(orderId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return { success: false, code: "INVALID_ORDER_ID", message: "Invalid order ID" };
+  }
+  const jobs = await ProductionJob.find({ orderId, userId, stage: { $ne: "cancelled" } }).sort({ createdAt: 1 }).lean();
+  return { success: true, jobs: jobs.map(serializeJobForCustomer) };
+}
+
+// ── Opening jobs ──────────────────────────────────────────────────────────────
+
+/**
+ * Opens a job for every made-to-order line of a confirmed order: lines with
+ * customization answers (they start at design approval) and other lines of
+ * isCustomizable products (straight to crafting). Free gifts are skipped.
+ * Safe to call again — existing jobs are left alone.
+ *
+ * @returns {Promise<{ success: true, created: number }>}
+ */
+async function openJobsForOrder(order, now = new Date()) {
+  const lines = (order.items || []).filter((item) => !item.freeGift?.promotionId && item.quantity > 0);
+  if (!lines.length) return { success: true, created: 0 };
+
+  const products = await Product.find({ _id: { $in: lines.map((item) => item.product._id) } })
+    .select("isCustomizable processingDaysMax")
+    .lean();
+  const productMap = Object.fromEntries(products.map((p) => [String(p._id), p]));
+  const today = _startOfDay(now);
+
+  const ops = [];
+  for (const item of lines) {
+    const product = productMap[String(item.product._id)];
+    const answers = item.customization?.answers || [];
+    if (!answers.length && !product?.isCustomizable) continue;
+
+    const stage = answers.length ? "design_approval" : "crafting";
+    ops.push({
+      updateOne: {
+        filter: { orderId: order._id, itemId: item._id },
+        update: {
+          $setOnInsert: {
+            userId: order.userId,
+            productId: item.product._id,
+            productName: item.product.name,
+            variant: { name: item.variant?.name, color: item.variant?.color },
+            quantity: item.quantity,
+            answers: answers.map(({ key, label, type, value }) => ({ key, label, type, value })),
+            stage,
+            requiresDesignApproval: answers.length > 0,
+            dueDate: item.customization?.dueDate || addBusinessDays(today, product?.processingDaysMax ?? 0),
+            history: [{ type: "created", to: stage, at: now }],
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+  if (!ops.length) return { success: true, created: 0 };
+
+  const result = await ProductionJob.bulkWrite(ops, { ordered: false });
+  return { success: true, created: result.upsertedCount || 0 };
+}
+
+/** Jobs of an order still being worked on — the order can't ship until it's 0. */
+function openJobCount(orderId) {
+  return ProductionJob.countDocuments({ orderId, stage: { $in: OPEN_STAGES } });
+}
+
+// ── Stage moves ───────────────────────────────────────────────────────────────
+
+/** The first job into crafting moves a confirmed order to processing. Never throws. */
+async function _startOrderProcessing(orderId, actor) {
+  // Required lazily — the lifecycle service checks open jobs through this module
+  const { transitionOrder } = require("./orderLifecycleService");
+  const result = await transitionOrder(orderId, "processing", {
+    actor,
+    source: "production",
+    description: "Your order is being handcrafted",
+  }).catch((e) => ({ success: false, message: e.message }));
+  if (!result.success && result.code !== "NO_CHANGE" && result.code !== "INVALID_TRANSITION") {
+    console.error(`[Production] Could not move order ${orderId} to processing:`, result.message);
+  }
+}
+
+/** Tells admins when the last open job of an order is ready to pack. */
+async function _checkOrderReady(job) {
+  const [open, ready] = await Promise.all([
+    openJobCount(job.orderId),
+    ProductionJob.countDocuments({ orderId: job.orderId, stage: "ready_to_pack" }),
+  ]);
+  if (open === 0 && ready > 0) {
+    _notifyAdmins("production_ready", job, "all made-to-order items are ready to pack", { jobs: ready });
+  }
+}
+
+/**
+ * Moves a job to another stage.
+ *
+ * @param {ObjectId|string} jobId
+ * @param {string} to
+ * @param {object} [opts]
+ * @param {object}  [opts.actor]          - staff member (or the customer approving a proof)
+ * @param {string}  [opts.note]           - required to cancel or to fail a quality check
+ * @param {boolean} [opts.notifyCustomer] - push the new stage to the customer (SSE + WhatsApp)
+ * @param {boolean} [opts.byCustomer]     - the customer's proof approval; skips the assignee check
+ * @returns {Promise<{ success, job?, code?, message? }>}
+ */
+async function moveJobStage(jobId, to, { actor, note, notifyCustomer = false, byCustomer = false } = {}) {
+  const job = await _findJob(jobId);
+  if (!job) return NOT_FOUND;
+  if (!byCustomer && !canWorkOn(actor, job)) {
+    return { success: false, code: "NOT_ASSIGNED", message: "This job is assigned to someone else" };
+  }
+
+  const cleanNote = String(note || "").trim();
+  const illegal = checkStageMove(job, to, { note: cleanNote });
+  if (illegal) return { success: false, ...illegal };
+
+  const order = await Order.findById(job.orderId).select("status").lean();
+  if (to !== "cancelled" && !IN_PRODUCTION.includes(order?.status)) {
+    return {
+      success: false,
+      code: "ORDER_NOT_IN_PRODUCTION",
+      message: `The order is ${order ? order.status.replace(/_/g, " ") : "missing"}; its jobs can't move on`,
+    };
+  }
+
+  const now = new Date();
+  const set = { stage: to };
+  if (to === "ready_to_pack") set.completedAt = now;
+  if (to === "cancelled") set.cancelledAt = now;
+  if (job.stage === "ready_to_pack") set.completedAt = null;
+
+  // Compare-and-set on the stage we checked
+  const updated = await ProductionJob.findOneAndUpdate(
+    { _id: job._id, stage: job.stage },
+    {
+      $set: set,
+      $push: { history: { type: "stage", from: job.stage, to, note: cleanNote || undefined, actor: _actor(actor), at: now } },
+    },
+    { new: true },
+  );
+  if (!updated) return CONCURRENT;
+
+  if (to === "crafting" && order.status === "confirmed") await _startOrderProcessing(job.orderId, actor);
+  if (to === "ready_to_pack") await _checkOrderReady(updated).catch((e) => console.error("[Production] Ready check failed:", e.message));
+  if (notifyCustomer && to !== "cancelled") await _notifyCustomer(updated);
+
+  return { success: true, job: updated };
+}
+
+// ── Assignment and due date ───────────────────────────────────────────────────
+
+/**
+ * Assigns a job to a staff member (or unassigns it with assigneeId null) and
+ * moves its due date. A new due date re-arms the overdue alert.
+ *
+ * @param {ObjectId|string} jobId
+ * @param {object} changes - { assigneeId?, dueDate? }
+ * @param {object} opts    - { actor }
+ */
+async function updateJob(jobId, { assigneeId, dueDate }, { actor } = {}) {
+  const job = await _findJob(jobId);
+  if (!job) return NOT_FOUND;
+  if (job.stage === "cancelled") {
+    return { success: false, code: "JOB_CANCELLED", message: "A cancelled job can't be changed" };
+  }
+
+  const set = {};
+  const history = [];
+  const now = new Date();
+
+  if (assigneeId !== undefined) {
+    let assignee = null;
+    if (assigneeId) {
+      const user = mongoose.Types.ObjectId.isValid(assigneeId)
+        ? await User.findById(assigneeId).select("username email role isAdmin").lean()
+        : null;
+      if (!user || !(user.isAdmin || STAFF_ROLES.includes(user.role))) {
+        return { success: false, code: "INVALID_ASSIGNEE", message: "Jobs can only be assigned to staff members" };
+      }
+      assignee = _actor(user);
+    }
+    if (String(assignee?.userId || "") !== String(job.assignee?.userId || "")) {
+      set.assignee = assignee;
+      history.push({ type: "assignment", from: job.assignee?.name || null, to: assignee?.name || null, actor: _actor(actor), at: now });
+    }
+  }
+
+  if (dueDate !== undefined) {
+    const date = dueDate ? new Date(dueDate) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return { success: false, code: "INVALID_DUE_DATE", message: "dueDate must be a valid date" };
+    }
+    const day = _startOfDay(date);
+    if (day.getTime() !== _startOfDay(job.dueDate).getTime()) {
+      set.dueDate = day;
+      set.overdueAlertedAt = null;
+      history.push({ type: "due_date", from: job.dueDate, to: day, actor: _actor(actor), at: now });
+    }
+  }
+
+  if (!history.length) return { success: true, job, changed: false };
+
+  const updated = await ProductionJob.findOneAndUpdate(
+    { _id: job._id, updatedAt: job.updatedAt },
+    { $set: set, $push: { history: { $each: history } } },
+    { new: true },
+  );
+  if (!updated) return CONCURRENT;
+  return { success: true, job: updated, changed: true };
+}
+
+// ── Design proofs ─────────────────────────────────────────────────────────────
+
+function _isImageUrl(value) {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Sends the customer a design proof to approve. A new proof replaces one the
+ * customer hasn't answered yet.
+ *
+ * @param {ObjectId|string} jobId
+ * @param {object} proof - { imageUrl, note }
+ * @param {object} opts  - { actor }
+ */
+async function sendDesignProof(jobId, { imageUrl, note }, { actor } = {}) {
+  const job = await _findJob(jobId);
+  if (!job) return NOT_FOUND;
+  if (!canWorkOn(actor, job)) {
+    return { success: false, code: "NOT_ASSIGNED", message: "This job is assigned to someone else" };
+  }
+  if (job.stage !== "design_approval") {
+    return { success: false, code: "PROOF_CLOSED", message: `A job at ${stageLabel(job.stage)} doesn't need a design proof` };
+  }
+  if (!_isImageUrl(imageUrl)) {
+    return { success: false, code: "INVALID_PROOF", message: "A design proof needs an image" };
+  }
+
+  const now = new Date();
+  const proofs = job.proofs.map((p) => (p.status === "pending" ? { ...p.toObject(), status: "superseded" } : p.toObject()));
+  const revision = proofs.length + 1;
+  proofs.push({
+    revision,
+    imageUrl,
+    note: String(note || "").trim().slice(0, 1000) || undefined,
+    status: "pending",
+    sentBy: _actor(actor),
+    sentAt: now,
+  });
+
+  const updated = await ProductionJob.findOneAndUpdate(
+    { _id: job._id, stage: "design_approval", updatedAt: job.updatedAt },
+    {
+      $set: { proofs },
+      $push: { history: { type: "proof_sent", to: revision, actor: _actor(actor), at: now } },
+    },
+    { new: true },
+  );
+  if (!updated) return CONCURRENT;
+
+  await _notifyCustomer(updated, { proof: true });
+  return { success: true, job: updated };
+}
+
+/**
+ * The customer's answer to the latest design proof. Approving moves the job
+ * on to crafting; asking for changes needs a comment and tells admins.
+ *
+ * @param {ObjectId|string} jobId
+ * @param {object} user - the customer
+ * @param {object} answer - { approve, comment, proofId? }
+ */
+async function respondToDesignProof(jobId, user, { approve, comment, proofId } = {}) {
+  const job = await _findJob(jobId);
+  if (!job || String(job.userId) !== String(user?._id)) return NOT_FOUND;
+
+  const proof = currentProof(job);
+  if (job.stage !== "design_approval" || !proof || proof.status !== "pending" || (proofId && String(proof._id) !== String(proofId))) {
+    return { success: false, code: "PROOF_NOT_PENDING", message: "There is no design waiting for your approval" };
+  }
+  const approved = approve === true || approve === "true";
+  const text = String(comment || "").trim().slice(0, 1000);
+  if (!approved && !text) {
+    return { success: false, code: "COMMENT_REQUIRED", message: "Please tell us what you'd like changed" };
+  }
+
+  const now = new Date();
+  const status = approved ? "approved" : "changes_requested";
+  const updated = await ProductionJob.findOneAndUpdate(
+    { _id: job._id, stage: "design_approval", proofs: { $elemMatch: { _id: proof._id, status: "pending" } } },
+    {
+      $set: {
+        "proofs.$.status": status,
+        "proofs.$.respondedAt": now,
+        ...(text ? { "proofs.$.customerComment": text } : {}),
+      },
+      $push: { history: { type: "proof_response", from: proof.revision, to: status, note: text || undefined, actor: _actor(user), at: now } },
+    },
+    { new: true },
+  );
+  if (!updated) return CONCURRENT;
+
+  _notifyAdmins(
+    approved ? "design_approved" : "design_changes_requested",
+    updated,
+    approved
+      ? `customer approved the design for ${updated.productName}`
+      : `customer asked for design changes on ${updated.productName}`,
+    { revision: proof.revision, ...(text ? { comment: text } : {}) },
+  );
+
+  if (!approved) return { success: true, job: updated };
+
+  const moved = await moveJobStage(updated._id, "crafting", { actor: user, byCustomer: true });
+  if (!moved.success) {
+    console.error(`[Production] Approved job ${updated._id} could not move to crafting:`, moved.message);
+    return { success: true, job: updated };
+  }
+  return { success: true, job: moved.job };
+}
+
+// ── Cancellations ─────────────────────────────────────────────────────────────
+
+async function _cancelJob(job, note, actor, now) {
+  return ProductionJob.updateOne(
+    { _id: job._id, stage: job.stage },
+    {
+      $set: { stage: "cancelled", cancelledAt: now },
+      $push: { history: { type: "stage", from: job.stage, to: "cancelled", note, actor: _actor(actor), at: now } },
+    },
+  );
+}
+
+/**
+ * Cancels the jobs of an order (or only those of `itemIds`).
+ *
+ * @returns {Promise<{ success: true, cancelled: number }>}
+ */
+async function cancelOrderJobs(orderId, { itemIds, reason, actor } = {}) {
+  const filter = { orderId, stage: { $ne: "cancelled" } };
+  if (itemIds) filter.itemId = { $in: itemIds };
+  const jobs = await ProductionJob.find(filter).select("stage").lean();
+  const now = new Date();
+  const note = String(reason || "").trim() || "Order cancelled";
+  let cancelled = 0;
+  for (const job of jobs) {
+    const result = await _cancelJob(job, note, actor, now);
+    cancelled += result.modifiedCount || 0;
+  }
+  return { success: true, cancelled };
+}
+
+/**
+ * Brings an order's jobs in line with its items after some were cancelled or
+ * reduced (services/orderModificationService.js) or swapped to another
+ * option (services/orderEditService.js).
+ */
+async function syncOrderJobs(order, { reason, actor } = {}) {
+  const jobs = await ProductionJob.find({ orderId: order._id, stage: { $ne: "cancelled" } })
+    .select("itemId stage quantity variant")
+    .lean();
+  const now = new Date();
+  for (const job of jobs) {
+    const item = order.items.find((i) => String(i._id) === String(job.itemId));
+    if (!item || item.quantity <= 0) {
+      await _cancelJob(job, String(reason || "").trim() || "Item cancelled", actor, now);
+      continue;
+    }
+    const variant = { name: item.variant?.name, color: item.variant?.color };
+    if (item.quantity !== job.quantity || variant.name !== job.variant?.name || variant.color !== job.variant?.color) {
+      await ProductionJob.updateOne({ _id: job._id }, { $set: { quantity: item.quantity, variant } });
+    }
+  }
+  return { success: true };
+}
+
+// ── Overdue alerts ────────────────────────────────────────────────────────────
+
+/**
+ * Flags open jobs past their due date to admins — once per job (per due date).
+ *
+ * @returns {Promise<{ success: true, alerted: number }>}
+ */
+async function alertOverdueJobs(now = new Date()) {
+  const today = _startOfDay(now);
+  const jobs = await ProductionJob.find({
+    stage: { $in: OPEN_STAGES },
+    dueDate: { $lt: today },
+    overdueAlertedAt: null,
+  })
+    .sort({ dueDate: 1 })
+    .lean();
+
+  let alerted = 0;
+  for (const job of jobs) {
+    // Claim the alert first so overlapping runs can't send it twice
+    const claimed = await ProductionJob.updateOne(
+      { _id: job._id, overdueAlertedAt: null, dueDate: job.dueDate },
+      { $set: { overdueAlertedAt: now } },
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const due = new Date(job.dueDate).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium" });
+    _notifyAdmins(
+      "production_overdue",
+      job,
+      `${job.productName} × ${job.quantity} was due ${due} and is still at ${stageLabel(job.stage)}`,
+      { stage: job.stage, dueDate: job.dueDate, assignee: job.assignee?.name || null },
+    );
+    alerted++;
+  }
+  return { success: true, alerted };
+}
+
+module.exports = {
+  listJobs,
+  getCustomerOrderJobs,
+  openJobsForOrder,
+  openJobCount,
+  moveJobStage,
+  updateJob,
+  sendDesignProof,
+  respondToDesignProof,
+  cancelOrderJobs,
+  syncOrderJobs,
+  alertOverdueJobs,
+  serializeJobForCustomer,
+  canWorkOn,
+  IN_PRODUCTION,
+};
@@ -0,0 +1,207 @@
+/**
+ * Promotion service — automatic promotions for the cart, the checkout quote
+ * and the chat agent.
+ *
+ *   getLivePromotions()  — switched-on promotions inside their window (cached briefly)
+ *   applyOffers()        — promotions plus an optional coupon, with stacking rules
+ *   checkGiftProduct()   — admin form: the free-gift product can actually ship
+ *
+ * Coupons: the coupon is evaluated on what the lines have left after the
+ * promotions that combine with coupons. If the promotions that don't combine
+ * would save more than those plus the coupon, the coupon is refused
+ * (COUPON_NOT_COMBINABLE) instead of being silently dropped; on a tie the
+ * coupon wins.
+ *
+ * Functions return result objects ({ success, code, message }) like the
+ * coupon and quote services.
+ */
+
+const Promotion = require("../models/Promotion");
+const Product = require("../models/Product");
+const { cache } = require("../utils/cache");
+const { round2, allocateDiscount, findVariant, priceLine } = require("../utils/pricing");
+const { applyPromotions } = require("../utils/promotions");
+const { evaluateCoupon, isLineEligible } = require("./couponService");
+const { hasAvailableStock } = require("./inventoryService");
+
+const LIVE_CACHE_KEY = "promotions:live";
+const LIVE_CACHE_SECONDS = 60;
+
+/** Promotions that may apply right now. applyPromotions re-checks the window. */
+async function getLivePromotions() {
+  const cached = await cache.get(LIVE_CACHE_KEY);
+  if (cached) return cached;
+
+  const now = new Date();
+  const promotions = await Promotion.find({
+    isActive: true,
+    validFrom: { $lte: now },
+    $or: [{ validUntil: { $gte: now } }, { validUntil: null }],
+  }).lean();
+  await cache.set(LIVE_CACHE_KEY, promotions, LIVE_CACHE_SECONDS);
+  return promotions;
+}
+
+/** Call after any admin change so carts pick it up straight away. */
+async function clearPromotionCache() {
+  await cache.del(LIVE_CACHE_KEY);
+}
+
+// ── Free gifts ────────────────────────────────────────────────────────────────
+
+/** Why a gift product can't be given away, or null when it can be. */
+function _giftProblem(product, variantId) {
+  if (!product || product.isActive === false) return "Gift product not found or inactive";
+  if (product.productType === "gift_card") return "A gift card product can't be a free gift";
+  const variant = findVariant(product, variantId);
+  if (variantId && !variant) return "Gift variant not found or inactive";
+  if (!variant && product.hasVariants && product.variants?.some((v) => v.isActive !== false)) {
+    return "Choose which variant of the gift product to give away";
+  }
+  return null;
+}
+
+/**
+ * Zero-priced quote lines for the earned gifts. Gifts that are out of stock
+ * (counting the same product already in the cart) are left out.
+ *
+ * @returns {Promise<{ lines: Array, products: Array, unavailable: Set<string> }>}
+ */
+async function _resolveGifts(gifts, cartLines) {
+  const unavailable = new Set();
+  if (!gifts.length) return { lines: [], products: [], unavailable };
+
+  const products = await Product.find({ _id: { $in: gifts.map((g) => g.productId) } }).lean();
+  const productMap = Object.fromEntries(products.map((p) => [String(p._id), p]));
+
+  const lines = [];
+  for (const gift of gifts) {
+    const product = productMap[gift.productId];
+    if (_giftProblem(product, gift.variantId)) {
+      unavailable.add(String(gift.promotionId));
+      continue;
+    }
+    const priced = priceLine(product, { quantity: gift.quantity, variantId: gift.variantId });
+    const variantId = priced.variant ? String(priced.variant._id) : null;
+    const inCart = [...cartLines, ...lines]
+      .filter((l) => String(l.productId) === gift.productId && (!variantId || l.variantId === variantId))
+      .reduce((sum, l) => sum + l.quantity, 0);
+    if (!hasAvailableStock(product, inCart + gift.quantity, { variantId })) {
+      unavailable.add(String(gift.promotionId));
+      continue;
+    }
+
+    lines.push({
+      productId: product._id,
+      name: product.name,
+      description: product.description || "",
+      category: product.category,
+      subCategory: product.subCategory,
+      variantId,
+      variantName: priced.variant?.name || null,
+      colorName: null,
+      quantity: gift.quantity,
+      basePrice: priced.basePrice,
+      unitPrice: 0,
+      lineTotal: 0,
+      freeGift: { promotionId: gift.promotionId, name: gift.name },
+    });
+  }
+  return { lines, products: products.filter((p) => lines.some((l) => String(l.productId) === String(p._id))), unavailable };
+}
+
+/** Admin check for a free_gift promotion's product. */
+async function checkGiftProduct({ productId, variantId }) {
+  const product = await Product.findById(productId).lean();
+  const problem = _giftProblem(product, variantId);
+  if (problem) return { success: false, code: "INVALID_GIFT_PRODUCT", message: problem };
+  return { success: true, product };
+}
+
+// ── Offers ────────────────────────────────────────────────────────────────────
+
+/**
+ * Applies the live promotions, and the coupon if one was entered, to priced
+ * cart lines.
+ *
+ * @param {object}   params
+ * @param {ObjectId} [params.userId]     - enables the coupon's per-user limit
+ * @param {Array}    params.lines        - [{ productId, category, quantity, lineTotal, variantId }]
+ * @param {string}   [params.couponCode]
+ * @returns {Promise<object>} { success: true, promotions, promotionShares, coupon, couponShares,
+ *   giftLines, giftProducts } or { success: false, code, message }
+ */
+async function applyOffers({ userId, lines, couponCode }) {
+  const promotions = await getLivePromotions();
+  let result = applyPromotions(promotions, lines);
+  let coupon = null;
+  let couponShares = lines.map(() => 0);
+
+  if (couponCode) {
+    const combinable = result.applied.every((a) => a.combinesWithCoupons)
+      ? result
+      : applyPromotions(promotions.filter((p) => p.combinesWithCoupons), lines);
+    const netLines = lines.map((l, i) => ({ ...l, lineTotal: round2(l.lineTotal - combinable.shares[i]) }));
+
+    const evaluation = await evaluateCoupon(couponCode, { userId, lines: netLines });
+    if (!evaluation.success) return evaluation;
+
+    if (result.amount > round2(combinable.amount + evaluation.discount.amount)) {
+      const blocking = result.applied.filter((a) => !a.combinesWithCoupons).map((a) => `"${a.name}"`);
+      return {
+        success: false,
+        code: "COUPON_NOT_COMBINABLE",
+        message: `Coupon ${evaluation.discount.code} can't be combined with ${blocking.join(", ")}, which already saves you more.`,
+      };
+    }
+    result = combinable;
+    coupon = evaluation;
+    couponShares = allocateDiscount(netLines, evaluation.discount.amount, (l) => isLineEligible(evaluation.coupon, l));
+  }
+
+  const gifts = await _resolveGifts(result.gifts, lines);
+  const applied = result.applied.filter(
+    (a) => a.amount > 0 || !gifts.unavailable.has(String(a.promotionId)),
+  );
+
+  return {
+    success: true,
+    promotions: { ...result, applied },
+    promotionShares: result.shares,
+    coupon,
+    couponShares,
+    giftLines: gifts.lines,
+    giftProducts: gifts.products,
+  };
+}
+
+/** Public view of applyOffers() for the cart and the chat agent. */
+function serializeOffers(offers) {
+  return {
+    applied: offers.promotions.applied.map((a) => ({
+      promotionId: a.promotionId,
+      name: a.name,
+      type: a.type,
+      label: a.label,
+      amount: a.amount,
+    })),
+    promotionDiscount: offers.promotions.amount,
+    freeGifts: offers.giftLines.map((l) => ({
+      promotion: l.freeGift.name,
+      productId: l.productId,
+      name: l.variantName ? `${l.name} (${l.variantName})` : l.name,
+      quantity: l.quantity,
+      worth: round2(l.basePrice * l.quantity),
+    })),
+    hints: offers.promotions.hints.map((h) => h.message),
+    coupon: offers.coupon ? offers.coupon.discount : null,
+  };
+}
+
+module.exports = {
+  getLivePromotions,
+  clearPromotionCache,
+  checkGiftProduct,
+  applyOffers,
+  serializeOffers,
+};
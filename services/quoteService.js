@@ -0,0 +1,575 @@
+/**
+ * Checkout quote service.
+ *
+ * Prices a cart end-to-end on the server (line prices, variant overrides,
+ * bulk tiers, promotions and free gifts, coupon, loyalty points, shipping,
+ * COD fee, tax, gift card, wallet) and persists the result as a signed,
+ * short-lived CheckoutQuote. The payment route creates the Razorpay order
+ * from the quote's total, so the browser never supplies an amount.
+ *
+ * Functions return result objects ({ success, code, message }) in the same
+ * style as utils/deliveryCalculator.js; routes map `code` to an HTTP status.
+ */
+
+const crypto = require("crypto");
+const CheckoutQuote = require("../models/CheckoutQuote");
+const Product = require("../models/Product");
+const Cart = require("../models/Cart");
+const User = require("../models/User");
+const { isValidPincode, resolveZone, estimateCartDelivery, addBusinessDays } = require("../utils/deliveryCalculator");
+const { round2, priceLine, allocateDiscount } = require("../utils/pricing");
+const { calculateShipping, FREE_SHIPPING_THRESHOLD } = require("../utils/shippingRates");
+const { applyOffers } = require("./promotionService");
+const { calculateTax } = require("./taxService");
+const { checkCodEligibility } = require("../utils/cod");
+const { validateCustomization } = require("../utils/customization");
+const { MIN_REDEEM_POINTS, tierFor, pointsForAmount, pointsValue, maxRedeemablePoints } = require("../utils/loyalty");
+const { availableToSell, hasAvailableStock } = require("./inventoryService");
+const { findRedeemableCard } = require("./giftCardService");
+const { checkSaleLimits } = require("./saleService");
+
+const QUOTE_TTL_MINUTES = Number(process.env.CHECKOUT_QUOTE_TTL_MINUTES || 15);
+
+function signingSecret() {
+  const secret = process.env.QUOTE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("QUOTE_SIGNING_SECRET (or JWT_SECRET) is missing from environment");
+  return secret;
+}
+
+// ── Signing ───────────────────────────────────────────────────────────────────
+
+/** Canonical string of every field that affects what the customer pays. */
+function _signaturePayload(quote) {
+  return JSON.stringify([
+    String(quote._id),
+    String(quote.userId),
+    quote.currency,
+    new Date(quote.expiresAt).getTime(),
+    quote.items.map((i) => [
+      String(i.productId),
+      i.variantId || null,
+      i.colorName || null,
+      (i.customization?.answers || []).map((a) => [a.key, a.value]),
+      i.quantity,
+      i.lineTotal,
+    ]),
+    quote.subtotal,
+    (quote.promotions || []).map((p) => [String(p.promotionId), p.amount]),
+    quote.items.filter((i) => i.freeGift?.promotionId).map((i) => String(i.freeGift.promotionId)),
+    quote.discount?.code || null,
+    quote.discount?.amount || 0,
+    quote.loyalty?.points || 0,
+    quote.loyalty?.value || 0,
+    quote.giftCard?.cardId ? String(quote.giftCard.cardId) : null,
+    quote.giftCard?.amount || 0,
+    quote.wallet?.amount || 0,
+    quote.shipping,
+    quote.paymentMethod || "prepaid",
+    quote.codFee || 0,
+    quote.tax,
+    quote.total,
+    quote.amountDue, // what POST /api/payment charges
+  ]);
+}
+
+function signQuote(quote) {
+  return crypto
+    .createHmac("sha256", signingSecret())
+    .update(_signaturePayload(quote))
+    .digest("hex");
+}
+
+/** Constant-time check that the stored quote has not been altered since signing. */
+function isSignatureValid(quote) {
+  if (!quote?.signature) return false;
+  const expected = Buffer.from(signQuote(quote), "hex");
+  const actual = Buffer.from(quote.signature, "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ── Input helpers ─────────────────────────────────────────────────────────────
+
+function normaliseAddress(addr) {
+  return {
+    street: String(addr.street || "").trim(),
+    city: String(addr.city || "").trim(),
+    state: String(addr.state || "").trim(),
+    country: String(addr.country || "India").replace(/\s*\(.*?\)\s*/g, "").trim() || "India",
+    zipCode: String(addr.zipCode || "").trim(),
+    phone: String(addr.phone || "").trim(),
+  };
+}
+
+/** Cart lines from the request body, or from the user's saved Cart document. */
+async function resolveCartItems(userId, items) {
+  if (Array.isArray(items) && items.length > 0) {
+    return items.map((i) => ({
+      productId: i.productId || i.product?._id,
+      quantity: parseInt(i.quantity, 10) || 1,
+      variantId: i.variantId || i.variant?.variantId || null,
+      colorName: i.colorName || i.variant?.color || null,
+      customization: i.customization || null,
+    }));
+  }
+
+  const cart = await Cart.findOne({ userId: String(userId) }).lean();
+  return (cart?.items || []).map((i) => ({
+    productId: i.productId,
+    quantity: i.quantity,
+    variantId: i.variantId || null,
+    colorName: i.colorName || null,
+    customization: i.customization || null,
+  }));
+}
+
+// ── Quote builder ─────────────────────────────────────────────────────────────
+
+/**
+ * Prices the cart and stores a signed quote.
+ *
+ * @param {object} params
+ * @param {ObjectId} params.userId
+ * @param {Array}    [params.items]          - [{ productId, quantity, variantId, colorName, customization }]; defaults to the saved cart
+ * @param {object}   params.shippingAddress  - { street, city, state, zipCode, country, phone }
+ * @param {string}   [params.couponCode]
+ * @param {string}   [params.paymentMethod] - "prepaid" (default) or "cod"
+ * @param {number}   [params.redeemPoints]  - loyalty points to spend; capped by utils/loyalty.js
+ * @param {string}   [params.giftCardCode]  - pay what the card covers from a gift card (prepaid only)
+ * @param {boolean}  [params.useWallet]     - pay what the wallet covers from store credit (prepaid only)
+ * @returns {object} { success: true, quote } or { success: false, code, message, ... }
+ */
+async function buildQuote({
+  userId,
+  items,
+  shippingAddress,
+  couponCode,
+  paymentMethod = "prepaid",
+  redeemPoints = 0,
+  giftCardCode,
+  useWallet = false,
+}) {
+  // 1. Address must be a serviceable Indian pincode
+  if (!shippingAddress) {
+    return { success: false, code: "ADDRESS_REQUIRED", message: "Shipping address is required." };
+  }
+  const address = normaliseAddress(shippingAddress);
+  if (!address.street || !address.city || !address.state) {
+    return { success: false, code: "ADDRESS_REQUIRED", message: "Street, city and state are required." };
+  }
+  if (!isValidPincode(address.zipCode)) {
+    return { success: false, code: "INVALID_PINCODE", message: "Please enter a valid 6-digit PIN code." };
+  }
+  if (!resolveZone(address.zipCode)) {
+    return { success: false, code: "NOT_SERVICEABLE", message: "We do not currently deliver to this PIN code." };
+  }
+
+  // 2. Cart lines
+  const cartItems = await resolveCartItems(userId, items);
+  if (!cartItems.length) {
+    return { success: false, code: "EMPTY_CART", message: "Your cart is empty." };
+  }
+
+  const productIds = cartItems.map((i) => i.productId).filter(Boolean);
+  const dbProducts = await Product.find({ _id: { $in: productIds }, isActive: true }).lean();
+  const productMap = Object.fromEntries(dbProducts.map((p) => [String(p._id), p]));
+
+  // 3. Price every line — never trust client-sent prices
+  const lines = [];
+  const stockErrors = [];
+  for (const item of cartItems) {
+    const product = productMap[String(item.productId)];
+    if (!product) {
+      return {
+        success: false,
+        code: "PRODUCT_UNAVAILABLE",
+        message: `Product not found or unavailable: ${item.productId}`,
+      };
+    }
+    if (product.productType === "gift_card") {
+      return {
+        success: false,
+        code: "GIFT_CARD_PRODUCT",
+        message: `"${product.name}" is bought from the gift card page, not the cart.`,
+      };
+    }
+    if (item.quantity < 1) {
+      return { success: false, code: "INVALID_QUANTITY", message: `Invalid quantity for "${product.name}".` };
+    }
+
+    // Customization answers are checked again — the product's form may have changed
+    const custom = validateCustomization(product, item.customization);
+    if (custom.error) {
+      return { success: false, code: "INVALID_CUSTOMIZATION", message: custom.error, productId: product._id };
+    }
+
+    const priced = priceLine(product, { ...item, surcharge: custom.surcharge });
+    if (item.variantId && !priced.variant) {
+      return { success: false, code: "INVALID_VARIANT", message: `Selected option is no longer available for "${product.name}".` };
+    }
+    if (!item.variantId && product.hasVariants && product.variants?.some((v) => v.isActive !== false)) {
+      return { success: false, code: "VARIANT_REQUIRED", message: `Please choose an option for "${product.name}".` };
+    }
+    if (item.colorName && !priced.color) {
+      return { success: false, code: "INVALID_COLOR", message: `Color "${item.colorName}" is not available for "${product.name}".` };
+    }
+
+    // Stock is checked at the product and at the chosen variant / colour
+    const selection = { variantId: priced.variant?._id, colorName: priced.color?.name };
+    if (!hasAvailableStock(product, item.quantity, selection)) {
+      const available = availableToSell(product, selection);
+      stockErrors.push({
+        productId: product._id,
+        name: priced.variant ? `${product.name} (${priced.variant.name})` : product.name,
+        variantId: priced.variant ? String(priced.variant._id) : undefined,
+        colorName: priced.color?.name,
+        error: available <= 0 ? "Out of stock" : `Only ${available} available`,
+        availableStock: available,
+        requestedQuantity: item.quantity,
+      });
+      continue;
+    }
+
+    lines.push({
+      productId: product._id,
+      name: product.name,
+      description: product.description || "",
+      category: product.category,
+      subCategory: product.subCategory,
+      variantId: priced.variant ? String(priced.variant._id) : null,
+      variantName: priced.variant?.name || null,
+      colorName: priced.color?.name || null,
+      quantity: item.quantity,
+      basePrice: priced.basePrice,
+      unitPrice: priced.unitPrice,
+      lineTotal: priced.lineTotal,
+      bulkDiscount: priced.bulkTier || undefined,
+      customization: custom.answers.length
+        ? { answers: custom.answers, surcharge: custom.surcharge, processingDaysMax: product.processingDaysMax }
+        : undefined,
+    });
+  }
+
+  if (stockErrors.length > 0) {
+    return {
+      success: false,
+      code: "OUT_OF_STOCK",
+      message: "Some items are out of stock or have insufficient quantity",
+      stockErrors,
+    };
+  }
+
+  // Flash-sale quantity caps, counting what the customer already bought
+  const saleLimits = await checkSaleLimits({ userId, lines, productMap });
+  if (!saleLimits.success) return saleLimits;
+
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+
+  // 4. Promotions, then the coupon on what they leave — stacking rules live in
+  //    the promotion service. Free gifts join the order as zero-priced lines.
+  const offers = await applyOffers({ userId, lines, couponCode });
+  if (!offers.success) return offers;
+  const promotions = offers.promotions.applied.map((a) => ({
+    promotionId: a.promotionId,
+    name: a.name,
+    type: a.type,
+    amount: a.amount,
+  }));
+  const promotionDiscount = offers.promotions.amount;
+  const discount = offers.coupon ? offers.coupon.discount : { amount: 0 };
+  let discountShares = lines.map((_, i) => round2(offers.promotionShares[i] + offers.couponShares[i]));
+  for (const gift of offers.giftLines) {
+    lines.push(gift);
+    discountShares.push(0);
+  }
+  for (const product of offers.giftProducts) productMap[String(product._id)] = product;
+
+  // 5. Loyalty points — a discount of at most MAX_REDEEM_PERCENT of the
+  //    post-coupon value, spread over the lines like the coupon
+  const afterCoupon = round2(subtotal - promotionDiscount - discount.amount);
+  const user = await User.findById(userId).select("loyaltyPoints loyaltyLifetimePoints walletBalance").lean();
+  const tier = tierFor(user?.loyaltyLifetimePoints);
+  const maxPoints = maxRedeemablePoints({ balance: user?.loyaltyPoints, orderValue: afterCoupon });
+  const requestedPoints = Math.floor(Number(redeemPoints) || 0);
+  let points = 0;
+  if (requestedPoints > 0) {
+    if (requestedPoints < MIN_REDEEM_POINTS) {
+      return { success: false, code: "POINTS_BELOW_MINIMUM", message: `Redeem at least ${MIN_REDEEM_POINTS} points.` };
+    }
+    if (!maxPoints) {
+      return { success: false, code: "POINTS_UNAVAILABLE", message: "You don't have enough loyalty points to redeem on this order." };
+    }
+    points = Math.min(requestedPoints, maxPoints);
+  }
+  const pointsDiscount = pointsValue(points);
+  // Spread over what each line has left after the discounts before it
+  const remainingLines = () => lines.map((l, i) => ({ lineTotal: round2(l.lineTotal - discountShares[i]) }));
+  if (pointsDiscount > 0) {
+    const pointShares = allocateDiscount(remainingLines(), pointsDiscount);
+    discountShares = discountShares.map((share, i) => round2(share + pointShares[i]));
+  }
+
+  // 6. Shipping (rated on parcel weight and zone) + GST (tax is only added to
+  //    the total when prices exclude it). The COD fee is a delivery charge, so
+  //    it is taxed with shipping. Points don't count against the free-shipping
+  //    threshold; the tier may lower it.
+  const isCod = paymentMethod === "cod";
+  const merchandiseTotal = round2(afterCoupon - pointsDiscount);
+  const rated = calculateShipping({
+    pincode: address.zipCode,
+    lines,
+    productMap,
+    merchandiseTotal: afterCoupon,
+    freeShippingFrom: tier.freeShippingFrom,
+  });
+  if (!rated.success) return rated;
+  const shipping = rated.charge;
+  const loyalty = {
+    points,
+    value: pointsDiscount,
+    maxPoints,
+    tier: tier.name,
+    freeShipping: rated.freeShipping && afterCoupon > 0 && afterCoupon < FREE_SHIPPING_THRESHOLD,
+    pointsToEarn: pointsForAmount(merchandiseTotal, tier),
+  };
+  const codEligibility = checkCodEligibility({
+    pincode: address.zipCode,
+    products: lines.map((l) => productMap[String(l.productId)]),
+    orderValue: round2(merchandiseTotal + shipping),
+  });
+  if (isCod && !codEligibility.eligible) {
+    return {
+      success: false,
+      code: "COD_UNAVAILABLE",
+      message: codEligibility.reasons.join(" "),
+      codEligibility,
+    };
+  }
+  const codFee = isCod ? codEligibility.fee : 0;
+
+  const { lineTaxes, tax, taxBreakdown, taxCharged } = await calculateTax({
+    lines,
+    productMap,
+    discountShares,
+    shipping: round2(shipping + codFee),
+    address,
+  });
+  lines.forEach((line, i) => {
+    line.discountShare = discountShares[i];
+    line.tax = lineTaxes[i];
+  });
+  const total = round2(merchandiseTotal + shipping + codFee + taxCharged);
+
+  // One parcel, dispatched when the slowest made-to-order item is ready
+  const estimate = estimateCartDelivery(address.zipCode, lines.map((l) => productMap[String(l.productId)]));
+  const delivery = estimate.success
+    ? {
+        dispatchDate: estimate.dispatchDate,
+        estimatedMinDate: estimate.estimatedMinDate,
+        estimatedMaxDate: estimate.estimatedMaxDate,
+        displayRange: estimate.displayRange,
+      }
+    : undefined;
+
+  // 7. Gift card, then wallet — ways to pay, not discounts, so they come off
+  //    the taxed total; Razorpay collects the rest
+  let giftCard = null;
+  if (giftCardCode) {
+    if (isCod) {
+      return {
+        success: false,
+        code: "GIFT_CARD_PREPAID_ONLY",
+        message: "Gift cards can only be used with online payment.",
+      };
+    }
+    const found = await findRedeemableCard(giftCardCode);
+    if (!found.success) return found;
+    giftCard = {
+      cardId: found.card._id,
+      last4: found.card.last4,
+      amount: round2(Math.min(found.card.balance, total)),
+      balance: found.card.balance,
+    };
+  }
+  const afterGiftCard = round2(total - (giftCard?.amount || 0));
+
+  if (useWallet && isCod) {
+    return {
+      success: false,
+      code: "WALLET_PREPAID_ONLY",
+      message: "Wallet balance can only be used with online payment.",
+    };
+  }
+  const walletBalance = round2(user?.walletBalance || 0);
+  const wallet = { amount: useWallet ? round2(Math.min(walletBalance, afterGiftCard)) : 0, balance: walletBalance };
+
+  const quote = new CheckoutQuote({
+    userId,
+    items: lines,
+    subtotal,
+    promotions,
+    discount,
+    loyalty,
+    ...(giftCard ? { giftCard } : {}),
+    wallet,
+    shipping,
+    shippingRate: {
+      band: rated.band,
+      zone: rated.zone,
+      billableWeightGrams: rated.billableWeightGrams,
+      rate: rated.rate,
+      freeShippingThreshold: rated.freeShippingThreshold,
+    },
+    paymentMethod: isCod ? "cod" : "prepaid",
+    codFee,
+    codEligibility,
+    tax,
+    taxBreakdown,
+    total,
+    amountDue: round2(afterGiftCard - wallet.amount),
+    currency: "INR",
+    shippingAddress: address,
+    delivery,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000),
+    signature: "pending",
+  });
+  quote.signature = signQuote(quote);
+  await quote.save();
+
+  return { success: true, quote };
+}
+
+// ── Redemption ────────────────────────────────────────────────────────────────
+
+/**
+ * Loads a quote for payment and checks ownership, expiry, single use and signature.
+ * Returns { success: true, quote } or { success: false, code, message }.
+ */
+async function loadQuoteForPayment(quoteId, userId) {
+  const quote = await CheckoutQuote.findById(quoteId);
+  if (!quote || String(quote.userId) !== String(userId)) {
+    return { success: false, code: "QUOTE_NOT_FOUND", message: "Checkout quote not found." };
+  }
+  if (quote.usedAt) {
+    return { success: false, code: "QUOTE_USED", message: "This checkout quote has already been used." };
+  }
+  if (quote.expiresAt <= new Date()) {
+    return { success: false, code: "QUOTE_EXPIRED", message: "Your checkout quote has expired. Please review your cart again." };
+  }
+  if (!isSignatureValid(quote)) {
+    return { success: false, code: "QUOTE_TAMPERED", message: "Checkout quote failed verification." };
+  }
+  return { success: true, quote };
+}
+
+/** Atomically marks a quote as used. Returns false if another request claimed it first. */
+async function claimQuote(quoteId) {
+  const claimed = await CheckoutQuote.findOneAndUpdate(
+    { _id: quoteId, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true },
+  );
+  return Boolean(claimed);
+}
+
+/** Undo claimQuote when the gateway call fails, so the customer can retry. */
+async function releaseQuote(quoteId) {
+  await CheckoutQuote.updateOne({ _id: quoteId, orderId: null }, { $set: { usedAt: null } });
+}
+
+/**
+ * Quote lines in the Order.items shape. A customised line's production due
+ * date is its product's longest processing time from today.
+ */
+function quoteToOrderItems(quote, now = new Date()) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  return quote.items.map((line) => ({
+    product: {
+      _id: line.productId,
+      name: line.name,
+      price: line.unitPrice,
+      description: line.description,
+      category: line.category,
+      subCategory: line.subCategory,
+    },
+    quantity: line.quantity,
+    totalPrice: line.lineTotal,
+    basePrice: line.basePrice,
+    bulkDiscount: line.bulkDiscount?.discount ? line.bulkDiscount : undefined,
+    freeGift: line.freeGift?.promotionId ? line.freeGift : undefined,
+    discountShare: line.discountShare || 0,
+    tax: line.tax || undefined,
+    variant: {
+      color: line.colorName || undefined,
+      variantId: line.variantId || undefined,
+      name: line.variantName || undefined,
+    },
+    customization: line.customization?.answers?.length
+      ? {
+          answers: line.customization.answers,
+          surcharge: line.customization.surcharge || 0,
+          dueDate: addBusinessDays(today, line.customization.processingDaysMax ?? 0),
+        }
+      : undefined,
+  }));
+}
+
+/** Public view of a quote for API responses (no signature internals). */
+function serializeQuote(quote) {
+  return {
+    quoteId: quote._id,
+    items: quote.items.map((l) => ({
+      productId: l.productId,
+      name: l.name,
+      variantId: l.variantId,
+      variantName: l.variantName,
+      colorName: l.colorName,
+      quantity: l.quantity,
+      basePrice: l.basePrice,
+      unitPrice: l.unitPrice,
+      lineTotal: l.lineTotal,
+      bulkDiscount: l.bulkDiscount?.discount ? l.bulkDiscount : null,
+      customization: l.customization?.answers?.length
+        ? { answers: l.customization.answers, surcharge: l.customization.surcharge }
+        : null,
+      freeGift: l.freeGift?.promotionId ? l.freeGift : null,
+      tax: l.tax || null,
+    })),
+    subtotal: quote.subtotal,
+    promotions: quote.promotions || [],
+    discount: quote.discount?.amount ? quote.discount : null,
+    loyalty: quote.loyalty || null,
+    giftCard: quote.giftCard?.amount
+      ? { last4: quote.giftCard.last4, amount: quote.giftCard.amount, balance: quote.giftCard.balance }
+      : null,
+    wallet: quote.wallet?.amount ? quote.wallet : null,
+    shipping: quote.shipping,
+    shippingRate: quote.shippingRate?.band ? quote.shippingRate : null,
+    paymentMethod: quote.paymentMethod || "prepaid",
+    codFee: quote.codFee || 0,
+    codEligibility: quote.codEligibility || null,
+    tax: quote.tax,
+    taxBreakdown: quote.taxBreakdown || null,
+    total: quote.total,
+    amountDue: quote.amountDue ?? quote.total,
+    currency: quote.currency,
+    shippingAddress: quote.shippingAddress,
+    delivery: quote.delivery?.estimatedMaxDate ? quote.delivery : null,
+    expiresAt: quote.expiresAt,
+    signature: quote.signature,
+  };
+}
+
+module.exports = {
+  buildQuote,
+  loadQuoteForPayment,
+  claimQuote,
+  releaseQuote,
+  quoteToOrderItems,
+  serializeQuote,
+  resolveCartItems,
+  normaliseAddress,
+  signQuote,
+  isSignatureValid,
+  QUOTE_TTL_MINUTES,
+};
@@ -0,0 +1,348 @@
+/**
+ * Referral programme — a new customer registers with another customer's
+ * referral code; once the referee's first delivered order is past the return
+ * window, both are credited to their store-credit wallet
+ * (services/walletService.js), which is spendable at checkout.
+ *
+ *   recordReferral()          — POST /api/auth/register with a referralCode
+ *   processPendingReferrals() — jobs/referralJob.js: qualifies and rewards
+ *
+ * Fraud guards (utils/referral.js): the same mailbox as the referrer (self
+ * referral) or a shared IP / device hash rejects the referral at sign-up and
+ * again at qualification; a qualifying order shipped to one of the referrer's
+ * addresses rejects it too.
+ *
+ * Functions return result objects ({ success, code, message }); routes map
+ * `code` to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Referral = require("../models/Referral");
+const ReturnRequest = require("../models/ReturnRequest");
+const { creditWallet } = require("./walletService");
+const { round2 } = require("../utils/pricing");
+const {
+  REFERRAL_ENABLED,
+  REFERRER_CREDIT,
+  REFEREE_CREDIT,
+  MAX_FINGERPRINTS,
+  normaliseReferralCode,
+  canonicalEmail,
+  addressKey,
+} = require("../utils/referral");
+
+const BATCH_SIZE = 200; // safety cap per run
+const REFERRER_ORDER_ADDRESSES = 50; // recent referrer orders checked for a shared address
+const OPEN_RETURN_STATUSES = ["requested", "approved", "in_transit", "received"];
+
+// ── Fingerprints ──────────────────────────────────────────────────────────────
+
+/** Adds hashed IP / device signals to a user, keeping the most recent MAX_FINGERPRINTS. */
+async function rememberFingerprints(userId, fingerprints) {
+  if (!fingerprints?.length) return;
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        fingerprints: {
+          $slice: [
+            {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ["$fingerprints", []] },
+                    cond: { $not: { $in: ["$$this", fingerprints] } },
+                  },
+                },
+                fingerprints,
+              ],
+            },
+            -MAX_FINGERPRINTS,
+          ],
+        },
+      },
+    },
+  ]);
+}
+
+const _sharesFingerprint = (a, b) => {
+  const theirs = new Set(b?.fingerprints || []);
+  return (a?.fingerprints || []).some((f) => theirs.has(f));
+};
+
+// ── Sign-up ───────────────────────────────────────────────────────────────────
+
+/** The customer a referral code belongs to, or null. */
+async function findReferrer(code) {
+  const referralCode = normaliseReferralCode(code);
+  if (!REFERRAL_ENABLED || !referralCode) return null;
+  return User.findOne({ referralCode }).select("_id email referralCode +fingerprints").lean();
+}
+
+/**
+ * Links a newly registered customer to their referrer. The referral is kept
+ * even when a fraud guard trips — as rejected, so it shows in the report.
+ *
+ * @param {object} params
+ * @param {object} params.referrer     - from findReferrer()
+ * @param {object} params.referee      - the new User
+ * @param {string[]} params.fingerprints - the sign-up request's hashed signals
+ * @returns {Promise<{ success, referral?, code?, message? }>}
+ */
+async function recordReferral({ referrer, referee, fingerprints = [] }) {
+  let rejectionReason = null;
+  if (String(referrer._id) === String(referee._id) || canonicalEmail(referrer.email) === canonicalEmail(referee.email)) {
+    rejectionReason = "self_referral";
+  } else if (_sharesFingerprint({ fingerprints }, referrer)) {
+    rejectionReason = "same_device";
+  }
+
+  await User.updateOne({ _id: referee._id }, { $set: { referredBy: referrer._id } });
+  const referral = await Referral.create({
+    referrerId: referrer._id,
+    refereeId: referee._id,
+    code: referrer.referralCode,
+    ...(rejectionReason ? { status: "rejected", rejectionReason, rejectedAt: new Date() } : {}),
+  });
+  if (rejectionReason) {
+    console.warn(`[Referral] ${referee._id} referred by ${referrer._id} rejected: ${rejectionReason}`);
+  }
+  return { success: true, referral };
+}
+
+// ── Qualification ─────────────────────────────────────────────────────────────
+
+/** Whether the referee's order went to an address the referrer uses. */
+async function _sharesAddress(referrerId, order) {
+  const key = addressKey(order.shippingAddress);
+  if (!key) return false;
+  const [referrer, referrerOrders] = await Promise.all([
+    User.findById(referrerId).select("addresses").lean(),
+    Order.find({ userId: referrerId })
+      .sort({ createdAt: -1 })
+      .limit(REFERRER_ORDER_ADDRESSES)
+      .select("shippingAddress")
+      .lean(),
+  ]);
+  const keys = new Set(
+    [...(referrer?.addresses || []), ...referrerOrders.map((o) => o.shippingAddress)].map(addressKey),
+  );
+  return keys.has(key);
+}
+
+async function _reject(referral, reason) {
+  const result = await Referral.updateOne(
+    { _id: referral._id, status: "pending" },
+    { $set: { status: "rejected", rejectionReason: reason, rejectedAt: new Date() } },
+  );
+  return result.modifiedCount === 1 ? "rejected" : "skipped";
+}
+
+/** Credits both customers — once per referral. */
+async function _reward(referral, order) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const claimed = await Referral.updateOne(
+      { _id: referral._id, status: "pending" },
+      {
+        $set: {
+          status: "rewarded",
+          qualifyingOrderId: order._id,
+          referrerCredit: REFERRER_CREDIT,
+          refereeCredit: REFEREE_CREDIT,
+          rewardedAt: new Date(),
+        },
+      },
+      { session },
+    );
+    if (claimed.modifiedCount !== 1) {
+      await session.abortTransaction();
+      return "skipped";
+    }
+    const rewards = [
+      { userId: referral.referrerId, amount: REFERRER_CREDIT, role: "referrer", description: "Referral reward — a friend you referred placed their first order" },
+      { userId: referral.refereeId, amount: REFEREE_CREDIT, role: "referee", description: "Referral reward — welcome credit" },
+    ];
+    for (const { userId, amount, role, description } of rewards) {
+      if (!(amount > 0)) continue;
+      await creditWallet(
+        userId,
+        { type: "referral", amount, description, key: `referral:${referral._id}:${role}`, referralId: referral._id },
+        { session },
+      );
+      await User.updateOne({ _id: userId }, { $inc: { referralCredits: amount } }, { session });
+    }
+    await session.commitTransaction();
+    return "rewarded";
+  } catch (err) {
+    await session.abortTransaction().catch(() => {});
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Settles one pending referral against the referee's first delivered order.
+ * @returns {Promise<"waiting"|"rewarded"|"rejected"|"skipped">}
+ */
+async function _qualify(referral, now) {
+  const order = await Order.findOne({ userId: referral.refereeId, status: "delivered" })
+    .sort({ deliveredAt: 1, createdAt: 1 })
+    .lean();
+  if (!order) return "waiting";
+
+  const windowEnd = new Date(order.deliveredAt || order.updatedAt);
+  windowEnd.setDate(windowEnd.getDate() + ReturnRequest.RETURN_WINDOW_DAYS);
+  if (windowEnd > now) return "waiting";
+
+  const returns = await ReturnRequest.find({ orderId: order._id, status: { $ne: "rejected" } }).select("status").lean();
+  if (returns.some((r) => OPEN_RETURN_STATUSES.includes(r.status))) return "waiting";
+  if (returns.length > 0) return _reject(referral, "order_returned");
+
+  const [referrer, referee] = await Promise.all([
+    User.findById(referral.referrerId).select("+fingerprints").lean(),
+    User.findById(referral.refereeId).select("+fingerprints").lean(),
+  ]);
+  if (!referrer || !referee) return "skipped";
+  // Signals gathered at login since sign-up
+  if (_sharesFingerprint(referee, referrer)) return _reject(referral, "same_device");
+  if (await _sharesAddress(referral.referrerId, order)) return _reject(referral, "same_address");
+
+  return _reward(referral, order);
+}
+
+/**
+ * Qualifies pending referrals (oldest first).
+ * @returns {Promise<{ checked, rewarded, rejected, errors }>}
+ */
+async function processPendingReferrals(now = new Date()) {
+  const summary = { checked: 0, rewarded: 0, rejected: 0, errors: 0 };
+  if (!REFERRAL_ENABLED) return summary;
+
+  const pending = await Referral.find({ status: "pending" }).sort({ createdAt: 1 }).limit(BATCH_SIZE).lean();
+  for (const referral of pending) {
+    summary.checked++;
+    try {
+      const outcome = await _qualify(referral, now);
+      if (outcome === "rewarded") summary.rewarded++;
+      if (outcome === "rejected") summary.rejected++;
+    } catch (err) {
+      summary.errors++;
+      console.error(`[Referral] Could not settle referral ${referral._id}:`, err.message);
+    }
+  }
+  return summary;
+}
+
+// ── Reporting ─────────────────────────────────────────────────────────────────
+
+/** A customer's code, referral earnings and the people they referred. */
+async function getReferralSummary(userId) {
+  const [user, referrals] = await Promise.all([
+    User.findById(userId).select("referralCode referralCredits walletBalance").lean(),
+    Referral.find({ referrerId: userId })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate("refereeId", "username")
+      .lean(),
+  ]);
+  return {
+    enabled: REFERRAL_ENABLED,
+    referralCode: user?.referralCode || null,
+    creditsEarned: round2(user?.referralCredits || 0),
+    walletBalance: round2(user?.walletBalance || 0),
+    rewards: { referrer: REFERRER_CREDIT, referee: REFEREE_CREDIT },
+    // Fraud verdicts stay internal — a rejected referral just isn't listed
+    referrals: referrals
+      .filter((r) => r.status !== "rejected")
+      .map((r) => ({
+        referee: r.refereeId?.username || "Customer",
+        status: r.status,
+        credit: r.status === "rewarded" ? r.referrerCredit : 0,
+        joinedAt: r.createdAt,
+        rewardedAt: r.rewardedAt || null,
+      })),
+  };
+}
+
+/**
+ * Admin report of referral sign-ups and conversions in a period.
+ * @param {object} range - { from?: Date, to?: Date } on the referral's sign-up date
+ */
+async function referralReport({ from, to } = {}) {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const [byStatus, byReason, topReferrers] = await Promise.all([
+    Referral.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          credits: { $sum: { $add: ["$referrerCredit", "$refereeCredit"] } },
+        },
+      },
+    ]),
+    Referral.aggregate([
+      { $match: { ...match, status: "rejected" } },
+      { $group: { _id: "$rejectionReason", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]),
+    Referral.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$referrerId",
+          signups: { $sum: 1 },
+          conversions: { $sum: { $cond: [{ $eq: ["$status", "rewarded"] }, 1, 0] } },
+          credits: { $sum: "$referrerCredit" },
+        },
+      },
+      { $sort: { conversions: -1, signups: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "referrer" } },
+      {
+        $project: {
+          _id: 0,
+          referrerId: "$_id",
+          username: { $first: "$referrer.username" },
+          email: { $first: "$referrer.email" },
+          signups: 1,
+          conversions: 1,
+          credits: 1,
+        },
+      },
+    ]),
+  ]);
+
+  const counts = Object.fromEntries(byStatus.map((s) => [s._id, s.count]));
+  const signups = byStatus.reduce((sum, s) => sum + s.count, 0);
+  const rewarded = counts.rewarded || 0;
+  return {
+    signups,
+    pending: counts.pending || 0,
+    rewarded,
+    rejected: counts.rejected || 0,
+    conversionRate: signups > 0 ? round2((rewarded / signups) * 100) : 0,
+    creditsIssued: round2(byStatus.find((s) => s._id === "rewarded")?.credits || 0),
+    rejectionReasons: Object.fromEntries(byReason.map((r) => [r._id, r.count])),
+    topReferrers,
+  };
+}
+
+module.exports = {
+  rememberFingerprints,
+  findReferrer,
+  recordReferral,
+  processPendingReferrals,
+  getReferralSummary,
+  referralReport,
+};
@@ -0,0 +1,409 @@
+/**
+ * Refund service — moves money back to the customer.
+ *
+ * Lifecycle of an Order.refunds[] entry:
+ *   createRefund()        — reserves the amount on the order (pending), calls the provider
+ *   markRefundProcessed() — provider confirmed (immediately or via the refund.processed webhook)
+ *   markRefundFailed()    — provider rejected it; admins can retryRefund()
+ *
+ * Providers:
+ *   razorpay — payments.refund() on the order's captured payment
+ *   local    — stand-in that settles immediately, outside production only:
+ *              for orders without a Razorpay payment or when no keys are
+ *              configured (REFUND_PROVIDER=local forces it)
+ *   wallet   — store credit (services/walletService.js), settles immediately;
+ *              in production, orders with no gateway payment to reverse
+ *              (cash on delivery) are refunded here
+ *
+ * A refund to the original payment is split: the gateway takes back up to
+ * what it collected, anything the wallet or a gift card paid goes to the wallet.
+ * `toWallet` sends the whole refund to the wallet instead.
+ *
+ * Cancelling items before dispatch (services/orderModificationService.js)
+ * lowers totalAmount and refunds the difference against that modification
+ * (`modificationId`) — those refunds don't count against what is left.
+ *
+ * Functions return result objects ({ success, code, message }) like the quote
+ * and coupon services; routes map `code` to an HTTP status.
+ */
+
+const crypto = require("crypto");
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const { reverseReturnPoints } = require("./loyaltyService");
+const { creditWallet } = require("./walletService");
+const Notification = require("../models/Notification");
+const { getRazorpay, isRazorpayConfigured } = require("../config/razorpay");
+const { round2, gatewayAmount } = require("../utils/pricing");
+
+const REFUNDABLE_PAYMENT_STATUSES = ["completed", "refunded"];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Amount still available to refund — pending refunds count as taken. */
+function refundableAmount(order) {
+  const committed = (order.refunds || [])
+    .filter((r) => r.status !== "failed" && !r.modificationId)
+    .reduce((sum, r) => sum + r.amount, 0);
+  return round2(Math.max(0, order.totalAmount - committed));
+}
+
+/** The timeline entry of an item modification, which records its refund. */
+function _modification(order, modificationId) {
+  return (order.timeline || []).find((e) => String(e._id) === String(modificationId)) || null;
+}
+
+/** Part of a modification's refund not yet issued. */
+function _modificationRefundable(order, modificationId) {
+  const due = _modification(order, modificationId)?.metadata?.refundAmount || 0;
+  const committed = (order.refunds || [])
+    .filter((r) => r.status !== "failed" && String(r.modificationId) === String(modificationId))
+    .reduce((sum, r) => sum + r.amount, 0);
+  return round2(Math.max(0, due - committed));
+}
+
+/**
+ * Part of the refundable amount that can still go back through the gateway.
+ * A modification's refund is measured against the total before it.
+ */
+function _gatewayRefundable(order, modificationId = null) {
+  const totalAmount = modificationId
+    ? _modification(order, modificationId)?.metadata?.before?.totalAmount ?? order.totalAmount
+    : order.totalAmount;
+  const committed = (order.refunds || [])
+    .filter((r) => r.status !== "failed" && r.provider !== "wallet" && !r.modificationId)
+    .reduce((sum, r) => sum + r.amount, 0);
+  return round2(Math.max(0, gatewayAmount({ totalAmount, giftCard: order.giftCard, wallet: order.wallet }) - committed));
+}
+
+function _provider(order) {
+  if (process.env.NODE_ENV !== "production") {
+    if (process.env.REFUND_PROVIDER === "local") return "local";
+    return order.razorpayPaymentId && isRazorpayConfigured() ? "razorpay" : "local";
+  }
+  // No keys — fails and stays retryable
+  if (order.razorpayPaymentId) return "razorpay";
+  // Nothing went through the gateway (cash on delivery) — refund as store credit
+  return "wallet";
+}
+
+async function _callProvider(order, refund) {
+  if (refund.provider === "wallet") {
+    const credited = await creditWallet(order.userId, {
+      type: "refund",
+      amount: refund.amount,
+      description: `Refund for order #${order._id.toString().slice(-6).toUpperCase()}${refund.reason ? ` — ${refund.reason}` : ""}`,
+      key: `refund:${refund._id}`,
+      orderId: order._id,
+      returnRequestId: refund.returnRequestId || undefined,
+    });
+    if (!credited.success) throw new Error(credited.message);
+    return { id: `wallet_${credited.transaction._id}`, status: "processed" };
+  }
+  if (refund.provider === "local") {
+    return { id: `local_rfnd_${crypto.randomBytes(8).toString("hex")}`, status: "processed" };
+  }
+  return getRazorpay().payments.refund(order.razorpayPaymentId, {
+    amount: Math.round(refund.amount * 100),
+    speed: "normal",
+    notes: {
+      orderId: String(order._id),
+      refundEntryId: String(refund._id),
+      ...(refund.returnRequestId ? { returnRequestId: String(refund.returnRequestId) } : {}),
+    },
+  });
+}
+
+function _gatewayError(err) {
+  return err?.error?.description || err?.message || "Refund request failed";
+}
+
+/** Recomputes amountRefunded / paymentStatus from the processed refunds. */
+function _applyTotals(order) {
+  const processed = (order.refunds || []).filter((r) => r.status === "processed");
+  order.amountRefunded = round2(processed.reduce((sum, r) => sum + r.amount, 0));
+  // Modification refunds already came off totalAmount
+  const refundedOfTotal = round2(processed.filter((r) => !r.modificationId).reduce((sum, r) => sum + r.amount, 0));
+  if (refundedOfTotal > 0 && refundedOfTotal >= order.totalAmount) {
+    order.paymentStatus = "refunded";
+  }
+}
+
+/**
+ * Copies the refund state onto its return request. A return refunded in
+ * parts (gateway + wallet) is refunded once every part is processed.
+ */
+async function _syncReturnRequest(order, refund) {
+  if (!refund.returnRequestId) return;
+
+  const parts = order.refunds.filter((r) => String(r.returnRequestId) === String(refund.returnRequestId));
+  const status = parts.some((r) => r.status === "failed")
+    ? "failed"
+    : parts.every((r) => r.status === "processed") ? "processed" : "pending";
+
+  const update = {
+    refund: {
+      orderRefundId: refund._id,
+      refundId: refund.refundId,
+      status,
+      error: parts.find((r) => r.status === "failed")?.error,
+      processedAt: status === "processed" ? refund.processedAt : undefined,
+    },
+    updatedAt: new Date(),
+  };
+  if (status === "processed") update.status = "refunded";
+
+  const returnRequest = await ReturnRequest.findByIdAndUpdate(refund.returnRequestId, { $set: update }, { new: true });
+
+  // Refunded returns reverse the original invoice with a GST credit note
+  if (returnRequest && status === "processed") {
+    const { issueReturnCreditNote } = require("./invoiceService");
+    issueReturnCreditNote(returnRequest).catch((e) =>
+      console.error("[Invoice] Could not issue credit note:", e.message),
+    );
+    // ...and take back the loyalty points the returned items earned
+    reverseReturnPoints(returnRequest).catch((e) =>
+      console.error("[Loyalty] Could not reverse return points:", e.message),
+    );
+  }
+}
+
+function _pushUpdate(order) {
+  try {
+    const { pushOrderUpdate } = require("../routes/sse");
+    pushOrderUpdate(order.userId.toString(), order);
+  } catch (e) {
+    console.error("[SSE] pushOrderUpdate failed:", e.message);
+  }
+}
+
+/** Applies the provider's answer to a refund entry and persists everything. */
+async function _settle(order, refund, { gatewayRefund, error }) {
+  refund.attempts = (refund.attempts || 0) + 1;
+
+  if (error) {
+    refund.status = "failed";
+    refund.error = error;
+    order.timeline.push({
+      status: order.status,
+      title: "Refund Failed",
+      description: `Refund of ₹${refund.amount} failed: ${error}`,
+      timestamp: new Date(),
+      metadata: { orderRefundId: refund._id },
+    });
+    Notification.create({
+      type: "system",
+      message: `⚠️ Refund of ₹${refund.amount} failed for order #${order._id.toString().slice(-6).toUpperCase()} — retry from the order page`,
+      orderId: order._id,
+      read: false,
+      meta: { orderRefundId: refund._id, error },
+    }).catch(() => {});
+  } else {
+    refund.refundId = gatewayRefund.id;
+    refund.error = undefined;
+    if (gatewayRefund.status === "processed") {
+      refund.status = "processed";
+      refund.processedAt = new Date();
+    }
+    order.timeline.push({
+      status: order.status,
+      title: refund.status === "processed" ? "Refund Processed" : "Refund Initiated",
+      description: `Refund of ₹${refund.amount} ${refund.status === "processed" ? "processed" : "initiated"}${refund.reason ? ` — ${refund.reason}` : ""}`,
+      timestamp: new Date(),
+      metadata: { orderRefundId: refund._id, refundId: refund.refundId },
+    });
+  }
+
+  _applyTotals(order);
+  order.updatedAt = new Date();
+  await order.save();
+  await _syncReturnRequest(order, refund);
+  _pushUpdate(order);
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Refunds `amount` (defaults to everything still refundable) on an order.
+ *
+ * @param {object} order - Order document
+ * @param {object} opts  - { amount?, reason?, returnRequestId?, initiatedBy?, toWallet?, modificationId? }
+ * @returns {Promise<{ success, refund?, refunds?, code?, message? }>}
+ *   success is true once the refund is recorded — check refund.status for the
+ *   outcome. `refunds` lists every entry when the amount was split; `refund`
+ *   is the first of them.
+ */
+async function createRefund(
+  order,
+  { amount, reason = "", returnRequestId = null, initiatedBy = null, toWallet = false, modificationId = null } = {},
+) {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return { success: false, code: "NOT_PAID", message: "This order has no captured payment to refund." };
+  }
+
+  const available = modificationId ? _modificationRefundable(order, modificationId) : refundableAmount(order);
+  const value = round2(amount ?? available);
+  if (!(value > 0)) {
+    return { success: false, code: "INVALID_AMOUNT", message: "Refund amount must be greater than zero." };
+  }
+  if (value > available) {
+    return {
+      success: false,
+      code: "AMOUNT_EXCEEDS_REFUNDABLE",
+      message: `Only ₹${available} is left to refund on this order.`,
+    };
+  }
+
+  const provider = _provider(order);
+  const gatewayShare = toWallet || provider === "wallet" ? 0 : Math.min(value, _gatewayRefundable(order, modificationId));
+  const shares = [
+    { provider, amount: gatewayShare },
+    { provider: "wallet", amount: round2(value - gatewayShare) },
+  ].filter((s) => s.amount > 0);
+
+  // Reserve the amount — compare-and-set on the refunds array so two
+  // concurrent refunds can't both take the same balance
+  const entries = shares.map((share) =>
+    order.refunds.create({ ...share, status: "pending", reason, returnRequestId, initiatedBy, modificationId }),
+  );
+  const reserved = await Order.updateOne(
+    { _id: order._id, refunds: { $size: order.refunds.length } },
+    { $push: { refunds: { $each: entries } } },
+  );
+  if (reserved.modifiedCount !== 1) {
+    return { success: false, code: "CONCURRENT_REFUND", message: "Another refund is in progress for this order. Please retry." };
+  }
+
+  const fresh = await Order.findById(order._id);
+  for (const { _id } of entries) {
+    const entry = fresh.refunds.id(_id);
+    let gatewayRefund = null;
+    let error = null;
+    try {
+      gatewayRefund = await _callProvider(fresh, entry);
+    } catch (err) {
+      error = _gatewayError(err);
+      console.error(`[Refund] ${entry.provider} refund failed for order ${fresh._id}:`, error);
+    }
+    await _settle(fresh, entry, { gatewayRefund, error });
+  }
+
+  const refunds = entries.map(({ _id }) => fresh.refunds.id(_id));
+  return { success: true, refund: refunds[0], refunds, order: fresh };
+}
+
+/**
+ * Re-submits a failed refund with the same amount.
+ * @returns {Promise<{ success, refund?, code?, message? }>}
+ */
+async function retryRefund(order, orderRefundId) {
+  const entry = order.refunds.id(orderRefundId);
+  if (!entry) {
+    return { success: false, code: "REFUND_NOT_FOUND", message: "Refund not found on this order." };
+  }
+  if (entry.status !== "failed") {
+    return { success: false, code: "REFUND_NOT_FAILED", message: `Only failed refunds can be retried (status: ${entry.status}).` };
+  }
+  // The failed amount is no longer reserved — make sure it still fits
+  const available = entry.modificationId ? _modificationRefundable(order, entry.modificationId) : refundableAmount(order);
+  if (entry.amount > available) {
+    return { success: false, code: "AMOUNT_EXCEEDS_REFUNDABLE", message: "The order no longer has enough refundable balance." };
+  }
+
+  // Claim the retry so a double click doesn't refund twice
+  const claimed = await Order.updateOne(
+    { _id: order._id, refunds: { $elemMatch: { _id: entry._id, status: "failed" } } },
+    // Wallet refunds stay in the wallet; gateway ones re-pick the provider
+    { $set: { "refunds.$.status": "pending", "refunds.$.provider": entry.provider === "wallet" ? "wallet" : _provider(order) } },
+  );
+  if (claimed.modifiedCount !== 1) {
+    return { success: false, code: "CONCURRENT_REFUND", message: "This refund is already being retried." };
+  }
+
+  const fresh = await Order.findById(order._id);
+  const refund = fresh.refunds.id(entry._id);
+
+  let gatewayRefund = null;
+  let error = null;
+  try {
+    gatewayRefund = await _callProvider(fresh, refund);
+  } catch (err) {
+    error = _gatewayError(err);
+    console.error(`[Refund] Retry failed for order ${fresh._id}:`, error);
+  }
+  await _settle(fresh, refund, { gatewayRefund, error });
+
+  return { success: true, refund, order: fresh };
+}
+
+/**
+ * refund.processed webhook. Refunds issued from the Razorpay dashboard have no
+ * entry yet, so one is added for them.
+ *
+ * @param {object} gatewayRefund - payload.refund.entity
+ * @returns {Promise<object|null>} the updated order, or null if it isn't ours
+ */
+async function markRefundProcessed(gatewayRefund) {
+  const order =
+    (await Order.findOne({ "refunds.refundId": gatewayRefund.id })) ||
+    (await Order.findOne({ razorpayPaymentId: gatewayRefund.payment_id }));
+  if (!order) return null;
+
+  let refund =
+    order.refunds.find((r) => r.refundId === gatewayRefund.id) ||
+    order.refunds.id(gatewayRefund.notes?.refundEntryId);
+  if (refund?.status === "processed") return order;
+
+  if (!refund) {
+    order.refunds.push({
+      refundId: gatewayRefund.id,
+      provider: "razorpay",
+      amount: round2(gatewayRefund.amount / 100),
+      status: "pending",
+      reason: "Issued from the Razorpay dashboard",
+    });
+    refund = order.refunds[order.refunds.length - 1];
+  }
+
+  refund.refundId = gatewayRefund.id;
+  refund.status = "processed";
+  refund.error = undefined;
+  refund.processedAt = new Date();
+  order.timeline.push({
+    status: order.status,
+    title: "Refund Processed",
+    description: `Refund of ₹${refund.amount} processed by Razorpay`,
+    timestamp: new Date(),
+    metadata: { orderRefundId: refund._id, refundId: refund.refundId },
+  });
+
+  _applyTotals(order);
+  order.updatedAt = new Date();
+  await order.save();
+  await _syncReturnRequest(order, refund);
+  _pushUpdate(order);
+  return order;
+}
+
+/** refund.failed webhook — flags the entry so admins can retry it. */
+async function markRefundFailed(gatewayRefund) {
+  const order = await Order.findOne({ "refunds.refundId": gatewayRefund.id });
+  if (!order) return null;
+  const refund = order.refunds.find((r) => r.refundId === gatewayRefund.id);
+  if (!refund || refund.status === "failed") return order;
+
+  // _settle counts an attempt — this one was already counted when it was submitted
+  refund.attempts = Math.max(0, (refund.attempts || 0) - 1);
+  await _settle(order, refund, {
+    error: gatewayRefund.error_description || "Refund failed at the bank",
+  });
+  return order;
+}
+
+module.exports = {
+  refundableAmount,
+  createRefund,
+  retryRefund,
+  markRefundProcessed,
+  markRefundFailed,
+};
@@ -0,0 +1,449 @@
+/**
+ * Sale service — scheduled price changes and flash sales.
+ *
+ * Lifecycle (jobs/saleSchedulerJob.js calls runSaleSchedule() every minute):
+ *   createSale()   — admin: schedules a sale; starts it at once if startsAt has passed
+ *   startSale()    — scheduled → active: lowers prices, sets compareAtPrice to the
+ *                    regular price and marks Product.sale
+ *   endSale()      — active → ended: puts the stored prices back
+ *   cancelSale()   — admin: scheduled / active → cancelled (prices put back)
+ *
+ * Products are changed with doc.save() so the embedding hook in
+ * models/Product.js re-embeds them at the new price. A product already in
+ * another sale keeps that one. While a sale is active, products that start
+ * matching it (new in the category / tag) join on the next run.
+ *
+ * Sale.perCustomerLimit: checkSaleLimits() checks it on the checkout quote;
+ * claimSaleUnits() takes the units atomically when checkout opens the order
+ * (SalePurchase), and releaseSaleUnits() gives them back if it's cancelled.
+ * Functions return result objects ({ success, code, message }) like the
+ * other services.
+ */
+
+const Sale = require("../models/Sale");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const SalePurchase = require("../models/SalePurchase");
+const { cache } = require("../utils/cache");
+const { validateSale, saleProductFilter, salePrice, saleCompareAtPrice } = require("../utils/sales");
+
+const ACTIVE_CACHE_KEY = "sales:active";
+const ACTIVE_CACHE_SECONDS = 60;
+const UPCOMING_DAYS = 7; // how far ahead GET /api/sales/active shows upcoming sales
+
+// Catalog responses are cached under products:* (utils/cache.js) — prices moved
+async function _invalidateCaches() {
+  await cache.delPattern("products:*");
+  await cache.del(ACTIVE_CACHE_KEY);
+}
+
+// ── Applying prices ───────────────────────────────────────────────────────────
+
+/**
+ * Lowers the price of every matching product not yet in a sale. Safe to run
+ * repeatedly: the regular prices are recorded on the sale before the product
+ * changes, and products already marked are skipped.
+ */
+async function _applySale(sale) {
+  const skippedIds = (sale.skipped || []).map((s) => s.productId);
+  const products = await Product.find({
+    $and: [saleProductFilter(sale), { _id: { $nin: skippedIds } }],
+    isActive: { $ne: false },
+    productType: { $ne: "gift_card" },
+    "sale.saleId": null,
+  });
+
+  let applied = 0;
+  for (const product of products) {
+    const price = salePrice(product.price, sale.discount);
+    if (price === null) {
+      await Sale.updateOne(
+        { _id: sale._id, "skipped.productId": { $ne: product._id } },
+        { $push: { skipped: { productId: product._id, reason: "The sale would not lower the price" } } },
+      );
+      continue;
+    }
+    const variantPrices = (product.variants || [])
+      .filter((v) => v.price != null && salePrice(v.price, sale.discount) !== null)
+      .map((v) => ({ variantId: String(v._id), price: v.price, salePrice: salePrice(v.price, sale.discount) }));
+
+    // Record the regular prices first — a crash after this leaves the product
+    // untouched, and the next run picks it up again
+    await Sale.updateOne(
+      { _id: sale._id, "products.productId": { $ne: product._id } },
+      {
+        $push: {
+          products: {
+            productId: product._id,
+            price: product.price,
+            compareAtPrice: product.compareAtPrice ?? null,
+            salePrice: price,
+            variantPrices,
+          },
+        },
+      },
+    );
+
+    product.compareAtPrice = saleCompareAtPrice(product.price, product.compareAtPrice);
+    product.price = price;
+    for (const vp of variantPrices) product.variants.id(vp.variantId).price = vp.salePrice;
+    product.sale = {
+      saleId: sale._id,
+      name: sale.name,
+      startsAt: sale.startsAt,
+      endsAt: sale.endsAt,
+      isFlash: sale.isFlash,
+      perCustomerLimit: sale.perCustomerLimit,
+    };
+    await product.save();
+    applied++;
+  }
+  return applied;
+}
+
+/**
+ * Puts back the regular prices of every product the sale marked. A price an
+ * admin changed during the sale is left as they set it.
+ */
+async function _revertSale(sale) {
+  const recorded = new Map((sale.products || []).map((p) => [String(p.productId), p]));
+  const products = await Product.find({ "sale.saleId": sale._id });
+
+  for (const product of products) {
+    const entry = recorded.get(String(product._id));
+    if (entry) {
+      if (product.price === entry.salePrice) product.price = entry.price;
+      product.compareAtPrice = entry.compareAtPrice ?? null;
+      for (const vp of entry.variantPrices || []) {
+        const variant = product.variants.id(vp.variantId);
+        if (variant && variant.price === vp.salePrice) variant.price = vp.price;
+      }
+    }
+    product.sale = { saleId: null };
+    await product.save();
+  }
+  return products.length;
+}
+
+// ── Lifecycle ─────────────────────────────────────────────────────────────────
+
+/** scheduled → active, then applies prices. Re-applies when already active. */
+async function startSale(sale) {
+  if (sale.status === "scheduled") {
+    const claimed = await Sale.findOneAndUpdate(
+      { _id: sale._id, status: "scheduled" },
+      { $set: { status: "active", activatedAt: new Date() } },
+      { new: true },
+    );
+    if (!claimed) return { success: false, code: "CONCURRENT_UPDATE", message: "Sale changed while starting." };
+    sale = claimed;
+  }
+  const applied = await _applySale(sale);
+  if (applied) await _invalidateCaches();
+  return { success: true, applied };
+}
+
+/** Puts prices back, then active → ended (so a crash in between is retried). */
+async function endSale(sale) {
+  const reverted = await _revertSale(sale);
+  await Sale.updateOne({ _id: sale._id, status: "active" }, { $set: { status: "ended", endedAt: new Date() } });
+  await _invalidateCaches();
+  return { success: true, reverted };
+}
+
+/**
+ * Starts due sales, ends finished ones and adds newly matching products to
+ * running ones.
+ *
+ * @returns {Promise<{ started: number, ended: number, applied: number }>}
+ */
+async function runSaleSchedule(now = new Date()) {
+  const summary = { started: 0, ended: 0, applied: 0 };
+
+  // Windows that passed while nothing was running never start
+  await Sale.updateMany(
+    { status: "scheduled", endsAt: { $lte: now } },
+    { $set: { status: "ended", endedAt: now } },
+  );
+
+  const finished = await Sale.find({ status: "active", endsAt: { $lte: now } });
+  for (const sale of finished) {
+    try {
+      await endSale(sale);
+      summary.ended++;
+    } catch (err) {
+      console.error(`[Sales] Could not end sale ${sale._id}:`, err.message);
+    }
+  }
+
+  const due = await Sale.find({
+    status: { $in: ["scheduled", "active"] },
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  });
+  for (const sale of due) {
+    try {
+      const wasScheduled = sale.status === "scheduled";
+      const result = await startSale(sale);
+      if (!result.success) continue;
+      if (wasScheduled) summary.started++;
+      summary.applied += result.applied;
+    } catch (err) {
+      console.error(`[Sales] Could not start sale ${sale._id}:`, err.message);
+    }
+  }
+  return summary;
+}
+
+// ── Admin ─────────────────────────────────────────────────────────────────────
+
+async function createSale(body, actor) {
+  const result = validateSale(body);
+  if (result.error) return { success: false, code: "INVALID_SALE", message: result.error };
+  if (result.fields.endsAt <= new Date()) {
+    return { success: false, code: "INVALID_SALE", message: "endsAt must be in the future" };
+  }
+
+  const sale = await Sale.create({ ...result.fields, createdBy: actor?._id });
+  await cache.del(ACTIVE_CACHE_KEY);
+  if (sale.startsAt <= new Date()) await startSale(sale);
+  return { success: true, sale: await Sale.findById(sale._id) };
+}
+
+/** Only scheduled sales can be edited — cancel a running one instead. */
+async function updateSale(id, body) {
+  const sale = await Sale.findById(id);
+  if (!sale) return { success: false, code: "SALE_NOT_FOUND", message: "Sale not found" };
+  if (sale.status !== "scheduled") {
+    return { success: false, code: "SALE_NOT_EDITABLE", message: `A ${sale.status} sale can't be edited` };
+  }
+  const result = validateSale(body, sale.toObject());
+  if (result.error) return { success: false, code: "INVALID_SALE", message: result.error };
+  if (result.fields.endsAt <= new Date()) {
+    return { success: false, code: "INVALID_SALE", message: "endsAt must be in the future" };
+  }
+
+  const updated = await Sale.findOneAndUpdate(
+    { _id: id, status: "scheduled" },
+    { $set: result.fields },
+    { new: true },
+  );
+  if (!updated) return { success: false, code: "CONCURRENT_UPDATE", message: "The sale started while it was being edited" };
+  await cache.del(ACTIVE_CACHE_KEY);
+  if (updated.startsAt <= new Date()) await startSale(updated);
+  return { success: true, sale: await Sale.findById(id) };
+}
+
+async function cancelSale(id, actor) {
+  const sale = await Sale.findOneAndUpdate(
+    { _id: id, status: { $in: ["scheduled", "active"] } },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelledBy: { userId: actor?._id, name: actor?.name || actor?.email },
+      },
+    },
+    { new: false },
+  );
+  if (!sale) {
+    const exists = await Sale.exists({ _id: id });
+    return exists
+      ? { success: false, code: "SALE_FINISHED", message: "This sale has already ended or been cancelled" }
+      : { success: false, code: "SALE_NOT_FOUND", message: "Sale not found" };
+  }
+  const reverted = sale.status === "active" ? await _revertSale(sale) : 0;
+  await _invalidateCaches();
+  return { success: true, reverted, sale: await Sale.findById(id) };
+}
+
+/** Running and soon-starting sales for the storefront (cached briefly). */
+async function getStorefrontSales() {
+  const cached = await cache.get(ACTIVE_CACHE_KEY);
+  if (cached) return cached;
+
+  const now = new Date();
+  const horizon = new Date(now.getTime() + UPCOMING_DAYS * 24 * 60 * 60 * 1000);
+  const sales = await Sale.find({
+    $or: [
+      { status: "active", endsAt: { $gt: now } },
+      { status: "scheduled", startsAt: { $lte: horizon }, endsAt: { $gt: now } },
+    ],
+  })
+    .select("name description target categories tags discount startsAt endsAt isFlash perCustomerLimit status")
+    .sort({ startsAt: 1 })
+    .lean();
+
+  const view = (s) => ({
+    _id: s._id,
+    name: s.name,
+    description: s.description,
+    target: s.target,
+    categories: s.categories,
+    tags: s.tags,
+    discount: s.discount,
+    startsAt: s.startsAt,
+    endsAt: s.endsAt,
+    isFlash: s.isFlash,
+    perCustomerLimit: s.perCustomerLimit,
+  });
+  const result = {
+    active: sales.filter((s) => s.status === "active").map(view),
+    upcoming: sales.filter((s) => s.status === "scheduled").map(view),
+  };
+  await cache.set(ACTIVE_CACHE_KEY, result, ACTIVE_CACHE_SECONDS);
+  return result;
+}
+
+// ── Checkout ──────────────────────────────────────────────────────────────────
+
+/**
+ * Units of a sale product the customer already ordered since the sale
+ * started — from their SalePurchase counter once there is one, else from
+ * their orders (cancelled and failed orders don't count; free gifts never do).
+ */
+async function _orderedUnits(userId, product) {
+  const counter = await SalePurchase.findOne({ saleId: product.sale.saleId, userId, productId: product._id })
+    .select("quantity")
+    .lean();
+  if (counter) return counter.quantity;
+
+  const [bought] = await Order.aggregate([
+    {
+      $match: {
+        userId,
+        createdAt: { $gte: new Date(product.sale.startsAt) },
+        status: { $ne: "cancelled" },
+        paymentStatus: { $ne: "failed" },
+        "items.product._id": product._id,
+      },
+    },
+    { $unwind: "$items" },
+    { $match: { "items.product._id": product._id, "items.freeGift.promotionId": null } },
+    { $group: { _id: null, quantity: { $sum: "$items.quantity" } } },
+  ]);
+  return bought?.quantity || 0;
+}
+
+/**
+ * Checks cart lines against each sale's per-customer limit, counting units
+ * the customer already ordered since the sale started (cancelled and failed
+ * orders don't count; free gifts never do).
+ *
+ * @param {object}   params
+ * @param {ObjectId} params.userId
+ * @param {Array}    params.lines      - [{ productId, quantity }]
+ * @param {object}   params.productMap - productId → product (lean)
+ */
+async function checkSaleLimits({ userId, lines, productMap }) {
+  const wanted = new Map();
+  for (const line of lines) {
+    const product = productMap[String(line.productId)];
+    if (!product?.sale?.saleId || !product.sale.perCustomerLimit) continue;
+    wanted.set(String(product._id), (wanted.get(String(product._id)) || 0) + line.quantity);
+  }
+
+  for (const [productId, quantity] of wanted) {
+    const product = productMap[productId];
+    const { perCustomerLimit: limit, name: saleName } = product.sale;
+    if (quantity > limit) {
+      return {
+        success: false,
+        code: "SALE_LIMIT_EXCEEDED",
+        message: `"${product.name}" is limited to ${limit} per customer during ${saleName}.`,
+      };
+    }
+
+    const already = await _orderedUnits(userId, product);
+    if (already + quantity > limit) {
+      const left = Math.max(0, limit - already);
+      return {
+        success: false,
+        code: "SALE_LIMIT_EXCEEDED",
+        message: `"${product.name}" is limited to ${limit} per customer during ${saleName} — ` +
+          (left ? `you can add ${left} more.` : "you've already bought your share."),
+      };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Takes an order's units of limited sale products, with a compare-and-set on
+ * the customer's SalePurchase counter — parallel checkouts can't together
+ * pass the limit. All or nothing: a line over the limit gives back what the
+ * order already took.
+ *
+ * @param {object} params - { orderId, userId, items: [{ productId, quantity, freeGift? }] }
+ * @returns {Promise<{ success, code?, message? }>}
+ */
+async function claimSaleUnits({ orderId, userId, items }) {
+  const wanted = new Map();
+  for (const item of items) {
+    if (item.freeGift?.promotionId) continue;
+    wanted.set(String(item.productId), (wanted.get(String(item.productId)) || 0) + item.quantity);
+  }
+  if (!wanted.size) return { success: true };
+
+  const products = await Product.find({
+    _id: { $in: [...wanted.keys()] },
+    "sale.saleId": { $ne: null },
+    "sale.perCustomerLimit": { $gt: 0 },
+  })
+    .select("name sale")
+    .lean();
+
+  for (const product of products) {
+    const quantity = wanted.get(String(product._id));
+    const { saleId, perCustomerLimit: limit, name: saleName } = product.sale;
+    const key = { saleId, userId, productId: product._id };
+
+    // The first claim starts the counter from the customer's earlier orders
+    const existing = await SalePurchase.exists(key);
+    if (!existing) {
+      const already = await _orderedUnits(userId, product);
+      await SalePurchase.updateOne(key, { $setOnInsert: { quantity: already } }, { upsert: true }).catch((err) => {
+        if (err.code !== 11000) throw err; // another checkout started it first
+      });
+    }
+
+    const claimed = await SalePurchase.updateOne(
+      { ...key, quantity: { $lte: limit - quantity }, "orders.orderId": { $ne: orderId } },
+      { $inc: { quantity }, $push: { orders: { orderId, quantity } } },
+    );
+    if (claimed.modifiedCount !== 1) {
+      await releaseSaleUnits(orderId);
+      return {
+        success: false,
+        code: "SALE_LIMIT_EXCEEDED",
+        message: `"${product.name}" is limited to ${limit} per customer during ${saleName}. Please review your cart again.`,
+      };
+    }
+  }
+  return { success: true };
+}
+
+/** Gives back the sale units an order claimed. Safe to call more than once. */
+async function releaseSaleUnits(orderId) {
+  const counters = await SalePurchase.find({ "orders.orderId": orderId }).select("orders").lean();
+  for (const counter of counters) {
+    const entry = counter.orders.find((o) => String(o.orderId) === String(orderId));
+    await SalePurchase.updateOne(
+      { _id: counter._id, "orders.orderId": orderId },
+      { $inc: { quantity: -entry.quantity }, $pull: { orders: { orderId } } },
+    );
+  }
+}
+
+module.exports = {
+  runSaleSchedule,
+  startSale,
+  endSale,
+  createSale,
+  updateSale,
+  cancelSale,
+  getStorefrontSales,
+  checkSaleLimits,
+  claimSaleUnits,
+  releaseSaleUnits,
+};
@@ -0,0 +1,126 @@
+/**
+ * Cart shipping quote and delivery estimate — what delivery will cost, and
+ * when it will arrive, before checkout.
+ *
+ * The shipping quote prices the cart like the checkout quote does (line
+ * prices and automatic promotions, free gifts included in the parcel), then
+ * rates it with utils/shippingRates.js and adds the COD surcharge. Coupons and points are
+ * left to the checkout quote, which rates shipping on the total after the
+ * coupon — a coupon that takes the cart below the free-shipping threshold
+ * makes shipping cost more there than shown here.
+ * The estimate combines every item's lead time (utils/deliveryCalculator.js).
+ *
+ * Returns result objects ({ success, code, message }); routes map `code`
+ * to an HTTP status.
+ */
+
+const { isValidObjectId } = require("mongoose");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const { isValidPincode, resolveZone, estimateCartDelivery } = require("../utils/deliveryCalculator");
+const { round2, priceLine } = require("../utils/pricing");
+const { calculateShipping } = require("../utils/shippingRates");
+const { checkCodEligibility } = require("../utils/cod");
+const { validateCustomization } = require("../utils/customization");
+const { tierFor } = require("../utils/loyalty");
+const { applyOffers } = require("./promotionService");
+const { resolveCartItems } = require("./quoteService");
+
+/**
+ * @param {object} params
+ * @param {ObjectId} [params.userId] - signed-in customer; their saved cart is used when `items` is empty
+ * @param {Array}    [params.items]  - [{ productId, quantity, variantId, customization }]
+ * @param {string}   params.pincode
+ * @returns {object}
+ *   { success: true, shipping, merchandiseTotal, cod: { eligible, fee, reasons } }
+ *   or { success: false, code, message }
+ */
+async function quoteCartShipping({ userId, items, pincode }) {
+  if (!isValidPincode(pincode)) {
+    return { success: false, code: "INVALID_PINCODE", message: "Please enter a valid 6-digit PIN code." };
+  }
+  if (!resolveZone(pincode)) {
+    return { success: false, code: "NOT_SERVICEABLE", message: "We do not currently deliver to this PIN code." };
+  }
+
+  const cartItems = Array.isArray(items) && items.length ? await resolveCartItems(null, items) : userId ? await resolveCartItems(userId) : [];
+  if (!cartItems.length) {
+    return { success: false, code: "EMPTY_CART", message: "Your cart is empty." };
+  }
+
+  const dbProducts = await Product.find({
+    _id: { $in: cartItems.map((i) => i.productId).filter(isValidObjectId) },
+    isActive: true,
+  }).lean();
+  const productMap = Object.fromEntries(dbProducts.map((p) => [String(p._id), p]));
+
+  const lines = [];
+  for (const item of cartItems) {
+    const product = productMap[String(item.productId)];
+    if (!product || product.productType === "gift_card") continue; // e-gift cards don't ship
+    const quantity = Math.max(1, item.quantity);
+    const { surcharge = 0 } = validateCustomization(product, item.customization);
+    lines.push({
+      productId: product._id,
+      category: product.category,
+      variantId: item.variantId,
+      quantity,
+      lineTotal: priceLine(product, { ...item, quantity, surcharge }).lineTotal,
+    });
+  }
+  if (!lines.length) {
+    return { success: false, code: "PRODUCT_UNAVAILABLE", message: "None of these products are available." };
+  }
+
+  const offers = await applyOffers({ userId, lines });
+  if (!offers.success) return offers;
+  for (const product of offers.giftProducts) productMap[String(product._id)] = product;
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+  const merchandiseTotal = round2(subtotal - offers.promotions.amount);
+
+  const user = userId ? await User.findById(userId).select("loyaltyLifetimePoints").lean() : null;
+  const rated = calculateShipping({
+    pincode,
+    lines: [...lines, ...offers.giftLines],
+    productMap,
+    merchandiseTotal,
+    freeShippingFrom: user ? tierFor(user.loyaltyLifetimePoints).freeShippingFrom : null,
+  });
+  if (!rated.success) return rated;
+
+  const { eligible, fee, reasons } = checkCodEligibility({
+    pincode,
+    products: lines.map((l) => productMap[String(l.productId)]),
+    orderValue: round2(merchandiseTotal + rated.charge),
+  });
+
+  return {
+    success: true,
+    shipping: rated,
+    merchandiseTotal,
+    cod: { eligible, fee, reasons },
+  };
+}
+
+/**
+ * Delivery estimate for a cart: the items given, or the signed-in customer's
+ * saved cart.
+ *
+ * @param {object} params
+ * @param {ObjectId} [params.userId]
+ * @param {Array}    [params.items]  - [{ productId, quantity }]
+ * @param {string}   params.pincode
+ * @returns {object} estimateCartDelivery's result
+ */
+async function getCartDeliveryEstimate({ userId, items, pincode }) {
+  const cartItems = Array.isArray(items) && items.length ? await resolveCartItems(null, items) : userId ? await resolveCartItems(userId) : [];
+  const productIds = [...new Set(cartItems.map((i) => String(i.productId || "")).filter(isValidObjectId))];
+  const products = productIds.length
+    ? await Product.find({ _id: { $in: productIds }, isActive: true })
+        .select("name isCustomizable processingDaysMin processingDaysMax")
+        .lean()
+    : [];
+  return estimateCartDelivery(pincode, products);
+}
+
+module.exports = { quoteCartShipping, getCartDeliveryEstimate };
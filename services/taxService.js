@@ -0,0 +1,48 @@
+/**
+ * Tax service — loads HSN/GST settings and runs utils/gst.js over priced lines.
+ *
+ * Used by the checkout quote and direct order creation so both store the same
+ * per-line breakdown on Order.items[].tax and the summary on Order.taxBreakdown.
+ */
+
+const Category = require("../models/Category");
+const { computeTax, resolveTaxProfile, PRICES_INCLUDE_GST } = require("../utils/gst");
+const { round2 } = require("../utils/pricing");
+
+/**
+ * @param {object} params
+ * @param {Array}  params.lines          - [{ productId, category, lineTotal }]
+ * @param {object} params.productMap     - productId (string) → product document
+ * @param {number[]} [params.discountShares] - discount allocated to each line
+ * @param {number} [params.shipping]
+ * @param {object} params.address        - shipping address
+ * @returns {Promise<{ lineTaxes, tax, taxBreakdown, taxCharged }>}
+ *   taxCharged is what must be added on top of the prices (0 when inclusive).
+ */
+async function calculateTax({ lines, productMap, discountShares = [], shipping = 0, address }) {
+  const categoryNames = [...new Set(lines.map((l) => l.category).filter(Boolean))];
+  const categories = categoryNames.length
+    ? await Category.find({ name: { $in: categoryNames } }).select("name hsnCode gstRate").lean()
+    : [];
+  const categoryMap = Object.fromEntries(categories.map((c) => [c.name, c]));
+
+  const taxInput = lines.map((line, i) => {
+    const profile = resolveTaxProfile(productMap[String(line.productId)], categoryMap[line.category]);
+    return {
+      amount: round2(line.lineTotal - (discountShares[i] || 0)),
+      hsnCode: profile.hsnCode,
+      gstRate: profile.gstRate,
+    };
+  });
+
+  const result = computeTax({ lines: taxInput, shipping, address });
+
+  return {
+    lineTaxes: result.lines,
+    tax: result.breakdown.total,
+    taxBreakdown: result.breakdown,
+    taxCharged: PRICES_INCLUDE_GST ? 0 : result.breakdown.total,
+  };
+}
+
+module.exports = { calculateTax };
@@ -0,0 +1,215 @@
+/**
+ * Store-credit wallet — every change to User.walletBalance goes through here
+ * and is written to the WalletTransaction ledger in the same transaction.
+ *
+ * Credits:
+ *   creditWallet()          — refunds (services/refundService.js), referral
+ *                             rewards (services/referralService.js)
+ *   adjustWallet()          — admin goodwill / correction, reason required
+ *
+ * Checkout:
+ *   payFromWallet()         — POST /api/payment, before the order is opened
+ *   reverseWalletPayment()  — payment failed / unpaid order cancelled or expired
+ *
+ * Postings carry an idempotency key (WalletTransaction.key), so retried
+ * refunds, webhooks and jobs never post twice.
+ *
+ * Functions return result objects ({ success, code, message }); routes map
+ * `code` to an HTTP status.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const WalletTransaction = require("../models/WalletTransaction");
+const { round2 } = require("../utils/pricing");
+
+const DUPLICATE_KEY = 11000;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const _orderRef = (orderId) => `#${String(orderId).slice(-6).toUpperCase()}`;
+
+/** Normalises a user document (or nothing, for jobs and webhooks) into a ledger actor. */
+function _actor(user) {
+  if (!user?._id) return undefined;
+  return { userId: user._id, name: user.username || user.email };
+}
+
+/**
+ * Applies a signed amount to the balance and writes its ledger row. Debits
+ * never take the balance below zero. Uses the caller's session when given.
+ *
+ * @returns {Promise<{ success, transaction?, duplicate?, code?, message? }>}
+ */
+async function _post(userId, entry, { session: outer = null } = {}) {
+  const amount = round2(entry.amount);
+  if (!amount) return { success: false, code: "INVALID_AMOUNT", message: "Amount must not be zero." };
+
+  const session = outer || (await mongoose.startSession());
+  if (!outer) session.startTransaction();
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, ...(amount < 0 ? { walletBalance: { $gte: -amount } } : {}) },
+      { $inc: { walletBalance: amount } },
+      { session, new: true, projection: { walletBalance: 1 } },
+    );
+    if (!user) {
+      if (!outer) await session.abortTransaction();
+      return { success: false, code: "INSUFFICIENT_BALANCE", message: "Your wallet balance is too low for this." };
+    }
+
+    const [transaction] = await WalletTransaction.create(
+      [{ ...entry, userId, amount, balanceAfter: round2(user.walletBalance) }],
+      { session },
+    );
+    if (!outer) await session.commitTransaction();
+    return { success: true, transaction };
+  } catch (err) {
+    if (!outer) await session.abortTransaction().catch(() => {});
+    // Already posted under this key — the earlier posting stands
+    if (!outer && err.code === DUPLICATE_KEY && entry.key) {
+      const existing = await WalletTransaction.findOne({ key: entry.key }).lean();
+      return { success: true, duplicate: true, transaction: existing };
+    }
+    throw err;
+  } finally {
+    if (!outer) session.endSession();
+  }
+}
+
+// ── Credits ───────────────────────────────────────────────────────────────────
+
+/**
+ * Adds store credit.
+ *
+ * @param {ObjectId|string} userId
+ * @param {object} entry - { type, amount, description, key?, orderId?, returnRequestId?, referralId? }
+ * @param {object} [opts] - { session } to post inside the caller's transaction
+ */
+async function creditWallet(userId, entry, opts = {}) {
+  if (!(entry.amount > 0)) {
+    return { success: false, code: "INVALID_AMOUNT", message: "Credit amount must be greater than zero." };
+  }
+  return _post(userId, entry, opts);
+}
+
+/**
+ * Admin goodwill credit or correction. Positive amounts of type "goodwill"
+ * are credits; "adjust" may go either way but never below a zero balance.
+ *
+ * @param {object} params - { userId, amount, type: "goodwill" | "adjust", reason, actor }
+ */
+async function adjustWallet({ userId, amount, type = "adjust", reason, actor }) {
+  if (!reason?.trim()) {
+    return { success: false, code: "REASON_REQUIRED", message: "A reason is required for wallet adjustments." };
+  }
+  if (!["goodwill", "adjust"].includes(type)) {
+    return { success: false, code: "INVALID_TYPE", message: "Type must be goodwill or adjust." };
+  }
+  if (type === "goodwill" && !(amount > 0)) {
+    return { success: false, code: "INVALID_AMOUNT", message: "Goodwill credit must be greater than zero." };
+  }
+  if (!(await User.exists({ _id: userId }))) {
+    return { success: false, code: "USER_NOT_FOUND", message: "User not found." };
+  }
+  return _post(userId, {
+    type,
+    amount,
+    description: type === "goodwill" ? "Goodwill credit" : "Balance adjustment",
+    reason: reason.trim(),
+    actor: _actor(actor),
+  });
+}
+
+// ── Checkout ──────────────────────────────────────────────────────────────────
+
+/**
+ * Pays `amount` of an order from the wallet before the order is opened.
+ * All-or-nothing.
+ * @returns {Promise<{ success, amount?, code?, message? }>}
+ */
+async function payFromWallet({ userId, orderId, amount }) {
+  if (!(amount > 0)) return { success: true, amount: 0 };
+  const result = await _post(userId, {
+    type: "payment",
+    amount: -amount,
+    description: `Paid for order ${_orderRef(orderId)}`,
+    key: `payment:${orderId}`,
+    orderId,
+  });
+  if (!result.success) {
+    return {
+      success: false,
+      code: "WALLET_BALANCE_CHANGED",
+      message: "Your wallet balance has changed since checkout. Please review your cart again.",
+    };
+  }
+  return { success: true, amount: round2(amount) };
+}
+
+/**
+ * Gives back what an unpaid order took from the wallet — once per order.
+ * Paid orders are refunded through services/refundService.js instead.
+ * Works before the order document exists (gateway errors).
+ *
+ * @returns {Promise<number>} amount given back
+ */
+async function reverseWalletPayment(orderId, reason = "Order cancelled") {
+  const payment = await WalletTransaction.findOne({ orderId, type: "payment" }).lean();
+  if (!payment) return 0;
+  const order = await Order.findById(orderId).select("paymentStatus").lean();
+  if (order && ["completed", "refunded"].includes(order.paymentStatus)) return 0;
+
+  const result = await _post(payment.userId, {
+    type: "reversal",
+    amount: -payment.amount,
+    description: `${reason} — order ${_orderRef(orderId)}`,
+    key: `reversal:${orderId}`,
+    orderId,
+  });
+  if (result.duplicate) return 0;
+  if (order) {
+    await Order.updateOne({ _id: orderId }, { $set: { "wallet.reversedAt": new Date() } });
+  }
+  return -payment.amount;
+}
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+/**
+ * Balance and paginated history for GET /api/auth/wallet and the admin view
+ * (`withActor` adds who made each admin posting).
+ * @param {object} [opts] - { page, limit, type, withActor }
+ */
+async function getWalletSummary(userId, { page = 1, limit = 20, type, withActor = false } = {}) {
+  const filter = { userId };
+  if (type) filter.type = type;
+
+  const [user, history, total] = await Promise.all([
+    User.findById(userId).select("walletBalance").lean(),
+    WalletTransaction.find(filter)
+      .select(withActor ? "-key" : "-key -actor")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WalletTransaction.countDocuments(filter),
+  ]);
+
+  return {
+    balance: round2(user?.walletBalance || 0),
+    history,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  };
+}
+
+module.exports = {
+  creditWallet,
+  adjustWallet,
+  payFromWallet,
+  reverseWalletPayment,
+  getWalletSummary,
+};
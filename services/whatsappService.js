@@ -109,6 +109,42 @@ const TEMPLATES = {
     language: "en",
     buildParams: ({ customerName, shortId }) => [customerName, shortId],
   },
+
+  // ── Customer: order details changed by the team ───────────────────────────
+  // "Hi {{1}}, we've updated your order #{{2}}: {{3}}.
+  //  Reply here if anything looks wrong."
+  order_updated: {
+    name: "ic_order_updated",
+    language: "en",
+    buildParams: ({ customerName, shortId, summary }) => [customerName, shortId, summary],
+  },
+
+  // ── Customer: made-to-order item moved to a new production stage ──────────
+  // "Hi {{1}}, an update on your order #{{2}}: {{3}} is now at "{{4}}".
+  //  We'll keep you posted."
+  production_update: {
+    name: "ic_production_update",
+    language: "en",
+    buildParams: ({ customerName, shortId, productName, stageTitle }) => [customerName, shortId, productName, stageTitle],
+  },
+
+  // ── Customer: design proof waiting for approval ────────────────────────────
+  // "Hi {{1}}, the design for {{3}} on order #{{2}} is ready for you to review.
+  //  Please approve it or ask for changes from your order page so we can start crafting."
+  design_proof: {
+    name: "ic_design_proof",
+    language: "en",
+    buildParams: ({ customerName, shortId, productName }) => [customerName, shortId, productName],
+  },
+
+  // ── Customer: COD confirmation code (authentication template) ─────────────
+  // "{{1}} is your code to confirm cash-on-delivery order #{{2}} of ₹{{3}}.
+  //  It expires in 10 minutes."
+  cod_otp: {
+    name: "ic_cod_otp",
+    language: "en",
+    buildParams: ({ otp, shortId, total }) => [otp, shortId, total],
+  },
 };
 
 // Status → template key mapping
@@ -340,6 +376,78 @@ async function notifyCustomerStatusChange(order, user, newStatus) {
   });
 }
 
+/**
+ * Notify customer when the team changes their order's details (address,
+ * items, a note for them). `summary` is one line, e.g. "delivery address changed".
+ */
+async function notifyCustomerOrderUpdate(order, user, summary) {
+  const phone = order.shippingAddress?.phone || user?.phone;
+  if (!phone) {
+    console.warn(`[WhatsApp] No phone for user ${user?._id} — skipping order update notification`);
+    return;
+  }
+
+  const shortId = order._id.toString().slice(-6).toUpperCase();
+  const customerName = user?.username || user?.name || "Customer";
+  const params = TEMPLATES.order_updated.buildParams({ customerName, shortId, summary });
+
+  await sendWhatsApp({
+    to: phone,
+    templateKey: "order_updated",
+    templateParams: params,
+    orderId: order._id,
+    userId: user?._id,
+    eventType: "order_updated",
+  });
+}
+
+/**
+ * Notify customer that a made-to-order item moved to a new production stage
+ * (services/productionService.js), or that its design proof is ready to
+ * review (`proof: true`).
+ */
+async function notifyCustomerProductionUpdate(order, user, { productName, stageTitle, proof = false }) {
+  const phone = order.shippingAddress?.phone || user?.phone;
+  if (!phone) {
+    console.warn(`[WhatsApp] No phone for user ${user?._id} — skipping production notification`);
+    return;
+  }
+
+  const shortId = order._id.toString().slice(-6).toUpperCase();
+  const customerName = user?.username || user?.name || "Customer";
+  const templateKey = proof ? "design_proof" : "production_update";
+  const params = TEMPLATES[templateKey].buildParams({ customerName, shortId, productName, stageTitle });
+
+  await sendWhatsApp({
+    to: phone,
+    templateKey,
+    templateParams: params,
+    orderId: order._id,
+    userId: user?._id,
+    eventType: templateKey,
+  });
+}
+
+/**
+ * Send a cash-on-delivery confirmation code to the customer.
+ * Returns false when WhatsApp can't be used, so the caller can fall back to email.
+ */
+async function sendCodOtp(order, user, otp) {
+  const phone = order.shippingAddress?.phone || user?.phone;
+  if (!isConfigured() || !phone) return false;
+
+  const shortId = order._id.toString().slice(-6).toUpperCase();
+  await sendWhatsApp({
+    to: phone,
+    templateKey: "cod_otp",
+    templateParams: TEMPLATES.cod_otp.buildParams({ otp, shortId, total: (order.totalAmount || 0).toFixed(2) }),
+    orderId: order._id,
+    userId: user?._id,
+    eventType: "cod_otp",
+  });
+  return true;
+}
+
 /**
  * Retry all failed/pending logs that are due.
  * Call this from a cron job or startup sweep.
@@ -372,6 +480,9 @@ async function retryFailedNotifications() {
 module.exports = {
   notifyAdminNewOrder,
   notifyCustomerStatusChange,
+  notifyCustomerOrderUpdate,
+  notifyCustomerProductionUpdate,
+  sendCodOtp,
   retryFailedNotifications,
   sendWhatsApp,
   normalizePhone,
@@ -0,0 +1,85 @@
+/**
+ * Cash-on-delivery eligibility and fee.
+ *
+ * Pure functions — the quote service passes in the resolved address and the
+ * priced lines with their product documents.
+ *
+ * A cart is COD-eligible when:
+ *  - COD is enabled (COD_ENABLED)
+ *  - the pincode is serviceable and not in a COD-blocked state / pincode list
+ *  - no product is customizable or has codAvailable: false
+ *  - the order value (before the COD fee) is within COD_MAX_ORDER_VALUE
+ *
+ * The fee is COD_FEE, or COD_FEE_PERCENT of the order value when that is more
+ * (couriers charge a share of the cash they collect on large parcels).
+ */
+
+const { COD_UNAVAILABLE_STATES } = require("../data/indiaZones");
+const { resolveZone } = require("./deliveryCalculator");
+
+const COD_ENABLED = process.env.COD_ENABLED !== "false";
+const COD_FEE = Number(process.env.COD_FEE ?? 49);
+const COD_FEE_PERCENT = Number(process.env.COD_FEE_PERCENT ?? 0);
+const COD_MAX_ORDER_VALUE = Number(process.env.COD_MAX_ORDER_VALUE ?? 5000);
+// When true, COD orders stay pending until the customer enters the OTP we send
+const COD_REQUIRE_VERIFICATION = process.env.COD_REQUIRE_VERIFICATION !== "false";
+const COD_BLOCKED_PINCODES = new Set(
+  (process.env.COD_BLOCKED_PINCODES || "").split(",").map((p) => p.trim()).filter(Boolean),
+);
+
+/** True when cash can be collected at this pincode. */
+function isPincodeCodEligible(pincode) {
+  const pin = String(pincode || "").trim();
+  if (COD_BLOCKED_PINCODES.has(pin)) return false;
+  const zone = resolveZone(pin);
+  return Boolean(zone) && !COD_UNAVAILABLE_STATES.includes(zone.state);
+}
+
+/** True when the product may be paid for in cash. Made-to-order items must be prepaid. */
+function isProductCodEligible(product) {
+  return Boolean(product) && !product.isCustomizable && product.codAvailable !== false;
+}
+
+/** COD surcharge for an order value (before the fee). */
+function codFee(orderValue) {
+  const percentFee = COD_FEE_PERCENT > 0 ? Math.round(((orderValue || 0) * COD_FEE_PERCENT) / 100) : 0;
+  return Math.max(COD_FEE, percentFee);
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.pincode
+ * @param {Array}  params.products   - product documents in the cart
+ * @param {number} params.orderValue - amount payable before the COD fee
+ * @returns {{ eligible: boolean, fee: number, reasons: string[] }}
+ */
+function checkCodEligibility({ pincode, products, orderValue }) {
+  const reasons = [];
+  if (!COD_ENABLED) {
+    reasons.push("Cash on delivery is currently unavailable.");
+  } else {
+    if (!isPincodeCodEligible(pincode)) {
+      reasons.push("Cash on delivery is not available for this PIN code.");
+    }
+    const prepaidOnly = products.filter((p) => !isProductCodEligible(p));
+    if (prepaidOnly.length) {
+      reasons.push(`Prepaid only: ${prepaidOnly.map((p) => p.name).join(", ")}.`);
+    }
+    if (COD_MAX_ORDER_VALUE > 0 && orderValue > COD_MAX_ORDER_VALUE) {
+      reasons.push(`Cash on delivery is available for orders up to ₹${COD_MAX_ORDER_VALUE}.`);
+    }
+  }
+
+  return { eligible: reasons.length === 0, fee: codFee(orderValue), reasons };
+}
+
+module.exports = {
+  COD_FEE,
+  COD_FEE_PERCENT,
+  COD_MAX_ORDER_VALUE,
+  COD_REQUIRE_VERIFICATION,
+  isPincodeCodEligible,
+  isProductCodEligible,
+  codFee,
+  checkCodEligibility,
+};
@@ -0,0 +1,231 @@
+/**
+ * Customization forms for made-to-order products — the fields a product asks
+ * for (name to engrave, colour combination, reference photo) and the checks
+ * on a customer's answers.
+ *
+ *   text   — free text between minLength and maxLength characters
+ *   choice — one of the listed options; each option may carry its own surcharge
+ *   image  — a reference photo uploaded through
+ *            POST /api/products/:id/customization-image (Cloudinary)
+ *
+ * A field's surcharge (or the chosen option's) is added to the unit price
+ * when the field is answered. Answers are validated when the item goes into
+ * the cart and again at checkout, and the checked answers are stored on the
+ * order line.
+ *
+ * Pure functions; routes/cart.js and services/quoteService.js apply them.
+ */
+
+const { round2 } = require("./pricing");
+
+const FIELD_TYPES = ["text", "choice", "image"];
+const MAX_FIELDS = 10;
+const MAX_OPTIONS = 20;
+const MAX_TEXT_LENGTH = 500;
+const DEFAULT_TEXT_LENGTH = 50;
+const MAX_SURCHARGE = 10000; // ₹ per unit
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Cloudinary folder customer reference photos are uploaded to
+const UPLOAD_FOLDER = "infinity_craft_customizations";
+
+const _str = (value) => (value == null ? "" : String(value).trim());
+
+/** "Name to engrave" → "name_to_engrave" */
+const _keyFromLabel = (label) =>
+  label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^[^a-z]+|_+$/g, "").slice(0, 40);
+
+function _surcharge(value, label) {
+  if (value === undefined || value === null || value === "") return { value: 0 };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_SURCHARGE) {
+    return { error: `${label}: surcharge must be between ₹0 and ₹${MAX_SURCHARGE}` };
+  }
+  return { value: round2(n) };
+}
+
+function _options(raw, label) {
+  if (!Array.isArray(raw) || raw.length === 0) return { error: `${label}: a choice field needs at least one option` };
+  if (raw.length > MAX_OPTIONS) return { error: `${label}: at most ${MAX_OPTIONS} options` };
+
+  const options = [];
+  for (const o of raw) {
+    const value = _str(typeof o === "object" ? o?.value : o).slice(0, 60);
+    if (!value) return { error: `${label}: every option needs a value` };
+    if (options.some((x) => x.value.toLowerCase() === value.toLowerCase())) {
+      return { error: `${label}: option "${value}" is listed twice` };
+    }
+    const surcharge = _surcharge(o?.surcharge, `${label} option "${value}"`);
+    if (surcharge.error) return surcharge;
+    options.push({ value, label: _str(o?.label).slice(0, 60) || value, surcharge: surcharge.value });
+  }
+  return { options };
+}
+
+/**
+ * Validates and normalises a product's customization form from the product
+ * form. Accepts an array or a JSON string (multipart uploads). A field
+ * without a key gets one from its label.
+ *
+ * @returns {{ fields: Array } | { error: string }}
+ */
+function validateCustomizationFields(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    try { raw = JSON.parse(raw || "[]"); } catch { return { error: "customizationFields must be a JSON array" }; }
+  }
+  if (raw == null) return { fields: [] };
+  if (!Array.isArray(raw)) return { error: "customizationFields must be an array" };
+  if (raw.length > MAX_FIELDS) return { error: `A product can ask for at most ${MAX_FIELDS} customization fields` };
+
+  const fields = [];
+  for (const [i, f] of raw.entries()) {
+    const label = _str(f?.label).slice(0, 60);
+    const name = `Customization field ${i + 1}`;
+    if (!label) return { error: `${name}: label is required` };
+    const key = _str(f?.key) || _keyFromLabel(label);
+    if (!KEY_PATTERN.test(key)) {
+      return { error: `${name}: key must start with a letter and use only lower-case letters, digits and underscores` };
+    }
+    if (fields.some((x) => x.key === key)) return { error: `${name}: key "${key}" is used twice` };
+    if (!FIELD_TYPES.includes(f?.type)) return { error: `${name}: type must be one of ${FIELD_TYPES.join(", ")}` };
+
+    const field = {
+      key,
+      label,
+      type: f.type,
+      required: f.required === true || f.required === "true",
+      helpText: _str(f.helpText).slice(0, 200),
+      sortOrder: Number.isInteger(Number(f.sortOrder)) && f.sortOrder !== "" && f.sortOrder != null ? Number(f.sortOrder) : i,
+    };
+
+    if (f.type === "text") {
+      const minLength = f.minLength === undefined || f.minLength === "" ? 0 : Number(f.minLength);
+      const maxLength = f.maxLength === undefined || f.maxLength === "" ? DEFAULT_TEXT_LENGTH : Number(f.maxLength);
+      if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_LENGTH) {
+        return { error: `${name}: maxLength must be a whole number from 1 to ${MAX_TEXT_LENGTH}` };
+      }
+      if (!Number.isInteger(minLength) || minLength < 0 || minLength > maxLength) {
+        return { error: `${name}: minLength must be a whole number no higher than maxLength` };
+      }
+      Object.assign(field, { minLength, maxLength });
+    }
+    if (f.type === "choice") {
+      const result = _options(f.options, name);
+      if (result.error) return result;
+      field.options = result.options;
+    } else {
+      // A choice field's price lives on its options
+      const surcharge = _surcharge(f.surcharge, name);
+      if (surcharge.error) return surcharge;
+      field.surcharge = surcharge.value;
+    }
+    fields.push(field);
+  }
+
+  fields.sort((a, b) => a.sortOrder - b.sortOrder);
+  return { fields };
+}
+
+/** True for a reference photo uploaded to our customization folder. */
+function isCustomizationImageUrl(value, cloudName = process.env.CLOUDINARY_CLOUD_NAME) {
+  let url;
+  try { url = new URL(value); } catch { return false; }
+  if (url.protocol !== "https:" || url.hostname !== "res.cloudinary.com") return false;
+  const prefix = cloudName ? `/${cloudName}/image/upload/` : null;
+  if (prefix && !url.pathname.startsWith(prefix)) return false;
+  return url.pathname.includes(`/${UPLOAD_FOLDER}/`);
+}
+
+/** Answers as a key → value map; accepts a map or [{ key, value }]. */
+function _answerMap(answers) {
+  if (answers == null || answers === "") return {};
+  if (Array.isArray(answers)) {
+    return Object.fromEntries(answers.filter((a) => a && a.key).map((a) => [String(a.key), a.value]));
+  }
+  return typeof answers === "object" ? { ...answers } : null;
+}
+
+/**
+ * Checks a customer's answers against a product's customization form.
+ * Required fields must be answered, text must fit its length limits, choices
+ * must be listed options and images must be our uploads. Answers come back
+ * in form order with their labels, and the per-unit surcharge they add.
+ *
+ * @param {object} product - Product (customizationFields)
+ * @param {object|Array} answers - { key: value } or [{ key, value }]
+ * @returns {{ answers: Array<{ key, label, type, value, surcharge }>, surcharge: number } | { error: string }}
+ */
+function validateCustomization(product, answers) {
+  const fields = product.customizationFields || [];
+  const given = _answerMap(answers);
+  if (given === null) return { error: "Customization must be a list of answers" };
+
+  const unknown = Object.keys(given).find((k) => !fields.some((f) => f.key === k) && _str(given[k]) !== "");
+  if (unknown) {
+    return {
+      error: fields.length
+        ? `"${product.name}" has no customization field "${unknown}"`
+        : `"${product.name}" can't be customized`,
+    };
+  }
+
+  const result = [];
+  let surcharge = 0;
+  for (const field of fields) {
+    const value = _str(given[field.key]);
+    if (!value) {
+      if (field.required) return { error: `Please fill in "${field.label}" for "${product.name}"` };
+      continue;
+    }
+
+    let lineSurcharge = field.surcharge || 0;
+    let stored = value;
+    if (field.type === "text") {
+      // Single spaces only — the text goes onto the piece as typed
+      stored = value.replace(/[\u0000-\u001f\u007f]/g, " ").replace(/\s+/g, " ");
+      const min = field.minLength || 0;
+      const max = field.maxLength || DEFAULT_TEXT_LENGTH;
+      if (stored.length < min || stored.length > max) {
+        return {
+          error: min
+            ? `"${field.label}" must be ${min}–${max} characters`
+            : `"${field.label}" can be at most ${max} characters`,
+        };
+      }
+    } else if (field.type === "choice") {
+      const option = (field.options || []).find((o) => o.value.toLowerCase() === value.toLowerCase());
+      if (!option) return { error: `"${value}" is not an option for "${field.label}"` };
+      stored = option.value;
+      lineSurcharge = option.surcharge || 0;
+    } else if (field.type === "image") {
+      if (!isCustomizationImageUrl(value)) return { error: `Please upload an image for "${field.label}"` };
+    }
+
+    result.push({ key: field.key, label: field.label, type: field.type, value: stored, surcharge: round2(lineSurcharge) });
+    surcharge += lineSurcharge;
+  }
+  return { answers: result, surcharge: round2(surcharge) };
+}
+
+/**
+ * Stable identity of a set of answers, so the same product customised two
+ * ways stays two cart lines. "" for no answers.
+ */
+function customizationKey(answers) {
+  const map = _answerMap(answers) || {};
+  const pairs = Object.keys(map)
+    .filter((k) => _str(map[k]) !== "")
+    .sort()
+    .map((k) => [k, _str(map[k])]);
+  return pairs.length ? JSON.stringify(pairs) : "";
+}
+
+module.exports = {
+  FIELD_TYPES,
+  UPLOAD_FOLDER,
+  validateCustomizationFields,
+  validateCustomization,
+  isCustomizationImageUrl,
+  customizationKey,
+};
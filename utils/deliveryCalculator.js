@@ -6,6 +6,7 @@
  *  - Resolve pincode → state → zone (with in-memory cache)
  *  - Look up zone-to-zone shipping days via ZONE_MATRIX
  *  - Add product processing days for customisable items
+ *  - Combine a cart's items into one estimate (the slowest made-to-order item wins)
  *  - Calculate business-day dates (skip Sundays + public holidays)
  *  - Format dates as "Apr 25 – Apr 28"
  */
@@ -124,33 +125,13 @@ function _isoDate(date) {
   return date.toISOString().slice(0, 10);
 }
 
-// ── Main estimator ────────────────────────────────────────────────────────────
+// ── Route + window helpers ────────────────────────────────────────────────────
 
 /**
- * Calculates the full delivery estimate.
- *
- * @param {string} customerPincode  - 6-digit destination pincode
- * @param {object} product          - Mongoose product document (or plain object)
- * @returns {object} estimate result
- *
- * Result shape:
- * {
- *   success: true,
- *   minDays, maxDays,             // shipping only
- *   processingDaysMin, processingDaysMax,  // 0 for normal products
- *   totalMinDays, totalMaxDays,   // processing + shipping
- *   isCustom: Boolean,
- *   estimatedMinDate: "YYYY-MM-DD",
- *   estimatedMaxDate: "YYYY-MM-DD",
- *   displayRange: "Apr 25 – Apr 28",
- *   customerState, customerZone,
- *   warehouseState, warehouseZone,
- * }
- *
- * On error:
- * { success: false, code: "INVALID_PINCODE"|"NOT_SERVICEABLE", message }
+ * Resolves the warehouse → customer route and its shipping days.
+ * Returns { shipping, customerInfo, warehouseInfo } or an error result.
  */
-function estimateDelivery(customerPincode, product) {
+function _resolveRoute(customerPincode) {
   // 1. Validate pincode
   if (!isValidPincode(customerPincode)) {
     return {
@@ -194,47 +175,176 @@ function estimateDelivery(customerPincode, product) {
     shipping = shippingDaysForZones(warehouseInfo.zone, customerInfo.zone);
   }
 
-  // 5. Processing days for customisable products
-  const isCustom = Boolean(product.isCustomizable);
-  const processingDaysMin = isCustom ? (product.processingDaysMin ?? 10) : 0;
-  const processingDaysMax = isCustom ? (product.processingDaysMax ?? 12) : 0;
+  return { success: true, shipping, customerInfo, warehouseInfo };
+}
 
-  // 6. Total days
-  const totalMinDays = processingDaysMin + shipping.min;
-  const totalMaxDays = processingDaysMax + shipping.max;
+/** Processing days before dispatch — only made-to-order products have any. */
+function _processingDays(product) {
+  const isCustom = Boolean(product.isCustomizable);
+  return {
+    isCustom,
+    min: isCustom ? (product.processingDaysMin ?? 10) : 0,
+    max: isCustom ? (product.processingDaysMax ?? 12) : 0,
+  };
+}
 
-  // 7. Calculate actual dates (from today, business days only)
-  const today = new Date();
+/**
+ * Dispatch and delivery dates for a processing + shipping window, counted in
+ * business days from `from` (today by default).
+ */
+function _deliveryWindow(processing, shipping, from = new Date()) {
+  const today = new Date(from);
   today.setHours(0, 0, 0, 0);
 
+  const totalMinDays = processing.min + shipping.min;
+  const totalMaxDays = processing.max + shipping.max;
   const minDate = addBusinessDays(today, totalMinDays);
   const maxDate = addBusinessDays(today, totalMaxDays);
 
-  // 8. Format display range
   const minFormatted = _fmtDate(minDate);
   const maxFormatted = _fmtDate(maxDate);
-  const displayRange =
-    minFormatted === maxFormatted
-      ? minFormatted
-      : `${minFormatted} – ${maxFormatted}`;
-
   return {
-    success: true,
     minDays: shipping.min,
     maxDays: shipping.max,
-    processingDaysMin,
-    processingDaysMax,
+    processingDaysMin: processing.min,
+    processingDaysMax: processing.max,
     totalMinDays,
     totalMaxDays,
-    isCustom,
+    dispatchDate: _isoDate(addBusinessDays(today, processing.max)),
     estimatedMinDate: _isoDate(minDate),
     estimatedMaxDate: _isoDate(maxDate),
-    displayRange,
-    customerState: customerInfo.state,
-    customerZone: customerInfo.zone,
-    warehouseState: warehouseInfo.state,
-    warehouseZone: warehouseInfo.zone,
+    displayRange:
+      minFormatted === maxFormatted
+        ? minFormatted
+        : `${minFormatted} – ${maxFormatted}`,
+  };
+}
+
+// ── Main estimator ────────────────────────────────────────────────────────────
+
+/**
+ * Calculates the full delivery estimate.
+ *
+ * @param {string} customerPincode  - 6-digit destination pincode
+ * @param {object} product          - Mongoose product document (or plain object)
+ * @returns {object} estimate result
+ *
+ * Result shape:
+ * {
+ *   success: true,
+ *   minDays, maxDays,             // shipping only
+ *   processingDaysMin, processingDaysMax,  // 0 for normal products
+ *   totalMinDays, totalMaxDays,   // processing + shipping
+ *   isCustom: Boolean,
+ *   dispatchDate: "YYYY-MM-DD",   // latest day it leaves the warehouse
+ *   estimatedMinDate: "YYYY-MM-DD",
+ *   estimatedMaxDate: "YYYY-MM-DD",
+ *   displayRange: "Apr 25 – Apr 28",
+ *   customerState, customerZone,
+ *   warehouseState, warehouseZone,
+ * }
+ *
+ * On error:
+ * { success: false, code: "INVALID_PINCODE"|"NOT_SERVICEABLE", message }
+ */
+function estimateDelivery(customerPincode, product) {
+  const route = _resolveRoute(customerPincode);
+  if (!route.success) return route;
+
+  const processing = _processingDays(product);
+  return {
+    success: true,
+    ..._deliveryWindow(processing, route.shipping),
+    isCustom: processing.isCustom,
+    customerState: route.customerInfo.state,
+    customerZone: route.customerInfo.zone,
+    warehouseState: route.warehouseInfo.state,
+    warehouseZone: route.warehouseInfo.zone,
+  };
+}
+
+// ── Cart estimator ────────────────────────────────────────────────────────────
+
+/**
+ * Delivery estimate for a whole cart or order shipped as one parcel: it
+ * leaves when the slowest made-to-order item is ready, so the longest
+ * processing time among customizable items drives the dates.
+ *
+ * When the cart mixes ready-to-ship and made-to-order items, `splitShipment`
+ * describes the alternative of sending the ready items first (null otherwise).
+ *
+ * @param {string} customerPincode
+ * @param {Array}  products         - product documents (or plain objects with _id, name, isCustomizable, processingDays*)
+ * @param {object} [options]
+ * @param {Date}   [options.from]   - count business days from this date (default today)
+ * @returns {object}
+ * {
+ *   success: true,
+ *   ...estimateDelivery fields for the combined parcel,
+ *   items: [{ productId, name, isCustom, processingDaysMin, processingDaysMax }],
+ *   splitShipment: null | {
+ *     readyToShip: { productIds, ...window },
+ *     madeToOrder: { productIds, ...window },
+ *   },
+ * }
+ * or { success: false, code: "INVALID_PINCODE"|"NOT_SERVICEABLE"|"EMPTY_CART", message }
+ */
+function estimateCartDelivery(customerPincode, products, { from = new Date() } = {}) {
+  const route = _resolveRoute(customerPincode);
+  if (!route.success) return route;
+  if (!products?.length) {
+    return { success: false, code: "EMPTY_CART", message: "Add items to estimate delivery." };
+  }
+
+  const items = products.map((product) => {
+    const processing = _processingDays(product);
+    return {
+      productId: product._id,
+      name: product.name,
+      isCustom: processing.isCustom,
+      processingDaysMin: processing.min,
+      processingDaysMax: processing.max,
+    };
+  });
+  const custom = items.filter((i) => i.isCustom);
+  const ready = items.filter((i) => !i.isCustom);
+
+  const slowest = {
+    min: Math.max(0, ...custom.map((i) => i.processingDaysMin)),
+    max: Math.max(0, ...custom.map((i) => i.processingDaysMax)),
+  };
+  const splitShipment =
+    custom.length && ready.length
+      ? {
+          readyToShip: {
+            productIds: ready.map((i) => i.productId),
+            ..._deliveryWindow({ min: 0, max: 0 }, route.shipping, from),
+          },
+          madeToOrder: {
+            productIds: custom.map((i) => i.productId),
+            ..._deliveryWindow(slowest, route.shipping, from),
+          },
+        }
+      : null;
+
+  return {
+    success: true,
+    ..._deliveryWindow(slowest, route.shipping, from),
+    isCustom: custom.length > 0,
+    items,
+    splitShipment,
+    customerState: route.customerInfo.state,
+    customerZone: route.customerInfo.zone,
+    warehouseState: route.warehouseInfo.state,
+    warehouseZone: route.warehouseInfo.zone,
   };
 }
 
-module.exports = { estimateDelivery, isValidPincode, resolveZone, addBusinessDays };
+module.exports = {
+  estimateDelivery,
+  estimateCartDelivery,
+  isValidPincode,
+  resolveZone,
+  shippingDaysForZones,
+  addBusinessDays,
+};
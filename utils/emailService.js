@@ -1,4 +1,5 @@
 const nodemailer = require("nodemailer");
+const { describeBulkTier } = require("./pricing");
 
 // Configure email transporter
 const transporter = nodemailer.createTransport({
@@ -25,11 +26,15 @@ const emailTemplates = {
           <p><strong>Order ID:</strong> #${order._id}</p>
           <p><strong>Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
           <p><strong>Total Amount:</strong> ₹${order.totalAmount}</p>
+          ${(order.promotions || []).map((p) => `<p><strong>${p.name}:</strong> −₹${p.amount}</p>`).join("")}
+          ${order.loyalty?.pointsRedeemed ? `<p><strong>Loyalty Points Redeemed:</strong> ${order.loyalty.pointsRedeemed} (−₹${order.loyalty.redemptionValue})</p>` : ""}
+          ${order.giftCard?.amount ? `<p><strong>Paid by Gift Card (•••• ${order.giftCard.last4}):</strong> ₹${order.giftCard.amount}</p>` : ""}
+          ${order.wallet?.amount ? `<p><strong>Paid from Wallet:</strong> ₹${order.wallet.amount}</p>` : ""}
         </div>
 
         <h3>Items Ordered:</h3>
         <ul>
-          ${order.items.map((item) => `<li>${item.product.name} x${item.quantity} - ₹${item.totalPrice}</li>`).join("")}
+          ${order.items.map((item) => `<li>${item.product.name} x${item.quantity} - ${item.freeGift?.promotionId ? `<span style="color: #2e7d32;">Free gift (${item.freeGift.name})</span>` : `₹${item.totalPrice}`}${item.bulkDiscount?.discount ? ` <span style="color: #2e7d32;">(${describeBulkTier(item.bulkDiscount)}, was ₹${item.basePrice} each)</span>` : ""}</li>`).join("")}
         </ul>
 
         <h3>Shipping Address:</h3>
@@ -87,6 +92,30 @@ const emailTemplates = {
     `,
   }),
 
+  // `changes` — customer-facing lines, e.g. "Delivery address changed to …"
+  orderUpdated: (order, changes) => ({
+    subject: `Your Order Has Been Updated - Order #${order._id}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px;">
+        <h2>Your Order Has Been Updated</h2>
+        <p>We've made the following changes to your order:</p>
+
+        <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Order ID:</strong> #${order._id}</p>
+          <ul>
+            ${changes.map((c) => `<li>${c}</li>`).join("")}
+          </ul>
+          ${order.estimatedDelivery ? `<p><strong>Estimated Delivery:</strong> ${new Date(order.estimatedDelivery).toLocaleDateString()}</p>` : ""}
+        </div>
+
+        <p>If anything looks wrong, just reply to this email.</p>
+        <p style="margin-top: 30px; color: #666; font-size: 12px;">
+          Thank you for shopping with us!
+        </p>
+      </div>
+    `,
+  }),
+
   abandonedCartReminder: (cartItems, recoveryLink, user) => ({
     subject: "Don't miss out! Complete your purchase",
     html: `
@@ -130,6 +159,61 @@ const emailTemplates = {
     `,
   }),
 
+  creditNote: (creditNote, user) => ({
+    subject: `Credit Note ${creditNote.number} - Order #${creditNote.orderId}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px;">
+        <h2>Your refund has been processed</h2>
+        <p>Hi ${user.username},</p>
+        <p>We have issued a credit note against invoice ${creditNote.originalInvoice?.number || ""} for the items you returned.</p>
+
+        <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Credit Note No:</strong> ${creditNote.number}</p>
+          <p><strong>Amount:</strong> ₹${creditNote.totals?.grandTotal}</p>
+        </div>
+
+        <p>The credit note is attached to this email for your records.</p>
+      </div>
+    `,
+  }),
+
+  codVerification: (order, user, otp) => ({
+    subject: `Confirm your cash-on-delivery order #${order._id.toString().slice(-6).toUpperCase()}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px;">
+        <h2>Confirm your order</h2>
+        <p>Hi ${user.username},</p>
+        <p>Enter this code to confirm your cash-on-delivery order of ₹${order.totalAmount}:</p>
+
+        <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center;">
+          <p style="font-size: 28px; letter-spacing: 6px; margin: 0;"><strong>${otp}</strong></p>
+        </div>
+
+        <p>The code expires in 10 minutes. If you didn't place this order, you can ignore this email.</p>
+      </div>
+    `,
+  }),
+
+  giftCard: (card, code) => ({
+    subject: `${card.senderName ? `${card.senderName} sent you` : "You've received"} a ₹${card.initialValue} gift card`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px;">
+        <h2>You've got a gift card 🎁</h2>
+        <p>Hi ${card.recipient?.name || "there"},</p>
+        <p>${card.senderName ? `${card.senderName} has sent you` : "Here is"} a gift card worth <strong>₹${card.initialValue}</strong>.</p>
+        ${card.message ? `<blockquote style="border-left: 3px solid #ddd; margin: 15px 0; padding-left: 10px; color: #555;">${card.message}</blockquote>` : ""}
+
+        <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center;">
+          <p style="font-size: 22px; letter-spacing: 3px; margin: 0;"><strong>${code}</strong></p>
+        </div>
+
+        <p>Enter the code at checkout to pay with it — it can be used across several orders until the balance runs out.</p>
+        ${card.expiresAt ? `<p>Valid until ${new Date(card.expiresAt).toLocaleDateString()}.</p>` : ""}
+        <p style="color: #666; font-size: 12px;">Keep this code private — anyone with it can spend the balance.</p>
+      </div>
+    `,
+  }),
+
   returnApproved: (returnRequest, user) => ({
     subject: `Return Request Approved - Request #${returnRequest._id}`,
     html: `
@@ -177,9 +261,10 @@ exports.sendEmail = async (email, template, variables = {}) => {
 };
 
 // Order-related emails
-exports.sendOrderConfirmation = async (order, user) => {
+// `attachments` are nodemailer attachments — e.g. the tax invoice PDF
+exports.sendOrderConfirmation = async (order, user, attachments = []) => {
   const template = emailTemplates.orderConfirmation(order, user);
-  return exports.sendEmail(user.email, template);
+  return exports.sendEmail(user.email, { ...template, attachments });
 };
 
 exports.sendShippingUpdate = async (
@@ -201,6 +286,11 @@ exports.sendDeliveryConfirmation = async (order, user) => {
   return exports.sendEmail(user.email, template);
 };
 
+exports.sendOrderUpdate = async (order, user, changes) => {
+  const template = emailTemplates.orderUpdated(order, changes);
+  return exports.sendEmail(user.email, template);
+};
+
 // Marketing emails
 exports.sendAbandonedCartReminder = async (user, cartItems, recoveryLink) => {
   const template = emailTemplates.abandonedCartReminder(
@@ -221,6 +311,22 @@ exports.sendReturnApproved = async (user, returnRequest) => {
   return exports.sendEmail(user.email, template);
 };
 
+exports.sendCodVerificationCode = async (order, user, otp) => {
+  const template = emailTemplates.codVerification(order, user, otp);
+  return exports.sendEmail(user.email, template);
+};
+
+// Sent to the gift card's recipient — the plain code only ever exists here
+exports.sendGiftCardEmail = async (card, code) => {
+  const template = emailTemplates.giftCard(card, code);
+  return exports.sendEmail(card.recipient.email, template);
+};
+
+exports.sendCreditNote = async (user, creditNote, attachments = []) => {
+  const template = emailTemplates.creditNote(creditNote, user);
+  return exports.sendEmail(user.email, { ...template, attachments });
+};
+
 exports.sendStockAlertEmail = async (email, product) => {
   const frontendUrl = process.env.FRONTEND_URL || "https://www.infinitycraftspace.com";
   const template = {
@@ -0,0 +1,126 @@
+/**
+ * Gift card rules — code format, hashing and denomination limits.
+ *
+ * Pure functions; services/giftCardService.js applies them.
+ *
+ * Codes are never stored: a card keeps the HMAC of its code (and the last
+ * four characters for display), so a database leak can't be spent.
+ */
+
+const crypto = require("crypto");
+
+const VALIDITY_DAYS = Number(process.env.GIFT_CARD_VALIDITY_DAYS ?? 365);
+const MIN_DENOMINATION = Number(process.env.GIFT_CARD_MIN_DENOMINATION ?? 100); // ₹
+const MAX_DENOMINATION = Number(process.env.GIFT_CARD_MAX_DENOMINATION ?? 10000); // ₹
+const MAX_SCHEDULE_DAYS = 90; // furthest a delivery can be scheduled ahead
+const CODE_SECRET = process.env.GIFT_CARD_CODE_SECRET || process.env.JWT_SECRET || "";
+
+// No 0/O or 1/I — codes are typed in by hand
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 16;
+
+/** A new random code, e.g. "K7QM-2ZP9-XW4D-H8TN". */
+function generateGiftCardCode() {
+  let raw = "";
+  for (let i = 0; i < CODE_LENGTH; i++) raw += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return raw.match(/.{4}/g).join("-");
+}
+
+/** Upper-cased code without separators, or null when it can't be a code. */
+function normaliseGiftCardCode(code) {
+  if (typeof code !== "string") return null;
+  const raw = code.toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return raw.length === CODE_LENGTH ? raw : null;
+}
+
+/** The stored form of a code (GiftCard.codeHash). */
+function hashGiftCardCode(code) {
+  const raw = normaliseGiftCardCode(code);
+  if (!raw) return null;
+  return crypto.createHmac("sha256", CODE_SECRET).update(raw).digest("hex");
+}
+
+/** Last four characters, for "•••• H8TN" displays. */
+function codeLast4(code) {
+  return normaliseGiftCardCode(code)?.slice(-4) || null;
+}
+
+/**
+ * Validates the denominations of a gift card product. Accepts an array, a
+ * JSON string or a comma-separated string (multipart uploads).
+ *
+ * @returns {{ denominations: number[] } | { error: string }}
+ */
+function validateGiftCardDenominations(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith("[")) {
+      try { raw = JSON.parse(trimmed); } catch { return { error: "giftCardDenominations must be a JSON array" }; }
+    } else {
+      raw = trimmed ? trimmed.split(",") : [];
+    }
+  }
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: "A gift card needs at least one denomination" };
+  }
+
+  const denominations = [...new Set(raw.map(Number))].sort((a, b) => a - b);
+  const invalid = denominations.find(
+    (d) => !Number.isInteger(d) || d < MIN_DENOMINATION || d > MAX_DENOMINATION,
+  );
+  if (invalid !== undefined) {
+    return { error: `Gift card denominations must be whole rupees between ₹${MIN_DENOMINATION} and ₹${MAX_DENOMINATION}` };
+  }
+  return { denominations };
+}
+
+/**
+ * Product fields for a gift card product from the product form, or null for
+ * a standard product. Gift cards carry no stock and are prepaid-only; their
+ * listed price is the smallest denomination. `current` is the stored product
+ * on updates, so a form that only changes denominations keeps the type.
+ *
+ * @returns {{ fields: object|null } | { error: string }}
+ */
+function giftCardProductFields(body, current = {}) {
+  const productType = body.productType ?? current.productType ?? "standard";
+  if (!["standard", "gift_card"].includes(productType)) {
+    return { error: "productType must be standard or gift_card" };
+  }
+  if (productType === "standard") {
+    return { fields: body.productType !== undefined ? { productType } : null };
+  }
+  const result = validateGiftCardDenominations(body.giftCardDenominations ?? current.giftCardDenominations);
+  if (result.error) return { error: result.error };
+  return {
+    fields: {
+      productType,
+      giftCardDenominations: result.denominations,
+      price: result.denominations[0],
+      trackInventory: false,
+      codAvailable: false,
+    },
+  };
+}
+
+/** Expiry date of a card issued at `from`. */
+function giftCardExpiry(from = new Date(), days = VALIDITY_DAYS) {
+  const expiresAt = new Date(from);
+  expiresAt.setDate(expiresAt.getDate() + days);
+  return expiresAt;
+}
+
+module.exports = {
+  VALIDITY_DAYS,
+  MIN_DENOMINATION,
+  MAX_DENOMINATION,
+  MAX_SCHEDULE_DAYS,
+  generateGiftCardCode,
+  normaliseGiftCardCode,
+  hashGiftCardCode,
+  codeLast4,
+  validateGiftCardDenominations,
+  giftCardProductFields,
+  giftCardExpiry,
+};
@@ -0,0 +1,152 @@
+/**
+ * GST calculation engine (India).
+ *
+ * Responsibilities:
+ *  - Resolve HSN code + GST rate per product (product → category → default)
+ *  - Decide place of supply: intra-state (CGST + SGST) vs inter-state (IGST),
+ *    comparing the buyer's state with the warehouse state in data/indiaZones.js
+ *  - Split tax for tax-inclusive or tax-exclusive prices
+ *  - Tax shipping at the highest item rate (composite supply rule)
+ *
+ * Pure functions only — services/taxService.js loads the documents.
+ */
+
+const { WAREHOUSE_PINCODE } = require("../data/indiaZones");
+const { resolveZone } = require("./deliveryCalculator");
+const { getStateCode } = require("./stateCodeMapping");
+const { round2 } = require("./pricing");
+
+// Valid GST slabs (percent)
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE ?? 5);
+const DEFAULT_HSN_CODE = process.env.DEFAULT_HSN_CODE || null;
+// Catalog prices are MRP (tax-inclusive) unless explicitly disabled
+const PRICES_INCLUDE_GST = process.env.GST_PRICES_INCLUSIVE !== "false";
+
+// indiaZones and stateCodeMapping disagree on a few codes — normalise to indiaZones
+const STATE_CODE_ALIASES = { CT: "CG", UT: "UK" };
+
+function _normaliseStateCode(code) {
+  const upper = String(code || "").trim().toUpperCase();
+  return STATE_CODE_ALIASES[upper] || upper;
+}
+
+function isValidGstRate(rate) {
+  return GST_RATES.includes(Number(rate));
+}
+
+/** 2-letter state code of the warehouse (the supplier's location). */
+function sellerStateCode() {
+  return resolveZone(WAREHOUSE_PINCODE)?.state || null;
+}
+
+/** 2-letter state code of the buyer — pincode first, then the state name. */
+function buyerStateCode(address = {}) {
+  const fromPin = address.zipCode ? resolveZone(address.zipCode)?.state : null;
+  if (fromPin) return fromPin;
+  const fromName = getStateCode(address.state || "");
+  return fromName && fromName.length === 2 ? _normaliseStateCode(fromName) : null;
+}
+
+/** "intra" when buyer and seller are in the same state, else "inter". */
+function supplyType(buyerState, sellerState = sellerStateCode()) {
+  return buyerState && _normaliseStateCode(buyerState) === _normaliseStateCode(sellerState)
+    ? "intra"
+    : "inter";
+}
+
+/**
+ * HSN code + GST rate for a product.
+ * Product-level values win, then the product's Category, then env defaults.
+ */
+function resolveTaxProfile(product, category = null) {
+  const gstRate =
+    product?.gstRate != null ? product.gstRate
+    : category?.gstRate != null ? category.gstRate
+    : DEFAULT_GST_RATE;
+  return {
+    hsnCode: product?.hsnCode || category?.hsnCode || DEFAULT_HSN_CODE,
+    gstRate: Number(gstRate),
+  };
+}
+
+/**
+ * Splits GST for one amount.
+ *
+ * @param {number} amount  - Amount charged (gross if inclusive, net if exclusive)
+ * @param {number} rate    - GST percent
+ * @param {object} opts    - { inclusive, intraState }
+ * @returns {{ gstRate, taxableValue, cgst, sgst, igst, total }}
+ */
+function splitTax(amount, rate, { inclusive = PRICES_INCLUDE_GST, intraState }) {
+  const value = Math.max(0, Number(amount) || 0);
+  const taxableValue = inclusive ? round2(value / (1 + rate / 100)) : round2(value);
+  const total = inclusive ? round2(value - taxableValue) : round2((taxableValue * rate) / 100);
+
+  const cgst = intraState ? round2(total / 2) : 0;
+  const sgst = intraState ? round2(total - cgst) : 0;
+  const igst = intraState ? 0 : total;
+
+  return { gstRate: rate, taxableValue, cgst, sgst, igst, total };
+}
+
+/**
+ * Computes GST for a set of priced lines plus shipping.
+ *
+ * @param {object} params
+ * @param {Array}  params.lines        - [{ amount, hsnCode, gstRate }] — amount is net of discount
+ * @param {number} [params.shipping]   - shipping charge
+ * @param {object} params.address      - buyer shipping address
+ * @param {boolean} [params.inclusive] - defaults to GST_PRICES_INCLUSIVE
+ * @returns {{ lines, shipping, breakdown }}
+ */
+function computeTax({ lines, shipping = 0, address, inclusive = PRICES_INCLUDE_GST }) {
+  const sellerState = sellerStateCode();
+  const buyerState = buyerStateCode(address);
+  const type = supplyType(buyerState, sellerState);
+  const intraState = type === "intra";
+
+  const lineTaxes = lines.map((l) => ({
+    hsnCode: l.hsnCode || null,
+    inclusive,
+    ...splitTax(l.amount, l.gstRate, { inclusive, intraState }),
+  }));
+
+  // Shipping follows the principal supply — the highest rate in the order
+  const shippingRate = lines.length ? Math.max(...lines.map((l) => l.gstRate)) : 0;
+  const shippingTax = splitTax(shipping, shippingRate, { inclusive, intraState });
+
+  const all = [...lineTaxes, shippingTax];
+  const sum = (key) => round2(all.reduce((s, t) => s + t[key], 0));
+
+  return {
+    lines: lineTaxes,
+    shipping: shippingTax,
+    breakdown: {
+      supplyType: type,
+      sellerState,
+      buyerState,
+      pricesIncludeTax: inclusive,
+      taxableValue: sum("taxableValue"),
+      cgst: sum("cgst"),
+      sgst: sum("sgst"),
+      igst: sum("igst"),
+      total: sum("total"),
+      shipping: shippingTax,
+    },
+  };
+}
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  PRICES_INCLUDE_GST,
+  isValidGstRate,
+  sellerStateCode,
+  buyerStateCode,
+  supplyType,
+  resolveTaxProfile,
+  splitTax,
+  computeTax,
+};
@@ -0,0 +1,93 @@
+/**
+ * Loyalty programme rules — earn rate, point value, redemption cap, expiry
+ * and tiers.
+ *
+ * Pure functions; services/loyaltyService.js applies them to the ledger and
+ * the quote service uses them to price a redemption.
+ *
+ * Tiers follow lifetime earned points (spending points never drops a tier):
+ *   bronze — base earn rate
+ *   silver — 1.25× points, free shipping from LOYALTY_SILVER_FREE_SHIPPING_FROM
+ *   gold   — 1.5× points, free shipping on every order
+ */
+
+const { round2 } = require("./pricing");
+
+const LOYALTY_ENABLED = process.env.LOYALTY_ENABLED !== "false";
+const POINTS_PER_RUPEE = Number(process.env.LOYALTY_POINTS_PER_RUPEE ?? 0.1); // 1 point per ₹10
+const POINT_VALUE = Number(process.env.LOYALTY_POINT_VALUE ?? 0.25); // ₹ per point at redemption
+const MAX_REDEEM_PERCENT = Number(process.env.LOYALTY_MAX_REDEEM_PERCENT ?? 20);
+const MIN_REDEEM_POINTS = Number(process.env.LOYALTY_MIN_REDEEM_POINTS ?? 100);
+const POINTS_EXPIRY_DAYS = Number(process.env.LOYALTY_POINTS_EXPIRY_DAYS ?? 365);
+const REVIEW_BONUS_POINTS = Number(process.env.LOYALTY_REVIEW_BONUS_POINTS ?? 50);
+
+const TIERS = [
+  { name: "bronze", minPoints: 0, earnMultiplier: 1, freeShippingFrom: null },
+  {
+    name: "silver",
+    minPoints: 2000,
+    earnMultiplier: 1.25,
+    freeShippingFrom: Number(process.env.LOYALTY_SILVER_FREE_SHIPPING_FROM ?? 499),
+  },
+  { name: "gold", minPoints: 5000, earnMultiplier: 1.5, freeShippingFrom: 0 },
+];
+
+/** Tier for a lifetime points total. */
+function tierFor(lifetimePoints) {
+  return [...TIERS].reverse().find((t) => (lifetimePoints || 0) >= t.minPoints) || TIERS[0];
+}
+
+/** The next tier up and how many more points it needs, or null at the top. */
+function nextTier(lifetimePoints) {
+  const next = TIERS.find((t) => t.minPoints > (lifetimePoints || 0));
+  return next ? { name: next.name, pointsNeeded: next.minPoints - (lifetimePoints || 0) } : null;
+}
+
+/** Customer-facing perks of a tier. */
+function tierPerks(tier) {
+  const perks = [];
+  if (tier.earnMultiplier > 1) perks.push(`${tier.earnMultiplier}× points on every order`);
+  if (tier.freeShippingFrom === 0) perks.push("Free shipping on every order");
+  else if (tier.freeShippingFrom != null) perks.push(`Free shipping on orders from ₹${tier.freeShippingFrom}`);
+  return perks;
+}
+
+/** Points earned on `amount` rupees at a tier. */
+function pointsForAmount(amount, tier = TIERS[0]) {
+  if (!LOYALTY_ENABLED || !(amount > 0)) return 0;
+  return Math.floor(amount * POINTS_PER_RUPEE * tier.earnMultiplier);
+}
+
+/** Rupee value of `points` at redemption. */
+function pointsValue(points) {
+  return round2((points || 0) * POINT_VALUE);
+}
+
+/**
+ * Most points a customer may spend on an order: their balance, capped so the
+ * redemption covers at most MAX_REDEEM_PERCENT of `orderValue`.
+ * Returns 0 when that is under MIN_REDEEM_POINTS.
+ */
+function maxRedeemablePoints({ balance, orderValue }) {
+  if (!LOYALTY_ENABLED || POINT_VALUE <= 0) return 0;
+  const cap = Math.floor((orderValue * MAX_REDEEM_PERCENT) / 100 / POINT_VALUE);
+  const points = Math.max(0, Math.min(balance || 0, cap));
+  return points >= MIN_REDEEM_POINTS ? points : 0;
+}
+
+module.exports = {
+  LOYALTY_ENABLED,
+  POINTS_PER_RUPEE,
+  POINT_VALUE,
+  MAX_REDEEM_PERCENT,
+  MIN_REDEEM_POINTS,
+  POINTS_EXPIRY_DAYS,
+  REVIEW_BONUS_POINTS,
+  TIERS,
+  tierFor,
+  nextTier,
+  tierPerks,
+  pointsForAmount,
+  pointsValue,
+  maxRedeemablePoints,
+};
@@ -0,0 +1,100 @@
+/**
+ * Order lifecycle rules — which status may follow which, and what each move
+ * needs.
+ *
+ *   pending → confirmed → processing → shipped → out_for_delivery → delivered
+ *
+ *   pending / confirmed / processing → cancelled (a reason is required)
+ *   shipped / out_for_delivery → returned   (returned to origin by the courier)
+ *   delivered → returned                    (after an accepted return)
+ *
+ * Confirmed may skip processing, and shipped may skip out_for_delivery.
+ * Cancelled and returned are final. Shipping needs a tracking number.
+ *
+ * Pure functions; services/orderLifecycleService.js applies the moves and
+ * their side-effects, and the payment confirmation transaction checks the
+ * same table.
+ */
+
+const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "processing",
+  "cancelled",
+  "shipped",
+  "out_for_delivery",
+  "delivered",
+  "returned",
+];
+
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "shipped", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["out_for_delivery", "delivered", "returned"],
+  out_for_delivery: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+// Timeline titles for each status
+const STATUS_TITLES = {
+  pending: "Order Placed",
+  confirmed: "Order Confirmed",
+  processing: "Order Processing",
+  shipped: "Order Shipped",
+  out_for_delivery: "Out for Delivery",
+  delivered: "Order Delivered",
+  cancelled: "Order Cancelled",
+  returned: "Order Returned",
+};
+
+/** Human label, e.g. "out for delivery". */
+const statusLabel = (status) => String(status).replace(/_/g, " ");
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Checks a move and the data it needs.
+ *
+ * @param {object} order - current order (status, trackingNumber)
+ * @param {string} to
+ * @param {object} [data] - { reason, trackingNumber }
+ * @returns {null | { code, message }} null when the move is allowed
+ */
+function checkTransition(order, to, { reason, trackingNumber } = {}) {
+  if (!ORDER_STATUSES.includes(to)) {
+    return { code: "INVALID_STATUS", message: `Invalid status. Valid statuses are: ${ORDER_STATUSES.join(", ")}` };
+  }
+  if (order.status === to) {
+    return { code: "NO_CHANGE", message: `Order is already ${statusLabel(to)}` };
+  }
+  if (!canTransition(order.status, to)) {
+    const next = ORDER_TRANSITIONS[order.status] || [];
+    return {
+      code: "INVALID_TRANSITION",
+      message: next.length
+        ? `A ${statusLabel(order.status)} order can only be moved to: ${next.map(statusLabel).join(", ")}`
+        : `A ${statusLabel(order.status)} order can't be changed`,
+    };
+  }
+  if (to === "shipped" && !String(trackingNumber || order.trackingNumber || "").trim()) {
+    return { code: "TRACKING_REQUIRED", message: "A tracking number is required to mark an order as shipped" };
+  }
+  if ((to === "cancelled" || to === "returned") && !String(reason || "").trim()) {
+    return { code: "REASON_REQUIRED", message: `A reason is required to mark an order as ${statusLabel(to)}` };
+  }
+  return null;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  STATUS_TITLES,
+  statusLabel,
+  canTransition,
+  checkTransition,
+};
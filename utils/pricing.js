@@ -0,0 +1,206 @@
+/**
+ * Pricing helpers shared by the checkout quote, cart and order flows.
+ *
+ * Everything here is pure — callers load the product / coupon documents and
+ * pass them in, so the same maths runs for cart display, quotes and orders.
+ */
+
+/** Rounds to paise precision */
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+/**
+ * Finds an active variant by its subdocument _id or its human variantId.
+ * Returns null when the product has no such (active) variant.
+ */
+function findVariant(product, variantId) {
+  if (!variantId || !product.variants?.length) return null;
+  const id = String(variantId);
+  return (
+    product.variants.find(
+      (v) => v.isActive !== false && (String(v._id) === id || v.variantId === id),
+    ) || null
+  );
+}
+
+/** Finds a user-visible colour by name (case-insensitive). */
+function findColor(product, colorName) {
+  if (!colorName || !product.colors?.length) return null;
+  const name = String(colorName).trim().toLowerCase();
+  return (
+    product.colors.find(
+      (c) => c.visibleToUsers !== false && c.name.toLowerCase() === name,
+    ) || null
+  );
+}
+
+/**
+ * Returns the bulk-discount tier that applies to `quantity`, or null.
+ * When tiers overlap the most generous one wins.
+ */
+function findBulkTier(product, quantity) {
+  const tiers = (product.bulkDiscounts || []).filter(
+    (t) =>
+      quantity >= t.minQuantity &&
+      (t.maxQuantity == null || quantity <= t.maxQuantity),
+  );
+  if (!tiers.length) return null;
+  return tiers.reduce((best, t) => (t.discount > best.discount ? t : best));
+}
+
+/** Customer-facing description of a tier, e.g. "10% off on 10–49 units". */
+function describeBulkTier(tier) {
+  if (!tier) return null;
+  const range = tier.maxQuantity != null
+    ? `${tier.minQuantity}–${tier.maxQuantity} units`
+    : `${tier.minQuantity}+ units`;
+  return `${tier.discount}% off on ${range}`;
+}
+
+/**
+ * Validates and normalises bulk-discount tiers from the product form.
+ * Accepts an array or a JSON string (multipart uploads). Tiers come back
+ * sorted by minQuantity; ranges must not overlap, and only the last tier may
+ * be open-ended.
+ *
+ * @returns {{ tiers: Array } | { error: string }}
+ */
+function validateBulkDiscounts(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    try { raw = JSON.parse(raw || "[]"); } catch { return { error: "bulkDiscounts must be a JSON array" }; }
+  }
+  if (raw == null) return { tiers: [] };
+  if (!Array.isArray(raw)) return { error: "bulkDiscounts must be an array" };
+
+  const tiers = [];
+  for (const [i, t] of raw.entries()) {
+    const minQuantity = Number(t?.minQuantity);
+    const maxQuantity = t?.maxQuantity === undefined || t?.maxQuantity === null || t?.maxQuantity === ""
+      ? null
+      : Number(t.maxQuantity);
+    const discount = Number(t?.discount);
+    const label = `Bulk discount tier ${i + 1}`;
+
+    if (!Number.isInteger(minQuantity) || minQuantity < 2) {
+      return { error: `${label}: minQuantity must be a whole number of 2 or more` };
+    }
+    if (maxQuantity !== null && (!Number.isInteger(maxQuantity) || maxQuantity < minQuantity)) {
+      return { error: `${label}: maxQuantity must be a whole number no lower than minQuantity` };
+    }
+    if (!Number.isFinite(discount) || discount <= 0 || discount >= 100) {
+      return { error: `${label}: discount must be a percentage between 0 and 100` };
+    }
+    tiers.push({ minQuantity, maxQuantity, discount: round2(discount) });
+  }
+
+  tiers.sort((a, b) => a.minQuantity - b.minQuantity);
+  for (let i = 1; i < tiers.length; i++) {
+    const prev = tiers[i - 1];
+    if (prev.maxQuantity === null || prev.maxQuantity >= tiers[i].minQuantity) {
+      return {
+        error: `Bulk discount tiers overlap: ${describeBulkTier(prev)} and ${describeBulkTier(tiers[i])}`,
+      };
+    }
+  }
+  return { tiers };
+}
+
+/**
+ * Resolves the price of one cart line.
+ *
+ * A customization surcharge (utils/customization.js) is added per unit after
+ * the bulk discount — the discount covers the piece, not the personalisation.
+ *
+ * @param {object} product  - Product document (or lean object)
+ * @param {object} selection - { quantity, variantId, colorName, surcharge }
+ * @returns {{ basePrice, unitPrice, lineTotal, variant, color, bulkTier }}
+ */
+function priceLine(product, { quantity, variantId, colorName, surcharge = 0 }) {
+  const variant = findVariant(product, variantId);
+  const color = findColor(product, colorName);
+  const basePrice = variant?.price != null ? variant.price : product.price;
+
+  const bulkTier = findBulkTier(product, quantity);
+  const unitPrice = round2(
+    (bulkTier ? round2(basePrice * (1 - bulkTier.discount / 100)) : round2(basePrice)) + (Number(surcharge) || 0),
+  );
+
+  return {
+    basePrice: round2(basePrice),
+    unitPrice,
+    lineTotal: round2(unitPrice * quantity),
+    variant,
+    color,
+    bulkTier: bulkTier
+      ? {
+          minQuantity: bulkTier.minQuantity,
+          maxQuantity: bulkTier.maxQuantity ?? null,
+          discount: bulkTier.discount,
+        }
+      : null,
+  };
+}
+
+/**
+ * Discount a coupon grants on `amount`. Never exceeds the amount itself.
+ */
+function couponDiscount(coupon, amount) {
+  let discount = 0;
+  if (coupon.discountType === "percentage") {
+    discount = (amount * coupon.discountValue) / 100;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else {
+    discount = coupon.discountValue;
+  }
+  return round2(Math.min(discount, amount));
+}
+
+/**
+ * Spreads an order-level discount across lines in proportion to their totals.
+ * Lines where `isEligible(line)` is false, and lines with nothing left to
+ * discount (free gifts, fully promoted units), get nothing; the last eligible
+ * line absorbs rounding so the shares always add up to `amount`.
+ *
+ * @returns {number[]} share per line, same order as `lines`
+ */
+function allocateDiscount(lines, amount, isEligible = () => true) {
+  const shares = lines.map(() => 0);
+  const eligible = lines.map((l, i) => (l.lineTotal > 0 && isEligible(l) ? i : -1)).filter((i) => i >= 0);
+  const base = eligible.reduce((sum, i) => sum + lines[i].lineTotal, 0);
+  if (!amount || base <= 0) return shares;
+
+  let remaining = round2(amount);
+  eligible.forEach((idx, n) => {
+    const share = n === eligible.length - 1
+      ? remaining
+      : round2((amount * lines[idx].lineTotal) / base);
+    shares[idx] = share;
+    remaining = round2(remaining - share);
+  });
+  return shares;
+}
+
+/**
+ * Part of an order's total collected through the payment gateway (the rest
+ * came from a gift card and/or the wallet).
+ */
+function gatewayAmount(order) {
+  return round2(
+    Math.max(0, (order.totalAmount || 0) - (order.giftCard?.amount || 0) - (order.wallet?.amount || 0)),
+  );
+}
+
+module.exports = {
+  round2,
+  findVariant,
+  findColor,
+  findBulkTier,
+  describeBulkTier,
+  validateBulkDiscounts,
+  priceLine,
+  couponDiscount,
+  allocateDiscount,
+  gatewayAmount,
+};
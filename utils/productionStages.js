@@ -0,0 +1,95 @@
+/**
+ * Production job rules — the stages a made-to-order line goes through, and
+ * what each move needs.
+ *
+ *   design_approval → crafting → quality_check → ready_to_pack
+ *
+ *   quality_check → crafting        (failed the check; a note is required)
+ *   any open stage → cancelled      (the order or the line was cancelled)
+ *
+ * A job whose line was customised starts at design_approval and can only
+ * move on once the customer has approved a design proof; other made-to-order
+ * lines start at crafting. ready_to_pack and cancelled are final, except that
+ * a packed job is still cancelled with its order.
+ *
+ * Pure functions; services/productionService.js applies the moves.
+ */
+
+const PRODUCTION_STAGES = ["design_approval", "crafting", "quality_check", "ready_to_pack", "cancelled"];
+
+// Stages still being worked on
+const OPEN_STAGES = ["design_approval", "crafting", "quality_check"];
+
+const STAGE_TRANSITIONS = {
+  design_approval: ["crafting", "cancelled"],
+  crafting: ["quality_check", "cancelled"],
+  quality_check: ["ready_to_pack", "crafting", "cancelled"],
+  ready_to_pack: ["cancelled"],
+  cancelled: [],
+};
+
+// Customer-facing titles (SSE, WhatsApp, order page)
+const STAGE_TITLES = {
+  design_approval: "Awaiting Design Approval",
+  crafting: "Being Handcrafted",
+  quality_check: "Quality Check",
+  ready_to_pack: "Ready to Pack",
+  cancelled: "Cancelled",
+};
+
+const PROOF_STATUSES = ["pending", "approved", "changes_requested", "superseded"];
+
+/** Human label, e.g. "quality check". */
+const stageLabel = (stage) => String(stage).replace(/_/g, " ");
+
+/** The design proof the customer is answering (the latest one), or null. */
+const currentProof = (job) => (job.proofs?.length ? job.proofs[job.proofs.length - 1] : null);
+
+/**
+ * Checks a stage move.
+ *
+ * @param {object} job - current job (stage, requiresDesignApproval, proofs)
+ * @param {string} to
+ * @param {object} [data] - { note }
+ * @returns {null | { code, message }} null when the move is allowed
+ */
+function checkStageMove(job, to, { note } = {}) {
+  if (!PRODUCTION_STAGES.includes(to)) {
+    return { code: "INVALID_STAGE", message: `Invalid stage. Valid stages are: ${PRODUCTION_STAGES.join(", ")}` };
+  }
+  if (job.stage === to) {
+    return { code: "NO_CHANGE", message: `Job is already at ${stageLabel(to)}` };
+  }
+  const next = STAGE_TRANSITIONS[job.stage] || [];
+  if (!next.includes(to)) {
+    return {
+      code: "INVALID_TRANSITION",
+      message: next.length
+        ? `A job at ${stageLabel(job.stage)} can only be moved to: ${next.map(stageLabel).join(", ")}`
+        : `A ${stageLabel(job.stage)} job can't be changed`,
+    };
+  }
+  if (job.stage === "design_approval" && to === "crafting" && job.requiresDesignApproval && currentProof(job)?.status !== "approved") {
+    return { code: "PROOF_NOT_APPROVED", message: "The customer hasn't approved a design proof yet" };
+  }
+  if ((job.stage === "quality_check" && to === "crafting") || to === "cancelled") {
+    if (!String(note || "").trim()) {
+      return {
+        code: "NOTE_REQUIRED",
+        message: to === "cancelled" ? "A reason is required to cancel a job" : "Say what failed the quality check",
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PRODUCTION_STAGES,
+  OPEN_STAGES,
+  STAGE_TRANSITIONS,
+  STAGE_TITLES,
+  PROOF_STATUSES,
+  stageLabel,
+  currentProof,
+  checkStageMove,
+};
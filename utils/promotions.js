@@ -0,0 +1,364 @@
+/**
+ * Promotion rules — validation and the evaluation engine.
+ *
+ * Pure functions: services/promotionService.js loads the live promotions and
+ * gift products and passes them in, so the cart, the checkout quote and the
+ * chat agent all run the same maths.
+ *
+ * Evaluation order: highest priority first (oldest first on ties). Each
+ * promotion sees what the lines have left after the promotions before it.
+ * A non-stackable promotion applies only on its own — it is skipped once
+ * something else applied, and nothing applies after it.
+ */
+
+const { round2, couponDiscount, allocateDiscount } = require("./pricing");
+
+const PROMOTION_TYPES = ["buy_x_get_y", "category_sale", "free_gift", "spend_tiers"];
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+function _bool(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return value === true || value === "true";
+}
+
+function _list(value) {
+  if (value == null || value === "") return [];
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[")) {
+      try { return JSON.parse(trimmed); } catch { return null; }
+    }
+    return trimmed.split(",").map((v) => v.trim()).filter(Boolean);
+  }
+  return Array.isArray(value) ? value : null;
+}
+
+function _date(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function _percent(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n <= 100 ? round2(n) : null;
+}
+
+function _validateConfig(type, input) {
+  if (type === "buy_x_get_y") {
+    const cfg = input.buyXGetY || {};
+    const buyQuantity = Number(cfg.buyQuantity);
+    const getQuantity = Number(cfg.getQuantity);
+    const discountPercent = cfg.discountPercent == null || cfg.discountPercent === "" ? 100 : _percent(cfg.discountPercent);
+    const maxApplications = cfg.maxApplications == null || cfg.maxApplications === "" ? null : Number(cfg.maxApplications);
+    if (!Number.isInteger(buyQuantity) || buyQuantity < 1 || !Number.isInteger(getQuantity) || getQuantity < 1) {
+      return { error: "Buy X get Y needs whole-number buyQuantity and getQuantity of 1 or more" };
+    }
+    if (discountPercent === null) return { error: "discountPercent must be between 0 and 100" };
+    if (maxApplications !== null && (!Number.isInteger(maxApplications) || maxApplications < 1)) {
+      return { error: "maxApplications must be a whole number of 1 or more" };
+    }
+    return { config: { buyXGetY: { buyQuantity, getQuantity, discountPercent, maxApplications } } };
+  }
+
+  if (type === "category_sale") {
+    const cfg = input.sale || {};
+    const discountPercent = _percent(cfg.discountPercent);
+    const maxDiscount = cfg.maxDiscount == null || cfg.maxDiscount === "" ? null : Number(cfg.maxDiscount);
+    if (discountPercent === null || discountPercent === 100) {
+      return { error: "A sale needs a discountPercent between 0 and 100" };
+    }
+    if (maxDiscount !== null && !(maxDiscount > 0)) return { error: "maxDiscount must be a positive amount" };
+    return { config: { sale: { discountPercent, maxDiscount } } };
+  }
+
+  if (type === "free_gift") {
+    const cfg = input.freeGift || {};
+    const quantity = cfg.quantity == null || cfg.quantity === "" ? 1 : Number(cfg.quantity);
+    const minCartValue = Number(cfg.minCartValue || 0);
+    if (!OBJECT_ID.test(String(cfg.productId || ""))) return { error: "A free gift needs a valid gift productId" };
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: "Gift quantity must be a whole number of 1 or more" };
+    if (!Number.isFinite(minCartValue) || minCartValue < 0) return { error: "minCartValue must be 0 or more" };
+    return {
+      config: {
+        freeGift: { productId: String(cfg.productId), variantId: cfg.variantId ? String(cfg.variantId) : null, quantity, minCartValue },
+      },
+    };
+  }
+
+  // spend_tiers
+  const raw = _list(input.spendTiers);
+  if (!raw?.length) return { error: "Spend tiers need at least one tier" };
+  const tiers = [];
+  for (const [i, t] of raw.entries()) {
+    const label = `Spend tier ${i + 1}`;
+    const minSpend = Number(t?.minSpend);
+    const discountValue = Number(t?.discountValue);
+    const maxDiscount = t?.maxDiscount == null || t?.maxDiscount === "" ? null : Number(t.maxDiscount);
+    if (!Number.isFinite(minSpend) || minSpend <= 0) return { error: `${label}: minSpend must be a positive amount` };
+    if (!["percentage", "fixed"].includes(t?.discountType)) return { error: `${label}: discountType must be percentage or fixed` };
+    if (!Number.isFinite(discountValue) || discountValue <= 0 || (t.discountType === "percentage" && discountValue >= 100)) {
+      return { error: `${label}: discountValue must be positive (and below 100 for percentages)` };
+    }
+    if (maxDiscount !== null && !(maxDiscount > 0)) return { error: `${label}: maxDiscount must be a positive amount` };
+    tiers.push({ minSpend: round2(minSpend), discountType: t.discountType, discountValue: round2(discountValue), maxDiscount });
+  }
+  tiers.sort((a, b) => a.minSpend - b.minSpend);
+  if (tiers.some((t, i) => i > 0 && t.minSpend === tiers[i - 1].minSpend)) {
+    return { error: "Spend tiers must have different minSpend values" };
+  }
+  return { config: { spendTiers: tiers } };
+}
+
+/**
+ * Validates a promotion from the admin form. `current` is the stored
+ * promotion on updates, so a partial body keeps the other settings.
+ *
+ * @returns {{ fields: object } | { error: string }}
+ */
+function validatePromotion(body, current = {}) {
+  const input = { ...current, ...body };
+
+  const name = String(input.name || "").trim();
+  if (!name || name.length > 120) return { error: "name is required (up to 120 characters)" };
+  if (!PROMOTION_TYPES.includes(input.type)) {
+    return { error: `type must be one of ${PROMOTION_TYPES.join(", ")}` };
+  }
+
+  const priority = input.priority == null || input.priority === "" ? 0 : Number(input.priority);
+  if (!Number.isInteger(priority)) return { error: "priority must be a whole number" };
+
+  const validFrom = _date(input.validFrom) ?? new Date();
+  const validUntil = _date(input.validUntil);
+  if (validFrom === undefined || validUntil === undefined) return { error: "validFrom / validUntil must be dates" };
+  if (validUntil && validUntil <= validFrom) return { error: "validUntil must be after validFrom" };
+
+  const applicableCategories = _list(input.applicableCategories);
+  const applicableProducts = _list(input.applicableProducts)?.map(String);
+  if (!applicableCategories || !applicableProducts) {
+    return { error: "applicableCategories / applicableProducts must be arrays" };
+  }
+  if (applicableProducts.some((id) => !OBJECT_ID.test(id))) return { error: "applicableProducts must be product IDs" };
+
+  const { config, error } = _validateConfig(input.type, input);
+  if (error) return { error };
+
+  return {
+    fields: {
+      name,
+      description: input.description ? String(input.description).trim() : undefined,
+      type: input.type,
+      isActive: _bool(input.isActive, true),
+      validFrom,
+      validUntil,
+      priority,
+      stackable: _bool(input.stackable, false),
+      combinesWithCoupons: _bool(input.combinesWithCoupons, false),
+      applicableCategories: applicableCategories.map((c) => String(c).trim()).filter(Boolean),
+      applicableProducts,
+      ...config,
+    },
+  };
+}
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+/** True while the promotion is switched on and inside its date window. */
+function isPromotionLive(promotion, now = new Date()) {
+  return Boolean(
+    promotion.isActive &&
+      (!promotion.validFrom || new Date(promotion.validFrom) <= now) &&
+      (!promotion.validUntil || new Date(promotion.validUntil) >= now),
+  );
+}
+
+/** True when the line falls inside the promotion's category / product scope. */
+function isLineInScope(promotion, line) {
+  const categories = promotion.applicableCategories || [];
+  const products = (promotion.applicableProducts || []).map(String);
+  if (!categories.length && !products.length) return true;
+  if (products.length && products.includes(String(line.productId))) return true;
+  return categories.some((c) => c.toLowerCase() === String(line.category || "").toLowerCase());
+}
+
+/** Customer-facing summary, e.g. "Buy 2 get 1 free". */
+function describePromotion(promotion) {
+  switch (promotion.type) {
+    case "buy_x_get_y": {
+      const { buyQuantity, getQuantity, discountPercent = 100 } = promotion.buyXGetY || {};
+      return `Buy ${buyQuantity} get ${getQuantity} ${discountPercent >= 100 ? "free" : `at ${discountPercent}% off`}`;
+    }
+    case "category_sale":
+      return `${promotion.sale?.discountPercent}% off`;
+    case "free_gift":
+      return promotion.freeGift?.minCartValue
+        ? `Free gift on orders of ₹${promotion.freeGift.minCartValue}+`
+        : "Free gift with your order";
+    case "spend_tiers":
+      return (promotion.spendTiers || [])
+        .map((t) => `${t.discountType === "percentage" ? `${t.discountValue}%` : `₹${t.discountValue}`} off on ₹${t.minSpend}+`)
+        .join(", ");
+    default:
+      return promotion.name;
+  }
+}
+
+// Spreads `amount` over the in-scope lines in proportion to what they have left
+function _spread(lines, eligible, amount) {
+  return allocateDiscount(
+    lines.map((l, i) => ({ lineTotal: l.lineTotal, eligible: eligible[i] })),
+    amount,
+    (l) => l.eligible,
+  );
+}
+
+// Cheapest units get the discount: units are sorted by price (highest first)
+// and every buy+get group discounts its last `getQuantity` units.
+function _buyXGetY(promotion, lines, eligible) {
+  const { buyQuantity, getQuantity, discountPercent = 100, maxApplications } = promotion.buyXGetY || {};
+  const units = [];
+  lines.forEach((line, i) => {
+    if (!eligible[i] || line.quantity < 1) return;
+    const unitValue = line.lineTotal / line.quantity;
+    for (let n = 0; n < line.quantity; n++) units.push({ index: i, value: unitValue });
+  });
+  units.sort((a, b) => b.value - a.value);
+
+  const groupSize = buyQuantity + getQuantity;
+  let groups = Math.floor(units.length / groupSize);
+  if (maxApplications) groups = Math.min(groups, maxApplications);
+
+  const shares = lines.map(() => 0);
+  for (let g = 0; g < groups; g++) {
+    for (let n = g * groupSize + buyQuantity; n < (g + 1) * groupSize; n++) {
+      shares[units[n].index] += (units[n].value * discountPercent) / 100;
+    }
+  }
+  const rounded = shares.map(round2);
+  const needed = groups ? 0 : groupSize - units.length;
+  return {
+    shares: rounded,
+    hint: needed > 0 && units.length > 0 ? `Add ${needed} more eligible item${needed > 1 ? "s" : ""} — ${describePromotion(promotion)}` : null,
+  };
+}
+
+function _spendTiers(promotion, lines, eligible, eligibleTotal) {
+  const tiers = [...(promotion.spendTiers || [])].sort((a, b) => a.minSpend - b.minSpend);
+  const reached = tiers.filter((t) => eligibleTotal >= t.minSpend).pop();
+  const next = tiers.find((t) => eligibleTotal < t.minSpend);
+  const hint = next && eligibleTotal > 0
+    ? `Spend ₹${round2(next.minSpend - eligibleTotal)} more to get ${next.discountType === "percentage" ? `${next.discountValue}%` : `₹${next.discountValue}`} off`
+    : null;
+  if (!reached) return { shares: lines.map(() => 0), hint };
+
+  const amount = couponDiscount(reached, eligibleTotal);
+  return { shares: _spread(lines, eligible, amount), hint };
+}
+
+function _evaluate(promotion, lines) {
+  const eligible = lines.map((l) => l.lineTotal > 0 && isLineInScope(promotion, l));
+  const eligibleTotal = round2(lines.reduce((sum, l, i) => sum + (eligible[i] ? l.lineTotal : 0), 0));
+  const none = { shares: lines.map(() => 0) };
+
+  switch (promotion.type) {
+    case "buy_x_get_y":
+      return _buyXGetY(promotion, lines, eligible);
+
+    case "category_sale": {
+      if (eligibleTotal <= 0) return none;
+      let amount = (eligibleTotal * promotion.sale.discountPercent) / 100;
+      if (promotion.sale.maxDiscount) amount = Math.min(amount, promotion.sale.maxDiscount);
+      return { shares: _spread(lines, eligible, round2(amount)) };
+    }
+
+    case "free_gift": {
+      const { productId, variantId, quantity = 1, minCartValue = 0 } = promotion.freeGift || {};
+      if (eligibleTotal <= 0) return none;
+      if (eligibleTotal < minCartValue) {
+        return { ...none, hint: `Spend ₹${round2(minCartValue - eligibleTotal)} more to get a free gift` };
+      }
+      return { ...none, gift: { productId: String(productId), variantId: variantId || null, quantity } };
+    }
+
+    case "spend_tiers":
+      return _spendTiers(promotion, lines, eligible, eligibleTotal);
+
+    default:
+      return none;
+  }
+}
+
+/**
+ * Runs the promotions over priced cart lines.
+ *
+ * @param {Array}  promotions - Promotion documents (or lean objects)
+ * @param {Array}  lines      - [{ productId, category, quantity, lineTotal }]
+ * @returns {{ applied: Array, shares: number[], amount: number, gifts: Array, hints: Array }}
+ *   applied — [{ promotionId, name, type, label, amount, stackable, combinesWithCoupons }]
+ *   shares  — promotion discount per line, same order as `lines`
+ *   gifts   — [{ promotionId, name, productId, variantId, quantity }]
+ *   hints   — nudges for promotions not reached yet: [{ promotionId, name, message }]
+ */
+function applyPromotions(promotions, lines, { now = new Date() } = {}) {
+  const ordered = promotions
+    .filter((p) => isPromotionLive(p, now))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+  const remaining = lines.map((l) => round2(l.lineTotal));
+  const shares = lines.map(() => 0);
+  const applied = [];
+  const gifts = [];
+  const hints = [];
+
+  for (const promotion of ordered) {
+    if (applied.length && (!promotion.stackable || applied.some((a) => !a.stackable))) continue;
+
+    const current = lines.map((l, i) => ({ ...l, lineTotal: remaining[i] }));
+    const result = _evaluate(promotion, current);
+    const amount = round2(result.shares.reduce((sum, s) => sum + s, 0));
+    const base = {
+      promotionId: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      label: describePromotion(promotion),
+    };
+
+    if (amount <= 0 && !result.gift) {
+      if (result.hint) hints.push({ promotionId: promotion._id, name: promotion.name, message: result.hint });
+      continue;
+    }
+
+    result.shares.forEach((s, i) => {
+      shares[i] = round2(shares[i] + s);
+      remaining[i] = round2(remaining[i] - s);
+    });
+    applied.push({
+      ...base,
+      amount,
+      stackable: Boolean(promotion.stackable),
+      combinesWithCoupons: Boolean(promotion.combinesWithCoupons),
+    });
+    if (result.gift) gifts.push({ promotionId: promotion._id, name: promotion.name, ...result.gift });
+    // A better spend tier may still be in reach
+    if (result.hint) hints.push({ promotionId: promotion._id, name: promotion.name, message: result.hint });
+  }
+
+  return {
+    applied,
+    shares,
+    amount: round2(shares.reduce((sum, s) => sum + s, 0)),
+    gifts,
+    hints,
+  };
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  validatePromotion,
+  isPromotionLive,
+  isLineInScope,
+  describePromotion,
+  applyPromotions,
+};
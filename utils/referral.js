@@ -0,0 +1,68 @@
+/**
+ * Referral programme rules — reward amounts and the fraud signals compared
+ * between a referrer and the customer they referred.
+ *
+ * Pure functions; services/referralService.js applies them.
+ *
+ * Signals are hashed before they are stored: device ids and IPs only need to
+ * be compared, never read back.
+ */
+
+const crypto = require("crypto");
+
+const REFERRAL_ENABLED = process.env.REFERRAL_ENABLED !== "false";
+const REFERRER_CREDIT = Number(process.env.REFERRAL_REFERRER_CREDIT ?? 150); // ₹
+const REFEREE_CREDIT = Number(process.env.REFERRAL_REFEREE_CREDIT ?? 100); // ₹
+const FINGERPRINT_SECRET = process.env.REFERRAL_FINGERPRINT_SECRET || process.env.JWT_SECRET || "";
+const MAX_FINGERPRINTS = 20; // most recent signals kept per user
+
+const REJECTION_REASONS = ["self_referral", "same_device", "same_address", "order_returned"];
+
+/** Upper-cased, trimmed referral code, or null. */
+function normaliseReferralCode(code) {
+  if (typeof code !== "string") return null;
+  const trimmed = code.trim().toUpperCase();
+  return trimmed || null;
+}
+
+/**
+ * Mailbox an email address delivers to — Gmail ignores dots and "+tags",
+ * every provider ignores "+tags" — so aliases of one inbox compare equal.
+ */
+function canonicalEmail(email) {
+  const [local = "", domain = ""] = String(email || "").trim().toLowerCase().split("@");
+  let name = local.split("+")[0];
+  const host = domain === "googlemail.com" ? "gmail.com" : domain;
+  if (host === "gmail.com") name = name.replace(/\./g, "");
+  return `${name}@${host}`;
+}
+
+const _hash = (value) => crypto.createHmac("sha256", FINGERPRINT_SECRET).update(value).digest("hex");
+
+/** Hashed device / IP signals of a request. */
+function requestFingerprints(req) {
+  const deviceId = String(req.headers?.["x-device-id"] || "").trim().slice(0, 200);
+  return [
+    req.ip && `ip:${_hash(req.ip)}`,
+    deviceId && `device:${_hash(deviceId)}`,
+  ].filter(Boolean);
+}
+
+/** Comparable form of a postal address: street + pincode, letters and digits only. */
+function addressKey(address) {
+  if (!address?.street || !address?.zipCode) return null;
+  const clean = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return `${clean(address.street)}|${clean(address.zipCode)}`;
+}
+
+module.exports = {
+  REFERRAL_ENABLED,
+  REFERRER_CREDIT,
+  REFEREE_CREDIT,
+  MAX_FINGERPRINTS,
+  REJECTION_REASONS,
+  normaliseReferralCode,
+  canonicalEmail,
+  requestFingerprints,
+  addressKey,
+};
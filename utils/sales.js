@@ -0,0 +1,128 @@
+/**
+ * Scheduled sale rules — validation and sale price maths.
+ *
+ * Pure functions; services/saleService.js applies them to products when a
+ * sale starts and puts the stored prices back when it ends.
+ */
+
+const { round2 } = require("./pricing");
+
+const SALE_TARGETS = ["products", "category", "tag"];
+const SALE_DISCOUNT_TYPES = ["percentage", "amount", "price"]; // % off, ₹ off, fixed sale price
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+function _list(value) {
+  if (value == null || value === "") return [];
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[")) {
+      try { return JSON.parse(trimmed); } catch { return null; }
+    }
+    return trimmed.split(",").map((v) => v.trim()).filter(Boolean);
+  }
+  return Array.isArray(value) ? value : null;
+}
+
+function _date(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Validates a sale from the admin form. `current` is the stored sale on
+ * updates, so a partial body keeps the other settings.
+ *
+ * @returns {{ fields: object } | { error: string }}
+ */
+function validateSale(body, current = {}) {
+  const input = { ...current, ...body };
+
+  const name = String(input.name || "").trim();
+  if (!name || name.length > 120) return { error: "name is required (up to 120 characters)" };
+
+  if (!SALE_TARGETS.includes(input.target)) {
+    return { error: `target must be one of ${SALE_TARGETS.join(", ")}` };
+  }
+  const productIds = (_list(input.productIds) || [null]).map(String);
+  const categories = (_list(input.categories) || []).map((c) => String(c).trim()).filter(Boolean);
+  const tags = (_list(input.tags) || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+  if (input.target === "products" && (!productIds.length || productIds.some((id) => !OBJECT_ID.test(id)))) {
+    return { error: "A product sale needs a list of product IDs" };
+  }
+  if (input.target === "category" && !categories.length) return { error: "A category sale needs at least one category" };
+  if (input.target === "tag" && !tags.length) return { error: "A tag sale needs at least one tag" };
+
+  const discountType = input.discount?.type;
+  const discountValue = Number(input.discount?.value);
+  if (!SALE_DISCOUNT_TYPES.includes(discountType)) {
+    return { error: `discount.type must be one of ${SALE_DISCOUNT_TYPES.join(", ")}` };
+  }
+  if (!Number.isFinite(discountValue) || discountValue <= 0 || (discountType === "percentage" && discountValue >= 100)) {
+    return { error: "discount.value must be positive (and below 100 for percentages)" };
+  }
+
+  const startsAt = _date(input.startsAt);
+  const endsAt = _date(input.endsAt);
+  if (!startsAt || !endsAt) return { error: "startsAt and endsAt are required dates" };
+  if (endsAt <= startsAt) return { error: "endsAt must be after startsAt" };
+
+  const perCustomerLimit = input.perCustomerLimit == null || input.perCustomerLimit === "" ? null : Number(input.perCustomerLimit);
+  if (perCustomerLimit !== null && (!Number.isInteger(perCustomerLimit) || perCustomerLimit < 1)) {
+    return { error: "perCustomerLimit must be a whole number of 1 or more" };
+  }
+
+  return {
+    fields: {
+      name,
+      description: input.description ? String(input.description).trim() : undefined,
+      target: input.target,
+      productIds: input.target === "products" ? productIds : [],
+      categories: input.target === "category" ? categories : [],
+      tags: input.target === "tag" ? tags : [],
+      discount: { type: discountType, value: round2(discountValue) },
+      startsAt,
+      endsAt,
+      isFlash: input.isFlash === true || input.isFlash === "true",
+      perCustomerLimit,
+    },
+  };
+}
+
+// Case-insensitive exact match — categories and tags are free text on products
+const _exactly = (value) => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+
+/** Product filter for the sale's target. */
+function saleProductFilter(sale) {
+  if (sale.target === "products") return { _id: { $in: sale.productIds } };
+  if (sale.target === "category") return { category: { $in: sale.categories.map(_exactly) } };
+  return { tags: { $in: sale.tags.map(_exactly) } };
+}
+
+/**
+ * Price during the sale, or null when the sale wouldn't lower `price`
+ * (a fixed sale price above it, or an amount off that leaves nothing).
+ */
+function salePrice(price, discount) {
+  if (!(price > 0)) return null;
+  let next;
+  if (discount.type === "percentage") next = price * (1 - discount.value / 100);
+  else if (discount.type === "amount") next = price - discount.value;
+  else next = discount.value;
+  next = round2(next);
+  return next > 0 && next < price ? next : null;
+}
+
+/** The "was" price shown during the sale: the higher of compareAtPrice and the regular price. */
+function saleCompareAtPrice(price, compareAtPrice) {
+  return round2(Math.max(price, compareAtPrice || 0));
+}
+
+module.exports = {
+  SALE_TARGETS,
+  SALE_DISCOUNT_TYPES,
+  validateSale,
+  saleProductFilter,
+  salePrice,
+  saleCompareAtPrice,
+};
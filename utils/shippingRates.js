@@ -0,0 +1,135 @@
+/**
+ * Shipping rate engine — weight- and zone-based delivery charge.
+ *
+ * Pure functions; services/quoteService.js and the cart shipping quote pass
+ * in the priced lines with their product documents.
+ *
+ *  - Each unit weighs the larger of its actual weight (variant.weight, else
+ *    Product.weightInGrams) and its volumetric weight (L × W × H / 5000 kg,
+ *    for variants with dimensions)
+ *  - The band comes from the warehouse → customer zones (SHIPPING_RATE_CARD
+ *    in data/indiaZones.js); the charge is the band's base plus a step per
+ *    extra 500 g
+ *  - Carts at or above FREE_SHIPPING_THRESHOLD ship free; a loyalty tier can
+ *    lower the threshold
+ */
+
+const {
+  REMOTE_SHIPPING_STATES,
+  SHIPPING_RATE_CARD,
+  WAREHOUSE_PINCODE,
+  ZONE,
+} = require("../data/indiaZones");
+const { resolveZone, shippingDaysForZones } = require("./deliveryCalculator");
+const { round2, findVariant } = require("./pricing");
+
+const FREE_SHIPPING_THRESHOLD = Number(process.env.FREE_SHIPPING_THRESHOLD ?? 999);
+const DEFAULT_WEIGHT_GRAMS = 500; // Product.weightInGrams default
+const WEIGHT_SLAB_GRAMS = 500;
+const VOLUMETRIC_DIVISOR = 5000; // cm³ per kg, the courier standard
+
+// Dimension units → centimetres
+const CM_PER_UNIT = { cm: 1, mm: 0.1, m: 100, in: 2.54 };
+
+/** Volumetric weight in grams of one unit, or 0 without usable dimensions. */
+function volumetricWeight(dimensions) {
+  if (!dimensions) return 0;
+  const factor = CM_PER_UNIT[String(dimensions.unit || "cm").toLowerCase()];
+  const { length, width, height } = dimensions;
+  if (!factor || !(length > 0) || !(width > 0) || !(height > 0)) return 0;
+  const cubicCm = length * factor * (width * factor) * (height * factor);
+  return Math.round((cubicCm / VOLUMETRIC_DIVISOR) * 1000);
+}
+
+/**
+ * Actual and billable weight of the parcel.
+ *
+ * @param {Array}  lines      - [{ productId, variantId, quantity }]
+ * @param {object} productMap - product documents keyed by id
+ * @returns {{ actualGrams: number, billableGrams: number }}
+ */
+function parcelWeight(lines, productMap) {
+  let actualGrams = 0;
+  let billableGrams = 0;
+  for (const line of lines) {
+    const product = productMap[String(line.productId)];
+    if (!product) continue;
+    const variant = findVariant(product, line.variantId);
+    const unitWeight = variant?.weight > 0 ? variant.weight : product.weightInGrams || DEFAULT_WEIGHT_GRAMS;
+    const quantity = Number(line.quantity) || 0;
+    actualGrams += unitWeight * quantity;
+    billableGrams += Math.max(unitWeight, volumetricWeight(variant?.dimensions)) * quantity;
+  }
+  return { actualGrams: Math.round(actualGrams), billableGrams: Math.round(billableGrams) };
+}
+
+/** Rate band for a parcel from the warehouse to `customer` ({ state, zone }). */
+function rateBand(warehouse, customer) {
+  if (customer.zone === ZONE.NORTHEAST || REMOTE_SHIPPING_STATES.includes(customer.state)) return "REMOTE";
+  if (customer.zone === warehouse.zone) return "WITHIN_ZONE";
+  return shippingDaysForZones(warehouse.zone, customer.zone).max <= 6 ? "NEARBY" : "NATIONAL";
+}
+
+/** Charge for `billableGrams` in a band, before any free-shipping waiver. */
+function bandCharge(band, billableGrams) {
+  const rate = SHIPPING_RATE_CARD[band];
+  const extraSlabs = Math.max(0, Math.ceil(billableGrams / WEIGHT_SLAB_GRAMS) - 1);
+  return round2(rate.base + rate.perExtra * extraSlabs);
+}
+
+/** Free-shipping threshold, lowered by the loyalty tier's freeShippingFrom. */
+function freeShippingThreshold(freeShippingFrom = null) {
+  return freeShippingFrom != null ? Math.min(freeShippingFrom, FREE_SHIPPING_THRESHOLD) : FREE_SHIPPING_THRESHOLD;
+}
+
+/**
+ * Shipping charge for a cart.
+ *
+ * @param {object} params
+ * @param {string} params.pincode
+ * @param {Array}  params.lines             - [{ productId, variantId, quantity }]
+ * @param {object} params.productMap
+ * @param {number} params.merchandiseTotal  - post-discount total the threshold is checked against
+ * @param {number} [params.freeShippingFrom] - loyalty tier threshold
+ * @returns {object}
+ *   { success: true, charge, rate, band, zone, state, actualWeightGrams, billableWeightGrams,
+ *     freeShipping, freeShippingThreshold, amountToFreeShipping }
+ *   or { success: false, code: "NOT_SERVICEABLE", message }
+ */
+function calculateShipping({ pincode, lines, productMap, merchandiseTotal, freeShippingFrom = null }) {
+  const warehouse = resolveZone(WAREHOUSE_PINCODE);
+  const customer = resolveZone(pincode);
+  if (!warehouse || !customer) {
+    return { success: false, code: "NOT_SERVICEABLE", message: "We do not currently deliver to this PIN code." };
+  }
+
+  const { actualGrams, billableGrams } = parcelWeight(lines, productMap);
+  const band = rateBand(warehouse, customer);
+  const rate = bandCharge(band, billableGrams);
+  const threshold = freeShippingThreshold(freeShippingFrom);
+  const freeShipping = merchandiseTotal <= 0 || merchandiseTotal >= threshold;
+
+  return {
+    success: true,
+    charge: freeShipping ? 0 : rate,
+    rate,
+    band,
+    zone: customer.zone,
+    state: customer.state,
+    actualWeightGrams: actualGrams,
+    billableWeightGrams: billableGrams,
+    freeShipping,
+    freeShippingThreshold: threshold,
+    amountToFreeShipping: freeShipping ? 0 : round2(threshold - merchandiseTotal),
+  };
+}
+
+module.exports = {
+  FREE_SHIPPING_THRESHOLD,
+  volumetricWeight,
+  parcelWeight,
+  rateBand,
+  bandCharge,
+  freeShippingThreshold,
+  calculateShipping,
+};